@@ -0,0 +1,338 @@
+/**
+ * ABI Registry for Reactive Auto-Looper Monitor
+ *
+ * Single source of contract ABIs for every monitor script. ABIs are read from
+ * the Foundry build artifacts in out/ (run `forge build` in the repo root), so
+ * the monitor always uses the same interface as the compiled contracts.
+ *
+ * Contracts without an artifact in this repo (Callback Proxy, System Contract,
+ * WETH) and checkouts that have not been built yet fall back to the bundled
+ * human-readable fragments below. So does an artifact that can't be read
+ * (malformed JSON, no ABI), with a warning.
+ *
+ * Set MONITOR_ARTIFACTS_DIR to read artifacts from somewhere other than ../out.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { ethers } from 'ethers';
+import logger from './logger.js';
+dotenv.config({ path: '../.env' });
+
+const MONITOR_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+export const ARTIFACTS_DIR = process.env.MONITOR_ARTIFACTS_DIR
+    ? path.resolve(process.env.MONITOR_ARTIFACTS_DIR)
+    : path.join(MONITOR_DIR, '..', 'out');
+
+// Registry name → Foundry artifact (out/<source>/<contract>.json)
+export const ARTIFACTS = {
+    manager: { source: 'AutoLooperManager.sol', contract: 'AutoLooperManager' },
+    reactive: { source: 'AutoLooperReactive.sol', contract: 'AutoLooperReactive' },
+    reactiveEnhanced: { source: 'AutoLooperReactiveEnhanced.sol', contract: 'AutoLooperReactiveEnhanced' },
+    reactiveFunder: { source: 'ReactiveFunderRC.sol', contract: 'ReactiveFunderRC' },
+    funder: { source: 'Funder.sol', contract: 'Funder' }
+};
+
+// ═══════════════════════════════════════════════════════════════
+//                        BUNDLED ABIs
+// ═══════════════════════════════════════════════════════════════
+
+const POSITION_TUPLE = 'tuple(address collateralAsset, address borrowAsset, uint256 initialCollateral, uint256 targetLeverage, uint256 currentLeverage, uint256 maxIterations, uint256 currentIteration, uint256 minHealthFactor, uint256 slippageTolerance, uint8 state, uint256 lastUpdateBlock, bool useFlashLoan, bool sameAssetLoop, uint256 maxGasSpend, uint256 gasSpentSoFar, uint256 twapBlockInterval, bytes32 executionSalt, uint256 takeProfitPrice, uint256 stopLossPrice)';
+
+export const BUNDLED_ABIS = {
+    manager: [
+        // Events (must match the event list in src/interfaces/IAutoLooper.sol)
+        'event PositionUpdated(address indexed user, uint256 currentLeverage, uint256 targetLeverage, uint256 healthFactor, uint256 iteration, uint8 state)',
+        'event LoopStepExecuted(address indexed user, uint256 borrowed, uint256 swapped, uint256 supplied, uint256 newLeverage)',
+        'event UnwindStepExecuted(address indexed user, uint256 withdrawn, uint256 swapped, uint256 repaid, uint256 newLeverage)',
+        'event FlashLeverageExecuted(address indexed user, uint256 flashAmount, uint256 finalLeverage)',
+        'event FlashUnwindExecuted(address indexed user, uint256 flashAmount, uint256 finalLeverage)',
+        'event PositionCreated(address indexed user, address collateralAsset, address borrowAsset, uint256 targetLeverage)',
+        'event PositionClosed(address indexed user, uint256 finalCollateral)',
+        'event EmergencyStop(address indexed user, string reason)',
+        'event CircuitBreakerTriggered(address indexed user, uint256 deviation)',
+        'event GasRefilled(address indexed reactiveContract, uint256 amount)',
+        'event RvmIdUpdated(address indexed rvmId)',
+        'event GasBudgetExceeded(address indexed user, uint256 gasSpent, uint256 maxGas)',
+        'event LoopUnprofitable(address indexed user, uint256 supplyAPY, uint256 borrowAPY)',
+        'event TwapIntervalNotMet(address indexed user, uint256 lastBlock, uint256 currentBlock, uint256 requiredInterval)',
+        'event MevProtectionTriggered(address indexed user, bytes32 expectedSalt, bytes32 providedSalt)',
+        'event ApprovalsRevoked(address indexed collateralAsset, address indexed borrowAsset)',
+        'event BatchExecuted(uint256 totalUsers, uint256 successCount, uint256 failCount)',
+        'event ApprovalMagicDeposit(address indexed user, address indexed token, uint256 amount, uint256 targetLeverage)',
+        'event PriceTriggeredUnwind(address indexed user, uint256 currentLeverage)',
+        'event HealthCheckExecuted(address indexed user, uint256 healthFactor, uint8 state)',
+        'event TakeProfitTriggered(address indexed user, uint256 currentPrice, uint256 takeProfitPrice)',
+        'event StopLossTriggered(address indexed user, uint256 currentPrice, uint256 stopLossPrice)',
+        'event TakeProfitConfigSet(address indexed user, uint256 takeProfitPrice, uint256 stopLossPrice)',
+        'event LiquidationDetected(address indexed user, address indexed collateralAsset, address indexed debtAsset, uint256 debtToCover, uint256 liquidatedCollateral, bool receiveAToken)',
+        'event GuardianFailure(address indexed user, uint256 debtLiquidated, string reason)',
+        'event ApprovalsAutoRevoked(address indexed user, address indexed collateralAsset, address indexed borrowAsset)',
+        'event InsufficientPoolLiquidity(address indexed user, address indexed asset, uint256 requestedAmount, uint256 availableLiquidity)',
+        'event SwapLiquidityFailure(address indexed user, address indexed tokenIn, address indexed tokenOut, uint256 amountIn, string reason)',
+        'event DegradedExecution(address indexed user, string operation, uint256 requestedAmount, uint256 actualAmount, string reason)',
+        'event AutomationPipelineExecuted(address indexed user, string step, bool success, uint256 attemptedAmount, string details)',
+
+        // User functions
+        'function deposit(address collateralAsset, address borrowAsset, uint256 amount, uint256 targetLeverage, uint256 maxIterations, bool useFlashLoan) payable',
+        'function depositAdvanced(address collateralAsset, address borrowAsset, uint256 amount, uint256 targetLeverage, uint256 maxIterations, bool useFlashLoan, tuple(uint256 maxGasSpend, uint256 twapBlockInterval, bool enableMevProtection, bool checkProfitability) config) payable',
+        'function depositSameAsset(address asset, uint256 amount, uint256 targetLeverage, uint256 maxIterations) payable',
+        'function requestUnwind()',
+        'function emergencyWithdraw()',
+        'function closePosition()',
+        'function setTakeProfit(uint256 takeProfitPrice, uint256 stopLossPrice)',
+
+        // Callbacks (delivered by the Callback Proxy; rvm_id is injected by the network)
+        'function executeLoopStep(address rvm_id, address user)',
+        'function executeUnwindStep(address rvm_id, address user)',
+        'function executeFlashUnwind(address rvm_id, address user)',
+        'function executeBatch(address rvm_id, address[] users, uint8[] actions)',
+        'function executeApprovalDeposit(address rvm_id, address user, address token, uint256 amount)',
+        'function executePriceTriggeredUnwind(address rvm_id, address user)',
+        'function executeHealthCheck(address rvm_id, address user)',
+        'function executeTakeProfit(address rvm_id, address user, uint256 currentPrice)',
+        'function executeLiquidationCallback(address rvm_id, address user, uint256 debtCovered)',
+
+        // View functions
+        `function getPosition(address user) view returns (${POSITION_TUPLE})`,
+        'function getHealthFactor(address user) view returns (uint256)',
+        'function getCurrentLeverage(address user) view returns (uint256)',
+        'function hasPosition(address user) view returns (bool)',
+        'function loopFee() view returns (uint256)',
+        'function flashLoanFee() view returns (uint256)',
+        'function paused() view returns (bool)',
+        'function circuitBreakerEnabled() view returns (bool)',
+        'function profitabilityCheckEnabled() view returns (bool)',
+        'function batchExecutionEnabled() view returns (bool)',
+        'function reactiveContract() view returns (address)'
+    ],
+    reactive: [
+        'event Callback(uint256 indexed chain_id, address indexed _contract, uint64 indexed gas_limit, bytes payload)',
+        'event LoopCallbackTriggered(address indexed user, uint256 currentLeverage, uint256 targetLeverage)',
+        'event UnwindCallbackTriggered(address indexed user, uint256 currentLeverage, uint256 healthFactor)',
+        'event RateLimited(address indexed user, uint256 lastBlock, uint256 currentBlock)',
+        'function react(tuple(uint256 chain_id, address _contract, uint256 topic_0, uint256 topic_1, uint256 topic_2, uint256 topic_3, bytes data, uint256 block_number, uint256 op_code, uint256 block_hash, uint256 tx_hash, uint256 log_index) log)'
+    ],
+    reactiveEnhanced: [
+        // Events (must match src/AutoLooperReactiveEnhanced.sol; several names are also manager events)
+        'event LoopCallbackTriggered(address indexed user, uint256 currentLeverage, uint256 targetLeverage)',
+        'event UnwindCallbackTriggered(address indexed user, uint256 currentLeverage, uint256 healthFactor)',
+        'event RateLimited(address indexed user, uint256 lastBlock, uint256 currentBlock)',
+        'event ApprovalMagicTriggered(address indexed user, address indexed token, uint256 amount)',
+        'event PriceDeviationDetected(address indexed pool, uint256 oldPrice, uint256 newPrice, uint256 deviation)',
+        'event StopLossTriggered(address indexed user, address indexed pool, uint256 currentPrice, uint256 triggerPrice)',
+        'event CronHealthCheckExecuted(uint256 usersChecked, uint256 actionsTriggered)',
+        'event TokenTracked(address indexed token)',
+        'event PoolTracked(address indexed pool, address indexed token)',
+        'event PriceTriggerSet(address indexed user, uint256 triggerPrice)',
+        'event ReserveDataChanged(address indexed asset, uint256 liquidityRate, uint256 variableBorrowRate)',
+        'event TakeProfitTriggered(address indexed user, address indexed pool, uint256 currentPrice, uint256 takeProfitPrice)',
+        'event TakeProfitSet(address indexed user, uint256 takeProfitPrice)',
+        'event LiquidationDetected(address indexed collateralAsset, address indexed debtAsset, address indexed user, uint256 debtToCover, uint256 liquidatedCollateral)',
+        'event StalePositionDetected(address indexed user, uint256 lastCheckBlock, uint256 currentBlock, uint256 blocksSinceCheck)',
+        'event PositionCheckUpdated(address indexed user, uint256 blockNumber)',
+        'event CriticalOperationQueued(bytes32 indexed opId, address indexed user, uint8 opType, uint256 readyBlock)',
+        'event CriticalOperationExecuted(bytes32 indexed opId, address indexed user, uint8 opType)',
+        'event FinalityNotReached(bytes32 indexed opId, uint256 currentBlock, uint256 requiredBlock)',
+
+        'function owner() view returns (address)',
+        'function approvalMagicEnabled() view returns (bool)',
+        'function priceMonitoringEnabled() view returns (bool)',
+        'function cronMonitoringEnabled() view returns (bool)',
+        'function liquidationMonitoringEnabled() view returns (bool)',
+        'function stalePositionCheckEnabled() view returns (bool)',
+        'function finalityAwareEnabled() view returns (bool)',
+        'function cronInterval() view returns (uint256)',
+        'function maxStaleBlocks() view returns (uint256)'
+    ],
+    reactiveFunder: [
+        // Events (must match src/ReactiveFunderRC.sol)
+        'event BridgeTriggered(address indexed originalSender, uint256 amount, uint256 bridgeAmount, uint256 timestamp)',
+        'event OwnerUpdated(address indexed oldOwner, address indexed newOwner)',
+
+        'function owner() view returns (address)',
+        'function totalBridged() view returns (uint256)',
+        'function bridgeCount() view returns (uint256)',
+        'function getStats() view returns (uint256 _totalBridged, uint256 _bridgeCount, address _funder, address _recipient)'
+    ],
+    funder: [
+        // Events (must match src/Funder.sol)
+        'event FundsReceived(address indexed sender, uint256 amount)',
+        'event FundsBridged(address indexed reactiveContract, uint256 amount)',
+        'event FundsWithdrawn(address indexed to, uint256 amount)',
+        'event BridgeThresholdUpdated(uint256 oldThreshold, uint256 newThreshold)',
+        'event TargetRscUpdated(address indexed oldRsc, address indexed newRsc)',
+        'event BridgeFailed(address indexed reactiveContract, uint256 amount, string reason)',
+
+        'function owner() view returns (address)',
+        'function fund() payable',
+        'function gasReserve() view returns (uint256)',
+        'function authorizedCallers(address) view returns (bool)',
+        'function canBridge() view returns (bool)',
+        'function getBridgeableAmount() view returns (uint256 bridgeable)',
+        'function checkRscDebt(address rsc) view returns (uint256 debt)',
+        'function getStats() view returns (uint256 _totalCollected, uint256 _totalBridged, uint256 _currentBalance, uint256 _bridgeThreshold, uint256 _bridgeCount, address _targetRsc)'
+    ],
+    callbackProxy: [
+        'function reserves(address) view returns (uint256)',
+        'function depositTo(address rvm_id) payable',
+        'function withdrawTo(address _target)'
+    ],
+    system: [
+        'function depositTo(address rvm_id) payable',
+        'function debt(address) view returns (uint256)',
+        'function freeBalance(address) view returns (uint256)'
+    ],
+    weth: [
+        'function deposit() payable',
+        'function approve(address spender, uint256 amount) returns (bool)',
+        'function balanceOf(address) view returns (uint256)'
+    ],
+    erc20: [
+        'function approve(address spender, uint256 amount) returns (bool)',
+        'function allowance(address owner, address spender) view returns (uint256)',
+        'function balanceOf(address) view returns (uint256)'
+    ]
+};
+
+// ═══════════════════════════════════════════════════════════════
+//                       ARTIFACT LOADING
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Read the ABI from a Foundry artifact, or null if it has not been built
+ */
+export function loadArtifactAbi(source, contract, dir = ARTIFACTS_DIR) {
+    const file = path.join(dir, source, `${contract}.json`);
+    if (!fs.existsSync(file)) return null;
+
+    const artifact = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(artifact.abi)) {
+        throw new Error(`Artifact has no ABI: ${file}`);
+    }
+    return artifact.abi;
+}
+
+/**
+ * Pick each registry ABI from its artifact in dir, or the bundled fragments
+ */
+export function loadAbis(dir = ARTIFACTS_DIR) {
+    const abis = {};
+    const sources = {};
+
+    for (const [name, bundled] of Object.entries(BUNDLED_ABIS)) {
+        const artifact = ARTIFACTS[name];
+        let abi = null;
+        try {
+            abi = artifact && loadArtifactAbi(artifact.source, artifact.contract, dir);
+        } catch (error) {
+            logger.warn(`Using the bundled ${name} ABI, artifact unreadable: ${error.message}`);
+        }
+        abis[name] = abi || bundled;
+        sources[name] = abi ? `${artifact.source}/${artifact.contract}.json` : 'bundled';
+    }
+
+    return { abis, sources };
+}
+
+const loaded = loadAbis();
+
+export const ABIS = Object.freeze(loaded.abis);
+
+// Where each ABI came from: artifact path, or 'bundled'
+export const ABI_SOURCES = Object.freeze(loaded.sources);
+
+// ═══════════════════════════════════════════════════════════════
+//                      CONTRACT FACTORIES
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} UserPosition
+ * @property {string} collateralAsset
+ * @property {string} borrowAsset
+ * @property {bigint} initialCollateral
+ * @property {bigint} targetLeverage
+ * @property {bigint} currentLeverage
+ * @property {bigint} maxIterations
+ * @property {bigint} currentIteration
+ * @property {bigint} minHealthFactor
+ * @property {bigint} slippageTolerance
+ * @property {bigint} state - PositionState (0 IDLE, 1 LOOPING, 2 UNWINDING, 3 EMERGENCY)
+ * @property {bigint} lastUpdateBlock
+ * @property {boolean} useFlashLoan
+ * @property {boolean} sameAssetLoop
+ * @property {bigint} maxGasSpend
+ * @property {bigint} gasSpentSoFar
+ * @property {bigint} twapBlockInterval
+ * @property {string} executionSalt
+ * @property {bigint} takeProfitPrice
+ * @property {bigint} stopLossPrice
+ */
+
+/**
+ * @typedef {ethers.Contract & {
+ *   getPosition(user: string): Promise<UserPosition>,
+ *   getHealthFactor(user: string): Promise<bigint>,
+ *   getCurrentLeverage(user: string): Promise<bigint>,
+ *   hasPosition(user: string): Promise<boolean>,
+ *   loopFee(): Promise<bigint>,
+ *   flashLoanFee(): Promise<bigint>
+ * }} ManagerContract
+ */
+
+/**
+ * Build an ethers Interface for a registry ABI
+ */
+export function getInterface(name) {
+    if (!ABIS[name]) throw new Error(`Unknown ABI: ${name}`);
+    return new ethers.Interface(ABIS[name]);
+}
+
+function factory(name) {
+    return (address, runner) => new ethers.Contract(address, ABIS[name], runner);
+}
+
+/** @type {(address: string, runner: ethers.ContractRunner) => ManagerContract} */
+export const connectManager = factory('manager');
+
+/** @type {(address: string, runner: ethers.ContractRunner) => ethers.Contract} */
+export const connectReactive = factory('reactive');
+
+/** @type {(address: string, runner: ethers.ContractRunner) => ethers.Contract} */
+export const connectReactiveEnhanced = factory('reactiveEnhanced');
+
+/** @type {(address: string, runner: ethers.ContractRunner) => ethers.Contract} */
+export const connectReactiveFunder = factory('reactiveFunder');
+
+/** @type {(address: string, runner: ethers.ContractRunner) => ethers.Contract} */
+export const connectFunder = factory('funder');
+
+/** @type {(address: string, runner: ethers.ContractRunner) => ethers.Contract} */
+export const connectCallbackProxy = factory('callbackProxy');
+
+/** @type {(address: string, runner: ethers.ContractRunner) => ethers.Contract} */
+export const connectSystem = factory('system');
+
+/**
+ * Read an RVM's debt from the system contract. debt() reverts when there is no
+ * debt record, which means no debt; any other failure (RPC down, timeout) is
+ * not a reading and is thrown.
+ * @returns {Promise<bigint>}
+ */
+export async function readRvmDebt(systemContract, runner, rvmId) {
+    try {
+        return await connectSystem(systemContract, runner).debt(rvmId);
+    } catch (error) {
+        if (ethers.isError(error, 'CALL_EXCEPTION')) return 0n;
+        throw error;
+    }
+}
+
+/** @type {(address: string, runner: ethers.ContractRunner) => ethers.Contract} */
+export const connectWeth = factory('weth');
+
+/** @type {(address: string, runner: ethers.ContractRunner) => ethers.Contract} */
+export const connectErc20 = factory('erc20');
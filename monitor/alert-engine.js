@@ -0,0 +1,415 @@
+/**
+ * Position Alert Engine for Reactive Auto-Looper
+ *
+ * Polls getPosition/getHealthFactor for every watched user and evaluates
+ * each chat's rules against them:
+ * - health factor below the chat's threshold (critical below ALERTS.hfCritical)
+ * - leverage of an idle position drifting from its target
+ * - leverage outside the bounds set with /setalert lev<x / lev>x
+ * - position stuck in LOOPING or UNWINDING for ALERTS.stuckBlocks blocks
+ * - callback proxy reserves below a /setalert reserves<x rule (system-wide)
+ *
+ * Each (chat, user, rule) alert fires once, clears only after recovering past
+ * a hysteresis margin, escalates to critical if it lasts too long, and is
+ * repeated while critical. Active alerts are saved under STATE_DIR so a
+ * restart doesn't fire them all again.
+ */
+
+import { ethers } from 'ethers';
+import { PROFILE, POSITION_STATES, ALERTS } from './config.js';
+import logger from './logger.js';
+import { JsonStore } from './state-store.js';
+
+export const AlertRule = {
+    HEALTH_FACTOR: 'hf',
+    LEVERAGE_DEVIATION: 'leverage',
+    LEVERAGE_BOUNDS: 'lev',
+    STUCK: 'stuck',
+    RESERVES: 'reserves'
+};
+
+export const AlertLevel = {
+    WARNING: 'warning',
+    CRITICAL: 'critical'
+};
+
+export const AlertEventType = {
+    FIRED: 'fired',
+    ESCALATED: 'escalated',
+    REMINDER: 'reminder',
+    RESOLVED: 'resolved'
+};
+
+const LOOPING = 1;
+const UNWINDING = 2;
+
+// Key segment for system-wide alerts, which have no user
+const SYSTEM = 'system';
+
+// Aave reports type(uint256).max as the health factor of an account without debt
+const NO_DEBT_HF = 2n ** 255n;
+
+// ═══════════════════════════════════════════════════════════════
+//                            RULES
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} PositionSnapshot
+ * @property {Object} position - getPosition() result
+ * @property {bigint} healthFactor - getHealthFactor() result
+ * @property {number} blockNumber - Block the snapshot was taken at
+ */
+
+/**
+ * @typedef {Object} AlertCondition
+ * @property {string} rule - AlertRule
+ * @property {string} level - AlertLevel
+ * @property {number} value - Measured value (HF, leverage deviation in x, or blocks stuck)
+ * @property {number} threshold
+ * @property {string} summary - One line for the notification
+ */
+
+/**
+ * Evaluate every rule for one position
+ * @param thresholds - { healthFactor, leverageDeviation, minLeverage, maxLeverage } for this chat and user
+ * @param active - Rules already firing for this chat and user (they clear only past the hysteresis margin)
+ * @returns {Object<string, AlertCondition|null>} Condition per position rule, null when the rule is clear
+ */
+export function evaluateRules(snapshot, thresholds, active = new Set()) {
+    const { position, healthFactor, blockNumber } = snapshot;
+    const state = Number(position.state);
+    const current = Number(ethers.formatEther(position.currentLeverage));
+    const target = Number(ethers.formatEther(position.targetLeverage));
+    const hasPosition = position.initialCollateral > 0n || current > 0;
+
+    const results = {
+        [AlertRule.HEALTH_FACTOR]: null,
+        [AlertRule.LEVERAGE_DEVIATION]: null,
+        [AlertRule.LEVERAGE_BOUNDS]: null,
+        [AlertRule.STUCK]: null
+    };
+    if (!hasPosition) return results;
+
+    // Health factor
+    const hf = healthFactor >= NO_DEBT_HF ? Infinity : Number(ethers.formatEther(healthFactor));
+    const hfLimit = active.has(AlertRule.HEALTH_FACTOR)
+        ? thresholds.healthFactor + ALERTS.hfHysteresis
+        : thresholds.healthFactor;
+    if (hf < hfLimit) {
+        results[AlertRule.HEALTH_FACTOR] = {
+            rule: AlertRule.HEALTH_FACTOR,
+            level: hf < ALERTS.hfCritical ? AlertLevel.CRITICAL : AlertLevel.WARNING,
+            value: hf,
+            threshold: thresholds.healthFactor,
+            summary: `Health factor ${hf.toFixed(3)} is below ${thresholds.healthFactor}`
+        };
+    }
+
+    // Leverage drift - only for settled positions, a loop in progress is below target by design
+    if (state !== LOOPING && state !== UNWINDING && target > 0 && current > 0) {
+        const deviation = Math.abs(current - target);
+        const limit = active.has(AlertRule.LEVERAGE_DEVIATION)
+            ? thresholds.leverageDeviation - ALERTS.leverageHysteresis
+            : thresholds.leverageDeviation;
+        if (deviation > limit) {
+            results[AlertRule.LEVERAGE_DEVIATION] = {
+                rule: AlertRule.LEVERAGE_DEVIATION,
+                level: AlertLevel.WARNING,
+                value: deviation,
+                threshold: thresholds.leverageDeviation,
+                summary: `Leverage ${current.toFixed(2)}x is ${deviation.toFixed(2)}x off its ${target.toFixed(2)}x target`
+            };
+        }
+    }
+
+    // Leverage bounds - the lower one only for settled positions, like the drift rule
+    const { minLeverage = null, maxLeverage = null } = thresholds;
+    const boundMargin = active.has(AlertRule.LEVERAGE_BOUNDS) ? ALERTS.leverageHysteresis : 0;
+    const settled = state !== LOOPING && state !== UNWINDING;
+    if (maxLeverage !== null && current > maxLeverage - boundMargin) {
+        results[AlertRule.LEVERAGE_BOUNDS] = {
+            rule: AlertRule.LEVERAGE_BOUNDS,
+            level: AlertLevel.WARNING,
+            value: current,
+            threshold: maxLeverage,
+            summary: `Leverage ${current.toFixed(2)}x is above ${maxLeverage}x`
+        };
+    } else if (minLeverage !== null && settled && current > 0 && current < minLeverage + boundMargin) {
+        results[AlertRule.LEVERAGE_BOUNDS] = {
+            rule: AlertRule.LEVERAGE_BOUNDS,
+            level: AlertLevel.WARNING,
+            value: current,
+            threshold: minLeverage,
+            summary: `Leverage ${current.toFixed(2)}x is below ${minLeverage}x`
+        };
+    }
+
+    // Stuck automation
+    if (state === LOOPING || state === UNWINDING) {
+        const blocks = blockNumber - Number(position.lastUpdateBlock);
+        if (blocks >= ALERTS.stuckBlocks) {
+            results[AlertRule.STUCK] = {
+                rule: AlertRule.STUCK,
+                level: AlertLevel.WARNING,
+                value: blocks,
+                threshold: ALERTS.stuckBlocks,
+                summary: `Position has been ${POSITION_STATES[state].name} for ${blocks} blocks without an update`
+            };
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Evaluate the system-wide rules
+ * @param snapshot - { reserves } in ETH
+ * @param thresholds - { reserves } of the chat (null when it has no reserves rule)
+ */
+export function evaluateSystemRules(snapshot, thresholds, active = new Set()) {
+    const results = { [AlertRule.RESERVES]: null };
+    if (thresholds.reserves === null || thresholds.reserves === undefined) return results;
+
+    const limit = active.has(AlertRule.RESERVES)
+        ? thresholds.reserves * (1 + ALERTS.reservesHysteresis)
+        : thresholds.reserves;
+    if (snapshot.reserves < limit) {
+        results[AlertRule.RESERVES] = {
+            rule: AlertRule.RESERVES,
+            level: snapshot.reserves === 0 ? AlertLevel.CRITICAL : AlertLevel.WARNING,
+            value: snapshot.reserves,
+            threshold: thresholds.reserves,
+            summary: `Callback reserves ${snapshot.reserves.toFixed(4)} ETH are below ${thresholds.reserves} ETH`
+        };
+    }
+    return results;
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                            ENGINE
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} AlertTarget
+ * @property {string} chatId
+ * @property {string|null} user - null for the system-wide rules
+ * @property {Object} thresholds - See evaluateRules() / evaluateSystemRules()
+ */
+
+/**
+ * @typedef {Object} AlertEvent
+ * @property {string} type - AlertEventType
+ * @property {string} chatId
+ * @property {string|null} user
+ * @property {string} rule
+ * @property {string} level
+ * @property {AlertCondition|null} condition - Latest condition (null once resolved)
+ * @property {number} since - When the alert first fired (ms)
+ */
+
+export class AlertEngine {
+    /**
+     * @param options.manager - AutoLooperManager contract
+     * @param options.getTargets - () => AlertTarget[] to check on each poll
+     * @param options.getReserves - async () => callback proxy reserves in ETH, for system-wide targets
+     * @param options.onAlert - Called with an AlertEvent for every notification-worthy change
+     * @param options.stateFile - Where active alerts are kept (relative to STATE_DIR)
+     */
+    constructor({
+        manager,
+        provider,
+        getTargets,
+        getReserves = null,
+        onAlert = null,
+        stateFile = `alerts-${PROFILE.name}.json`,
+        now = Date.now
+    }) {
+        this.manager = manager;
+        this.provider = provider;
+        this.getTargets = getTargets;
+        this.getReserves = getReserves;
+        this.onAlert = onAlert;
+        this.now = now;
+
+        this.store = new JsonStore(stateFile);
+        this.intervalId = null;
+        this.polling = false;
+    }
+
+    get active() {
+        return this.store.data;
+    }
+
+    /**
+     * Read every watched position once and update the alerts
+     * @returns {Promise<AlertEvent[]>} Events raised in this round
+     */
+    async poll() {
+        const targets = this.getTargets();
+        const blockNumber = await this.provider.getBlockNumber();
+        const snapshots = new Map();
+        const events = [];
+        const seen = new Set();
+
+        for (const target of targets) {
+            const user = target.user?.toLowerCase() ?? null;
+            const subject = user ?? SYSTEM;
+            if (!snapshots.has(subject)) snapshots.set(subject, await this.read(user, blockNumber));
+            const snapshot = snapshots.get(subject);
+
+            const prefix = `${target.chatId}:${subject}:`;
+            Object.values(AlertRule).forEach(rule => seen.add(prefix + rule));
+
+            // Keep alerts as they are while the data can't be read
+            if (!snapshot) continue;
+
+            const firing = new Set(Object.values(AlertRule).filter(rule => this.active[prefix + rule]));
+            const results = user
+                ? evaluateRules(snapshot, target.thresholds, firing)
+                : evaluateSystemRules(snapshot, target.thresholds, firing);
+            for (const [rule, condition] of Object.entries(results)) {
+                const event = this.update(target.chatId, user, rule, condition);
+                if (event) events.push(event);
+            }
+        }
+
+        // Chats that stopped watching a user lose its alerts silently
+        for (const key of Object.keys(this.active)) {
+            if (!seen.has(key)) delete this.active[key];
+        }
+        this.store.save();
+
+        for (const event of events) {
+            if (!this.onAlert) continue;
+            try {
+                await this.onAlert(event);
+            } catch (error) {
+                logger.error(`Alert handler failed: ${error.message}`, null, 'sepolia');
+            }
+        }
+        return events;
+    }
+
+    /**
+     * Snapshot of a user's position, or of the system-wide values when `user` is null
+     * @returns {Promise<Object|null>} null if it couldn't be read
+     */
+    async read(user, blockNumber) {
+        try {
+            if (!user) {
+                return this.getReserves ? { reserves: await this.getReserves() } : null;
+            }
+            const [position, healthFactor] = await Promise.all([
+                this.manager.getPosition(user),
+                this.manager.getHealthFactor(user)
+            ]);
+            return { position, healthFactor, blockNumber };
+        } catch (error) {
+            logger.debug(`Alert check for ${user ?? SYSTEM} failed: ${error.message}`, null, 'sepolia');
+            return null;
+        }
+    }
+
+    /**
+     * Apply one rule result to the stored alert
+     * @returns {AlertEvent|null}
+     */
+    update(chatId, user, rule, condition) {
+        const key = `${chatId}:${user ?? SYSTEM}:${rule}`;
+        const alert = this.active[key];
+        const now = this.now();
+        const event = (type, level) => ({ type, chatId, user, rule, level, condition, since: alert?.since ?? now });
+
+        if (!condition) {
+            if (!alert) return null;
+            delete this.active[key];
+            return event(AlertEventType.RESOLVED, alert.level);
+        }
+
+        if (!alert) {
+            this.active[key] = { level: condition.level, since: now, lastNotified: now };
+            return event(AlertEventType.FIRED, condition.level);
+        }
+
+        const overdue = now - alert.since >= ALERTS.escalateAfterMs;
+        const level = condition.level === AlertLevel.CRITICAL || overdue ? AlertLevel.CRITICAL : alert.level;
+
+        if (level === AlertLevel.CRITICAL && alert.level !== AlertLevel.CRITICAL) {
+            Object.assign(alert, { level, lastNotified: now });
+            return event(AlertEventType.ESCALATED, level);
+        }
+        if (alert.level === AlertLevel.CRITICAL && now - alert.lastNotified >= ALERTS.repeatCriticalMs) {
+            alert.lastNotified = now;
+            return event(AlertEventType.REMINDER, alert.level);
+        }
+        return null;
+    }
+
+    /**
+     * Poll on an interval (one poll at a time)
+     */
+    start(intervalMs = ALERTS.pollIntervalMs) {
+        this.intervalId = setInterval(async () => {
+            if (this.polling) return;
+            this.polling = true;
+            try {
+                await this.poll();
+            } catch (error) {
+                logger.error(`Alert poll failed: ${error.message}`, null, 'sepolia');
+            } finally {
+                this.polling = false;
+            }
+        }, intervalMs);
+    }
+
+    stop() {
+        clearInterval(this.intervalId);
+        this.intervalId = null;
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                       TELEGRAM FORMAT
+// ═══════════════════════════════════════════════════════════════
+
+const RULE_TITLES = {
+    [AlertRule.HEALTH_FACTOR]: 'Health Factor',
+    [AlertRule.LEVERAGE_DEVIATION]: 'Leverage Deviation',
+    [AlertRule.LEVERAGE_BOUNDS]: 'Leverage Limit',
+    [AlertRule.STUCK]: 'Automation Stuck',
+    [AlertRule.RESERVES]: 'Low Callback Reserves'
+};
+
+/**
+ * Alert event as a Telegram HTML message
+ */
+export function formatAlertHtml(event) {
+    const title = RULE_TITLES[event.rule] || event.rule;
+    const minutes = Math.round((Date.now() - event.since) / 60000);
+    const subject = event.user ? `👤 <code>${event.user}</code>` : '🏦 Callback proxy';
+
+    if (event.type === AlertEventType.RESOLVED) {
+        return `✅ <b>Resolved: ${title}</b>\n\n${subject}\n<i>Back within limits after ${minutes} min</i>`;
+    }
+
+    const icon = event.level === AlertLevel.CRITICAL ? '🚨' : '⚠️';
+    const heading = {
+        [AlertEventType.FIRED]: event.level === AlertLevel.CRITICAL ? 'CRITICAL' : 'Warning',
+        [AlertEventType.ESCALATED]: 'ESCALATED TO CRITICAL',
+        [AlertEventType.REMINDER]: `STILL CRITICAL (${minutes} min)`
+    }[event.type];
+
+    let msg = `${icon} <b>${heading}: ${title}</b>\n\n`;
+    msg += `${subject}\n`;
+    msg += `📊 ${event.condition.summary}\n`;
+    if (event.rule === AlertRule.HEALTH_FACTOR) {
+        msg += `\n<i>Consider /unwind or adding collateral before the position nears liquidation.</i>`;
+    } else if (event.rule === AlertRule.STUCK) {
+        msg += `\n<i>Check /rvmstatus and /reserves - the RVM may have stopped reacting.</i>`;
+    } else if (event.rule === AlertRule.RESERVES) {
+        msg += `\n<i>Top up with fund-reserves.js before callbacks stop being delivered.</i>`;
+    }
+    return msg;
+}
+
+export default AlertEngine;
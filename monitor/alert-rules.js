@@ -0,0 +1,118 @@
+/**
+ * Alert Rules for Reactive Auto-Looper Monitor
+ *
+ * Parses the rule expressions of the bot's /setalert command into structured
+ * rules and turns a chat's rules into the thresholds the alert engine uses:
+ *
+ *   /setalert 0x1234... hf<1.25     Health factor of one address
+ *   /setalert lev>3.5               Leverage of every watched address
+ *   /setalert dev>0.3               Leverage deviation from target
+ *   /setalert reserves<0.05         Callback proxy reserves (ETH)
+ *
+ * Rules for an address override the chat-wide ones, which override the
+ * chat's default alert thresholds.
+ */
+
+import { ethers } from 'ethers';
+
+/**
+ * Metrics a rule can watch. `ops` maps each allowed comparison to the
+ * threshold key it sets.
+ */
+export const ALERT_METRICS = {
+    hf: {
+        label: 'Health factor',
+        perUser: true,
+        ops: { '<': 'healthFactor' }
+    },
+    lev: {
+        label: 'Leverage',
+        unit: 'x',
+        perUser: true,
+        ops: { '<': 'minLeverage', '>': 'maxLeverage' }
+    },
+    dev: {
+        label: 'Leverage deviation',
+        unit: 'x',
+        perUser: true,
+        ops: { '>': 'leverageDeviation' }
+    },
+    reserves: {
+        label: 'Callback reserves',
+        unit: ' ETH',
+        perUser: false,
+        ops: { '<': 'reserves' }
+    }
+};
+
+const EXPRESSION = /^([a-z]+)\s*([<>])\s*(\d+(?:\.\d+)?|\.\d+)$/;
+
+/**
+ * @typedef {Object} AlertRuleSpec
+ * @property {string} metric - ALERT_METRICS key
+ * @property {string} op - '<' or '>'
+ * @property {number} value
+ * @property {string|null} user - Lowercase address, or null for every watched address / system-wide
+ */
+
+/**
+ * Parse /setalert arguments: an optional address followed by `<metric><op><value>`
+ * (spaces around the operator are allowed)
+ * @returns {AlertRuleSpec}
+ */
+export function parseAlertRule(args) {
+    let user = null;
+    let rest = args;
+    if (rest[0] && ethers.isAddress(rest[0])) {
+        user = rest[0].toLowerCase();
+        rest = rest.slice(1);
+    }
+
+    const expression = rest.join('').toLowerCase();
+    const match = expression.match(EXPRESSION);
+    if (!match) throw new Error(`Can't read rule "${expression}" - expected e.g. hf<1.25`);
+
+    const [, metric, op, raw] = match;
+    const spec = ALERT_METRICS[metric];
+    if (!spec) throw new Error(`Unknown metric "${metric}" - use ${Object.keys(ALERT_METRICS).join(', ')}`);
+    if (!spec.ops[op]) {
+        throw new Error(`${spec.label} rules use ${Object.keys(spec.ops).map(o => `${metric}${o}`).join(' or ')}`);
+    }
+    if (user && !spec.perUser) throw new Error(`${spec.label} rules are system-wide - leave out the address`);
+
+    const value = Number(raw);
+    if (value <= 0) throw new Error('Threshold must be above zero');
+
+    return { metric, op, value, user };
+}
+
+/**
+ * Plain-text description, e.g. "Health factor below 1.25"
+ */
+export function describeRule(rule) {
+    const spec = ALERT_METRICS[rule.metric];
+    const direction = rule.op === '<' ? 'below' : 'above';
+    return `${spec.label} ${direction} ${rule.value}${spec.unit || ''}`;
+}
+
+/**
+ * Thresholds for one address (or the system-wide ones when `user` is null)
+ * @param defaults - The chat's default alert thresholds
+ * @param rules - The chat's rules
+ */
+export function resolveThresholds(defaults, rules, user = null) {
+    const thresholds = { minLeverage: null, maxLeverage: null, reserves: null, ...defaults };
+    const addr = user?.toLowerCase() ?? null;
+
+    // Chat-wide rules first so rules for the address win
+    const applicable = [
+        ...rules.filter(r => r.user === null),
+        ...(addr ? rules.filter(r => r.user === addr) : [])
+    ];
+    for (const rule of applicable) {
+        thresholds[ALERT_METRICS[rule.metric].ops[rule.op]] = rule.value;
+    }
+    return thresholds;
+}
+
+export default { ALERT_METRICS, parseAlertRule, describeRule, resolveThresholds };
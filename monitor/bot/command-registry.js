@@ -0,0 +1,209 @@
+/**
+ * Command Registry for the Telegram Bots
+ *
+ * Commands are declared once with their arguments, help text and handler:
+ *
+ *   registry.register({
+ *       name: 'events',
+ *       section: 'Info',
+ *       description: 'Indexed event timeline',
+ *       args: [
+ *           { name: 'address', type: 'address', optional: true },
+ *           { name: 'count', type: 'int', optional: true, default: 10, max: 30 }
+ *       ],
+ *       handler: async (chatId, { address, count }) => { ... }
+ *   });
+ *
+ * resolve() turns "/events 0x… 5" into the command and its parsed arguments
+ * (or a usage error), and helpHtml() builds /help from the registrations,
+ * so the help can't drift from what the bot actually accepts.
+ *
+ * Argument types: address, int, number, enum (with `values`), string, rest
+ * (all remaining words, as an array), or a custom `parse(value)` that throws
+ * on bad input. An optional argument that doesn't parse is skipped when
+ * later arguments could still match, so "/events 5" means count 5.
+ */
+
+import { ethers } from 'ethers';
+import { escapeHtml } from './format.js';
+
+/**
+ * @typedef {Object} ArgSpec
+ * @property {string} name - Key handlers receive the value under
+ * @property {string} [label] - Shown in usage instead of the name
+ * @property {string} [type] - address | int | number | enum | string | rest (default string)
+ * @property {boolean} [optional]
+ * @property {*} [default] - Value when an optional argument is missing
+ * @property {string[]} [values] - Allowed values of an enum (matched case-insensitively)
+ * @property {number} [min]
+ * @property {number} [max] - Bounds of int / number (int values above max are clamped)
+ * @property {(value: string) => *} [parse] - Custom parser, throws on bad input
+ */
+
+/**
+ * @typedef {Object} CommandSpec
+ * @property {string} name - Command without the slash, lowercase
+ * @property {string} description - One line for /help
+ * @property {string} [section] - /help heading
+ * @property {ArgSpec[]} [args]
+ * @property {string[]} [aliases]
+ * @property {boolean} [hidden] - Left out of /help
+ * @property {(chatId: string|number, args: Object) => Promise<void>} handler
+ */
+
+const PARSERS = {
+    address(value) {
+        if (!ethers.isAddress(value)) throw new Error(`Not an address: ${value}`);
+        return value;
+    },
+    int(value, spec) {
+        if (!/^\d+$/.test(value)) throw new Error(`Not a whole number: ${value}`);
+        const n = parseInt(value, 10);
+        if (spec.min !== undefined && n < spec.min) throw new Error(`${spec.name} must be at least ${spec.min}`);
+        return spec.max !== undefined ? Math.min(n, spec.max) : n;
+    },
+    number(value, spec) {
+        const n = Number(value);
+        if (value === '' || !Number.isFinite(n)) throw new Error(`Not a number: ${value}`);
+        if (spec.min !== undefined && n < spec.min) throw new Error(`${spec.name} must be at least ${spec.min}`);
+        if (spec.max !== undefined && n > spec.max) throw new Error(`${spec.name} must be at most ${spec.max}`);
+        return n;
+    },
+    enum(value, spec) {
+        const lower = value.toLowerCase();
+        if (!spec.values.includes(lower)) throw new Error(`${spec.name} must be ${spec.values.join(', ')}`);
+        return lower;
+    },
+    string: value => value
+};
+
+/**
+ * Usage form of one argument, e.g. <address>, [count], <on|off>, <rule…>
+ */
+function formatArg(spec) {
+    let label = spec.label ?? (spec.type === 'enum' && spec.values.length <= 4 ? spec.values.join('|') : spec.name);
+    if (spec.type === 'rest') label += '…';
+    return spec.optional ? `[${label}]` : `<${label}>`;
+}
+
+export class CommandRegistry {
+    constructor() {
+        this.commands = new Map();
+        this.aliases = new Map();
+    }
+
+    /**
+     * @param {CommandSpec} spec
+     */
+    register(spec) {
+        if (!spec.name || typeof spec.handler !== 'function') throw new Error('A command needs a name and a handler');
+        const name = spec.name.toLowerCase();
+        if (this.commands.has(name) || this.aliases.has(name)) throw new Error(`Command /${name} is already registered`);
+
+        const command = { section: 'General', args: [], aliases: [], hidden: false, ...spec, name };
+        for (const alias of command.aliases) {
+            if (this.has(alias)) throw new Error(`Alias /${alias} is already registered`);
+        }
+        this.commands.set(name, command);
+        for (const alias of command.aliases) this.aliases.set(alias.toLowerCase(), name);
+        return command;
+    }
+
+    has(name) {
+        return this.get(name) !== null;
+    }
+
+    get(name) {
+        const key = name.toLowerCase();
+        return this.commands.get(key) ?? this.commands.get(this.aliases.get(key)) ?? null;
+    }
+
+    /**
+     * Plain-text usage, e.g. "/events [address] [count]"
+     */
+    usage(name) {
+        const command = this.get(name);
+        return [`/${command.name}`, ...command.args.map(formatArg)].join(' ');
+    }
+
+    /**
+     * Parse raw words against a command's argument schema
+     * @returns {Object} Argument name → parsed value
+     * @throws {Error} With a message for the user
+     */
+    parseArgs(command, words) {
+        const parsed = {};
+        let i = 0;
+
+        command.args.forEach((spec, index) => {
+            if (spec.type === 'rest') {
+                parsed[spec.name] = words.slice(i);
+                i = words.length;
+                if (!spec.optional && parsed[spec.name].length === 0) throw new Error(`Missing ${spec.name}`);
+                return;
+            }
+
+            const word = words[i];
+            if (word === undefined) {
+                if (!spec.optional) throw new Error(`Missing ${spec.name}`);
+                parsed[spec.name] = spec.default;
+                return;
+            }
+
+            const parse = spec.parse ?? PARSERS[spec.type ?? 'string'];
+            try {
+                parsed[spec.name] = spec.parse ? parse(word) : parse(word, spec);
+                i++;
+            } catch (error) {
+                // Leave the word for a later argument if this one is optional
+                const later = command.args.slice(index + 1).length > 0;
+                if (!spec.optional || !later) throw error;
+                parsed[spec.name] = spec.default;
+            }
+        });
+
+        if (i < words.length) throw new Error(`Unexpected ${words.slice(i).join(' ')}`);
+        return parsed;
+    }
+
+    /**
+     * Split a message into a command and its parsed arguments
+     * @returns {{ command: CommandSpec|null, name: string, args?: Object, error?: string }|null}
+     *          null for text that isn't a command; command is null if it's unknown
+     */
+    resolve(text) {
+        if (!text.startsWith('/')) return null;
+        const [head, ...words] = text.trim().split(/\s+/);
+        // "/status@some_bot" in groups
+        const name = head.slice(1).replace(/@.*$/, '').toLowerCase();
+
+        const command = this.get(name);
+        if (!command) return { command: null, name };
+        try {
+            return { command, name: command.name, args: this.parseArgs(command, words) };
+        } catch (error) {
+            return { command, name: command.name, error: error.message };
+        }
+    }
+
+    /**
+     * /help listing grouped by section, in registration order
+     * @param {string} title
+     */
+    helpHtml(title = '📚 <b>Complete Command Reference</b>') {
+        const sections = new Map();
+        for (const command of this.commands.values()) {
+            if (command.hidden) continue;
+            if (!sections.has(command.section)) sections.set(command.section, []);
+            sections.get(command.section).push(`${escapeHtml(this.usage(command.name))} - ${escapeHtml(command.description)}`);
+        }
+
+        let html = `${title}\n`;
+        for (const [section, lines] of sections) {
+            html += `\n<b>━━━ ${escapeHtml(section.toUpperCase())} ━━━</b>\n${lines.join('\n')}\n`;
+        }
+        return html;
+    }
+}
+
+export default CommandRegistry;
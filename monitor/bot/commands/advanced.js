@@ -0,0 +1,96 @@
+/**
+ * Advanced Commands: /tp, /fees, /settings
+ */
+
+import { ethers } from 'ethers';
+import { CONTRACTS } from '../../config.js';
+import { formatAddress, formatLeverage } from '../format.js';
+
+export default function advancedCommands(bot) {
+    async function tp(chatId, { address: userAddr }) {
+        try {
+            const pos = await bot.manager.getPosition(userAddr);
+
+            await bot.send(`
+🎯 <b>Take-Profit / Stop-Loss Config</b>
+
+👤 <code>${formatAddress(userAddr)}</code>
+
+<b>💰 Take-Profit</b>
+├ Price: ${pos.takeProfitPrice > 0n ? `$${formatLeverage(pos.takeProfitPrice)}` : '❌ Not configured'}
+└ Status: ${pos.takeProfitPrice > 0n ? '✅ Active' : '⏸ Disabled'}
+
+<b>🛑 Stop-Loss</b>
+├ Price: ${pos.stopLossPrice > 0n ? `$${formatLeverage(pos.stopLossPrice)}` : '❌ Not configured'}
+└ Status: ${pos.stopLossPrice > 0n ? '✅ Active' : '⏸ Disabled'}
+
+<i>Configure via setTakeProfit() on the contract${bot.registry.has('settp') ? ', or /settp for the bot wallet' : ''}</i>
+`, { chatId });
+        } catch (e) {
+            await bot.send(`❌ Error: ${e.message}`, { chatId });
+        }
+    }
+
+    async function fees(chatId) {
+        try {
+            const loopFee = await bot.manager.loopFee();
+            const flashFee = await bot.manager.flashLoanFee();
+
+            await bot.send(`
+💰 <b>Fee Structure</b>
+
+<b>Loop Fee</b>
+└ ${ethers.formatEther(loopFee)} ETH per operation
+
+<b>Flash Loan Fee</b>
+└ ${ethers.formatEther(flashFee)} ETH per flash leverage
+
+<i>Fees are used to fund callback reserves</i>
+`, { chatId });
+        } catch (e) {
+            await bot.send(`❌ Error: ${e.message}`, { chatId });
+        }
+    }
+
+    async function settings(chatId) {
+        try {
+            const isPaused = await bot.manager.paused();
+            const circuitBreaker = await bot.manager.circuitBreakerEnabled();
+            const profitCheck = await bot.manager.profitabilityCheckEnabled();
+            const batchEnabled = await bot.manager.batchExecutionEnabled();
+
+            await bot.send(`
+⚙️ <b>System Settings</b>
+
+<b>Contract State</b>
+├ Paused: ${isPaused ? '⏸ Yes' : '✅ No'}
+└ Manager: <code>${formatAddress(CONTRACTS.manager)}</code>
+
+<b>Safety Features</b>
+├ Circuit Breaker: ${circuitBreaker ? '✅ Enabled' : '❌ Disabled'}
+├ Profitability Check: ${profitCheck ? '✅ Enabled' : '❌ Disabled'}
+└ Batch Execution: ${batchEnabled ? '✅ Enabled' : '❌ Disabled'}
+
+<b>Advanced Features</b>
+├ Same-Asset Loop: ✅ Supported
+├ Flash Loans: ✅ Supported
+├ TWAP Execution: ✅ Supported
+├ MEV Protection: ✅ Supported
+├ Gas Budgets: ✅ Supported
+└ Take-Profit/Stop-Loss: ✅ Supported
+`, { chatId });
+        } catch (e) {
+            await bot.send(`❌ Error: ${e.message}`, { chatId });
+        }
+    }
+
+    return {
+        name: 'advanced',
+        section: 'Advanced',
+        commands: [
+            { name: 'tp', args: [{ name: 'address', type: 'address' }], description: 'Take-profit/Stop-loss', handler: tp },
+            { name: 'fees', description: 'Fee structure', handler: fees },
+            { name: 'settings', description: 'System settings', handler: settings }
+        ]
+    };
+}
@@ -0,0 +1,234 @@
+/**
+ * Basic Commands: /start, /help, /status, /health, /contracts, /networks
+ */
+
+import { ethers } from 'ethers';
+import { PROFILE, CONTRACTS } from '../../config.js';
+import { connectSystem } from '../../abi-registry.js';
+import { formatAddress, escapeHtml } from '../format.js';
+
+// Shown in /start when the bot has them
+const QUICK_COMMANDS = ['status', 'position', 'health'];
+const ADVANCED_COMMANDS = ['tp', 'reserves', 'rvmstatus'];
+
+export default function basicCommands(bot) {
+    const { registry } = bot;
+
+    function commandList(names) {
+        return names
+            .filter(name => registry.has(name))
+            .map(name => `${escapeHtml(registry.usage(name))} - ${escapeHtml(registry.get(name).description)}`)
+            .join('\n');
+    }
+
+    async function start(chatId) {
+        let msg = `
+🤖 <b>${bot.name}</b>
+
+Welcome to the most comprehensive Aave leveraged looping automation!
+
+<b>🔑 Key Features:</b>
+• Automated leverage looping on Aave V3
+• Reactive Network powered automation
+• Flash loan support for instant leverage
+• Take-profit &amp; Stop-loss triggers
+• Real-time monitoring &amp; alerts
+
+<b>📊 Quick Commands:</b>
+${commandList(QUICK_COMMANDS)}
+`;
+        const advanced = commandList(ADVANCED_COMMANDS);
+        if (advanced) msg += `\n<b>🔧 Advanced:</b>\n${advanced}\n`;
+        msg += '\nUse /help for full command list!';
+
+        const buttons = [
+            [
+                { text: '📊 Status', callback_data: 'cmd_status' },
+                { text: '🏥 Health', callback_data: 'cmd_health' }
+            ],
+            [
+                { text: '📝 Contracts', callback_data: 'cmd_contracts' },
+                { text: '🌐 Networks', callback_data: 'cmd_networks' }
+            ],
+            [
+                { text: '❓ Help', callback_data: 'cmd_help' }
+            ]
+        ];
+
+        await bot.sendWithButtons(msg, buttons, { chatId });
+    }
+
+    async function help(chatId) {
+        await bot.send(registry.helpHtml(), { chatId });
+    }
+
+    async function status(chatId) {
+        let msg = '📊 <b>System Status</b>\n\n';
+
+        try {
+            // Manager status
+            const isPaused = await bot.manager.paused();
+            const circuitBreaker = await bot.manager.circuitBreakerEnabled();
+            const profitCheck = await bot.manager.profitabilityCheckEnabled();
+            const batchEnabled = await bot.manager.batchExecutionEnabled();
+
+            msg += `<b>🔷 AutoLooperManager</b>\n`;
+            msg += `├ Status: ${isPaused ? '⏸ Paused' : '✅ Active'}\n`;
+            msg += `├ Circuit Breaker: ${circuitBreaker ? '✅ On' : '❌ Off'}\n`;
+            msg += `├ Profitability Check: ${profitCheck ? '✅ On' : '❌ Off'}\n`;
+            msg += `├ Batch Execution: ${batchEnabled ? '✅ On' : '❌ Off'}\n`;
+            msg += `└ <code>${formatAddress(CONTRACTS.manager)}</code>\n\n`;
+
+            // Reserves
+            const reserves = await bot.proxy.reserves(CONTRACTS.rvmId);
+            const reservesEth = ethers.formatEther(reserves);
+            msg += `<b>💰 Callback Reserves</b>\n`;
+            msg += `├ Balance: ${parseFloat(reservesEth).toFixed(4)} ETH\n`;
+            msg += `└ Status: ${reserves > 0n ? '✅ Funded' : '⚠️ Empty!'}\n\n`;
+
+            // RVM subscription check
+            const subs = await bot.rnkClient.getSubscribers(CONTRACTS.rvmId);
+            const hasSub = subs?.some(s =>
+                s.contract?.toLowerCase() === CONTRACTS.manager.toLowerCase()
+            );
+            msg += `<b>📡 RVM Subscription</b>\n`;
+            msg += `└ Status: ${hasSub ? '✅ Active' : '❌ Not Found'}\n`;
+
+        } catch (e) {
+            msg += `\n❌ Error: ${e.message}`;
+        }
+
+        const buttons = [
+            [
+                { text: '🔄 Refresh', callback_data: 'cmd_status' },
+                { text: '🏥 Health', callback_data: 'cmd_health' }
+            ]
+        ];
+
+        await bot.sendWithButtons(msg, buttons, { chatId });
+    }
+
+    async function health(chatId) {
+        let msg = '🏥 <b>Quick Health Check</b>\n\n';
+
+        try {
+            // Manager
+            const mCode = await bot.sepoliaProvider.getCode(CONTRACTS.manager);
+            msg += mCode !== '0x' ? '✅ Manager: Online\n' : '❌ Manager: Offline\n';
+
+            // Reactive
+            const rCode = await bot.lasnaProvider.getCode(CONTRACTS.reactiveContract);
+            msg += rCode !== '0x' ? '✅ Reactive: Online\n' : '❌ Reactive: Offline\n';
+
+            // Reserves
+            const reserves = await bot.proxy.reserves(CONTRACTS.rvmId);
+            msg += reserves > 0n ? `✅ Reserves: ${ethers.formatEther(reserves)} ETH\n` : '⚠️ Reserves: Empty!\n';
+
+            // RVM Debt check
+            try {
+                const systemContract = connectSystem(CONTRACTS.systemContract, bot.lasnaProvider);
+                const debt = await systemContract.debt(CONTRACTS.reactiveContract);
+                if (debt > 0n) {
+                    msg += `⚠️ RVM Debt: ${ethers.formatEther(debt)} ETH\n`;
+                } else {
+                    msg += `✅ RVM Debt: Clear\n`;
+                }
+            } catch (e) {
+                msg += `❓ RVM Debt: Check failed\n`;
+            }
+
+        } catch (e) {
+            msg += `\n❌ Error: ${e.message}`;
+        }
+
+        // Telegram delivery (test doubles of the API may not track it)
+        const delivery = bot.api.metrics?.();
+        if (delivery) {
+            msg += `\n<b>📨 Telegram Delivery</b>\n`;
+            msg += `├ Sent: ${delivery.sent} (${delivery.splitMessages} split)\n`;
+            msg += `├ Retries: ${delivery.retries} (${delivery.rateLimited} rate-limited)\n`;
+            msg += `├ Failed: ${delivery.failed}\n`;
+            msg += `└ Queued: ${delivery.queued}`;
+            if (delivery.lastError) msg += `\n⚠️ Last error: ${escapeHtml(delivery.lastError)}`;
+            msg += '\n';
+        }
+
+        const channels = Object.entries(bot.notifier.metrics());
+        if (channels.length > 0) {
+            msg += `\n<b>📣 Other Channels</b>\n`;
+            channels.forEach(([name, c], i) => {
+                const branch = i === channels.length - 1 ? '└' : '├';
+                msg += `${branch} ${escapeHtml(name)} (${c.type}): ${c.sent} sent, ${c.failed} failed${c.lastError ? ` - ${escapeHtml(c.lastError)}` : ''}\n`;
+            });
+        }
+
+        await bot.send(msg, { chatId });
+    }
+
+    async function contracts(chatId) {
+        const msg = `
+📝 <b>Contract Addresses</b>
+🏷 Profile: <b>${PROFILE.name}</b>
+
+<b>🔷 Sepolia (Chain ID: 11155111)</b>
+├ Manager:
+<code>${CONTRACTS.manager}</code>
+├ Callback Proxy:
+<code>${CONTRACTS.callbackProxy}</code>
+└ Funder:
+<code>${CONTRACTS.funder || 'N/A'}</code>
+
+<b>🔶 Lasna (Chain ID: 5318007)</b>
+├ Reactive:
+<code>${CONTRACTS.reactiveContract}</code>
+├ Enhanced:
+<code>${CONTRACTS.reactiveEnhanced || 'N/A'}</code>
+└ System:
+<code>${CONTRACTS.systemContract}</code>
+
+<b>🆔 RVM ID</b>
+<code>${CONTRACTS.rvmId}</code>
+
+<a href="https://sepolia.etherscan.io/address/${CONTRACTS.manager}">View Manager on Etherscan</a>
+`;
+        await bot.send(msg, { chatId });
+    }
+
+    async function networks(chatId) {
+        const msg = `
+🌐 <b>Network Configuration</b>
+
+<b>🔷 Sepolia (Origin/Destination)</b>
+├ Chain ID: 11155111
+├ RPC: eth-sepolia.g.alchemy.com
+├ Explorer: sepolia.etherscan.io
+└ Purpose: Aave V3 leverage looping
+
+<b>🔶 Lasna (Reactive Network)</b>
+├ Chain ID: 5318007
+├ RPC: lasna-rpc.rnk.dev
+├ Explorer: lasna.rnk.dev
+└ Purpose: Event monitoring &amp; automation
+
+<b>📡 Reactive Flow</b>
+1. User deposits on Sepolia
+2. RVM detects PositionUpdated event
+3. RSC triggers callback on Sepolia
+4. Loop/Unwind step executes
+`;
+        await bot.send(msg, { chatId });
+    }
+
+    return {
+        name: 'basic',
+        section: 'Basic',
+        commands: [
+            { name: 'start', description: 'Welcome & quick actions', handler: start },
+            { name: 'help', description: 'This help message', handler: help },
+            { name: 'status', description: 'Full system status', handler: status },
+            { name: 'health', description: 'Quick health check', handler: health },
+            { name: 'contracts', description: 'Contract addresses', handler: contracts },
+            { name: 'networks', description: 'Network info', handler: networks }
+        ]
+    };
+}
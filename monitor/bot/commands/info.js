@@ -0,0 +1,165 @@
+/**
+ * Info Commands: /features, /stats, /events
+ *
+ * /stats and /events read the event store filled by event-indexer.js; /stats
+ * also shows the reserves' burn rate and runway. Also sends the daily summary
+ * (runway and the last 24 hours of events) to the operator chat and the other
+ * notification channels.
+ */
+
+import { ethers } from 'ethers';
+import { DAILY_SUMMARY } from '../../config.js';
+import logger from '../../logger.js';
+import { EventStore } from '../../event-store.js';
+import { formatForecastHtml } from '../../reserve-forecast.js';
+import { NOT_INDEXED, formatStatsHtml, formatTimelineHtml } from '../../event-report.js';
+import { DailySummary } from '../../daily-summary.js';
+import { messageEvent } from '../../notifier/index.js';
+
+export default function infoCommands(bot) {
+    // Read-only view of the event store filled by event-indexer.js
+    let eventStore = null;
+
+    /**
+     * Open the event store on first use and pick up whatever the indexer saved since
+     * @returns {Promise<EventStore|null>} null until the indexer has run
+     */
+    async function getEventStore() {
+        if (!eventStore) eventStore = await EventStore.open(undefined, { readonly: true });
+        if (!eventStore.exists) return null;
+        eventStore.refresh();
+        return eventStore;
+    }
+
+    const dailySummary = new DailySummary({
+        forecaster: bot.reserveForecaster,
+        getStats: async since => (await getEventStore())?.getStats({ since }) ?? null,
+        onSummary: async (html, day) => {
+            bot.notifier.notify(messageEvent(html, { id: `summary:${day}` }));
+            await bot.send(html);
+        }
+    });
+
+    async function features(chatId) {
+        const msg = `
+🚀 <b>Feature Overview</b>
+
+<b>━━━ CORE FEATURES ━━━</b>
+✅ Automated Leverage Looping
+✅ Flash Loan Instant Leverage
+✅ Automated Unwinding
+✅ Emergency Stop
+
+<b>━━━ ADVANCED SAFETY ━━━</b>
+✅ Circuit Breaker (price anomaly)
+✅ Health Factor Monitoring
+✅ Gas Budget Limits
+✅ TWAP Execution (large positions)
+✅ MEV Protection (execution salt)
+
+<b>━━━ TRADING FEATURES ━━━</b>
+✅ Take-Profit Triggers
+✅ Stop-Loss Triggers
+✅ Same-Asset Looping (no DEX needed)
+✅ Profitability Check
+
+<b>━━━ REACTIVE FEATURES ━━━</b>
+✅ Approval Magic (one-click deposit)
+✅ Price Monitoring (Uniswap Sync)
+✅ CRON Health Checks
+✅ Liquidation Detection
+✅ Stale Position Detection
+✅ Finality-Aware Operations
+
+<b>━━━ OPERATIONS ━━━</b>
+✅ Batch Execution
+✅ Self-Sustaining Gas (Funder)
+`;
+        await bot.send(msg, { chatId });
+    }
+
+    async function stats(chatId) {
+        try {
+            const forecast = await bot.reserveForecaster.forecast();
+            const loopFee = await bot.manager.loopFee();
+            const flashFee = await bot.manager.flashLoanFee();
+
+            await bot.send(`
+📊 <b>System Statistics</b>
+
+<b>Reserves</b>
+└ ${ethers.formatEther(forecast.reserves)} ETH
+
+${formatForecastHtml(forecast)}
+<b>Fees Collected</b>
+├ Loop Fee: ${ethers.formatEther(loopFee)} ETH/op
+└ Flash Fee: ${ethers.formatEther(flashFee)} ETH/op
+
+<b>Networks</b>
+├ Sepolia: Chain 11155111
+└ Lasna: Chain 5318007
+`, { chatId });
+
+            const store = await getEventStore();
+            if (!store) {
+                await bot.send(`<i>${NOT_INDEXED}</i>`, { chatId });
+                return;
+            }
+            await bot.send(formatStatsHtml(store.getStats(), 'Event History'), { chatId });
+
+            const since = Math.floor(Date.now() / 1000) - 86400;
+            const daily = store.getStats({ since });
+            if (daily.events > 0) {
+                await bot.send(formatStatsHtml(daily, 'Last 24 Hours'), { chatId });
+            }
+        } catch (e) {
+            await bot.send(`❌ Error: ${e.message}`, { chatId });
+        }
+    }
+
+    async function events(chatId, { address, count }) {
+        const userAddr = address ?? bot.chatStore.get(chatId).myAddress;
+        if (!userAddr) {
+            await bot.send('⚠️ Usage: /events &lt;address&gt; [count] (or set your address with /setmy)', { chatId });
+            return;
+        }
+
+        try {
+            const store = await getEventStore();
+            if (!store) {
+                await bot.send(`<i>${NOT_INDEXED}</i>`, { chatId });
+                return;
+            }
+            await bot.send(formatTimelineHtml(userAddr, store.getUserTimeline(userAddr, { limit: count })), { chatId });
+        } catch (e) {
+            await bot.send(`❌ Error: ${e.message}`, { chatId });
+        }
+    }
+
+    return {
+        name: 'info',
+        section: 'Info',
+        commands: [
+            { name: 'features', description: 'Feature list', handler: features },
+            { name: 'stats', description: 'System stats & event history', handler: stats },
+            {
+                name: 'events',
+                args: [
+                    { name: 'address', type: 'address', optional: true },
+                    { name: 'count', type: 'int', optional: true, default: 10, min: 1, max: 30 }
+                ],
+                description: 'Indexed event timeline',
+                handler: events
+            }
+        ],
+        start() {
+            if (DAILY_SUMMARY.enabled) {
+                dailySummary.start();
+                logger.info(`Daily summary from ${DAILY_SUMMARY.hourUtc}:00 UTC (${dailySummary.store.file})`, null, 'sepolia');
+            }
+        },
+        stop() {
+            dailySummary.stop();
+        }
+    };
+}
@@ -0,0 +1,227 @@
+/**
+ * Monitoring Commands: /watch, /unwatch, /watchlist, /setmy, /allusers,
+ * /categories, /setalert, /alerts, /delalert
+ *
+ * Also runs the alert engine: chats with the risk category on get health
+ * factor, leverage drift and stuck-position alerts for the addresses they
+ * watch (see alert-engine.js). Buttons: cat_<category> toggles a category.
+ */
+
+import { ethers } from 'ethers';
+import { CONTRACTS, EVENT_CATEGORIES, ALERTS } from '../../config.js';
+import logger from '../../logger.js';
+import { AlertEngine, formatAlertHtml } from '../../alert-engine.js';
+import { alertEvent } from '../../notifier/index.js';
+import { ALERT_METRICS, parseAlertRule, describeRule, resolveThresholds } from '../../alert-rules.js';
+import { formatAddress, escapeHtml } from '../format.js';
+
+const ADDRESS_ARG = [{ name: 'address', type: 'address' }];
+const ON_OFF = { type: 'enum', values: ['on', 'off'] };
+
+/**
+ * /delalert argument: a rule id or "all"
+ */
+function parseRuleId(value) {
+    const id = value.toLowerCase();
+    if (id !== 'all' && !/^\d+$/.test(id)) throw new Error('Give a rule id from /alerts, or all');
+    return id;
+}
+
+export default function monitoringCommands(bot) {
+    const { chatStore } = bot;
+
+    // Background health factor / leverage / stuck-position checks for watched users
+    const alertEngine = new AlertEngine({
+        manager: bot.manager,
+        provider: bot.sepoliaProvider,
+        getTargets: () => chatStore.alertTargets(),
+        getReserves: async () => Number(ethers.formatEther(await bot.proxy.reserves(CONTRACTS.rvmId))),
+        onAlert: event => {
+            // Every watching chat raises the alert; the notifier sends it once per event
+            bot.notifier.notify(alertEvent(event));
+            return bot.send(formatAlertHtml(event), { chatId: event.chatId });
+        }
+    });
+
+    /**
+     * Category filter message with one toggle button per category
+     */
+    async function sendCategoryFilters(chatId) {
+        const { categories, allUsers } = chatStore.get(chatId);
+
+        let msg = '🔔 <b>Notification Filters</b>\n\n';
+        for (const [key, { label, emoji }] of Object.entries(EVENT_CATEGORIES)) {
+            msg += `${categories.includes(key) ? '✅' : '🔕'} ${emoji} ${label} (<code>${key}</code>)\n`;
+        }
+        msg += `\nUsers: <b>${allUsers ? 'all users' : 'watchlist only'}</b> (/allusers on|off)`;
+        msg += `\n\nTap a category to switch it on or off.`;
+
+        const buttons = Object.entries(EVENT_CATEGORIES).map(([key, { label }]) => [
+            { text: `${categories.includes(key) ? '🔕 Mute' : '🔔 Unmute'} ${label}`, callback_data: `cat_${key}` }
+        ]);
+        await bot.sendWithButtons(msg, buttons, { chatId });
+    }
+
+    async function watch(chatId, { address: addr }) {
+        if (!chatStore.watch(chatId, addr)) {
+            await bot.send(`ℹ️ <code>${formatAddress(addr)}</code> is already on this chat's watchlist.`, { chatId });
+            return;
+        }
+        await bot.send(`✅ Added <code>${formatAddress(addr)}</code> to watchlist.\n\nThis chat will receive alerts for this address.`, { chatId });
+    }
+
+    async function unwatch(chatId, { address: addr }) {
+        if (!chatStore.unwatch(chatId, addr)) {
+            await bot.send(`ℹ️ <code>${formatAddress(addr)}</code> is not on this chat's watchlist.`, { chatId });
+            return;
+        }
+        await bot.send(`✅ Removed <code>${formatAddress(addr)}</code> from watchlist.`, { chatId });
+    }
+
+    async function watchlist(chatId) {
+        const { watchlist, myAddress, allUsers, alertThresholds, alertRules } = chatStore.get(chatId);
+        if (watchlist.length === 0) {
+            await bot.send('📋 Your watchlist is empty.\n\nUse /watch &lt;address&gt; to add addresses.', { chatId });
+            return;
+        }
+
+        let msg = '📋 <b>Your Watchlist</b>\n\n';
+        watchlist.forEach((addr, i) => {
+            msg += `${i + 1}. <code>${addr}</code>\n`;
+        });
+        msg += `\nTotal: ${watchlist.length} address(es)`;
+        if (myAddress) msg += `\nYour address: <code>${formatAddress(myAddress)}</code>`;
+        if (allUsers) msg += `\n\n📡 <i>All-users mode is on - this chat gets events for every user (/allusers off)</i>`;
+        const thresholds = resolveThresholds(alertThresholds, alertRules);
+        msg += `\n\n<b>Alert thresholds</b>\n`;
+        msg += `├ Health factor below ${thresholds.healthFactor}\n`;
+        msg += `└ Leverage off target by ${thresholds.leverageDeviation}x`;
+        if (alertRules.length > 0) msg += `\n\n<i>${alertRules.length} custom alert rule(s) - see /alerts</i>`;
+
+        await bot.send(msg, { chatId });
+    }
+
+    async function setmy(chatId, { address: addr }) {
+        chatStore.setMyAddress(chatId, addr);
+        await bot.send(`✅ Set your address to <code>${formatAddress(addr)}</code>\n\nNow you can use /myposition, and this chat gets its event alerts.`, { chatId });
+    }
+
+    async function allusers(chatId, { mode }) {
+        if (!mode) {
+            const { allUsers } = chatStore.get(chatId);
+            await bot.send(`📡 All-users mode is <b>${allUsers ? 'on' : 'off'}</b>.\n\n⚠️ Usage: /allusers on|off`, { chatId });
+            return;
+        }
+
+        chatStore.setAllUsers(chatId, mode === 'on');
+        await bot.send(mode === 'on'
+            ? '📡 All-users mode <b>on</b> - this chat now gets events for every user (still filtered by /categories).'
+            : '📋 All-users mode <b>off</b> - this chat only gets events for its /watchlist and /setmy address.', { chatId });
+    }
+
+    async function categories(chatId, { category, mode }) {
+        if (!category && !mode) {
+            await sendCategoryFilters(chatId);
+            return;
+        }
+        if (!category || !mode) {
+            await bot.send(`⚠️ Usage: /categories [${Object.keys(EVENT_CATEGORIES).join('|')} on|off]`, { chatId });
+            return;
+        }
+
+        chatStore.setCategory(chatId, category, mode === 'on');
+        await bot.send(`${mode === 'on' ? '🔔' : '🔕'} ${EVENT_CATEGORIES[category].label} notifications <b>${mode}</b>.`, { chatId });
+    }
+
+    async function setalert(chatId, { rule: words }) {
+        let spec;
+        try {
+            spec = parseAlertRule(words);
+        } catch (e) {
+            const metrics = Object.entries(ALERT_METRICS)
+                .map(([key, { label, ops }]) => `• <code>${key}${Object.keys(ops).map(o => o === '<' ? '&lt;' : '&gt;').join('|')}</code> - ${label}`)
+                .join('\n');
+            await bot.send(`⚠️ ${escapeHtml(e.message)}\n\nUsage: /setalert [address] &lt;rule&gt;\n${metrics}\n\nExamples: <code>/setalert 0x… hf&lt;1.25</code>, <code>/setalert reserves&lt;0.05</code>`, { chatId });
+            return;
+        }
+
+        const { rule, replaced } = chatStore.addAlertRule(chatId, spec);
+        const scope = rule.user ? `<code>${formatAddress(rule.user)}</code>` : ALERT_METRICS[rule.metric].perUser ? 'every watched address' : 'the system';
+        let msg = `✅ ${replaced ? 'Updated' : 'Added'} alert #${rule.id}: ${describeRule(rule)} for ${scope}.`;
+        if (!chatStore.get(chatId).categories.includes('risk')) {
+            msg += `\n\n🔕 <i>Risk alerts are muted in this chat - /categories risk on</i>`;
+        }
+        await bot.send(msg, { chatId });
+    }
+
+    async function alerts(chatId) {
+        const { alertThresholds, alertRules, categories } = chatStore.get(chatId);
+
+        let msg = '🔔 <b>Alert Rules</b>\n\n';
+        msg += `<b>Defaults for watched addresses</b>\n`;
+        msg += `├ Health factor below ${alertThresholds.healthFactor}\n`;
+        msg += `├ Leverage off target by ${alertThresholds.leverageDeviation}x\n`;
+        msg += `└ LOOPING/UNWINDING for ${ALERTS.stuckBlocks} blocks\n\n`;
+
+        if (alertRules.length === 0) {
+            msg += '<i>No custom rules.</i> Add one with /setalert, e.g. <code>/setalert hf&lt;1.25</code>';
+        } else {
+            msg += `<b>Custom rules</b> (override the defaults)\n`;
+            for (const rule of alertRules) {
+                const scope = rule.user ? `<code>${formatAddress(rule.user)}</code>` : ALERT_METRICS[rule.metric].perUser ? 'all watched' : 'system';
+                msg += `#${rule.id} ${describeRule(rule)} - ${scope}\n`;
+            }
+            msg += `\nRemove with /delalert &lt;id&gt; or /delalert all`;
+        }
+        if (!categories.includes('risk')) msg += `\n\n🔕 <i>Risk alerts are muted in this chat - /categories risk on</i>`;
+
+        await bot.send(msg, { chatId });
+    }
+
+    async function delalert(chatId, { id }) {
+        const removed = chatStore.removeAlertRule(chatId, id);
+        if (removed === 0) {
+            await bot.send(id === 'all' ? 'ℹ️ This chat has no alert rules.' : `ℹ️ No alert rule #${id} - see /alerts.`, { chatId });
+            return;
+        }
+        await bot.send(`✅ Removed ${id === 'all' ? `all ${removed} alert rule(s)` : `alert #${id}`}.`, { chatId });
+    }
+
+    return {
+        name: 'monitoring',
+        section: 'Monitoring',
+        commands: [
+            { name: 'watch', args: ADDRESS_ARG, description: 'Add to watchlist', handler: watch },
+            { name: 'unwatch', args: ADDRESS_ARG, description: 'Remove from watchlist', handler: unwatch },
+            { name: 'watchlist', description: 'View watchlist', handler: watchlist },
+            { name: 'setmy', args: ADDRESS_ARG, description: 'Set your address', handler: setmy },
+            { name: 'allusers', args: [{ name: 'mode', optional: true, ...ON_OFF }], description: 'Alerts for every user', handler: allusers },
+            {
+                name: 'categories',
+                args: [
+                    { name: 'category', type: 'enum', values: Object.keys(EVENT_CATEGORIES), optional: true },
+                    { name: 'mode', optional: true, ...ON_OFF }
+                ],
+                description: 'Filter alerts by category',
+                handler: categories
+            },
+            { name: 'setalert', args: [{ name: 'rule', type: 'rest', optional: true }], description: 'Add an alert rule: [addr] hf<1.25', handler: setalert },
+            { name: 'alerts', description: 'Alert thresholds & rules', handler: alerts },
+            { name: 'delalert', args: [{ name: 'id', label: 'id|all', parse: parseRuleId }], description: 'Remove alert rules', handler: delalert }
+        ],
+        callbacks: {
+            cat: async (chatId, category) => {
+                if (!EVENT_CATEGORIES[category]) return;
+                chatStore.setCategory(chatId, category, !chatStore.get(chatId).categories.includes(category));
+                await sendCategoryFilters(chatId);
+            }
+        },
+        start() {
+            alertEngine.start();
+            logger.info(`Position alerts every ${ALERTS.pollIntervalMs / 1000}s for watched addresses (${alertEngine.store.file})`, null, 'sepolia');
+        },
+        stop() {
+            alertEngine.stop();
+        }
+    };
+}
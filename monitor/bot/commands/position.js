@@ -0,0 +1,220 @@
+/**
+ * Position Commands: /position, /myposition, /leverage, /hf, /collateral, /debt
+ *
+ * Buttons: pos_<addr>, lev_<addr> and hf_<addr> refresh the matching view.
+ */
+
+import { ethers } from 'ethers';
+import { formatAddress, formatLeverage, formatHealthFactor, getStateInfo, getHealthEmoji } from '../format.js';
+
+const ADDRESS_ARG = [{ name: 'address', type: 'address' }];
+
+export default function positionCommands(bot) {
+    async function position(chatId, { address: userAddr }) {
+        try {
+            const pos = await bot.manager.getPosition(userAddr);
+            const hf = await bot.manager.getHealthFactor(userAddr);
+            const stateInfo = getStateInfo(Number(pos.state));
+            const healthEmoji = getHealthEmoji(hf);
+
+            if (pos.state === 0n && pos.initialCollateral === 0n) {
+                await bot.send(`
+ℹ️ <b>Position Info</b>
+
+👤 User: <code>${formatAddress(userAddr)}</code>
+
+❌ No active position found.
+`, { chatId });
+                return;
+            }
+
+            const msg = `
+ℹ️ <b>Position Details</b>
+
+👤 User: <code>${formatAddress(userAddr)}</code>
+${stateInfo.emoji} State: <b>${stateInfo.name}</b>
+
+<b>📊 Leverage</b>
+├ Current: <b>${formatLeverage(pos.currentLeverage)}x</b>
+├ Target: ${formatLeverage(pos.targetLeverage)}x
+└ Max Iterations: ${pos.maxIterations.toString()}
+
+<b>💎 Assets</b>
+├ Collateral: <code>${formatAddress(pos.collateralAsset)}</code>
+├ Borrow: <code>${formatAddress(pos.borrowAsset)}</code>
+└ Initial: ${ethers.formatEther(pos.initialCollateral)}
+
+<b>🛡️ Safety</b>
+├ ${healthEmoji} Health Factor: <b>${formatHealthFactor(hf)}</b>
+├ Min HF: ${formatHealthFactor(pos.minHealthFactor)}
+└ Slippage: ${(Number(pos.slippageTolerance) / 100).toFixed(2)}%
+
+<b>⚙️ Settings</b>
+├ Flash Loan: ${pos.useFlashLoan ? '✅' : '❌'}
+├ Same Asset: ${pos.sameAssetLoop ? '✅' : '❌'}
+└ Iteration: ${pos.currentIteration.toString()}/${pos.maxIterations.toString()}
+
+<b>🎯 Take-Profit/Stop-Loss</b>
+├ TP Price: ${pos.takeProfitPrice > 0n ? `$${formatLeverage(pos.takeProfitPrice)}` : 'Not set'}
+└ SL Price: ${pos.stopLossPrice > 0n ? `$${formatLeverage(pos.stopLossPrice)}` : 'Not set'}
+
+<b>⛽ Gas Budget</b>
+├ Max: ${pos.maxGasSpend > 0n ? ethers.formatEther(pos.maxGasSpend) + ' ETH' : 'Unlimited'}
+├ Spent: ${ethers.formatEther(pos.gasSpentSoFar)} ETH
+└ TWAP Interval: ${pos.twapBlockInterval > 0n ? pos.twapBlockInterval.toString() + ' blocks' : 'Disabled'}
+`;
+
+            const buttons = [
+                [
+                    { text: '🔄 Refresh', callback_data: `pos_${userAddr}` },
+                    { text: '📈 Leverage', callback_data: `lev_${userAddr}` }
+                ],
+                [
+                    { text: '❤️ Health', callback_data: `hf_${userAddr}` }
+                ]
+            ];
+
+            await bot.sendWithButtons(msg, buttons, { chatId });
+        } catch (e) {
+            await bot.send(`❌ Error: ${e.message}`, { chatId });
+        }
+    }
+
+    async function myposition(chatId) {
+        const { myAddress } = bot.chatStore.get(chatId);
+        if (!myAddress) {
+            await bot.send('⚠️ No address configured. Use /setmy &lt;address&gt; first.', { chatId });
+            return;
+        }
+        await position(chatId, { address: myAddress });
+    }
+
+    async function leverage(chatId, { address: userAddr }) {
+        try {
+            const current = formatLeverage(await bot.manager.getCurrentLeverage(userAddr));
+            const pos = await bot.manager.getPosition(userAddr);
+            const target = formatLeverage(pos.targetLeverage);
+            const diff = (parseFloat(target) - parseFloat(current)).toFixed(2);
+
+            await bot.send(`
+📈 <b>Leverage Status</b>
+
+👤 <code>${formatAddress(userAddr)}</code>
+
+Current: <b>${current}x</b>
+Target: ${target}x
+Gap: ${diff > 0 ? '+' : ''}${diff}x
+
+${parseFloat(current) >= parseFloat(target) ? '✅ Target reached!' : '🔄 Still looping...'}
+`, { chatId });
+        } catch (e) {
+            await bot.send(`❌ Error: ${e.message}`, { chatId });
+        }
+    }
+
+    async function hf(chatId, { address: userAddr }) {
+        try {
+            const hf = await bot.manager.getHealthFactor(userAddr);
+            const value = parseFloat(ethers.formatEther(hf));
+            const emoji = getHealthEmoji(hf);
+
+            let status = '';
+            if (value >= 2.0) status = '💚 Safe - Healthy position';
+            else if (value >= 1.5) status = '💛 Caution - Monitor closely';
+            else if (value >= 1.2) status = '🧡 Warning - Consider unwinding';
+            else status = '❤️ DANGER - Liquidation risk!';
+
+            await bot.send(`
+❤️ <b>Health Factor</b>
+
+👤 <code>${formatAddress(userAddr)}</code>
+
+${emoji} <b>${value.toFixed(4)}</b>
+
+${status}
+
+<i>Liquidation occurs below 1.0</i>
+`, { chatId });
+        } catch (e) {
+            await bot.send(`❌ Error: ${e.message}`, { chatId });
+        }
+    }
+
+    async function collateral(chatId, { address: userAddr }) {
+        try {
+            const pos = await bot.manager.getPosition(userAddr);
+
+            if (pos.state === 0n && pos.initialCollateral === 0n) {
+                await bot.send('❌ No active position found.', { chatId });
+                return;
+            }
+
+            await bot.send(`
+💎 <b>Collateral Info</b>
+
+👤 <code>${formatAddress(userAddr)}</code>
+
+<b>Collateral Asset</b>
+└ <code>${formatAddress(pos.collateralAsset)}</code>
+
+<b>Initial Amount</b>
+└ ${ethers.formatEther(pos.initialCollateral)}
+
+<b>Current Leverage</b>
+└ ${formatLeverage(pos.currentLeverage)}x
+
+<i>Note: Use Aave UI to see exact supplied amount</i>
+`, { chatId });
+        } catch (e) {
+            await bot.send(`❌ Error: ${e.message}`, { chatId });
+        }
+    }
+
+    async function debt(chatId, { address: userAddr }) {
+        try {
+            const pos = await bot.manager.getPosition(userAddr);
+
+            if (pos.state === 0n && pos.initialCollateral === 0n) {
+                await bot.send('❌ No active position found.', { chatId });
+                return;
+            }
+
+            await bot.send(`
+💳 <b>Debt Details</b>
+
+👤 <code>${formatAddress(userAddr)}</code>
+
+<b>Borrow Asset</b>
+└ <code>${formatAddress(pos.borrowAsset)}</code>
+
+<b>Current Leverage</b>
+└ ${formatLeverage(pos.currentLeverage)}x
+
+<b>Loop Type</b>
+└ ${pos.sameAssetLoop ? 'Same-Asset (no swaps)' : 'Cross-Asset (with swaps)'}
+
+<i>Note: Use Aave UI to see exact borrowed amount</i>
+`, { chatId });
+        } catch (e) {
+            await bot.send(`❌ Error: ${e.message}`, { chatId });
+        }
+    }
+
+    return {
+        name: 'position',
+        section: 'Position',
+        commands: [
+            { name: 'position', args: ADDRESS_ARG, description: 'View position', handler: position },
+            { name: 'myposition', description: 'Your position (see /setmy)', handler: myposition },
+            { name: 'leverage', args: ADDRESS_ARG, description: 'Current leverage', handler: leverage },
+            { name: 'hf', args: ADDRESS_ARG, description: 'Health factor', handler: hf },
+            { name: 'collateral', args: ADDRESS_ARG, description: 'Collateral info', handler: collateral },
+            { name: 'debt', args: ADDRESS_ARG, description: 'Debt details', handler: debt }
+        ],
+        callbacks: {
+            pos: (chatId, address) => bot.dispatch(chatId, `/position ${address}`),
+            lev: (chatId, address) => bot.dispatch(chatId, `/leverage ${address}`),
+            hf: (chatId, address) => bot.dispatch(chatId, `/hf ${address}`)
+        }
+    };
+}
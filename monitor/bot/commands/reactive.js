@@ -0,0 +1,320 @@
+/**
+ * Reactive Network Commands: /reserves, /subscription, /rvmstatus, /rvmdebt,
+ * /reactive, /trace, /funder
+ *
+ * Also runs the Lasna event watcher: RSC and funder events are sent to the
+ * chats that want their category, like manager events (Lasna has no
+ * confirmation step), and passed to the other notification channels. The
+ * funder monitor does the same for the self-funding loop's confirmed Funder
+ * events and stalled rounds (infra category). Reserves and RVM debt are
+ * sampled for the burn rate and runway /reserves and /stats show.
+ */
+
+import { ethers } from 'ethers';
+import { CONTRACTS, LASNA_WATCHER, FUNDER_MONITOR, RESERVE_FORECAST } from '../../config.js';
+import logger from '../../logger.js';
+import { connectReactiveEnhanced, connectSystem } from '../../abi-registry.js';
+import { PipelineTracer, formatTraceHtml } from '../../pipeline-trace.js';
+import { LasnaWatcher } from '../../lasna-watcher.js';
+import {
+    FunderMonitor,
+    FundingRoundTracer,
+    readFunderStatus,
+    listRecentRounds,
+    formatFunderStatusHtml,
+    formatRoundTraceHtml
+} from '../../funder-monitor.js';
+import { formatForecastHtml } from '../../reserve-forecast.js';
+import { lasnaEvent, funderEvent } from '../../notifier/index.js';
+import { LASNA_EVENT_MESSAGES, FUNDER_EVENT_MESSAGES } from '../notifications.js';
+import { formatAddress } from '../format.js';
+
+/**
+ * /trace target: Sepolia tx hash, RVM tx number or user address
+ */
+function parseTraceTarget(value) {
+    if (/^0x[0-9a-fA-F]{64}$/.test(value) || /^\d+$/.test(value) || ethers.isAddress(value)) return value;
+    throw new Error('Give a Sepolia tx hash, RVM tx number or user address');
+}
+
+/**
+ * /funder argument: the FundsReceived tx that started a round
+ */
+function parseTxHash(value) {
+    if (/^0x[0-9a-fA-F]{64}$/.test(value)) return value;
+    throw new Error('Give the Sepolia tx hash of a FundsReceived');
+}
+
+export default function reactiveCommands(bot) {
+    const pipelineTracer = new PipelineTracer({ provider: bot.sepoliaProvider, rnkClient: bot.rnkClient });
+
+    const lasnaWatcher = new LasnaWatcher({
+        rnkClient: bot.rnkClient,
+        provider: bot.lasnaProvider,
+        onEvent: event => notifyLasnaEvent(event)
+    });
+
+    async function notifyLasnaEvent(event) {
+        const texts = [].concat(LASNA_EVENT_MESSAGES[event.contract][event.name](event.args, event));
+        bot.notifier.notify(lasnaEvent(event, texts));
+        for (const chatId of bot.chatStore.chatsForEvent(event.name, event.user, event.category)) {
+            for (const text of texts) await bot.send(text, { chatId });
+        }
+    }
+
+    const roundTracer = new FundingRoundTracer({ tracer: pipelineTracer });
+
+    const funderMonitor = new FunderMonitor({
+        provider: bot.sepoliaProvider,
+        roundTracer,
+        onEvent: event => notifyFunderEvent(event)
+    });
+
+    async function notifyFunderEvent(event) {
+        const texts = [].concat(FUNDER_EVENT_MESSAGES[event.type](event));
+        bot.notifier.notify(funderEvent(event, texts));
+        for (const chatId of bot.chatStore.chatsForEvent(event.type, null, 'infra')) {
+            for (const text of texts) await bot.send(text, { chatId });
+        }
+    }
+
+    async function reserves(chatId) {
+        try {
+            const forecast = await bot.reserveForecaster.forecast();
+            const reserves = forecast.reserves;
+            const reservesEth = ethers.formatEther(reserves);
+
+            let status = '';
+            const value = parseFloat(reservesEth);
+            if (value >= 0.1) status = '💚 Healthy';
+            else if (value >= 0.05) status = '💛 Low - Consider topping up';
+            else if (value > 0) status = '🧡 Very Low!';
+            else status = '❤️ EMPTY - Callbacks will fail!';
+
+            await bot.send(`
+💰 <b>Callback Proxy Reserves</b>
+
+<b>Balance</b>
+└ ${value.toFixed(6)} ETH
+
+<b>Status</b>
+└ ${status}
+
+${formatForecastHtml(forecast)}
+<b>RVM ID</b>
+└ <code>${formatAddress(CONTRACTS.rvmId)}</code>
+
+<b>Proxy Address</b>
+└ <code>${formatAddress(CONTRACTS.callbackProxy)}</code>
+
+<i>Fund via depositTo(rvmId) on Callback Proxy</i>
+`, { chatId });
+        } catch (e) {
+            await bot.send(`❌ Error: ${e.message}`, { chatId });
+        }
+    }
+
+    async function subscription(chatId) {
+        try {
+            const subs = await bot.rnkClient.getSubscribers(CONTRACTS.rvmId);
+
+            let msg = '📡 <b>RVM Subscriptions</b>\n\n';
+
+            if (!subs || subs.length === 0) {
+                msg += '❌ No active subscriptions found!\n';
+            } else {
+                msg += `Found ${subs.length} subscription(s):\n\n`;
+                subs.forEach((sub, i) => {
+                    msg += `<b>${i + 1}. Contract:</b> <code>${formatAddress(sub.contract)}</code>\n`;
+                    if (sub.topics && sub.topics.length > 0) {
+                        msg += `   Topic: <code>${formatAddress(sub.topics[0])}</code>\n`;
+                    }
+                    msg += '\n';
+                });
+            }
+
+            await bot.send(msg, { chatId });
+        } catch (e) {
+            await bot.send(`❌ Error: ${e.message}`, { chatId });
+        }
+    }
+
+    async function rvmstatus(chatId) {
+        try {
+            let msg = '🔶 <b>RVM Status</b>\n\n';
+
+            const vmInfo = await bot.rnkClient.getVm(CONTRACTS.rvmId);
+            if (vmInfo) {
+                msg += `<b>RVM ID:</b> <code>${CONTRACTS.rvmId}</code>\n`;
+                msg += `<b>Status:</b> ${vmInfo.paused ? '⏸ Paused' : '✅ Active'}\n\n`;
+            }
+
+            const subs = await bot.rnkClient.getSubscribers(CONTRACTS.rvmId);
+            msg += `<b>Subscriptions:</b> ${subs?.length || 0}\n`;
+
+            const reserves = await bot.proxy.reserves(CONTRACTS.rvmId);
+            msg += `<b>Reserves:</b> ${ethers.formatEther(reserves)} ETH\n\n`;
+
+            // Debt is tracked against the RVM ID (deployer), not the reactive contract
+            try {
+                const systemContract = connectSystem(CONTRACTS.systemContract, bot.lasnaProvider);
+                const debt = await systemContract.debt(CONTRACTS.rvmId);
+
+                if (debt === 0n) {
+                    msg += `✅ <b>RVM Debt:</b> None (healthy)\n`;
+                } else {
+                    msg += `⚠️ <b>RVM Debt:</b> ${ethers.formatEther(debt)} ETH\n`;
+                    msg += '\n⚠️ <b>Warning:</b> RVM has outstanding debt!\n';
+                    msg += 'Callbacks may be paused until debt is cleared.';
+                }
+            } catch (e) {
+                // The system contract reverts when there is no debt record
+                msg += `✅ <b>RVM Debt:</b> None (no debt record)\n`;
+                msg += `\n<i>💡 No debt = RVM is operating normally</i>`;
+            }
+
+            await bot.send(msg, { chatId });
+        } catch (e) {
+            await bot.send(`❌ Error: ${e.message}`, { chatId });
+        }
+    }
+
+    async function rvmdebt(chatId) {
+        const systemContract = connectSystem(CONTRACTS.systemContract, bot.lasnaProvider);
+
+        // The system contract reverts if no debt record exists, which means no debt
+        let debt = 0n;
+        try {
+            debt = await systemContract.debt(CONTRACTS.rvmId);
+        } catch (e) {
+            debt = 0n;
+        }
+
+        const debtEth = ethers.formatEther(debt);
+        const status = debt === 0n
+            ? '✅ No debt - RVM is healthy!'
+            : `⚠️ Outstanding debt: ${debtEth} ETH\nCallbacks may be paused!`;
+
+        await bot.send(`
+💳 <b>RVM Debt Status</b>
+
+<b>RVM ID</b>
+<code>${formatAddress(CONTRACTS.rvmId)}</code>
+
+<b>Debt Amount</b>
+${debt === 0n ? '0 ETH ✅' : debtEth + ' ETH ⚠️'}
+
+<b>Status</b>
+${status}
+
+<i>💡 No debt record = RVM operating normally</i>
+`, { chatId });
+    }
+
+    async function reactive(chatId) {
+        const address = CONTRACTS.reactiveEnhanced || CONTRACTS.reactiveContract;
+        const reactiveContract = connectReactiveEnhanced(address, bot.lasnaProvider);
+
+        let msg = '🔶 <b>Reactive Contract Info</b>\n\n';
+        try {
+            const approvalMagic = await reactiveContract.approvalMagicEnabled();
+            const priceMonitoring = await reactiveContract.priceMonitoringEnabled();
+            const cronMonitoring = await reactiveContract.cronMonitoringEnabled();
+            const liquidationMonitoring = await reactiveContract.liquidationMonitoringEnabled();
+
+            msg += `<b>Address:</b> <code>${formatAddress(address)}</code>\n\n`;
+
+            msg += `<b>Features:</b>\n`;
+            msg += `├ Approval Magic: ${approvalMagic ? '✅' : '❌'}\n`;
+            msg += `├ Price Monitoring: ${priceMonitoring ? '✅' : '❌'}\n`;
+            msg += `├ CRON Monitoring: ${cronMonitoring ? '✅' : '❌'}\n`;
+            msg += `└ Liquidation Monitoring: ${liquidationMonitoring ? '✅' : '❌'}\n`;
+        } catch (e) {
+            msg += `Basic reactive contract (no enhanced features)\n`;
+            msg += `Address: <code>${formatAddress(CONTRACTS.reactiveContract)}</code>\n`;
+        }
+
+        await bot.send(msg, { chatId });
+    }
+
+    async function trace(chatId, { target }) {
+        await bot.send('🔎 Tracing pipeline...', { chatId });
+
+        try {
+            let trace;
+            if (/^\d+$/.test(target)) {
+                trace = await pipelineTracer.traceRvmTx(parseInt(target));
+            } else if (ethers.isAddress(target)) {
+                trace = await pipelineTracer.traceLatestForUser(target);
+            } else {
+                trace = await pipelineTracer.traceOriginTx(target);
+            }
+            await bot.send(formatTraceHtml(trace), { chatId });
+        } catch (e) {
+            await bot.send(`❌ Error tracing pipeline: ${e.message}`, { chatId });
+        }
+    }
+
+    async function funder(chatId, { tx }) {
+        if (tx) {
+            await bot.send('🔎 Tracing funding round...', { chatId });
+            try {
+                await bot.send(formatRoundTraceHtml(await roundTracer.trace(tx)), { chatId });
+            } catch (e) {
+                await bot.send(`❌ Error tracing funding round: ${e.message}`, { chatId });
+            }
+            return;
+        }
+
+        try {
+            const status = await readFunderStatus({ provider: bot.sepoliaProvider, lasnaProvider: bot.lasnaProvider });
+            const rounds = status.funder ? await listRecentRounds({ provider: bot.sepoliaProvider, limit: 5 }) : [];
+            await bot.send(formatFunderStatusHtml(status, rounds), { chatId });
+        } catch (e) {
+            await bot.send(`❌ Error: ${e.message}`, { chatId });
+        }
+    }
+
+    return {
+        name: 'reactive',
+        section: 'Reactive Network',
+        commands: [
+            { name: 'reserves', description: 'Callback proxy reserves', handler: reserves },
+            { name: 'subscription', description: 'RVM subscription', handler: subscription },
+            { name: 'rvmstatus', description: 'Full RVM status', handler: rvmstatus },
+            { name: 'rvmdebt', aliases: ['debt_rvm'], description: 'RVM debt check', handler: rvmdebt },
+            { name: 'reactive', description: 'Reactive contract info', handler: reactive },
+            {
+                name: 'trace',
+                args: [{ name: 'target', label: 'tx|rvm#|address', parse: parseTraceTarget }],
+                description: 'Trace origin tx → RVM → callback → delivery',
+                handler: trace
+            },
+            {
+                name: 'funder',
+                args: [{ name: 'tx', label: 'fundsReceivedTx', optional: true, parse: parseTxHash }],
+                description: 'Self-funding loop status, or trace one funding round',
+                handler: funder
+            }
+        ],
+        start() {
+            if (LASNA_WATCHER.enabled) {
+                lasnaWatcher.start();
+                logger.info(`Lasna events every ${LASNA_WATCHER.pollIntervalMs / 1000}s from ${lasnaWatcher.addresses.length} reactive contract(s) (${lasnaWatcher.store.file})`, null, 'lasna');
+            }
+            if (FUNDER_MONITOR.enabled && CONTRACTS.funder) {
+                funderMonitor.start();
+                logger.info(`Funding rounds every ${FUNDER_MONITOR.pollIntervalMs / 1000}s (${funderMonitor.store.file})`, null, 'sepolia');
+            }
+            if (RESERVE_FORECAST.sampling) {
+                bot.reserveForecaster.start();
+                logger.info(`Reserve samples every ${RESERVE_FORECAST.sampleIntervalMs / 1000}s for the runway forecast (${bot.reserveForecaster.store.file})`, null, 'sepolia');
+            }
+        },
+        stop() {
+            lasnaWatcher.stop();
+            funderMonitor.stop();
+            bot.reserveForecaster.stop();
+        }
+    };
+}
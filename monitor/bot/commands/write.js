@@ -0,0 +1,182 @@
+/**
+ * Write Commands (opt-in): /open, /unwind, /close, /emergency, /settp
+ *
+ * They act on the bot wallet's own position (BOT_PRIVATE_KEY), only in the
+ * chats listed in BOT_WRITE_CHATS. Every action is simulated with eth_call
+ * and sent only after its confirmation button is tapped; /open approves the
+ * collateral first if needed and offers the deposit once the approval is mined.
+ *
+ * Buttons: txok_<id> / txno_<id> confirm or cancel a prepared transaction,
+ * open_<value> answers the /open wizard. Typed amounts go to the wizard too.
+ */
+
+import { ethers } from 'ethers';
+import { WRITE_COMMANDS } from '../../config.js';
+import logger from '../../logger.js';
+import { TxCommander, TX_ACTIONS, revertReason } from '../../tx-commands.js';
+import { DepositWizard, WizardStep, renderStep } from '../../deposit-wizard.js';
+import { formatAddress, formatLeverage, getStateInfo, escapeHtml, txUrl } from '../format.js';
+
+export default function writeCommands(bot) {
+    const signer = process.env.BOT_PRIVATE_KEY ? new ethers.Wallet(process.env.BOT_PRIVATE_KEY, bot.sepoliaProvider) : null;
+    const txCommander = new TxCommander({ manager: bot.manager, signer });
+    const depositWizard = new DepositWizard();
+
+    /**
+     * Simulate a write action and ask for confirmation with buttons
+     */
+    async function requestTx(chatId, action, args = []) {
+        let prepared;
+        try {
+            prepared = await txCommander.prepare(chatId, action, args);
+        } catch (e) {
+            await bot.send(`⚠️ ${escapeHtml(e.message)}`, { chatId });
+            return;
+        }
+
+        const { title, emoji } = TX_ACTIONS[action];
+        let msg = `${emoji} <b>${title}</b>\n\n`;
+        msg += `👛 Wallet: <code>${signer.address}</code>\n`;
+        try {
+            const pos = await bot.manager.getPosition(signer.address);
+            const stateInfo = getStateInfo(Number(pos.state));
+            msg += `📊 Position: ${stateInfo.emoji} ${stateInfo.name} at ${formatLeverage(pos.currentLeverage)}x\n`;
+        } catch (e) {
+            // Position details are informational only
+        }
+        msg += `📝 ${prepared.description}\n\n`;
+        msg += `✅ Simulation passed (~${prepared.gasEstimate.toLocaleString()} gas)\n`;
+        msg += `<i>Confirm within ${WRITE_COMMANDS.confirmTtlMs / 60000} min to send the transaction.</i>`;
+
+        await bot.sendWithButtons(msg, [[
+            { text: '✅ Confirm & send', callback_data: `txok_${prepared.id}` },
+            { text: '❌ Cancel', callback_data: `txno_${prepared.id}` }
+        ]], { chatId });
+    }
+
+    /**
+     * Send a confirmed action and report when it is mined
+     * @param messageId - The confirmation message, edited to show the outcome
+     */
+    async function confirmTx(chatId, id, messageId) {
+        let result;
+        try {
+            result = await txCommander.confirm(chatId, id);
+        } catch (e) {
+            await bot.edit(messageId, `❌ ${escapeHtml(e.message)}`, { chatId });
+            return;
+        }
+
+        const { prepared, tx } = result;
+        const { title, emoji } = TX_ACTIONS[prepared.action];
+        const link = `<a href="${txUrl(tx.hash)}">${formatAddress(tx.hash)}</a>`;
+        logger.info(`Sent ${prepared.action} from ${signer.address} for chat ${chatId}: ${tx.hash}`, null, 'sepolia');
+        await bot.edit(messageId, `${emoji} <b>${title}</b>\n\n📝 ${prepared.description}\n\n📤 Sent: ${link}\n⏳ Waiting to be mined...`, { chatId });
+
+        // Don't hold up the command loop while the tx is mined
+        tx.wait(1, WRITE_COMMANDS.receiptTimeoutMs)
+            .then(async receipt => {
+                await bot.send(`✅ <b>${title}</b> ${prepared.method === 'approve' ? 'approval ' : ''}mined in block ${receipt.blockNumber}\n🔗 ${link}`, { chatId });
+                // e.g. the deposit after its token approval
+                if (prepared.followUp) await requestTx(chatId, prepared.action, prepared.args);
+            })
+            .catch(e => bot.send(`❌ <b>${title}</b> failed: ${escapeHtml(revertReason(e))}\n🔗 ${link}`, { chatId }));
+    }
+
+    async function cancelTx(chatId, id, messageId) {
+        const cancelled = txCommander.cancel(chatId, id);
+        await bot.edit(messageId, cancelled ? '❌ Cancelled - nothing was sent.' : 'ℹ️ This action was already handled or has expired.', { chatId });
+    }
+
+    /**
+     * Apply a button value or typed answer to the chat's /open wizard and show the next step
+     * @param messageId - Wizard message to edit (button taps), or null to send a new one
+     */
+    async function answerWizard(chatId, value, messageId = null) {
+        let session;
+        try {
+            session = depositWizard.handle(chatId, value);
+        } catch (e) {
+            await bot.send(`⚠️ ${escapeHtml(e.message)}`, { chatId });
+            return;
+        }
+
+        const { text, buttons } = renderStep(session);
+        if (messageId) {
+            await bot.edit(messageId, text, { chatId, buttons });
+        } else {
+            await bot.sendWithButtons(text, buttons, { chatId });
+        }
+    }
+
+    /**
+     * Buttons of the /open wizard (callback data open_<value>)
+     */
+    async function handleWizardCallback(chatId, value, messageId) {
+        if (value === 'cancel') {
+            depositWizard.cancel(chatId);
+            await bot.edit(messageId, '❌ Deposit cancelled - nothing was sent.', { chatId });
+        } else if (value === 'restart') {
+            const { text, buttons } = renderStep(depositWizard.start(chatId));
+            await bot.edit(messageId, text, { chatId, buttons });
+        } else if (value === 'submit') {
+            const session = depositWizard.get(chatId);
+            if (session?.step !== WizardStep.PREVIEW) {
+                await bot.edit(messageId, 'ℹ️ This deposit has expired - start again with /open.', { chatId });
+                return;
+            }
+            depositWizard.cancel(chatId);
+            await bot.edit(messageId, `${renderStep(session).text}\n\n⏳ Checking balance and approval...`, { chatId });
+            await requestTx(chatId, 'open', [session.params]);
+        } else {
+            await answerWizard(chatId, value, messageId);
+        }
+    }
+
+    async function open(chatId) {
+        try {
+            txCommander.checkAccess(chatId);
+        } catch (e) {
+            await bot.send(`⚠️ ${escapeHtml(e.message)}`, { chatId });
+            return;
+        }
+        const { text, buttons } = renderStep(depositWizard.start(chatId));
+        await bot.sendWithButtons(text, buttons, { chatId });
+    }
+
+    return {
+        name: 'write',
+        section: 'Actions (bot wallet)',
+        commands: [
+            { name: 'open', description: 'Open a position (guided)', handler: open },
+            { name: 'unwind', description: 'Unwind to 1x', handler: chatId => requestTx(chatId, 'unwind') },
+            { name: 'close', description: 'Close position (at 1x)', handler: chatId => requestTx(chatId, 'close') },
+            { name: 'emergency', description: 'Emergency withdraw', handler: chatId => requestTx(chatId, 'emergency') },
+            {
+                name: 'settp',
+                args: [{ name: 'take-profit' }, { name: 'stop-loss' }],
+                description: 'Set take-profit/stop-loss in USD (0 or off disables)',
+                handler: (chatId, args) => requestTx(chatId, 'settp', [args['take-profit'], args['stop-loss']])
+            }
+        ],
+        callbacks: {
+            txok: confirmTx,
+            txno: cancelTx,
+            open: handleWizardCallback
+        },
+        // Typed amount / leverage / iterations for a running /open
+        async onText(chatId, text) {
+            if (!depositWizard.expectsText(chatId)) return false;
+            await answerWizard(chatId, text);
+            return true;
+        },
+        start() {
+            if (txCommander.enabled) {
+                const chats = WRITE_COMMANDS.allowedChats.join(', ') || 'none - set BOT_WRITE_CHATS';
+                logger.info(`Write commands enabled for ${signer.address} (chats: ${chats})`);
+            } else {
+                logger.info('Write commands disabled (no BOT_PRIVATE_KEY)');
+            }
+        }
+    };
+}
@@ -0,0 +1,391 @@
+/**
+ * Telegram Bot Core for Reactive Auto-Looper
+ *
+ * One bot, assembled from command plugins. The core owns what every bot
+ * edition shares:
+ *
+ *   - the Telegram API client, providers and read-only contracts
+ *   - the per-chat state (watchlists, filters) and event routing
+ *   - the reserve forecaster behind /reserves and /stats
+ *   - the command registry, which parses arguments and builds /help
+ *   - manager event notifications (pending → confirmed, see confirmations.js),
+ *     forwarded to the other notification channels once confirmed (notifier/)
+ *   - getUpdates polling or webhook delivery, and graceful shutdown
+ *
+ * A plugin is a factory `(bot) => ({ name, section, commands, callbacks, onText, start, stop })`:
+ *
+ *   commands   Command specs for the registry (see command-registry.js)
+ *   callbacks  Inline button handlers by callback data prefix, e.g.
+ *              { pos: (chatId, value, messageId) => ... } for "pos_0x…"
+ *   onText     (chatId, text) => true if it consumed a non-command message
+ *   start/stop Background jobs, run once the bot is connected / on shutdown
+ *
+ * Constructing a Bot connects to nothing; start() does.
+ */
+
+import { ethers } from 'ethers';
+import chalk from 'chalk';
+import { NETWORKS, PROFILE, CONTRACTS, CONFIRMATIONS, TELEGRAM_WEBHOOK, resolveBotMode } from '../config.js';
+import logger from '../logger.js';
+import RnkClient from '../rnk-client.js';
+import { assertTopics } from '../topic-check.js';
+import { EventNotifier } from '../confirmations.js';
+import { connectManager, connectCallbackProxy, getInterface } from '../abi-registry.js';
+import { ChatStore } from '../chat-store.js';
+import { ReserveForecaster } from '../reserve-forecast.js';
+import { WebhookServer } from '../webhook-server.js';
+import { createNotifier, managerEvent } from '../notifier/index.js';
+import { TelegramApi } from './telegram-api.js';
+import { CommandRegistry } from './command-registry.js';
+import { MANAGER_EVENT_MESSAGES } from './notifications.js';
+import { escapeHtml } from './format.js';
+
+export class Bot {
+    /**
+     * @param options.token - Bot token (ignored when options.api is given)
+     * @param options.operatorChatId - Default chat; gets startup messages and every user's events
+     * @param options.name - Shown in /start, e.g. "Reactive Auto-Looper Bot v2.0"
+     * @param options.banner - Console banner line
+     * @param options.startupMessage - Sent to the operator chat once running
+     * @param options.plugins - Plugin factories, in /help order
+     * @param options.notifier - Discord/Slack/email/webhook channels (default: from notifiers file or env)
+     * @param options.reserveForecaster - Reserve samples and runway (default: over the bot's providers)
+     */
+    constructor({
+        token,
+        operatorChatId,
+        name = 'Reactive Auto-Looper Bot',
+        banner = 'REACTIVE AUTO-LOOPER TELEGRAM BOT',
+        startupMessage = '🚀 <b>Bot Started!</b>\n\nUse /help to see available commands.',
+        plugins = [],
+        api = null,
+        chatStore = null,
+        sepoliaProvider = new ethers.JsonRpcProvider(NETWORKS.sepolia.rpc),
+        lasnaProvider = new ethers.JsonRpcProvider(NETWORKS.lasna.rpc),
+        rnkClient = new RnkClient(),
+        notifier = null,
+        reserveForecaster = null
+    }) {
+        this.operatorChatId = operatorChatId;
+        this.name = name;
+        this.banner = banner;
+        this.startupMessage = startupMessage;
+        this.api = api ?? new TelegramApi({ token, defaultChatId: operatorChatId });
+
+        this.sepoliaProvider = sepoliaProvider;
+        this.lasnaProvider = lasnaProvider;
+        this.rnkClient = rnkClient;
+        this.manager = connectManager(CONTRACTS.manager, sepoliaProvider);
+        this.proxy = connectCallbackProxy(CONTRACTS.callbackProxy, sepoliaProvider);
+
+        // Watchlist, /setmy address, filters and alert thresholds per chat, kept across restarts
+        this.chatStore = chatStore ?? new ChatStore(undefined, { operatorChatId });
+        this.managerInterface = getInterface('manager');
+
+        // One forecaster for every plugin, so its caches serve /reserves and /stats alike
+        this.reserveForecaster = reserveForecaster ?? new ReserveForecaster({ provider: sepoliaProvider, lasnaProvider, rnkClient });
+
+        // Channels besides Telegram; they only hear about confirmed events
+        this.notifier = notifier ?? createNotifier();
+
+        // Manager events are sent as pending, then edited once confirmed (or retracted after a reorg)
+        this.eventNotifier = new EventNotifier({
+            provider: sepoliaProvider,
+            send: async (text, options) => (await this.send(text, options))?.result?.message_id ?? null,
+            edit: (messageId, text, options) => this.edit(messageId, text, options),
+            route: log => this.chatsForLog(log),
+            onConfirmed: entry => this.forwardEvent(entry)
+        });
+
+        this.registry = new CommandRegistry();
+        this.callbacks = new Map();
+        this.textHandlers = [];
+        this.plugins = [];
+
+        this.running = false;
+        this.webhookServer = null;
+
+        for (const plugin of plugins) this.use(plugin);
+    }
+
+    /**
+     * Add a plugin's commands, button handlers and hooks
+     * @param factory - (bot) => plugin
+     */
+    use(factory) {
+        const plugin = factory(this);
+        for (const command of plugin.commands ?? []) {
+            this.registry.register({ section: plugin.section, ...command });
+        }
+        for (const [prefix, handler] of Object.entries(plugin.callbacks ?? {})) {
+            if (this.callbacks.has(prefix) || prefix === 'cmd') throw new Error(`Callback prefix ${prefix}_ is already taken`);
+            this.callbacks.set(prefix, handler);
+        }
+        if (plugin.onText) this.textHandlers.push(plugin.onText);
+        this.plugins.push(plugin);
+        return plugin;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    //                      MESSAGING HELPERS
+    // ═══════════════════════════════════════════════════════════════
+
+    send(text, options = {}) {
+        return this.api.sendMessage(text, options);
+    }
+
+    sendWithButtons(text, buttons, options = {}) {
+        return this.api.sendMessage(text, { ...options, buttons });
+    }
+
+    edit(messageId, text, options = {}) {
+        return this.api.editMessage(messageId, text, options);
+    }
+
+    /**
+     * Pass a confirmed manager event on to the notifier's channels. Not
+     * awaited, so slow webhooks don't hold up the confirmation checks.
+     */
+    forwardEvent(entry) {
+        if (this.notifier.size === 0) return;
+        const parsed = this.managerInterface.parseLog(entry.log);
+        if (!parsed) return;
+        this.notifier.notify(managerEvent(parsed.name, parsed.args, entry.log, entry.payload.texts));
+    }
+
+    /**
+     * Chats to notify about a manager log, honouring each chat's watchlist,
+     * "all users" mode and category filters
+     */
+    chatsForLog(log) {
+        const parsed = this.managerInterface.parseLog(log);
+        return this.chatStore.chatsForEvent(parsed?.name, parsed?.args.user ?? null);
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    //                      UPDATE DISPATCH
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Run a command line such as "/position 0x…" for a chat
+     * @returns {Promise<boolean>} False if the text isn't a command
+     */
+    async dispatch(chatId, text) {
+        const resolved = this.registry.resolve(text);
+        if (!resolved) return false;
+
+        const { command, name, args, error } = resolved;
+        if (!command) {
+            console.log(chalk.yellow(`⚠️ Unknown command: /${name}`));
+            await this.send(`❓ Unknown command: <b>/${escapeHtml(name)}</b>\n\nUse /help to see available commands.`, { chatId });
+            return true;
+        }
+        if (error) {
+            await this.send(`⚠️ ${escapeHtml(error)}\n\nUsage: ${escapeHtml(this.registry.usage(name))}`, { chatId });
+            return true;
+        }
+
+        console.log(chalk.cyan(`📨 Command received: /${name}`), text.includes(' ') ? chalk.gray(`with args: ${text.slice(text.indexOf(' ') + 1)}`) : '');
+        try {
+            await command.handler(chatId, args);
+            console.log(chalk.green(`✅ Command /${name} executed successfully`));
+        } catch (error) {
+            console.error(chalk.red(`❌ Error executing /${name}:`), error.message);
+            await this.send(`❌ Error executing command: ${escapeHtml(error.message)}`, { chatId });
+        }
+        return true;
+    }
+
+    async processMessage(message) {
+        const chatId = message.chat.id;
+        const text = message.text || '';
+
+        if (await this.dispatch(chatId, text)) return;
+
+        // e.g. a typed answer to the /open wizard
+        for (const handler of this.textHandlers) {
+            if (await handler(chatId, text)) return;
+        }
+    }
+
+    /**
+     * Inline buttons: cmd_<command> runs a command, anything else goes to
+     * the plugin that registered the prefix before the first "_"
+     */
+    async handleCallback(callbackQuery) {
+        const chatId = callbackQuery.message?.chat?.id;
+        const messageId = callbackQuery.message?.message_id;
+        const data = callbackQuery.data || '';
+
+        await this.api.answerCallbackQuery(callbackQuery.id, 'Processing...');
+
+        const split = data.indexOf('_');
+        if (split === -1) return;
+        const prefix = data.slice(0, split);
+        const value = data.slice(split + 1);
+
+        if (prefix === 'cmd') {
+            await this.dispatch(chatId, `/${value}`);
+        } else if (this.callbacks.has(prefix)) {
+            await this.callbacks.get(prefix)(chatId, value, messageId);
+        }
+    }
+
+    /**
+     * Dispatch one Telegram update (both delivery modes)
+     */
+    async handleUpdate(update) {
+        if (update.message) {
+            await this.processMessage(update.message);
+        }
+
+        if (update.callback_query) {
+            await this.handleCallback(update.callback_query);
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    //                     EVENT LISTENERS
+    // ═══════════════════════════════════════════════════════════════
+
+    setupEventListeners() {
+        for (const [eventName, render] of Object.entries(MANAGER_EVENT_MESSAGES)) {
+            // The listener's last argument is the event payload with the parsed args and the log
+            this.manager.on(eventName, async (...params) => {
+                const { args, log } = params.at(-1);
+                const messages = [].concat(render(args, log?.transactionHash || 'unknown'));
+                await this.eventNotifier.notify(log, ...messages);
+            });
+        }
+
+        this.eventNotifier.start();
+        logger.success(`Event listeners configured for Sepolia (${Object.keys(MANAGER_EVENT_MESSAGES).length} event types)`);
+        logger.info(`Event notifications confirm after ${CONFIRMATIONS.depth} blocks${CONFIRMATIONS.notifyPending ? ' (sent as pending first)' : ''}`, null, 'sepolia');
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    //                      MAIN BOT LOOP
+    // ═══════════════════════════════════════════════════════════════
+
+    async start() {
+        console.log('');
+        console.log(chalk.bold.cyan('╔════════════════════════════════════════════════════════════════╗'));
+        console.log(chalk.bold.cyan(`║     ${this.banner.padEnd(59)}║`));
+        console.log(chalk.bold.cyan('╚════════════════════════════════════════════════════════════════╝'));
+        console.log('');
+
+        // Refuse to start if TOPICS no longer match the contracts
+        await assertTopics({ provider: this.sepoliaProvider, rnkClient: this.rnkClient });
+
+        const botInfo = await this.api.getMe();
+        if (!botInfo) {
+            logger.error('Failed to connect to Telegram. Check your bot token.');
+            process.exit(1);
+        }
+
+        logger.success(`Connected as @${botInfo.username}`);
+        logger.info(`Operator chat ID: ${this.operatorChatId}`);
+        logger.info(`Chat state: ${this.chatStore.file}`);
+        logger.info(`Commands: ${this.registry.commands.size} from ${this.plugins.map(p => p.name).join(', ')}`);
+        logger.info(`Profile: ${PROFILE.name}`);
+        if (this.notifier.size > 0) {
+            const channels = Object.entries(this.notifier.metrics()).map(([name, { type }]) => `${name} (${type})`);
+            logger.info(`Notification channels: ${channels.join(', ')}`);
+        }
+
+        if (resolveBotMode() === 'webhook') {
+            try {
+                this.webhookServer = await this.serveWebhook();
+            } catch (e) {
+                logger.error(`Webhook mode failed: ${e.message}`);
+                process.exit(1);
+            }
+        }
+        this.running = true;
+        process.once('SIGINT', () => this.shutdown('SIGINT'));
+        process.once('SIGTERM', () => this.shutdown('SIGTERM'));
+        console.log('');
+
+        await this.sendWithButtons(this.startupMessage, [
+            [
+                { text: '📊 Status', callback_data: 'cmd_status' },
+                { text: '🏥 Health', callback_data: 'cmd_health' }
+            ],
+            [
+                { text: '❓ Help', callback_data: 'cmd_help' }
+            ]
+        ]);
+
+        this.setupEventListeners();
+        for (const plugin of this.plugins) {
+            if (plugin.start) await plugin.start();
+        }
+
+        if (this.webhookServer) {
+            logger.info('Listening for commands (webhook)...');
+        } else {
+            await this.pollUpdates();
+        }
+    }
+
+    async pollUpdates() {
+        if (!await this.api.deleteWebhook()) logger.warn('Could not remove a registered webhook - getUpdates may be refused');
+
+        let offset = 0;
+        logger.info('Listening for commands (polling)...');
+
+        while (this.running) {
+            try {
+                const updates = await this.api.getUpdates(offset);
+
+                for (const update of updates) {
+                    offset = update.update_id + 1;
+                    await this.handleUpdate(update);
+                }
+            } catch (error) {
+                console.error(chalk.red('Error in bot loop:'), error.message);
+            }
+
+            await new Promise(r => setTimeout(r, 1000));
+        }
+    }
+
+    /**
+     * Start the webhook server and register it with Telegram
+     */
+    async serveWebhook() {
+        const { url, secretToken, host, path } = TELEGRAM_WEBHOOK;
+        const server = new WebhookServer({ secretToken, onUpdate: update => this.handleUpdate(update) });
+        const port = await server.listen();
+        logger.success(`Webhook server on ${host}:${port}${path} (health: /healthz)`);
+
+        if (!url) {
+            logger.warn('TELEGRAM_WEBHOOK_URL not set - webhook not registered, only locally posted updates arrive');
+        } else if (await this.api.setWebhook(url, secretToken)) {
+            logger.success(`Webhook registered: ${url}`);
+        } else {
+            await server.close();
+            throw new Error(`Telegram refused the webhook ${url}`);
+        }
+        return server;
+    }
+
+    /**
+     * Stop background jobs and let queued webhook updates finish
+     */
+    async shutdown(signal) {
+        if (!this.running) return;
+        this.running = false;
+        console.log('');
+        logger.info(`${signal} received - shutting down bot...`);
+
+        for (const plugin of this.plugins) {
+            if (plugin.stop) plugin.stop();
+        }
+        this.eventNotifier.stop();
+        if (this.webhookServer) await this.webhookServer.close();
+        process.exit(0);
+    }
+}
+
+export default Bot;
@@ -0,0 +1,133 @@
+/**
+ * Telegram HTML Formatting Helpers
+ *
+ * Shared by the notification templates and the command plugins.
+ */
+
+import { ethers } from 'ethers';
+import { NETWORKS } from '../config.js';
+
+export function formatAddress(addr) {
+    if (!addr) return 'N/A';
+    return `${addr.slice(0, 6)}...${addr.slice(-4)}`;
+}
+
+export function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * 18-decimal fixed point (leverage, USD prices) with two decimals
+ */
+export function formatLeverage(value) {
+    if (!value) return '0.00';
+    return parseFloat(ethers.formatEther(value.toString())).toFixed(2);
+}
+
+export function formatHealthFactor(value) {
+    if (!value) return 'N/A';
+    return parseFloat(ethers.formatEther(value.toString())).toFixed(2);
+}
+
+export function getStateInfo(state) {
+    const states = {
+        0: { emoji: '⚪', name: 'IDLE' },
+        1: { emoji: '🔄', name: 'LOOPING' },
+        2: { emoji: '⏪', name: 'UNWINDING' },
+        3: { emoji: '🚨', name: 'EMERGENCY' }
+    };
+    return states[Number(state)] || states[0];
+}
+
+export function getHealthEmoji(hf) {
+    const value = parseFloat(ethers.formatEther(hf?.toString() || '0'));
+    if (value >= 2.0) return '💚'; // Safe
+    if (value >= 1.5) return '💛'; // Caution
+    if (value >= 1.2) return '🧡'; // Warning
+    return '❤️'; // Danger
+}
+
+/**
+ * Explorer link for a transaction
+ */
+export function txUrl(txHash, network = 'sepolia') {
+    return `${NETWORKS[network].explorer}/tx/${txHash}`;
+}
+
+// Tags, entities, newlines, text runs, and stray < or &
+const HTML_TOKENS = /<[^>]*>|&#?\w+;|\n|[^<&\n]+|[<&]/g;
+
+/**
+ * Split an HTML message into parts of at most `limit` characters
+ * (Telegram rejects messages over 4096). Parts end at a newline where
+ * possible; tags open at a cut are closed and reopened in the next part,
+ * and entities are never cut.
+ * @returns {string[]}
+ */
+export function splitHtml(html, limit = 4096) {
+    if (html.length <= limit) return [html];
+
+    const parts = [];
+    let stack = [];        // open tags as { name, tag }, replaced rather than mutated
+    let chunk = '';
+    let newline = null;    // last clean cut: { at, stack }
+
+    const closeAll = tags => tags.map(t => `</${t.name}>`).reverse().join('');
+    const reopen = tags => tags.map(t => t.tag).join('');
+    const room = () => limit - chunk.length - closeAll(stack).length;
+
+    const flush = () => {
+        if (newline && newline.at >= limit / 2) {
+            parts.push(chunk.slice(0, newline.at) + closeAll(newline.stack));
+            chunk = reopen(newline.stack) + chunk.slice(newline.at + 1);
+        } else {
+            parts.push(chunk + closeAll(stack));
+            chunk = reopen(stack);
+        }
+        newline = null;
+    };
+
+    for (const token of html.match(HTML_TOKENS)) {
+        if (token.length > 1 && token.startsWith('<')) {
+            const closing = token.startsWith('</');
+            const name = token.match(/^<\/?\s*([\w-]+)/)?.[1]?.toLowerCase();
+            // An opening tag needs room for its own closing tag too
+            if (!closing && name && token.length + name.length + 3 > room()) flush();
+            chunk += token;
+            if (closing) {
+                const index = stack.findLastIndex(t => t.name === name);
+                if (index >= 0) stack = stack.filter((_, i) => i !== index);
+            } else if (name) {
+                stack = [...stack, { name, tag: token }];
+            }
+            continue;
+        }
+
+        if (token === '\n') {
+            if (room() < 1) flush();
+            newline = { at: chunk.length, stack };
+            chunk += token;
+            continue;
+        }
+
+        let text = token;
+        while (text.length > room()) {
+            if (!(newline && newline.at >= limit / 2)) {
+                // No line to break at: fill up, preferring a space (entities stay whole)
+                let piece = text.startsWith('&') ? '' : text.slice(0, Math.max(room(), 0));
+                const space = piece.lastIndexOf(' ');
+                if (space > 0) piece = piece.slice(0, space + 1);
+                chunk += piece;
+                text = text.slice(piece.length);
+            }
+            flush();
+            if (room() <= 0) break; // Open tags alone exceed the limit
+        }
+        chunk += text;
+    }
+    parts.push(chunk + closeAll(stack));
+
+    return parts.filter(part => part.replace(/<[^>]*>/g, '').trim() !== '');
+}
+
+export default { formatAddress, escapeHtml, formatLeverage, formatHealthFactor, getStateInfo, getHealthEmoji, txUrl, splitHtml };
@@ -0,0 +1,57 @@
+/**
+ * Telegram Bot Framework for Reactive Auto-Looper
+ *
+ * Entry point for the bot core, its command plugins and the notification
+ * templates. Importing this module starts nothing - telegram-bot.js and
+ * telegram-bot-enhanced.js pick a plugin set and call start():
+ *
+ *   const bot = createBot({ token, operatorChatId, plugins: ALL_PLUGINS });
+ *   await bot.start();
+ */
+
+import { Bot } from './core.js';
+import basicCommands from './commands/basic.js';
+import positionCommands from './commands/position.js';
+import advancedCommands from './commands/advanced.js';
+import writeCommands from './commands/write.js';
+import reactiveCommands from './commands/reactive.js';
+import monitoringCommands from './commands/monitoring.js';
+import infoCommands from './commands/info.js';
+
+export { Bot } from './core.js';
+export { CommandRegistry } from './command-registry.js';
+export { TelegramApi, sendTelegramMessage } from './telegram-api.js';
+export { Notifications, MANAGER_EVENT_MESSAGES, LASNA_EVENT_MESSAGES, FUNDER_EVENT_MESSAGES } from './notifications.js';
+
+// Read-only monitoring (telegram-bot.js)
+export const BASIC_PLUGINS = [basicCommands, positionCommands, reactiveCommands];
+
+// Everything, in /help order (telegram-bot-enhanced.js)
+export const ALL_PLUGINS = [
+    basicCommands,
+    positionCommands,
+    advancedCommands,
+    writeCommands,
+    reactiveCommands,
+    monitoringCommands,
+    infoCommands
+];
+
+export {
+    basicCommands,
+    positionCommands,
+    advancedCommands,
+    writeCommands,
+    reactiveCommands,
+    monitoringCommands,
+    infoCommands
+};
+
+/**
+ * @param options - See Bot; plugins defaults to ALL_PLUGINS
+ */
+export function createBot(options) {
+    return new Bot({ plugins: ALL_PLUGINS, ...options });
+}
+
+export default createBot;
@@ -0,0 +1,1171 @@
+/**
+ * Notification Templates for the Reactive Auto-Looper Telegram Bots
+ *
+ * HTML messages for contract events, status replies and the e2e test, plus
+ * MANAGER_EVENT_MESSAGES, which maps each AutoLooperManager event to its
+ * template for the bot's event listeners, LASNA_EVENT_MESSAGES for the
+ * reactive contracts' events on Lasna and FUNDER_EVENT_MESSAGES for the
+ * self-funding loop.
+ */
+
+import { ethers } from 'ethers';
+import { NETWORKS, PROFILE, CONTRACTS } from '../config.js';
+import { formatAddress, formatLeverage, formatHealthFactor, getStateInfo, getHealthEmoji, escapeHtml } from './format.js';
+import { formatRoundTraceHtml } from '../funder-monitor.js';
+
+// ═══════════════════════════════════════════════════════════════
+//                    NOTIFICATION MESSAGES
+// ═══════════════════════════════════════════════════════════════
+
+// AutoLooperReactiveEnhanced.CriticalOpType
+const CRITICAL_OP_TYPES = ['Emergency unwind', 'Large unwind', 'Liquidation response'];
+
+/**
+ * Where a Lasna event happened: its RVM transaction, or a Lasna explorer link
+ */
+function lasnaLink({ rvmTxNumber = null, txHash = null }) {
+    if (rvmTxNumber !== null) return `🔶 RVM tx #${rvmTxNumber}`;
+    return `🔗 <a href="${NETWORKS.lasna.explorer}/tx/${txHash}">View on Reactscan</a>`;
+}
+
+export const Notifications = {
+    /**
+     * Welcome message
+     */
+    welcome() {
+        return `
+🤖 <b>Reactive Auto-Looper Bot</b>
+
+Welcome to the Reactive Auto-Looper monitoring bot!
+
+<b>📊 What I monitor:</b>
+• Position updates & leverage changes
+• Loop/Unwind step executions  
+• Health factor alerts
+• RVM reactions on Lasna
+• Callback deliveries on Sepolia
+• Take-profit/Stop-loss triggers
+
+<b>🔗 Networks:</b>
+• Origin/Dest: Sepolia (11155111)
+• Reactive: Lasna (5318007)
+
+<b>📝 Commands:</b>
+/status - Check system status
+/position &lt;address&gt; - Check position
+/health - Component health check
+/help - Show all commands
+
+<i>You'll receive real-time notifications for all events!</i>
+`;
+    },
+
+    /**
+     * Position Updated notification
+     */
+    positionUpdated(data, txHash) {
+        const stateInfo = getStateInfo(data.state);
+        const healthEmoji = getHealthEmoji(data.healthFactor);
+        
+        return `
+🔔 <b>Position Updated</b>
+
+👤 User: <code>${formatAddress(data.user)}</code>
+${stateInfo.emoji} State: <b>${stateInfo.name}</b>
+
+📊 <b>Leverage</b>
+├ Current: <b>${formatLeverage(data.currentLeverage)}x</b>
+└ Target: ${formatLeverage(data.targetLeverage)}x
+
+${healthEmoji} Health Factor: <b>${formatHealthFactor(data.healthFactor)}</b>
+🔢 Iteration: ${data.iteration}
+
+🔗 <a href="${NETWORKS.sepolia.explorer}/tx/${txHash}">View on Etherscan</a>
+`;
+    },
+
+    /**
+     * Loop Step Executed notification
+     */
+    loopStepExecuted(data, txHash) {
+        return `
+🔄 <b>Loop Step Executed</b>
+
+👤 User: <code>${formatAddress(data.user)}</code>
+
+📈 <b>Step Details</b>
+├ Borrowed: ${ethers.formatEther(data.borrowed || '0')} 
+├ Swapped: ${ethers.formatEther(data.swapped || '0')}
+├ Supplied: ${ethers.formatEther(data.supplied || '0')}
+└ New Leverage: <b>${formatLeverage(data.newLeverage)}x</b>
+
+🔗 <a href="${NETWORKS.sepolia.explorer}/tx/${txHash}">View TX</a>
+`;
+    },
+
+    /**
+     * Unwind Step Executed notification
+     */
+    unwindStepExecuted(data, txHash) {
+        return `
+⏪ <b>Unwind Step Executed</b>
+
+👤 User: <code>${formatAddress(data.user)}</code>
+
+📉 <b>Step Details</b>
+├ Withdrawn: ${ethers.formatEther(data.withdrawn || '0')}
+├ Swapped: ${ethers.formatEther(data.swapped || '0')}
+├ Repaid: ${ethers.formatEther(data.repaid || '0')}
+└ New Leverage: <b>${formatLeverage(data.newLeverage)}x</b>
+
+🔗 <a href="${NETWORKS.sepolia.explorer}/tx/${txHash}">View TX</a>
+`;
+    },
+
+    /**
+     * Position Closed notification
+     */
+    positionClosed(user, finalCollateral, txHash) {
+        return `
+✅ <b>Position Closed</b>
+
+👤 User: <code>${formatAddress(user)}</code>
+💰 Final Collateral: ${ethers.formatEther(finalCollateral || '0')}
+
+🎉 Position successfully closed!
+
+🔗 <a href="${NETWORKS.sepolia.explorer}/tx/${txHash}">View TX</a>
+`;
+    },
+
+    /**
+     * Emergency Stop notification
+     */
+    emergencyStop(user, reason, txHash) {
+        return `
+🚨 <b>EMERGENCY STOP</b>
+
+👤 User: <code>${formatAddress(user)}</code>
+⚠️ Reason: ${escapeHtml(reason)}
+
+<b>Immediate attention required!</b>
+
+🔗 <a href="${NETWORKS.sepolia.explorer}/tx/${txHash}">View TX</a>
+`;
+    },
+
+    /**
+     * Health Factor Warning
+     */
+    healthFactorWarning(user, healthFactor) {
+        const hf = parseFloat(ethers.formatEther(healthFactor));
+        const severity = hf < 1.2 ? '🔴 CRITICAL' : hf < 1.5 ? '🟠 WARNING' : '🟡 CAUTION';
+        
+        return `
+⚠️ <b>Health Factor Alert</b>
+
+👤 User: <code>${formatAddress(user)}</code>
+❤️ Health Factor: <b>${hf.toFixed(2)}</b>
+
+${severity}
+${hf < 1.2 ? '⚡ Emergency unwind may trigger!' : 'Monitor closely.'}
+`;
+    },
+
+    /**
+     * RVM Reaction notification
+     */
+    rvmReaction(txNum, hasCallback) {
+        return `
+⚡ <b>RVM Reaction Detected</b>
+
+🔢 TX Number: ${txNum}
+📤 Callback Emitted: ${hasCallback ? '✅ Yes' : '❌ No'}
+
+${hasCallback ? '🔄 Waiting for callback delivery...' : '⏸ No action triggered'}
+`;
+    },
+
+    /**
+     * Callback Delivered notification  
+     */
+    callbackDelivered(user, positionId, newCycle) {
+        return `
+📬 <b>Callback Delivered!</b>
+
+👤 User: <code>${formatAddress(user)}</code>
+🆔 Position: ${positionId}
+🔢 Cycle: ${newCycle}
+
+✅ Automation cycle complete!
+`;
+    },
+
+    /**
+     * Take Profit Triggered
+     */
+    takeProfitTriggered(user, currentPrice, targetPrice, txHash) {
+        return `
+💰 <b>Take Profit Triggered!</b>
+
+👤 User: <code>${formatAddress(user)}</code>
+📈 Price: $${formatLeverage(currentPrice)}
+🎯 Target: $${formatLeverage(targetPrice)}
+
+🎉 Profit target reached! Unwinding...
+
+🔗 <a href="${NETWORKS.sepolia.explorer}/tx/${txHash}">View TX</a>
+`;
+    },
+
+    /**
+     * Stop Loss Triggered
+     */
+    stopLossTriggered(user, currentPrice, stopPrice, txHash) {
+        return `
+🛑 <b>Stop Loss Triggered!</b>
+
+👤 User: <code>${formatAddress(user)}</code>
+📉 Price: $${formatLeverage(currentPrice)}
+🎯 Stop: $${formatLeverage(stopPrice)}
+
+⚠️ Stop loss hit! Unwinding position...
+
+🔗 <a href="${NETWORKS.sepolia.explorer}/tx/${txHash}">View TX</a>
+`;
+    },
+
+    // ═══════════════════════════════════════════════════════════════
+    //              ADVANCED FEATURE NOTIFICATIONS
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Flash Leverage Executed
+     */
+    flashLeverageExecuted(user, flashAmount, finalLeverage, txHash) {
+        return `
+⚡ <b>Flash Leverage Executed!</b>
+
+👤 User: <code>${formatAddress(user)}</code>
+💰 Flash Amount: ${ethers.formatEther(flashAmount || '0')}
+📈 Final Leverage: <b>${formatLeverage(finalLeverage)}x</b>
+
+🚀 Instant leverage achieved!
+
+🔗 <a href="${NETWORKS.sepolia.explorer}/tx/${txHash}">View TX</a>
+`;
+    },
+
+    /**
+     * Flash Unwind Executed
+     */
+    flashUnwindExecuted(user, flashAmount, finalLeverage, txHash) {
+        return `
+⚡ <b>Flash Unwind Executed!</b>
+
+👤 User: <code>${formatAddress(user)}</code>
+💰 Flash Amount: ${ethers.formatEther(flashAmount || '0')}
+📉 Final Leverage: <b>${formatLeverage(finalLeverage)}x</b>
+
+🚀 Instant unwind complete!
+
+🔗 <a href="${NETWORKS.sepolia.explorer}/tx/${txHash}">View TX</a>
+`;
+    },
+
+    /**
+     * Position Created
+     */
+    positionCreated(user, collateralAsset, borrowAsset, targetLeverage, txHash) {
+        return `
+🆕 <b>Position Created!</b>
+
+👤 User: <code>${formatAddress(user)}</code>
+💎 Collateral: <code>${formatAddress(collateralAsset)}</code>
+💵 Borrow: <code>${formatAddress(borrowAsset)}</code>
+🎯 Target: <b>${formatLeverage(targetLeverage)}x</b>
+
+🚀 New position started!
+
+🔗 <a href="${NETWORKS.sepolia.explorer}/tx/${txHash}">View TX</a>
+`;
+    },
+
+    /**
+     * Circuit Breaker Triggered
+     */
+    circuitBreakerTriggered(user, deviation, txHash) {
+        return `
+🔴 <b>Circuit Breaker Triggered!</b>
+
+👤 User: <code>${formatAddress(user)}</code>
+📊 Price Deviation: ${(Number(deviation) / 100).toFixed(2)}%
+
+⚠️ Operations paused due to abnormal price movement!
+
+🔗 <a href="${NETWORKS.sepolia.explorer}/tx/${txHash}">View TX</a>
+`;
+    },
+
+    /**
+     * Gas Refilled
+     */
+    gasRefilled(reactiveContract, amount, txHash) {
+        return `
+⛽ <b>Gas Refilled!</b>
+
+📍 Contract: <code>${formatAddress(reactiveContract)}</code>
+💰 Amount: ${ethers.formatEther(amount || '0')} ETH
+
+✅ Reactive gas topped up!
+
+🔗 <a href="${NETWORKS.sepolia.explorer}/tx/${txHash}">View TX</a>
+`;
+    },
+
+    /**
+     * RVM ID Updated
+     */
+    rvmIdUpdated(rvmId, txHash) {
+        return `
+🆔 <b>RVM ID Updated!</b>
+
+📍 New RVM: <code>${rvmId}</code>
+
+✅ Reactive VM identifier changed.
+
+🔗 <a href="${NETWORKS.sepolia.explorer}/tx/${txHash}">View TX</a>
+`;
+    },
+
+    /**
+     * Gas Budget Exceeded
+     */
+    gasBudgetExceeded(user, gasSpent, maxGas, txHash) {
+        return `
+⛽ <b>Gas Budget Exceeded!</b>
+
+👤 User: <code>${formatAddress(user)}</code>
+📊 Spent: ${ethers.formatEther(gasSpent || '0')} ETH
+📊 Max: ${ethers.formatEther(maxGas || '0')} ETH
+
+⚠️ Position paused - gas limit reached!
+
+🔗 <a href="${NETWORKS.sepolia.explorer}/tx/${txHash}">View TX</a>
+`;
+    },
+
+    /**
+     * Loop Unprofitable
+     */
+    loopUnprofitable(user, supplyAPY, borrowAPY, txHash) {
+        return `
+📉 <b>Loop Unprofitable!</b>
+
+👤 User: <code>${formatAddress(user)}</code>
+📈 Supply APY: ${(Number(supplyAPY) / 100).toFixed(2)}%
+📉 Borrow APY: ${(Number(borrowAPY) / 100).toFixed(2)}%
+
+⚠️ Looping paused - negative yield spread!
+
+🔗 <a href="${NETWORKS.sepolia.explorer}/tx/${txHash}">View TX</a>
+`;
+    },
+
+    /**
+     * TWAP Interval Not Met
+     */
+    twapIntervalNotMet(user, lastBlock, currentBlock, requiredInterval) {
+        return `
+⏰ <b>TWAP Interval Not Met</b>
+
+👤 User: <code>${formatAddress(user)}</code>
+🔢 Last: Block ${lastBlock}
+🔢 Current: Block ${currentBlock}
+📏 Required: ${requiredInterval} blocks
+
+⏳ Waiting for TWAP interval...
+`;
+    },
+
+    /**
+     * MEV Protection Triggered
+     */
+    mevProtectionTriggered(user, expectedSalt, providedSalt, txHash) {
+        return `
+🛡️ <b>MEV Protection Triggered!</b>
+
+👤 User: <code>${formatAddress(user)}</code>
+🔑 Expected: <code>${formatAddress(expectedSalt)}</code>
+🔑 Provided: <code>${formatAddress(providedSalt)}</code>
+
+⚠️ Salt mismatch detected - possible MEV attack blocked!
+
+🔗 <a href="${NETWORKS.sepolia.explorer}/tx/${txHash}">View TX</a>
+`;
+    },
+
+    /**
+     * Batch Executed
+     */
+    batchExecuted(totalUsers, successCount, failCount, txHash) {
+        return `
+📦 <b>Batch Execution Complete!</b>
+
+👥 Total Users: ${totalUsers}
+✅ Success: ${successCount}
+❌ Failed: ${failCount}
+
+${Number(failCount) === 0 ? '🎉 All operations successful!' : '⚠️ Some operations failed'}
+
+🔗 <a href="${NETWORKS.sepolia.explorer}/tx/${txHash}">View TX</a>
+`;
+    },
+
+    /**
+     * Approvals Revoked (owner revoked the manager's pool approvals for a pair)
+     */
+    approvalsRevoked(collateralAsset, borrowAsset, txHash) {
+        return `
+🔒 <b>Approvals Revoked</b>
+
+💎 Collateral: <code>${formatAddress(collateralAsset)}</code>
+💵 Borrow: <code>${formatAddress(borrowAsset)}</code>
+
+🛡️ Manager token approvals cleared for this pair.
+
+🔗 <a href="${NETWORKS.sepolia.explorer}/tx/${txHash}">View TX</a>
+`;
+    },
+
+    /**
+     * Approvals Auto-Revoked (after a position's loop completes)
+     */
+    approvalsAutoRevoked(user, collateralAsset, borrowAsset, txHash) {
+        return `
+🔒 <b>Approvals Auto-Revoked</b>
+
+👤 User: <code>${formatAddress(user)}</code>
+💎 Collateral: <code>${formatAddress(collateralAsset)}</code>
+💵 Borrow: <code>${formatAddress(borrowAsset)}</code>
+
+✅ Loop complete - leftover approvals cleared.
+
+🔗 <a href="${NETWORKS.sepolia.explorer}/tx/${txHash}">View TX</a>
+`;
+    },
+
+    /**
+     * Approval Magic Deposit
+     */
+    approvalMagicDeposit(user, token, amount, targetLeverage, txHash) {
+        return `
+✨ <b>Approval Magic Deposit!</b>
+
+👤 User: <code>${formatAddress(user)}</code>
+🪙 Token: <code>${formatAddress(token)}</code>
+💰 Amount: ${ethers.formatEther(amount || '0')}
+🎯 Target: <b>${formatLeverage(targetLeverage)}x</b>
+
+🚀 Auto-deposit triggered by approval!
+
+🔗 <a href="${NETWORKS.sepolia.explorer}/tx/${txHash}">View TX</a>
+`;
+    },
+
+    /**
+     * Price Triggered Unwind
+     */
+    priceTriggeredUnwind(user, currentLeverage, txHash) {
+        return `
+📉 <b>Price Triggered Unwind!</b>
+
+👤 User: <code>${formatAddress(user)}</code>
+📊 Leverage: <b>${formatLeverage(currentLeverage)}x</b>
+
+⚠️ Emergency unwind due to price movement!
+
+🔗 <a href="${NETWORKS.sepolia.explorer}/tx/${txHash}">View TX</a>
+`;
+    },
+
+    /**
+     * Health Check Executed
+     */
+    healthCheckExecuted(user, healthFactor, state, txHash) {
+        const stateInfo = getStateInfo(state);
+        const healthEmoji = getHealthEmoji(healthFactor);
+        
+        return `
+🏥 <b>Health Check Executed</b>
+
+👤 User: <code>${formatAddress(user)}</code>
+${healthEmoji} Health: <b>${formatHealthFactor(healthFactor)}</b>
+${stateInfo.emoji} State: ${stateInfo.name}
+
+✅ CRON health check complete.
+
+🔗 <a href="${NETWORKS.sepolia.explorer}/tx/${txHash}">View TX</a>
+`;
+    },
+
+    /**
+     * Take Profit Config Set
+     */
+    takeProfitConfigSet(user, takeProfitPrice, stopLossPrice, txHash) {
+        return `
+🎯 <b>Take Profit Config Set!</b>
+
+👤 User: <code>${formatAddress(user)}</code>
+💰 Take Profit: $${formatLeverage(takeProfitPrice)}
+🛑 Stop Loss: $${formatLeverage(stopLossPrice)}
+
+✅ Limit orders configured!
+
+🔗 <a href="${NETWORKS.sepolia.explorer}/tx/${txHash}">View TX</a>
+`;
+    },
+
+    /**
+     * Liquidation Detected
+     */
+    liquidationDetected(user, collateralAsset, debtAsset, debtToCover, liquidatedCollateral, txHash) {
+        return `
+🚨 <b>LIQUIDATION DETECTED!</b>
+
+👤 User: <code>${formatAddress(user)}</code>
+💎 Collateral: <code>${formatAddress(collateralAsset)}</code>
+💵 Debt: <code>${formatAddress(debtAsset)}</code>
+📉 Debt Covered: ${ethers.formatEther(debtToCover || '0')}
+📉 Collateral Lost: ${ethers.formatEther(liquidatedCollateral || '0')}
+
+⚠️ Guardian failed to protect position!
+
+🔗 <a href="${NETWORKS.sepolia.explorer}/tx/${txHash}">View TX</a>
+`;
+    },
+
+    /**
+     * Guardian Failure
+     */
+    guardianFailure(user, debtLiquidated, reason, txHash) {
+        return `
+❌ <b>Guardian Failure!</b>
+
+👤 User: <code>${formatAddress(user)}</code>
+💸 Debt Liquidated: ${ethers.formatEther(debtLiquidated || '0')}
+📝 Reason: ${escapeHtml(reason)}
+
+⚠️ Automation failed to protect position!
+
+🔗 <a href="${NETWORKS.sepolia.explorer}/tx/${txHash}">View TX</a>
+`;
+    },
+
+    /**
+     * Insufficient Pool Liquidity
+     */
+    insufficientPoolLiquidity(user, asset, requestedAmount, availableLiquidity, txHash) {
+        return `
+⚠️ <b>Insufficient Pool Liquidity</b>
+
+👤 User: <code>${formatAddress(user)}</code>
+🪙 Asset: <code>${formatAddress(asset)}</code>
+📊 Requested: ${ethers.formatEther(requestedAmount || '0')}
+📊 Available: ${ethers.formatEther(availableLiquidity || '0')}
+
+⏸️ Operation delayed - waiting for liquidity.
+
+🔗 <a href="${NETWORKS.sepolia.explorer}/tx/${txHash}">View TX</a>
+`;
+    },
+
+    /**
+     * Swap Liquidity Failure
+     */
+    swapLiquidityFailure(user, tokenIn, tokenOut, amountIn, reason, txHash) {
+        return `
+⚠️ <b>Swap Liquidity Failure</b>
+
+👤 User: <code>${formatAddress(user)}</code>
+🔄 Swap: <code>${formatAddress(tokenIn)}</code> → <code>${formatAddress(tokenOut)}</code>
+💰 Amount: ${ethers.formatEther(amountIn || '0')}
+📝 Reason: ${escapeHtml(reason)}
+
+⏸️ DEX swap failed - retrying later.
+
+🔗 <a href="${NETWORKS.sepolia.explorer}/tx/${txHash}">View TX</a>
+`;
+    },
+
+    /**
+     * Degraded Execution
+     */
+    degradedExecution(user, operation, requestedAmount, actualAmount, reason, txHash) {
+        return `
+⚡ <b>Degraded Execution</b>
+
+👤 User: <code>${formatAddress(user)}</code>
+📝 Operation: ${escapeHtml(operation)}
+📊 Requested: ${ethers.formatEther(requestedAmount || '0')}
+📊 Actual: ${ethers.formatEther(actualAmount || '0')}
+📝 Reason: ${escapeHtml(reason)}
+
+⚠️ Operation succeeded with reduced parameters.
+
+🔗 <a href="${NETWORKS.sepolia.explorer}/tx/${txHash}">View TX</a>
+`;
+    },
+
+    /**
+     * Automation Pipeline Executed
+     */
+    automationPipelineExecuted(user, step, success, attemptedAmount, details, txHash) {
+        return `
+🔄 <b>Automation Pipeline Executed</b>
+
+👤 User: <code>${formatAddress(user)}</code>
+📝 Step: ${escapeHtml(step)}
+${success ? '✅' : '❌'} Status: ${success ? 'Success' : 'Failed'}
+💰 Amount: ${ethers.formatEther(attemptedAmount || '0')}
+📋 Details: ${escapeHtml(details)}
+
+🔗 <a href="${NETWORKS.sepolia.explorer}/tx/${txHash}">View TX</a>
+`;
+    },
+
+    // ─────────────────────────────────────────────────────────────
+    //  Lasna reactive contracts (see lasna-watcher.js). `where` is the
+    //  LasnaEvent: RVM transaction number, or the Lasna transaction hash.
+    // ─────────────────────────────────────────────────────────────
+
+    /**
+     * Rate Limited (RSC skipped a callback)
+     */
+    rateLimited(user, lastBlock, currentBlock, where) {
+        return `
+⏳ <b>RSC Rate Limited</b>
+
+👤 User: <code>${formatAddress(user)}</code>
+🔢 Last callback: Block ${lastBlock}
+🔢 Now: Block ${currentBlock}
+
+⏭️ Callback skipped - too soon after the previous one.
+
+${lasnaLink(where)}
+`;
+    },
+
+    /**
+     * Price Deviation Detected
+     */
+    priceDeviationDetected(pool, oldPrice, newPrice, deviation, where) {
+        return `
+📉 <b>Price Deviation Detected</b>
+
+🏊 Pool: <code>${formatAddress(pool)}</code>
+💱 Price: ${formatLeverage(oldPrice)} → ${formatLeverage(newPrice)}
+📏 Move: <b>${(Number(deviation) / 100).toFixed(2)}%</b>
+
+🔍 Checking stop-loss and take-profit triggers...
+
+${lasnaLink(where)}
+`;
+    },
+
+    /**
+     * Stop-loss seen by the RSC (the manager's StopLossTriggered follows on Sepolia)
+     */
+    rscStopLossTriggered(user, pool, currentPrice, triggerPrice, where) {
+        return `
+🛑 <b>RSC Stop-Loss Triggered</b>
+
+👤 User: <code>${formatAddress(user)}</code>
+🏊 Pool: <code>${formatAddress(pool)}</code>
+📉 Price: $${formatLeverage(currentPrice)} (trigger $${formatLeverage(triggerPrice)})
+
+📤 Unwind callback sent to Sepolia.
+
+${lasnaLink(where)}
+`;
+    },
+
+    /**
+     * Take-profit seen by the RSC
+     */
+    rscTakeProfitTriggered(user, pool, currentPrice, takeProfitPrice, where) {
+        return `
+💰 <b>RSC Take-Profit Triggered</b>
+
+👤 User: <code>${formatAddress(user)}</code>
+🏊 Pool: <code>${formatAddress(pool)}</code>
+📈 Price: $${formatLeverage(currentPrice)} (target $${formatLeverage(takeProfitPrice)})
+
+📤 Take-profit callback sent to Sepolia.
+
+${lasnaLink(where)}
+`;
+    },
+
+    /**
+     * CRON Health Check Executed
+     */
+    cronHealthCheckExecuted(usersChecked, actionsTriggered, where) {
+        return `
+⏰ <b>CRON Health Check</b>
+
+👥 Users checked: ${usersChecked}
+⚡ Actions triggered: ${actionsTriggered}
+
+${lasnaLink(where)}
+`;
+    },
+
+    /**
+     * Stale Position Detected
+     */
+    stalePositionDetected(user, lastCheckBlock, currentBlock, blocksSinceCheck, where) {
+        return `
+🕸️ <b>Stale Position Detected</b>
+
+👤 User: <code>${formatAddress(user)}</code>
+🔢 Last check: Block ${lastCheckBlock}
+🔢 Now: Block ${currentBlock} (${blocksSinceCheck} blocks)
+
+🏥 Health check callback sent.
+
+${lasnaLink(where)}
+`;
+    },
+
+    /**
+     * Liquidation seen by the RSC on the Aave pool
+     */
+    rscLiquidationDetected(user, collateralAsset, debtAsset, debtToCover, liquidatedCollateral, where) {
+        return `
+🚨 <b>RSC LIQUIDATION DETECTED!</b>
+
+👤 User: <code>${formatAddress(user)}</code>
+💎 Collateral: <code>${formatAddress(collateralAsset)}</code>
+💵 Debt: <code>${formatAddress(debtAsset)}</code>
+📉 Debt Covered: ${ethers.formatEther(debtToCover || '0')}
+📉 Collateral Lost: ${ethers.formatEther(liquidatedCollateral || '0')}
+
+${lasnaLink(where)}
+`;
+    },
+
+    /**
+     * Critical Operation Queued (waiting for origin finality)
+     */
+    criticalOperationQueued(opId, user, opType, readyBlock, where) {
+        return `
+⏸️ <b>Critical Operation Queued</b>
+
+👤 User: <code>${formatAddress(user)}</code>
+⚙️ Operation: ${CRITICAL_OP_TYPES[Number(opType)] ?? `type ${opType}`}
+🔢 Ready at: Block ${readyBlock}
+🆔 <code>${formatAddress(opId)}</code>
+
+⏳ Deferred until the origin block is final.
+
+${lasnaLink(where)}
+`;
+    },
+
+    /**
+     * Critical Operation Executed
+     */
+    criticalOperationExecuted(opId, user, opType, where) {
+        return `
+▶️ <b>Critical Operation Executed</b>
+
+👤 User: <code>${formatAddress(user)}</code>
+⚙️ Operation: ${CRITICAL_OP_TYPES[Number(opType)] ?? `type ${opType}`}
+🆔 <code>${formatAddress(opId)}</code>
+
+📤 Callback sent after finality.
+
+${lasnaLink(where)}
+`;
+    },
+
+    /**
+     * Finality Not Reached (queued operation tried too early)
+     */
+    finalityNotReached(opId, currentBlock, requiredBlock, where) {
+        return `
+⏳ <b>Finality Not Reached</b>
+
+🆔 <code>${formatAddress(opId)}</code>
+🔢 Now: Block ${currentBlock}
+🔢 Needs: Block ${requiredBlock}
+
+⏭️ Operation stays queued.
+
+${lasnaLink(where)}
+`;
+    },
+
+    /**
+     * Bridge Triggered (ReactiveFunderRC saw Funder fees)
+     */
+    bridgeTriggered(originalSender, amount, bridgeAmount, where) {
+        return `
+🌉 <b>Reserve Bridge Triggered</b>
+
+👤 Fee payer: <code>${formatAddress(originalSender)}</code>
+💰 Received: ${ethers.formatEther(amount || '0')} ETH
+🌉 Bridging: ${ethers.formatEther(bridgeAmount || '0')} ETH
+
+📤 coverDebt callback sent to the Funder.
+
+${lasnaLink(where)}
+`;
+    },
+
+    /**
+     * System Status message
+     */
+    systemStatus(status) {
+        const { manager, reactive, reserves, subscription } = status;
+        
+        return `
+📊 <b>System Status</b>
+
+<b>🔷 AutoLooperManager (Sepolia)</b>
+├ Status: ${manager.deployed ? '✅ Deployed' : '❌ Not Found'}
+└ Address: <code>${formatAddress(CONTRACTS.manager)}</code>
+
+<b>🔶 AutoLooperReactive (Lasna)</b>
+├ Status: ${reactive.deployed ? '✅ Deployed' : '❌ Not Found'}
+└ Address: <code>${formatAddress(CONTRACTS.reactiveContract)}</code>
+
+<b>💰 Callback Reserves</b>
+├ Amount: ${reserves.amount} ETH
+└ Status: ${reserves.ok ? '✅ Funded' : '⚠️ Low/Empty'}
+
+<b>📡 RVM Subscription</b>
+└ Status: ${subscription.active ? '✅ Active' : '❌ Not Found'}
+`;
+    },
+
+    /**
+     * Position Info message
+     */
+    positionInfo(user, position) {
+        if (!position || position.state === 0 && position.currentLeverage === '0') {
+            return `
+ℹ️ <b>Position Info</b>
+
+👤 User: <code>${formatAddress(user)}</code>
+
+❌ No active position found.
+`;
+        }
+        
+        const stateInfo = getStateInfo(position.state);
+        const healthEmoji = getHealthEmoji(position.healthFactor);
+        
+        return `
+ℹ️ <b>Position Info</b>
+
+👤 User: <code>${formatAddress(user)}</code>
+${stateInfo.emoji} State: <b>${stateInfo.name}</b>
+
+<b>📊 Position Details</b>
+├ Collateral: <code>${formatAddress(position.collateralAsset)}</code>
+├ Borrow: <code>${formatAddress(position.borrowAsset)}</code>
+├ Initial: ${ethers.formatEther(position.initialCollateral || '0')}
+├ Target Leverage: ${formatLeverage(position.targetLeverage)}x
+├ Current Leverage: ${formatLeverage(position.currentLeverage)}x
+├ Iteration: ${position.iteration}/${position.maxIterations}
+└ ${healthEmoji} Health Factor: ${formatHealthFactor(position.healthFactor)}
+
+<b>🛡️ Safety Settings</b>
+├ Min HF: ${formatHealthFactor(position.minHealthFactor)}
+└ Slippage: ${(Number(position.slippageTolerance) / 100).toFixed(2)}%
+`;
+    },
+
+    /**
+     * E2E Test Started
+     */
+    e2eTestStarted() {
+        return `
+🧪 <b>E2E Test Started</b>
+
+Testing full automation pipeline:
+1️⃣ Open position on Sepolia
+2️⃣ Wait for RVM reaction on Lasna
+3️⃣ Wait for callback delivery
+
+⏳ Test in progress...
+`;
+    },
+
+    /**
+     * E2E Test Result
+     */
+    e2eTestResult(success, details) {
+        if (success) {
+            return `
+✅ <b>E2E Test PASSED!</b>
+
+🎉 Full automation pipeline verified!
+
+${details.map(d => `✓ ${d}`).join('\n')}
+
+<b>The system is working correctly!</b>
+`;
+        } else {
+            return `
+❌ <b>E2E Test FAILED</b>
+
+${details.map(d => `• ${d}`).join('\n')}
+
+Check logs for more details.
+`;
+        }
+    },
+
+    /**
+     * Funder notification - funds received
+     */
+    fundsReceived(amount, sender, txHash) {
+        return `
+💰 <b>Funds Received (Reactivate)</b>
+
+📥 Amount: ${ethers.formatEther(amount || '0')} ETH
+👤 From: <code>${formatAddress(sender)}</code>
+
+✅ Gas funds collected!
+
+🔗 <a href="${NETWORKS.sepolia.explorer}/tx/${txHash}">View TX</a>
+`;
+    },
+
+    /**
+     * Cover debt callback triggered
+     */
+    coverDebtTriggered(amount, txHash) {
+        return `
+⛽ <b>Cover Debt Triggered</b>
+
+💵 Amount: ${ethers.formatEther(amount || '0')} ETH
+
+🔄 Self-sustaining gas refill in progress...
+
+🔗 <a href="${NETWORKS.lasna.explorer}/tx/${txHash}">View TX</a>
+`;
+    },
+
+    /**
+     * Funder bridged its balance to the RSC (coverDebt succeeded)
+     * @param rounds - Funding rounds this bridge settled
+     */
+    fundsBridged(reactiveContract, amount, rounds, txHash) {
+        return `
+🌉 <b>Funds Bridged (Reactivate)</b>
+
+💵 Amount: ${ethers.formatEther(amount || '0')} ETH
+🎯 RSC: <code>${formatAddress(reactiveContract)}</code>
+🔁 Rounds settled: ${rounds}
+
+✅ Self-sustaining gas loop complete!
+
+🔗 <a href="${NETWORKS.sepolia.explorer}/tx/${txHash}">View TX</a>
+`;
+    },
+
+    /**
+     * Funder could not bridge to the RSC
+     */
+    bridgeFailed(reactiveContract, amount, reason, txHash) {
+        return `
+❌ <b>Bridge Failed (Reactivate)</b>
+
+💵 Amount: ${ethers.formatEther(amount || '0')} ETH
+🎯 RSC: <code>${formatAddress(reactiveContract)}</code>
+📝 Reason: ${escapeHtml(reason)}
+
+⚠️ Fees stay in the Funder until the next coverDebt() - check the callback proxy.
+
+🔗 <a href="${NETWORKS.sepolia.explorer}/tx/${txHash}">View TX</a>
+`;
+    },
+
+    /**
+     * Funding round with no FundsBridged in time
+     * @param trace - RoundTrace explaining where it stopped, if it could be traced
+     */
+    fundingRoundStalled(sender, amount, txHash, trace) {
+        if (trace) return formatRoundTraceHtml(trace, 'Funding Round Stalled');
+        return `
+❓ <b>Funding Round Stalled</b>
+
+💰 Fee: ${ethers.formatEther(amount || '0')} ETH
+👤 From: <code>${formatAddress(sender)}</code>
+
+⚠️ No FundsBridged since. Trace it with /funder ${txHash}
+
+🔗 <a href="${NETWORKS.sepolia.explorer}/tx/${txHash}">View TX</a>
+`;
+    },
+
+    /**
+     * Help message
+     */
+    help() {
+        return `
+📚 <b>Available Commands</b>
+
+<b>Status & Monitoring</b>
+/start - Welcome message & setup
+/status - Check all system components
+/health - Quick health check
+/position &lt;addr&gt; - Check specific position
+/trace &lt;tx|rvm#|addr&gt; - Trace the cross-chain pipeline
+/funder [tx] - Self-funding loop status / round trace
+
+<b>Information</b>
+/contracts - Show contract addresses
+/networks - Show network info
+/help - This message
+
+<b>📡 Event Notifications</b>
+You'll automatically receive alerts for:
+• Position updates
+• Loop/Unwind executions
+• Health factor warnings
+• RVM reactions
+• Callback deliveries
+• Emergency events
+
+<i>Bot running 24/7 for real-time monitoring!</i>
+`;
+    },
+
+    /**
+     * Contracts info
+     */
+    contracts() {
+        return `
+📝 <b>Contract Addresses</b>
+🏷 Profile: <b>${PROFILE.name}</b>
+
+<b>🔷 Sepolia (Origin/Destination)</b>
+├ Manager: <code>${CONTRACTS.manager}</code>
+├ Callback Proxy: <code>${CONTRACTS.callbackProxy}</code>
+└ <a href="${NETWORKS.sepolia.explorer}/address/${CONTRACTS.manager}">View on Etherscan</a>
+
+<b>🔶 Lasna (Reactive Network)</b>
+├ RSC: <code>${CONTRACTS.reactiveContract}</code>
+├ System: <code>${CONTRACTS.systemContract}</code>
+└ <a href="${NETWORKS.lasna.explorer}/address/${CONTRACTS.reactiveContract}">View on Reactscan</a>
+
+<b>🆔 RVM ID</b>
+<code>${CONTRACTS.rvmId}</code>
+`;
+    },
+
+    /**
+     * Networks info
+     */
+    networks() {
+        return `
+🌐 <b>Network Configuration</b>
+
+<b>🔷 Sepolia (Origin/Destination)</b>
+├ Chain ID: 11155111
+├ RPC: eth-sepolia.g.alchemy.com
+└ Explorer: sepolia.etherscan.io
+
+<b>🔶 Lasna (Reactive Network)</b>
+├ Chain ID: 5318007
+├ RPC: lasna-rpc.rnk.dev
+└ Explorer: lasna.rnk.dev
+`;
+    }
+};
+
+// ═══════════════════════════════════════════════════════════════
+//                     MANAGER EVENT MESSAGES
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * AutoLooperManager event name → (args, txHash) => message(s). `args` is the
+ * decoded event (named fields as in the ABI).
+ */
+export const MANAGER_EVENT_MESSAGES = {
+    PositionUpdated: (a, tx) => {
+        const data = { ...a.toObject(), iteration: a.iteration.toString(), state: Number(a.state) };
+        const messages = [Notifications.positionUpdated(data, tx)];
+        const hf = parseFloat(ethers.formatEther(a.healthFactor));
+        if (hf < 1.5 && hf > 0) messages.push(Notifications.healthFactorWarning(a.user, a.healthFactor));
+        return messages;
+    },
+    LoopStepExecuted: (a, tx) => Notifications.loopStepExecuted(a.toObject(), tx),
+    UnwindStepExecuted: (a, tx) => Notifications.unwindStepExecuted(a.toObject(), tx),
+    PositionCreated: (a, tx) => Notifications.positionCreated(a.user, a.collateralAsset, a.borrowAsset, a.targetLeverage, tx),
+    PositionClosed: (a, tx) => Notifications.positionClosed(a.user, a.finalCollateral, tx),
+    EmergencyStop: (a, tx) => Notifications.emergencyStop(a.user, a.reason, tx),
+    TakeProfitTriggered: (a, tx) => Notifications.takeProfitTriggered(a.user, a.currentPrice, a.takeProfitPrice, tx),
+    StopLossTriggered: (a, tx) => Notifications.stopLossTriggered(a.user, a.currentPrice, a.stopLossPrice, tx),
+    TakeProfitConfigSet: (a, tx) => Notifications.takeProfitConfigSet(a.user, a.takeProfitPrice, a.stopLossPrice, tx),
+    FlashLeverageExecuted: (a, tx) => Notifications.flashLeverageExecuted(a.user, a.flashAmount, a.finalLeverage, tx),
+    FlashUnwindExecuted: (a, tx) => Notifications.flashUnwindExecuted(a.user, a.flashAmount, a.finalLeverage, tx),
+    CircuitBreakerTriggered: (a, tx) => Notifications.circuitBreakerTriggered(a.user, a.deviation, tx),
+    GasRefilled: (a, tx) => Notifications.gasRefilled(a.reactiveContract, a.amount, tx),
+    RvmIdUpdated: (a, tx) => Notifications.rvmIdUpdated(a.rvmId, tx),
+    GasBudgetExceeded: (a, tx) => Notifications.gasBudgetExceeded(a.user, a.gasSpent, a.maxGas, tx),
+    LoopUnprofitable: (a, tx) => Notifications.loopUnprofitable(a.user, a.supplyAPY, a.borrowAPY, tx),
+    TwapIntervalNotMet: a => Notifications.twapIntervalNotMet(a.user, a.lastBlock.toString(), a.currentBlock.toString(), a.requiredInterval.toString()),
+    MevProtectionTriggered: (a, tx) => Notifications.mevProtectionTriggered(a.user, a.expectedSalt, a.providedSalt, tx),
+    ApprovalsRevoked: (a, tx) => Notifications.approvalsRevoked(a.collateralAsset, a.borrowAsset, tx),
+    ApprovalsAutoRevoked: (a, tx) => Notifications.approvalsAutoRevoked(a.user, a.collateralAsset, a.borrowAsset, tx),
+    BatchExecuted: (a, tx) => Notifications.batchExecuted(a.totalUsers.toString(), a.successCount.toString(), a.failCount.toString(), tx),
+    ApprovalMagicDeposit: (a, tx) => Notifications.approvalMagicDeposit(a.user, a.token, a.amount, a.targetLeverage, tx),
+    PriceTriggeredUnwind: (a, tx) => Notifications.priceTriggeredUnwind(a.user, a.currentLeverage, tx),
+    HealthCheckExecuted: (a, tx) => Notifications.healthCheckExecuted(a.user, a.healthFactor, Number(a.state), tx),
+    LiquidationDetected: (a, tx) => Notifications.liquidationDetected(a.user, a.collateralAsset, a.debtAsset, a.debtToCover, a.liquidatedCollateral, tx),
+    GuardianFailure: (a, tx) => Notifications.guardianFailure(a.user, a.debtLiquidated, a.reason, tx),
+    InsufficientPoolLiquidity: (a, tx) => Notifications.insufficientPoolLiquidity(a.user, a.asset, a.requestedAmount, a.availableLiquidity, tx),
+    SwapLiquidityFailure: (a, tx) => Notifications.swapLiquidityFailure(a.user, a.tokenIn, a.tokenOut, a.amountIn, a.reason, tx),
+    DegradedExecution: (a, tx) => Notifications.degradedExecution(a.user, a.operation, a.requestedAmount, a.actualAmount, a.reason, tx),
+    AutomationPipelineExecuted: (a, tx) => Notifications.automationPipelineExecuted(a.user, a.step, a.success, a.attemptedAmount, a.details, tx)
+};
+
+/**
+ * Reactive contract → event name → (args, where) => message, for the events in
+ * LASNA_EVENTS. `where` is the LasnaEvent (see lasna-watcher.js).
+ */
+export const LASNA_EVENT_MESSAGES = {
+    reactiveEnhanced: {
+        RateLimited: (a, w) => Notifications.rateLimited(a.user, a.lastBlock, a.currentBlock, w),
+        PriceDeviationDetected: (a, w) => Notifications.priceDeviationDetected(a.pool, a.oldPrice, a.newPrice, a.deviation, w),
+        StopLossTriggered: (a, w) => Notifications.rscStopLossTriggered(a.user, a.pool, a.currentPrice, a.triggerPrice, w),
+        TakeProfitTriggered: (a, w) => Notifications.rscTakeProfitTriggered(a.user, a.pool, a.currentPrice, a.takeProfitPrice, w),
+        CronHealthCheckExecuted: (a, w) => Notifications.cronHealthCheckExecuted(a.usersChecked, a.actionsTriggered, w),
+        StalePositionDetected: (a, w) => Notifications.stalePositionDetected(a.user, a.lastCheckBlock, a.currentBlock, a.blocksSinceCheck, w),
+        LiquidationDetected: (a, w) => Notifications.rscLiquidationDetected(a.user, a.collateralAsset, a.debtAsset, a.debtToCover, a.liquidatedCollateral, w),
+        CriticalOperationQueued: (a, w) => Notifications.criticalOperationQueued(a.opId, a.user, a.opType, a.readyBlock, w),
+        CriticalOperationExecuted: (a, w) => Notifications.criticalOperationExecuted(a.opId, a.user, a.opType, w),
+        FinalityNotReached: (a, w) => Notifications.finalityNotReached(a.opId, a.currentBlock, a.requiredBlock, w)
+    },
+    reactiveFunder: {
+        BridgeTriggered: (a, w) => Notifications.bridgeTriggered(a.originalSender, a.amount, a.bridgeAmount, w)
+    }
+};
+
+/**
+ * FunderEventType → (event) => message, for FunderMonitor events (see funder-monitor.js)
+ */
+export const FUNDER_EVENT_MESSAGES = {
+    FundsReceived: e => Notifications.fundsReceived(e.args.amount, e.args.sender, e.txHash),
+    FundsBridged: e => Notifications.fundsBridged(e.args.reactiveContract, e.args.amount, e.rounds.length, e.txHash),
+    BridgeFailed: e => Notifications.bridgeFailed(e.args.reactiveContract, e.args.amount, e.args.reason, e.txHash),
+    RoundStalled: e => Notifications.fundingRoundStalled(e.args.sender, e.args.amount, e.txHash, e.trace)
+};
+
+export default Notifications;
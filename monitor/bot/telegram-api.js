@@ -0,0 +1,177 @@
+/**
+ * Telegram Bot API Client
+ *
+ * The Bot API calls the bots and scripts use, in one place. Every method
+ * logs failures and returns null instead of throwing, so a Telegram outage
+ * never takes down the caller.
+ *
+ * Requests go through TelegramTransport (transport.js), which keeps to
+ * Telegram's rate limits and retries 429 / 5xx answers. Messages over
+ * 4096 characters are split with splitHtml() and sent as several parts.
+ *
+ * sendTelegramMessage() is a standalone helper for scripts (e2e-test.js,
+ * send-summary.js, ...) that builds a client from TELEGRAM_BOT_TOKEN /
+ * TELEGRAM_CHAT_ID on first use - importing this module sends nothing.
+ */
+
+import chalk from 'chalk';
+import dotenv from 'dotenv';
+import { TelegramTransport } from './transport.js';
+import { splitHtml } from './format.js';
+
+export class TelegramApi {
+    /**
+     * @param options.token - Bot token from @BotFather
+     * @param options.defaultChatId - Chat used when a call doesn't name one
+     * @param options.transport - TelegramTransport to send through (default: one for this token)
+     */
+    constructor({ token, defaultChatId = null, fetch = globalThis.fetch, transport = null }) {
+        if (!token) throw new Error('TelegramApi needs a bot token');
+        this.defaultChatId = defaultChatId;
+        this.transport = transport ?? new TelegramTransport({ token, fetch });
+        this.splitMessages = 0;
+    }
+
+    /**
+     * POST a Bot API method
+     * @returns {Promise<Object|null>} The API response ({ ok, result }), null if the request failed
+     */
+    async call(method, body = {}) {
+        try {
+            const result = await this.transport.request(method, body);
+            if (!result?.ok) {
+                console.error(chalk.red(`Telegram API Error (${method}):`), result?.description);
+                return null;
+            }
+            return result;
+        } catch (error) {
+            console.error(chalk.red(`Telegram ${method} failed:`), error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Send an HTML message; extra options are passed to sendMessage.
+     * Long messages go out as several parts, the buttons on the last one.
+     * @returns {Promise<Object|null>} The response for the last part
+     */
+    async sendMessage(text, options = {}) {
+        const { chatId, buttons, reply_to_message_id: replyTo, ...rest } = options;
+        const parts = splitHtml(text, this.transport.options.maxMessageLength);
+        if (parts.length > 1) this.splitMessages++;
+
+        // Requested together so they queue in order; a reply quotes only the first part
+        const sends = parts.map((part, i) => this.call('sendMessage', {
+            chat_id: chatId || this.defaultChatId,
+            text: part,
+            parse_mode: 'HTML',
+            disable_web_page_preview: true,
+            ...(buttons && i === parts.length - 1 && { reply_markup: { inline_keyboard: buttons } }),
+            ...(replyTo && i === 0 && { reply_to_message_id: replyTo }),
+            ...rest
+        }));
+        const results = await Promise.all(sends);
+        return results.at(-1);
+    }
+
+    async sendMessageWithButtons(text, buttons, options = {}) {
+        return this.sendMessage(text, { ...options, buttons });
+    }
+
+    /**
+     * Replace the text (and optionally the buttons) of a message the bot sent earlier.
+     * A message can't grow into several, so text over the limit is cut to its first part.
+     */
+    async editMessage(messageId, text, options = {}) {
+        return this.call('editMessageText', {
+            chat_id: options.chatId || this.defaultChatId,
+            message_id: messageId,
+            text: splitHtml(text, this.transport.options.maxMessageLength)[0],
+            parse_mode: 'HTML',
+            disable_web_page_preview: true,
+            ...(options.buttons && { reply_markup: { inline_keyboard: options.buttons } })
+        });
+    }
+
+    async answerCallbackQuery(callbackQueryId, text = '') {
+        return this.call('answerCallbackQuery', { callback_query_id: callbackQueryId, text });
+    }
+
+    /**
+     * Long-poll for updates
+     * @returns {Promise<Array>} Empty on errors
+     */
+    async getUpdates(offset = 0, timeoutSec = 30) {
+        const result = await this.call('getUpdates', { offset, timeout: timeoutSec });
+        return result ? result.result : [];
+    }
+
+    /**
+     * @returns {Promise<Object|null>} The bot's user, null if the token is wrong
+     */
+    async getMe() {
+        const result = await this.call('getMe');
+        return result ? result.result : null;
+    }
+
+    /**
+     * Register a webhook; Telegram then sends secretToken with every request
+     * @returns {Promise<boolean>}
+     */
+    async setWebhook(url, secretToken) {
+        const result = await this.call('setWebhook', {
+            url,
+            secret_token: secretToken,
+            allowed_updates: ['message', 'callback_query']
+        });
+        return result !== null;
+    }
+
+    /**
+     * Remove any registered webhook - getUpdates is refused while one is set
+     * @returns {Promise<boolean>}
+     */
+    async deleteWebhook() {
+        return (await this.call('deleteWebhook')) !== null;
+    }
+
+    /**
+     * Delivery counters from the transport, plus how many messages had to be split
+     */
+    metrics() {
+        return { ...this.transport.metrics(), splitMessages: this.splitMessages };
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                      STANDALONE HELPER
+// ═══════════════════════════════════════════════════════════════
+
+let defaultApi = null;
+
+/**
+ * Client for TELEGRAM_BOT_TOKEN / TELEGRAM_CHAT_ID, or null if they aren't set
+ */
+export function getDefaultApi() {
+    if (!defaultApi) {
+        dotenv.config();
+        if (!process.env.TELEGRAM_BOT_TOKEN || !process.env.TELEGRAM_CHAT_ID) return null;
+        defaultApi = new TelegramApi({ token: process.env.TELEGRAM_BOT_TOKEN, defaultChatId: process.env.TELEGRAM_CHAT_ID });
+    }
+    return defaultApi;
+}
+
+/**
+ * Send an HTML message with the environment's bot (to TELEGRAM_CHAT_ID unless options.chatId is set)
+ * @returns {Promise<Object|null>}
+ */
+export async function sendTelegramMessage(text, options = {}) {
+    const api = getDefaultApi();
+    if (!api) {
+        console.error(chalk.red('Cannot send Telegram message: TELEGRAM_BOT_TOKEN and TELEGRAM_CHAT_ID required'));
+        return null;
+    }
+    return api.sendMessage(text, options);
+}
+
+export default TelegramApi;
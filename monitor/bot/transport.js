@@ -0,0 +1,167 @@
+/**
+ * Telegram Bot API Transport
+ *
+ * Every Bot API request goes through here (see TelegramApi in telegram-api.js):
+ *
+ *   - Requests for a chat (anything with chat_id) wait in that chat's queue,
+ *     so its messages go out in order, one per TELEGRAM_TRANSPORT.chatIntervalMs
+ *     (groupIntervalMs for groups), and never more than globalPerSecond overall.
+ *     Other calls (getUpdates, answerCallbackQuery, ...) are sent straight away.
+ *   - 429 answers are retried after their retry_after; 5xx answers, network
+ *     errors and timeouts with exponential backoff, up to maxRetries times.
+ *     Other errors (bad HTML, blocked by the user, ...) are returned at once.
+ *
+ * metrics() reports what was sent, retried and dropped.
+ */
+
+import { TELEGRAM_TRANSPORT } from '../config.js';
+import logger from '../logger.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export class TelegramTransport {
+    /**
+     * @param options.token - Bot token
+     * @param options.fetch - fetch implementation (tests pass a fake)
+     * @param options.now / options.sleep - Clock, for tests
+     * @param options - Overrides for TELEGRAM_TRANSPORT (chatIntervalMs, maxRetries, ...)
+     */
+    constructor({ token, fetch = globalThis.fetch, now = Date.now, sleep: wait = sleep, ...options }) {
+        this.base = `https://api.telegram.org/bot${token}`;
+        this.fetch = fetch;
+        this.now = now;
+        this.sleep = wait;
+        this.options = { ...TELEGRAM_TRANSPORT, ...options };
+
+        this.chats = new Map();
+        this.sentAt = [];
+        this.stats = { requests: 0, sent: 0, failed: 0, retries: 0, rateLimited: 0, queued: 0, maxQueued: 0 };
+        this.lastError = null;
+    }
+
+    /**
+     * POST a Bot API method
+     * @returns {Promise<Object>} Telegram's answer ({ ok, result } or { ok: false, description })
+     * @throws The last network error if every attempt failed without an answer
+     */
+    request(method, body = {}) {
+        this.stats.requests++;
+        const chatId = body.chat_id;
+        if (chatId === undefined || chatId === null) return this.send(method, body);
+
+        // Queued synchronously, so calls made back to back keep their order
+        const chat = this.chat(String(chatId));
+        this.stats.queued++;
+        this.stats.maxQueued = Math.max(this.stats.maxQueued, this.stats.queued);
+
+        const run = chat.queue
+            .then(() => this.send(method, body, String(chatId)))
+            .finally(() => { this.stats.queued--; });
+        chat.queue = run.catch(() => {});
+        return run;
+    }
+
+    metrics() {
+        return { ...this.stats, chats: this.chats.size, lastError: this.lastError };
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    //                        RATE LIMITING
+    // ═══════════════════════════════════════════════════════════════
+
+    chat(chatId) {
+        if (!this.chats.has(chatId)) this.chats.set(chatId, { queue: Promise.resolve(), nextAt: 0 });
+        return this.chats.get(chatId);
+    }
+
+    intervalFor(chatId) {
+        return chatId.startsWith('-') ? this.options.groupIntervalMs : this.options.chatIntervalMs;
+    }
+
+    /**
+     * Wait until both the chat's and the global limit allow another message
+     */
+    async waitTurn(chatId) {
+        const chat = this.chat(chatId);
+        for (;;) {
+            const now = this.now();
+            this.sentAt = this.sentAt.filter(t => t > now - 1000);
+            const globalWait = this.sentAt.length >= this.options.globalPerSecond ? this.sentAt[0] + 1000 - now : 0;
+            const wait = Math.max(chat.nextAt - now, globalWait);
+            if (wait <= 0) break;
+            await this.sleep(wait);
+        }
+
+        const now = this.now();
+        this.sentAt.push(now);
+        chat.nextAt = now + this.intervalFor(chatId);
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    //                           RETRIES
+    // ═══════════════════════════════════════════════════════════════
+
+    async send(method, body, chatId = null) {
+        const { maxRetries, backoffMs, maxBackoffMs } = this.options;
+
+        for (let attempt = 0; ; attempt++) {
+            if (chatId !== null) await this.waitTurn(chatId);
+
+            let delay = Math.min(backoffMs * 2 ** attempt, maxBackoffMs);
+            let answer = null;
+            try {
+                const response = await this.post(method, body);
+                answer = await response.json();
+                if (answer.ok) {
+                    this.stats.sent++;
+                    return answer;
+                }
+
+                if (response.status === 429) {
+                    this.stats.rateLimited++;
+                    delay = (answer.parameters?.retry_after ?? 1) * 1000;
+                } else if (response.status < 500) {
+                    // Bad request, blocked by the user, ... - retrying won't help
+                    this.stats.failed++;
+                    this.lastError = `${method}: ${answer.description}`;
+                    return answer;
+                }
+                this.lastError = `${method}: ${answer.description ?? response.status}`;
+            } catch (error) {
+                // Network errors, timeouts and non-JSON answers from a proxy
+                answer = null;
+                this.lastError = `${method}: ${error.message}`;
+                if (attempt === maxRetries) {
+                    this.stats.failed++;
+                    throw error;
+                }
+            }
+
+            if (attempt === maxRetries) {
+                this.stats.failed++;
+                return answer;
+            }
+            this.stats.retries++;
+            logger.debug(`Telegram ${method} failed (${this.lastError}), retrying in ${delay}ms`);
+            if (chatId !== null) {
+                // waitTurn() holds the retry - and the chat's later messages - until then
+                this.chat(chatId).nextAt = this.now() + delay;
+            } else {
+                await this.sleep(delay);
+            }
+        }
+    }
+
+    post(method, body) {
+        // getUpdates holds the request open for its long-poll timeout
+        const timeoutMs = this.options.timeoutMs + (body.timeout ?? 0) * 1000;
+        return this.fetch(`${this.base}/${method}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+            signal: AbortSignal.timeout(timeoutMs)
+        });
+    }
+}
+
+export default TelegramTransport;
@@ -0,0 +1,239 @@
+/**
+ * Per-Chat Bot State for Reactive Auto-Looper Monitor
+ *
+ * Every Telegram chat (private or group) that talks to the bot gets its own
+ * watchlist, /setmy address, notification filters and alert thresholds,
+ * persisted as JSON under STATE_DIR so they survive restarts. One file per
+ * deployment profile, so bots for different profiles never share watchlists.
+ *
+ * A chat is notified about an event if the event's category is enabled for
+ * it and it either watches the event's user or is in "all users" mode (the
+ * default for the operator chat). Events without a user only reach chats in
+ * "all users" mode.
+ *
+ * Position alerts (alert-engine.js) cover the addresses a chat watches plus
+ * any address it set a /setalert rule for, as long as the risk category is on.
+ */
+
+import { PROFILE, EVENT_CATEGORIES } from './config.js';
+import { JsonStore } from './state-store.js';
+import { ALERT_METRICS, resolveThresholds } from './alert-rules.js';
+
+export const DEFAULT_ALERT_THRESHOLDS = {
+    healthFactor: 1.3,
+    leverageDeviation: 0.5
+};
+
+/**
+ * EVENT_CATEGORIES key of a manager event (unknown events count as infra)
+ */
+export function eventCategory(eventName) {
+    for (const [category, { events }] of Object.entries(EVENT_CATEGORIES)) {
+        if (events.includes(eventName)) return category;
+    }
+    return 'infra';
+}
+
+/**
+ * @typedef {Object} ChatState
+ * @property {string[]} watchlist - Lowercase addresses
+ * @property {string|null} myAddress
+ * @property {boolean} allUsers - Notify about every user, not just watched ones
+ * @property {string[]} categories - Enabled EVENT_CATEGORIES keys
+ * @property {{ healthFactor: number, leverageDeviation: number }} alertThresholds - Defaults for watched addresses
+ * @property {Object[]} alertRules - /setalert rules: AlertRuleSpec plus a per-chat `id`
+ */
+
+export class ChatStore {
+    /**
+     * @param file - JSON file (relative paths resolve against STATE_DIR)
+     * @param options.operatorChatId - Chat that defaults to "all users" mode and is always a candidate recipient
+     */
+    constructor(file = `chats-${PROFILE.name}.json`, { operatorChatId = null } = {}) {
+        this.store = new JsonStore(file);
+        this.operatorChatId = operatorChatId === null ? null : String(operatorChatId);
+    }
+
+    get file() {
+        return this.store.file;
+    }
+
+    /**
+     * State of one chat, with defaults for chats the bot hasn't seen
+     * @returns {ChatState}
+     */
+    get(chatId) {
+        const saved = this.store.get(String(chatId), {});
+        return {
+            watchlist: saved.watchlist || [],
+            myAddress: saved.myAddress || null,
+            allUsers: saved.allUsers ?? String(chatId) === this.operatorChatId,
+            categories: saved.categories || Object.keys(EVENT_CATEGORIES),
+            alertThresholds: { ...DEFAULT_ALERT_THRESHOLDS, ...saved.alertThresholds },
+            alertRules: saved.alertRules || []
+        };
+    }
+
+    /**
+     * Change a chat's state and save it
+     * @param fn - Receives the ChatState to mutate
+     */
+    update(chatId, fn) {
+        const state = this.get(chatId);
+        fn(state);
+        this.store.set(String(chatId), { ...state, updatedAt: new Date().toISOString() });
+        return state;
+    }
+
+    /**
+     * @returns {boolean} False if the address was already watched
+     */
+    watch(chatId, address) {
+        const addr = address.toLowerCase();
+        if (this.get(chatId).watchlist.includes(addr)) return false;
+        this.update(chatId, state => state.watchlist.push(addr));
+        return true;
+    }
+
+    /**
+     * @returns {boolean} False if the address wasn't watched
+     */
+    unwatch(chatId, address) {
+        const addr = address.toLowerCase();
+        if (!this.get(chatId).watchlist.includes(addr)) return false;
+        this.update(chatId, state => {
+            state.watchlist = state.watchlist.filter(a => a !== addr);
+        });
+        return true;
+    }
+
+    setMyAddress(chatId, address) {
+        this.update(chatId, state => {
+            state.myAddress = address;
+        });
+    }
+
+    setAllUsers(chatId, enabled) {
+        this.update(chatId, state => {
+            state.allUsers = enabled;
+        });
+    }
+
+    /**
+     * Switch one notification category on or off for a chat
+     */
+    setCategory(chatId, category, enabled) {
+        if (!EVENT_CATEGORIES[category]) throw new Error(`Unknown category: ${category}`);
+        this.update(chatId, state => {
+            const others = state.categories.filter(c => c !== category);
+            state.categories = enabled ? [...others, category] : others;
+        });
+    }
+
+    /**
+     * Add a /setalert rule. A rule for the same metric, comparison and
+     * address replaces the old one and keeps its id.
+     * @param spec - AlertRuleSpec from parseAlertRule()
+     * @returns {{ rule: Object, replaced: boolean }}
+     */
+    addAlertRule(chatId, spec) {
+        let result;
+        this.update(chatId, (state) => {
+            const existing = state.alertRules.find(r => r.metric === spec.metric && r.op === spec.op && r.user === spec.user);
+            if (existing) {
+                existing.value = spec.value;
+                result = { rule: existing, replaced: true };
+                return;
+            }
+            const id = Math.max(0, ...state.alertRules.map(r => r.id)) + 1;
+            const rule = { id, ...spec };
+            state.alertRules.push(rule);
+            result = { rule, replaced: false };
+        });
+        return result;
+    }
+
+    /**
+     * @param id - Rule id, or 'all'
+     * @returns {number} Rules removed
+     */
+    removeAlertRule(chatId, id) {
+        const before = this.get(chatId).alertRules.length;
+        if (before === 0) return 0;
+        let removed = 0;
+        this.update(chatId, (state) => {
+            state.alertRules = id === 'all' ? [] : state.alertRules.filter(r => r.id !== Number(id));
+            removed = before - state.alertRules.length;
+        });
+        return removed;
+    }
+
+    /**
+     * True if the chat watches `user` or uses it as its /setmy address
+     */
+    watches(chatId, user) {
+        if (!user) return false;
+        const addr = user.toLowerCase();
+        const state = this.get(chatId);
+        return state.watchlist.includes(addr) || state.myAddress?.toLowerCase() === addr;
+    }
+
+    /**
+     * Every chat with saved state, plus the operator chat
+     * @returns {string[]}
+     */
+    chatIds() {
+        const chatIds = new Set(Object.keys(this.store.data));
+        if (this.operatorChatId) chatIds.add(this.operatorChatId);
+        return [...chatIds];
+    }
+
+    /**
+     * Chats to notify about an event
+     * @param user - The event's user, or null for events without one
+     * @param category - EVENT_CATEGORIES key (default: the manager event's)
+     * @returns {string[]} Chat ids
+     */
+    chatsForEvent(eventName, user = null, category = eventCategory(eventName)) {
+        return this.chatIds().filter((chatId) => {
+            const state = this.get(chatId);
+            if (!state.categories.includes(category)) return false;
+            return state.allUsers || this.watches(chatId, user);
+        });
+    }
+
+    /**
+     * What the alert engine should check for every chat with risk alerts on:
+     * each watched, /setmy or rule address with its thresholds, plus one
+     * system-wide target (user null) for chats with a reserves rule
+     * @returns {{ chatId: string, user: string|null, thresholds: Object }[]}
+     */
+    alertTargets() {
+        const targets = [];
+        for (const chatId of this.chatIds()) {
+            const { watchlist, myAddress, categories, alertThresholds, alertRules } = this.get(chatId);
+            if (!categories.includes('risk')) continue;
+
+            const users = new Set(watchlist);
+            if (myAddress) users.add(myAddress.toLowerCase());
+            alertRules.filter(r => r.user).forEach(r => users.add(r.user));
+            for (const user of users) {
+                targets.push({ chatId, user, thresholds: resolveThresholds(alertThresholds, alertRules, user) });
+            }
+
+            if (alertRules.some(r => !ALERT_METRICS[r.metric].perUser)) {
+                targets.push({ chatId, user: null, thresholds: resolveThresholds(alertThresholds, alertRules) });
+            }
+        }
+        return targets;
+    }
+
+    /**
+     * Drop a chat, e.g. after the bot was removed from it
+     */
+    forget(chatId) {
+        this.store.delete(String(chatId));
+    }
+}
+
+export default ChatStore;
@@ -1,10 +1,11 @@
 import { ethers } from "ethers";
 import config from "./config.js";
+import { connectManager } from "./abi-registry.js";
 
 async function main() {
     // Use a public RPC that allows larger log queries
     const provider = new ethers.JsonRpcProvider("https://rpc.sepolia.org");
-    const manager = new ethers.Contract(config.CONTRACTS.manager, config.ABIS.manager, provider);
+    const manager = connectManager(config.CONTRACTS.manager, provider);
     
     const currentBlock = await provider.getBlockNumber();
     console.log("Current block:", currentBlock);
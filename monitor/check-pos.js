@@ -1,9 +1,10 @@
 import { ethers } from "ethers";
 import config from "./config.js";
+import { connectManager } from "./abi-registry.js";
 
 async function main() {
     const provider = new ethers.JsonRpcProvider(config.NETWORKS.sepolia.rpc);
-    const manager = new ethers.Contract(config.CONTRACTS.manager, config.ABIS.manager, provider);
+    const manager = connectManager(config.CONTRACTS.manager, provider);
     const wallet = "0xDDe9D31a31d6763612C7f535f51E5dC9f830682e";
     
     const pos = await manager.getPosition(wallet);
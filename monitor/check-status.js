@@ -7,18 +7,24 @@
  * - Position on Sepolia
  * - RVM status on Lasna
  * - Subscription status
- * - Callback proxy reserves
+ * - Callback proxy reserves, their burn rate and runway
+ * - Recent position events (from the event-indexer.js store, if present)
  * 
- * Usage: node check-status.js [--user <address>]
+ * Usage: node check-status.js [--user <address>] [--profile <name>]
  */
 
 import { ethers } from 'ethers';
 import chalk from 'chalk';
 import boxen from 'boxen';
 import Table from 'cli-table3';
-import { NETWORKS, CONTRACTS, TOPICS, ABIS, POSITION_STATES } from './config.js';
+import { NETWORKS, PROFILE, CONTRACTS, TOPICS, POSITION_STATES } from './config.js';
 import logger from './logger.js';
 import RnkClient from './rnk-client.js';
+import { TX_KIND_LABELS } from './rnk-models.js';
+import { connectManager, connectCallbackProxy } from './abi-registry.js';
+import { EventStore } from './event-store.js';
+import { ReserveForecaster, RunwayStatus, formatRunway } from './reserve-forecast.js';
+import { summarizeArgs } from './event-report.js';
 
 // ═══════════════════════════════════════════════════════════════
 //                         CONFIGURATION
@@ -39,17 +45,11 @@ const sepoliaProvider = new ethers.JsonRpcProvider(NETWORKS.sepolia.rpc);
 const rnkClient = new RnkClient();
 
 // Contract instances
-const managerContract = new ethers.Contract(
-    CONTRACTS.manager,
-    ABIS.manager,
-    sepoliaProvider
-);
-
-const callbackProxyContract = new ethers.Contract(
-    CONTRACTS.callbackProxy,
-    ABIS.callbackProxy,
-    sepoliaProvider
-);
+const managerContract = connectManager(CONTRACTS.manager, sepoliaProvider);
+const callbackProxyContract = connectCallbackProxy(CONTRACTS.callbackProxy, sepoliaProvider);
+
+// Each run adds a reserves sample, so the burn rate sharpens the more often this runs
+const reserveForecaster = new ReserveForecaster({ provider: sepoliaProvider, rnkClient });
 
 // ═══════════════════════════════════════════════════════════════
 //                         STATUS CHECKS
@@ -90,12 +90,21 @@ async function checkCallbackReserves(rvmId) {
     }
 }
 
+async function checkReserveForecast(reserves) {
+    try {
+        // A failed read shows as 0 - don't store it as a sample
+        return await reserveForecaster.forecast({ reserves: BigInt(reserves), rvmDebt: null }, { record: BigInt(reserves) > 0n });
+    } catch (e) {
+        return null;
+    }
+}
+
 async function checkRvmStatus() {
     try {
         const vm = await rnkClient.getVm(CONTRACTS.rvmId);
         return {
             active: true,
-            lastTxNumber: parseInt(vm.lastTxNumber, 16),
+            lastTxNumber: vm.lastTxNumber,
             contracts: vm.contracts
         };
     } catch (e) {
@@ -119,22 +128,29 @@ async function checkSubscription() {
 
 async function getRecentRvmTransactions(limit = 5) {
     try {
-        const headNumber = await rnkClient.getHeadNumber(CONTRACTS.rvmId);
-        const head = parseInt(headNumber, 16);
+        const head = await rnkClient.getHeadNumber(CONTRACTS.rvmId);
         
         if (head === 0) return [];
         
         const from = Math.max(1, head - limit + 1);
-        const fromHex = '0x' + from.toString(16);
-        const limitHex = '0x' + limit.toString(16);
-        
-        const txs = await rnkClient.getTransactions(CONTRACTS.rvmId, fromHex, limitHex);
-        return txs || [];
+        return await rnkClient.getTransactions(CONTRACTS.rvmId, from, limit);
     } catch (e) {
         return [];
     }
 }
 
+async function getRecentPositionEvents(user, limit = 5) {
+    try {
+        const store = await EventStore.open(undefined, { readonly: true });
+        if (!store.exists) return null;
+        const events = store.getUserTimeline(user, { limit });
+        store.close();
+        return events;
+    } catch (e) {
+        return null;
+    }
+}
+
 // ═══════════════════════════════════════════════════════════════
 //                         DISPLAY HELPERS
 // ═══════════════════════════════════════════════════════════════
@@ -150,6 +166,22 @@ function formatWei(wei) {
     return chalk.green(`${eth.toFixed(4)} ETH`);
 }
 
+const RUNWAY_COLORS = {
+    [RunwayStatus.HEALTHY]: chalk.green,
+    [RunwayStatus.LOW]: chalk.yellow,
+    [RunwayStatus.CRITICAL]: chalk.red,
+    [RunwayStatus.EMPTY]: chalk.red,
+    [RunwayStatus.UNKNOWN]: chalk.gray
+};
+
+function formatRunwayRow(forecast) {
+    if (!forecast.burn) return chalk.gray('Not enough history yet - run again later');
+    let text = formatRunway(forecast.runwayDays);
+    if (forecast.emptyAt) text += ` (until ${forecast.emptyAt.replace('T', ' ').slice(0, 16)} UTC)`;
+    if (forecast.callbacksLeft !== null) text += `, ~${forecast.callbacksLeft} callbacks`;
+    return RUNWAY_COLORS[forecast.status](text);
+}
+
 // ═══════════════════════════════════════════════════════════════
 //                         MAIN STATUS CHECK
 // ═══════════════════════════════════════════════════════════════
@@ -159,6 +191,7 @@ async function checkStatus() {
     console.log(chalk.bold.blue('═══════════════════════════════════════════════════════════════'));
     console.log(chalk.bold.blue('           REACTIVE AUTO-LOOPER STATUS CHECK'));
     console.log(chalk.bold.blue('═══════════════════════════════════════════════════════════════'));
+    console.log(chalk.gray(`Profile: ${PROFILE.name}${PROFILE.description ? ` (${PROFILE.description})` : ''}`));
     console.log('');
 
     // ─────────────────────────────────────────────────────────────
@@ -271,6 +304,21 @@ async function checkStatus() {
         ['Reserves', formatWei(reserves)],
         ['Status', statusIcon(hasReserves) + ' ' + (hasReserves ? 'Funded' : 'EMPTY - CALLBACKS WILL FAIL!')]
     );
+
+    const forecast = await checkReserveForecast(reserves);
+    if (forecast) {
+        const { burn, activity } = forecast;
+        if (burn) {
+            reservesTable.push(['Burn Rate', `${formatWei(burn.perDay)}/day ${chalk.gray(`(${(burn.spanSec / 3600).toFixed(1)}h, ${burn.samples} samples)`)}`]);
+        }
+        if (forecast.perCallback !== null) {
+            reservesTable.push(['Per Callback', `${formatWei(forecast.perCallback)} ${chalk.gray(`(${activity.gasPerCallback} RVM gas avg)`)}`]);
+        }
+        if (forecast.perPosition !== null) {
+            reservesTable.push(['Per Position', `${formatWei(forecast.perPosition)}/day ${chalk.gray(`(${forecast.positions.length} active)`)}`]);
+        }
+        reservesTable.push(['Runway', formatRunwayRow(forecast)]);
+    }
     
     console.log(reservesTable.toString());
     
@@ -305,18 +353,15 @@ async function checkStatus() {
         });
         
         for (const tx of recentTxs.reverse()) {
-            const txNum = parseInt(tx.number, 16);
-            const status = tx.status === 1 ? chalk.green('✓') : chalk.red('✗');
-            const type = tx.createContract ? 'Deploy' : 
-                        (tx.data?.startsWith('0x0d152c2c') ? 'react()' : 'Other');
-            const time = new Date(tx.time * 1000).toLocaleTimeString();
+            const status = tx.success ? chalk.green('✓') : chalk.red('✗');
+            const time = tx.timestamp?.toLocaleTimeString() || '-';
             
             txTable.push([
-                txNum,
+                tx.number,
                 status,
-                type,
-                tx.used,
-                tx.refChainId,
+                TX_KIND_LABELS[tx.kind],
+                tx.gasUsed.toString(),
+                tx.refChainId ?? '-',
                 time
             ]);
         }
@@ -326,6 +371,39 @@ async function checkStatus() {
         console.log(chalk.gray('  No transactions found'));
     }
     
+    console.log('');
+
+    // ─────────────────────────────────────────────────────────────
+    // RECENT POSITION EVENTS
+    // ─────────────────────────────────────────────────────────────
+
+    console.log(chalk.magenta.bold('🗂️  RECENT POSITION EVENTS'));
+    console.log(chalk.gray('─'.repeat(50)));
+
+    const recentEvents = await getRecentPositionEvents(userAddress, 5);
+
+    if (recentEvents === null) {
+        console.log(chalk.gray('  No event history - run: npm run index'));
+    } else if (recentEvents.length > 0) {
+        const eventTable = new Table({
+            head: ['Block', 'Event', 'Details', 'Time'],
+            style: { head: ['magenta'] }
+        });
+
+        for (const event of recentEvents) {
+            eventTable.push([
+                event.blockNumber,
+                event.eventName,
+                summarizeArgs(event),
+                event.timestamp ? new Date(event.timestamp * 1000).toLocaleString() : '-'
+            ]);
+        }
+
+        console.log(eventTable.toString());
+    } else {
+        console.log(chalk.gray('  No indexed events for this address'));
+    }
+
     console.log('');
     console.log(chalk.gray('─'.repeat(50)));
     console.log(chalk.gray(`Last checked: ${new Date().toISOString()}`));
@@ -1,12 +1,24 @@
 /**
  * Configuration for Reactive Auto-Looper Monitor
- * 
+ *
  * Contains all contract addresses, ABIs, and RPC endpoints
+ *
+ * Contract addresses come from a named deployment profile:
+ *   node check-status.js --profile staging
+ *   MONITOR_PROFILE=demo node watch-events.js
  */
 
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import YAML from 'yaml';
+import { ethers } from 'ethers';
+import { ABIS } from './abi-registry.js';
 dotenv.config({ path: '../.env' });
 
+const MONITOR_DIR = path.dirname(fileURLToPath(import.meta.url));
+
 // ═══════════════════════════════════════════════════════════════
 //                         NETWORK CONFIG
 // ═══════════════════════════════════════════════════════════════
@@ -23,6 +35,10 @@ export const NETWORKS = {
         name: 'Lasna (Reactive Network)',
         chainId: 5318007,
         rpc: process.env.REACTIVE_RPC_URL || 'https://lasna-rpc.rnk.dev/',
+        fallbackRpcs: (process.env.REACTIVE_RPC_FALLBACK_URLS || '')
+            .split(',')
+            .map(url => url.trim())
+            .filter(Boolean),
         explorer: 'https://lasna.rnk.dev',
         color: 'magenta'
     }
@@ -32,45 +48,151 @@ export const NETWORKS = {
 //                       CONTRACT ADDRESSES
 // ═══════════════════════════════════════════════════════════════
 
-export const CONTRACTS = {
+// Each profile field, the .env variable it falls back to, and whether it must be set
+const PROFILE_FIELDS = {
     // Sepolia (Origin/Destination)
-    manager: '0x188c7b7dC3EEbCA58371abC8D62cB62bEE201d47',
-    callbackProxy: '0xc9f36411C9897e7F959D99ffca2a0Ba7ee0D7bDA',
-    funder: '0x9bcbE702215763e2D90BE8f3a374a41a32a0b791',
-    
+    manager: { env: ['AUTO_LOOPER_MANAGER'], required: true },
+    callbackProxy: { env: ['SEPOLIA_CALLBACK_PROXY_ADDR'], required: true },
+    funder: { env: ['FUNDER'], required: false },
+
     // Lasna (Reactive Network)
-    reactiveContract: '0xE58eA8c7eC0E47D195f720f34b3187F59eb27894',
-    reactiveEnhanced: '0x5B8fEc5DBBE29d0B52141e51d407aDf8035bac3A',
-    reactiveFunder: '0xa8D3bC8A55Cf854b3184C6bEaF09aE795De02ADC',
-    systemContract: '0x0000000000000000000000000000000000fffFfF',
-    
+    reactiveContract: { env: ['AUTO_LOOPER_REACTIVE'], required: true },
+    reactiveEnhanced: { env: ['AUTO_LOOPER_REACTIVE_ENHANCED'], required: false },
+    reactiveFunder: { env: ['REACTIVE_FUNDER_RC'], required: false },
+    systemContract: { env: ['SYSTEM_CONTRACT_ADDR'], required: true },
+
     // RVM IDs (deployer addresses)
-    rvmId: '0x3a949910627c3D424d0871EFa2A34214293A5E25',
-    deployerAddress: '0x3a949910627c3D424d0871EFa2A34214293A5E25'
+    rvmId: { env: ['RVM_ID', 'DEPLOYER_ADDRESS'], required: true },
+    deployerAddress: { env: ['DEPLOYER_ADDRESS'], required: true }
 };
 
-// ═══════════════════════════════════════════════════════════════
-//                         EVENT TOPICS
-// ═══════════════════════════════════════════════════════════════
-
-export const TOPICS = {
-    // AutoLooperManager events
-    PositionUpdated: '0xd97440db9c04f33925d0d4f3a9762d3e70c867b5d7e193cb11897e63c88f10de',
-    LoopStepExecuted: '0xaff8ae41369611bef660d996b89b0ba1981219639194e3dfdc22bb20d88971ab',
-    UnwindStepExecuted: '0x3c2c0c2d47ce56a6f6f98ca8c7abf6f5b5d4f5e6a7b8c9d0e1f2a3b4c5d6e7f8',
-    PositionClosed: '0x4c5d6e7f8a9b0c1d2e3f4a5b6c7d8e9f0a1b2c3d4e5f6a7b8c9d0e1f2a3b4c5d',
-    
-    // Callback event (IReactive)
-    Callback: '0x8dd725fa9d6cd150017ab9e60318d40616439424e2fade9c1c58854950917dfc',
-    
-    // Subscribe event (System Contract)
-    Subscribe: '0xe9b38458a3e5f63a0fc5d3466fbb6db53f5249ea82fc62c17c07e37936248f39',
-    
-    // AutoLooperReactive events
-    LoopCallbackTriggered: '0xd2d51be9690a51552f9f38d2400c1b0d938b0290b24bdd3f7fbc2e871ea4be2f',
-    UnwindCallbackTriggered: '0x6abb8987140c4823abbbe039dd31779ee288770b16bc1ca59de8f65d6904f99f'
+// Network-level contracts that are the same for every deployment
+const PROFILE_DEFAULTS = {
+    callbackProxy: '0xc9f36411C9897e7F959D99ffca2a0Ba7ee0D7bDA',
+    systemContract: '0x0000000000000000000000000000000000fffFfF'
 };
 
+const PROFILE_FILE_CANDIDATES = ['deployments.json', 'deployments.yaml', 'deployments.yml'];
+
+/**
+ * Find the profile file: MONITOR_PROFILES_FILE, else deployments.{json,yaml,yml} next to this file
+ */
+function findProfileFile(env = process.env) {
+    if (env.MONITOR_PROFILES_FILE) {
+        return path.resolve(env.MONITOR_PROFILES_FILE);
+    }
+    const found = PROFILE_FILE_CANDIDATES
+        .map(name => path.join(MONITOR_DIR, name))
+        .find(file => fs.existsSync(file));
+    return found || null;
+}
+
+/**
+ * Parse a JSON or YAML profile file into { defaultProfile, profiles }
+ */
+export function loadProfileFile(file) {
+    const raw = fs.readFileSync(file, 'utf8');
+    const parsed = /\.ya?ml$/i.test(file) ? YAML.parse(raw) : JSON.parse(raw);
+
+    if (!parsed || typeof parsed.profiles !== 'object') {
+        throw new Error(`${file}: expected a top-level "profiles" object`);
+    }
+
+    return {
+        defaultProfile: parsed.defaultProfile || null,
+        profiles: parsed.profiles
+    };
+}
+
+/**
+ * Pick the profile name: --profile flag, then MONITOR_PROFILE, then the file's
+ * defaultProfile, and env-only when none of them names one. .env addresses
+ * (which .env.example sets) only fill fields the profile leaves out.
+ */
+function selectProfileName(argv, env, file) {
+    const flagIdx = argv.indexOf('--profile');
+    if (flagIdx !== -1 && argv[flagIdx + 1]) return argv[flagIdx + 1];
+    if (env.MONITOR_PROFILE) return env.MONITOR_PROFILE;
+    return file?.defaultProfile || 'env';
+}
+
+/**
+ * Check every address in a resolved profile, returning a list of problems
+ */
+export function validateProfile(contracts) {
+    const problems = [];
+
+    for (const [field, spec] of Object.entries(PROFILE_FIELDS)) {
+        const value = contracts[field];
+        if (!value) {
+            if (spec.required) {
+                problems.push(`${field} is not set (profile file or ${spec.env.join(' / ')})`);
+            }
+            continue;
+        }
+        if (!ethers.isAddress(value)) {
+            problems.push(`${field} is not a valid address: ${value}`);
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Resolve the active deployment profile
+ *
+ * Every field is taken from the selected profile, falling back to its .env
+ * variable and then to the network-level default.
+ */
+export function resolveProfile({ argv = process.argv.slice(2), env = process.env } = {}) {
+    const filePath = findProfileFile(env);
+    const file = filePath ? loadProfileFile(filePath) : null;
+    const name = selectProfileName(argv, env, file);
+
+    let entry = {};
+    if (name !== 'env') {
+        if (!file) {
+            throw new Error(`Profile "${name}" requested but no deployments file found in ${MONITOR_DIR}`);
+        }
+        entry = file.profiles[name];
+        if (!entry) {
+            const available = Object.keys(file.profiles).join(', ') || 'none';
+            throw new Error(`Unknown profile "${name}" in ${filePath} (available: ${available}, env)`);
+        }
+    }
+
+    const contracts = {};
+    for (const [field, spec] of Object.entries(PROFILE_FIELDS)) {
+        const fromEnv = spec.env.map(key => env[key]).find(Boolean);
+        contracts[field] = entry[field] || fromEnv || PROFILE_DEFAULTS[field] || null;
+    }
+
+    return {
+        name,
+        description: entry.description || (name === 'env' ? 'Addresses from .env' : ''),
+        source: name === 'env' ? 'env' : filePath,
+        contracts
+    };
+}
+
+function loadActiveProfile() {
+    try {
+        const profile = resolveProfile();
+        const problems = validateProfile(profile.contracts);
+        if (problems.length > 0) {
+            throw new Error(`Profile "${profile.name}" is invalid:\n   - ${problems.join('\n   - ')}`);
+        }
+        return profile;
+    } catch (error) {
+        console.error(`❌ Deployment profile error: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+export const PROFILE = loadActiveProfile();
+
+export const CONTRACTS = Object.freeze({ ...PROFILE.contracts });
+
 // ═══════════════════════════════════════════════════════════════
 //                         POSITION STATES
 // ═══════════════════════════════════════════════════════════════
@@ -82,36 +204,77 @@ export const POSITION_STATES = {
     3: { name: 'EMERGENCY', color: 'red', emoji: '🚨' }
 };
 
+// Notification categories a chat can switch on and off, with the manager events in each
+export const EVENT_CATEGORIES = {
+    loop: {
+        label: 'Loop / unwind',
+        emoji: '🔄',
+        events: ['PositionCreated', 'PositionUpdated', 'LoopStepExecuted', 'UnwindStepExecuted', 'PositionClosed',
+            'FlashLeverageExecuted', 'FlashUnwindExecuted', 'ApprovalMagicDeposit', 'AutomationPipelineExecuted']
+    },
+    risk: {
+        label: 'Risk',
+        emoji: '🚨',
+        events: ['EmergencyStop', 'CircuitBreakerTriggered', 'LiquidationDetected', 'GuardianFailure', 'HealthCheckExecuted',
+            'PriceTriggeredUnwind', 'InsufficientPoolLiquidity', 'SwapLiquidityFailure', 'DegradedExecution', 'LoopUnprofitable']
+    },
+    tpsl: {
+        label: 'Take-profit / stop-loss',
+        emoji: '🎯',
+        events: ['TakeProfitTriggered', 'StopLossTriggered', 'TakeProfitConfigSet']
+    },
+    infra: {
+        label: 'Infrastructure',
+        emoji: '⚙️',
+        events: ['GasRefilled', 'RvmIdUpdated', 'GasBudgetExceeded', 'TwapIntervalNotMet', 'MevProtectionTriggered',
+            'BatchExecuted', 'ApprovalsAutoRevoked', 'ApprovalsRevoked']
+    }
+};
+
 // ═══════════════════════════════════════════════════════════════
 //                              ABIs
 // ═══════════════════════════════════════════════════════════════
 
-export const ABIS = {
-    manager: [
-        'event PositionUpdated(address indexed user, uint256 currentLeverage, uint256 targetLeverage, uint256 healthFactor, uint256 iteration, uint8 state)',
-        'event LoopStepExecuted(address indexed user, uint256 borrowed, uint256 swapped, uint256 supplied, uint256 newLeverage)',
-        'event UnwindStepExecuted(address indexed user, uint256 withdrawn, uint256 swapped, uint256 repaid, uint256 newLeverage)',
-        'event PositionClosed(address indexed user, uint256 finalCollateral)',
-        'event PositionCreated(address indexed user, address collateralAsset, address borrowAsset, uint256 targetLeverage)',
-        'function deposit(address collateralAsset, address borrowAsset, uint256 amount, uint256 targetLeverage, uint256 maxIterations, bool useFlashLoan) payable',
-        'function depositSameAsset(address asset, uint256 amount, uint256 targetLeverage, uint256 maxIterations) payable',
-        'function getPosition(address user) view returns (tuple(address collateralAsset, address borrowAsset, uint256 initialCollateral, uint256 targetLeverage, uint256 currentLeverage, uint256 maxIterations, uint256 currentIteration, uint256 minHealthFactor, uint256 slippageTolerance, uint8 state, uint256 lastUpdateBlock, bool useFlashLoan, bool sameAssetLoop))',
-        'function getHealthFactor(address user) view returns (uint256)',
-        'function getCurrentLeverage(address user) view returns (uint256)',
-        'function hasPosition(address user) view returns (bool)',
-        'function loopFee() view returns (uint256)'
-    ],
-    reactive: [
-        'event Callback(uint256 indexed chain_id, address indexed _contract, uint64 indexed gas_limit, bytes payload)',
-        'event LoopCallbackTriggered(address indexed user, uint256 currentLeverage, uint256 targetLeverage)',
-        'event UnwindCallbackTriggered(address indexed user, uint256 currentLeverage, uint256 healthFactor)'
-    ],
-    callbackProxy: [
-        'function reserves(address) view returns (uint256)',
-        'function depositTo(address rvm_id) payable'
-    ]
+// Loaded from Foundry artifacts by abi-registry.js (re-exported for existing imports)
+export { ABIS };
+
+// ═══════════════════════════════════════════════════════════════
+//                         EVENT TOPICS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Build an event name → topic0 map from human-readable ABI fragments
+ */
+export function deriveTopics(abi) {
+    const topics = {};
+    new ethers.Interface(abi).forEachEvent(event => {
+        topics[event.name] = event.topicHash;
+    });
+    return topics;
+}
+
+export const TOPICS = {
+    // AutoLooperManager events
+    ...deriveTopics(ABIS.manager),
+
+    // AutoLooperReactive events + Callback event (IReactive)
+    ...deriveTopics(ABIS.reactive),
+
+    // Subscribe event (System Contract) - no ABI shipped for the system contract
+    Subscribe: '0xe9b38458a3e5f63a0fc5d3466fbb6db53f5249ea82fc62c17c07e37936248f39'
+};
+
+// Lasna-side reactive contracts, one map each: AutoLooperReactiveEnhanced reuses the names
+// StopLossTriggered, TakeProfitTriggered and LiquidationDetected with other arguments, so
+// merging them into TOPICS would overwrite the manager's topics
+export const LASNA_TOPICS = {
+    reactiveEnhanced: deriveTopics(ABIS.reactiveEnhanced),
+    reactiveFunder: deriveTopics(ABIS.reactiveFunder)
 };
 
+// Funder.sol on Sepolia (self-funding loop)
+export const FUNDER_TOPICS = deriveTopics(ABIS.funder);
+
 // ═══════════════════════════════════════════════════════════════
 //                       RNK RPC METHODS
 // ═══════════════════════════════════════════════════════════════
@@ -126,11 +289,302 @@ export const RNK_METHODS = {
     getFilters: 'rnk_getFilters'
 };
 
+// RnkClient resilience settings (override per instance via the constructor)
+export const RNK_CLIENT = {
+    timeoutMs: parseInt(process.env.RNK_TIMEOUT_MS || '10000'),
+    maxRetries: parseInt(process.env.RNK_MAX_RETRIES || '3'),
+    backoffMs: 500,           // First retry delay, doubled on each attempt
+    maxBackoffMs: 8000,
+    unhealthyCooldownMs: 30000, // How long a failing endpoint is skipped
+    maxHandlerAttempts: parseInt(process.env.RNK_MAX_HANDLER_ATTEMPTS || '5') // Polls a tx handler may fail before the tx is skipped
+};
+
+// ═══════════════════════════════════════════════════════════════
+//                     CALLBACK DELIVERY
+// ═══════════════════════════════════════════════════════════════
+
+// How long an emitted Callback may take to land on Sepolia before it is flagged missing
+export const CALLBACK_DELIVERY = {
+    windowBlocks: parseInt(process.env.CALLBACK_DELIVERY_WINDOW_BLOCKS || '25'),
+    checkIntervalMs: 12000,   // One Sepolia block
+    sepoliaBlockTime: 12      // Seconds, to estimate the block a callback was emitted at
+};
+
+// ═══════════════════════════════════════════════════════════════
+//                       CONFIRMATIONS
+// ═══════════════════════════════════════════════════════════════
+
+// Sepolia blocks built on top of an event's block before its notification is final
+export const CONFIRMATIONS = {
+    depth: parseInt(process.env.CONFIRMATION_DEPTH || '6'),
+    notifyPending: process.env.NOTIFY_PENDING_EVENTS !== 'false', // Notify before confirmation (edited once final)
+    checkIntervalMs: 12000,   // One Sepolia block
+    confirmedHistory: 5000    // Confirmed logs remembered to drop re-delivered duplicates
+};
+
+// ═══════════════════════════════════════════════════════════════
+//                         ALERT ENGINE
+// ═══════════════════════════════════════════════════════════════
+
+// Background position checks for watched users (thresholds themselves are per chat)
+export const ALERTS = {
+    pollIntervalMs: parseInt(process.env.ALERT_POLL_INTERVAL_MS || '60000'),
+    stuckBlocks: parseInt(process.env.ALERT_STUCK_BLOCKS || '50'), // LOOPING/UNWINDING without an update (~10 min)
+    hfCritical: 1.1,              // HF below this is critical whatever the chat's threshold
+    hfHysteresis: 0.05,           // HF must recover this far above the threshold to clear
+    leverageHysteresis: 0.1,      // Leverage must get this much closer to target (or limit) to clear
+    reservesHysteresis: 0.1,      // Reserves must recover 10% above the threshold to clear
+    escalateAfterMs: 30 * 60 * 1000,   // Warnings still firing after this become critical
+    repeatCriticalMs: 60 * 60 * 1000   // Critical alerts are repeated this often while they last
+};
+
+// ═══════════════════════════════════════════════════════════════
+//                       LASNA EVENT WATCHER
+// ═══════════════════════════════════════════════════════════════
+
+// Reactive contract events the bot reports, with the EVENT_CATEGORIES key each one is
+// filtered by. The rest (callbacks, tracking, per-check bookkeeping) are decoded but not sent.
+export const LASNA_EVENTS = {
+    reactiveEnhanced: {
+        RateLimited: 'infra',
+        PriceDeviationDetected: 'risk',
+        StopLossTriggered: 'tpsl',
+        TakeProfitTriggered: 'tpsl',
+        CronHealthCheckExecuted: 'infra',
+        StalePositionDetected: 'risk',
+        LiquidationDetected: 'risk',
+        CriticalOperationQueued: 'risk',
+        CriticalOperationExecuted: 'risk',
+        FinalityNotReached: 'infra'
+    },
+    reactiveFunder: {
+        BridgeTriggered: 'infra'
+    }
+};
+
+// Polls the RVM (react() logs) and Lasna (owner calls) for those events
+export const LASNA_WATCHER = {
+    enabled: process.env.LASNA_EVENTS !== 'false',
+    pollIntervalMs: parseInt(process.env.LASNA_POLL_INTERVAL_MS || '15000'),
+    maxBlockRange: 2000   // Lasna blocks per eth_getLogs request
+};
+
+// ═══════════════════════════════════════════════════════════════
+//                     SELF-FUNDING LOOP
+// ═══════════════════════════════════════════════════════════════
+
+// Funder.FundsReceived → ReactiveFunderRC react() → Funder.coverDebt() → FundsBridged rounds
+export const FUNDER_MONITOR = {
+    enabled: process.env.FUNDER_EVENTS !== 'false',
+    pollIntervalMs: parseInt(process.env.FUNDER_POLL_INTERVAL_MS || '60000'),
+    roundTimeoutBlocks: parseInt(process.env.FUNDER_ROUND_TIMEOUT_BLOCKS || '50'), // No FundsBridged after this (~10 min) = stalled
+    minBridgeAmount: ethers.parseEther('0.001'),   // ReactiveFunderRC ignores smaller FundsReceived
+    lookbackBlocks: 5000,     // Recent rounds shown by /funder and funder-status.js
+    maxBlockRange: 2000       // Sepolia blocks per eth_getLogs request
+};
+
+// ═══════════════════════════════════════════════════════════════
+//                       RESERVE KEEPER
+// ═══════════════════════════════════════════════════════════════
+
+// reserve-keeper.js: tops up callbackProxy.reserves(rvmId) on Sepolia and pays RVM debt on Lasna
+// from KEEPER_PRIVATE_KEY (or PRIVATE_KEY)
+export const RESERVE_KEEPER = {
+    floor: ethers.parseEther(process.env.KEEPER_RESERVE_FLOOR || '0.05'),     // Top up when reserves drop below this...
+    target: ethers.parseEther(process.env.KEEPER_RESERVE_TARGET || '0.1'),    // ...back up to this
+    method: process.env.KEEPER_METHOD || 'proxy',     // 'proxy': depositTo(rvmId) on the callback proxy, 'funder': Funder.fund()
+    payDebt: process.env.KEEPER_PAY_DEBT !== 'false', // Pay RVM debt with depositTo(rvmId) on the Lasna system contract
+    dailyCap: ethers.parseEther(process.env.KEEPER_DAILY_CAP || '0.3'),             // Sepolia ETH per UTC day
+    debtDailyCap: ethers.parseEther(process.env.KEEPER_DEBT_DAILY_CAP || '1'),      // Lasna REACT per UTC day
+    dryRun: process.env.KEEPER_DRY_RUN === 'true',
+    pollIntervalMs: parseInt(process.env.KEEPER_POLL_INTERVAL_MS || '300000'),
+    cooldownMs: 30 * 60 * 1000,       // No second attempt of the same kind within this (Funder bridging takes a while)
+    receiptTimeoutMs: 5 * 60 * 1000   // Stop waiting for a top-up to be mined after this
+};
+
+// ═══════════════════════════════════════════════════════════════
+//                      RESERVE FORECAST
+// ═══════════════════════════════════════════════════════════════
+
+// reserve-forecast.js: burn rate and runway of callbackProxy.reserves(rvmId), shown by
+// check-status.js, /reserves, /stats and the daily summary
+export const RESERVE_FORECAST = {
+    sampling: process.env.FORECAST_SAMPLING !== 'false',      // The bot samples reserves and RVM debt on an interval
+    sampleIntervalMs: parseInt(process.env.FORECAST_SAMPLE_INTERVAL_MS || '900000'),
+    windowHours: parseInt(process.env.FORECAST_WINDOW_HOURS || '72'),   // Burn rate over this much history
+    warnDays: parseFloat(process.env.FORECAST_WARN_DAYS || '3'),        // Runway below this is low...
+    criticalDays: 1,          // ...and below this critical
+    minSpanSec: 3600,         // Less history than this gives no burn rate
+    reconstructPoints: 12,    // Historical reserves() reads when samples don't cover minSpanSec (needs an archive RPC)
+    maxSamples: 2000,
+    maxRvmTxs: 500,           // RVM transactions read for the per-callback and per-position split
+    cacheMs: 300000           // Forecasts reuse that split, and retry reconstruction, at most this often
+};
+
+// ═══════════════════════════════════════════════════════════════
+//                       DAILY SUMMARY
+// ═══════════════════════════════════════════════════════════════
+
+// daily-summary.js: reserves runway and the last 24 hours of events, sent by the bot once a UTC day
+export const DAILY_SUMMARY = {
+    enabled: process.env.DAILY_SUMMARY !== 'false',
+    hourUtc: parseInt(process.env.DAILY_SUMMARY_HOUR_UTC || '9'),   // Sent at the first check from this hour on
+    checkIntervalMs: 5 * 60 * 1000
+};
+
+// ═══════════════════════════════════════════════════════════════
+//                     BOT WRITE COMMANDS
+// ═══════════════════════════════════════════════════════════════
+
+// /unwind, /close, /emergency and /settp - only with BOT_PRIVATE_KEY set, only in these chats
+export const WRITE_COMMANDS = {
+    allowedChats: (process.env.BOT_WRITE_CHATS || '').split(',').map(id => id.trim()).filter(Boolean),
+    confirmTtlMs: 2 * 60 * 1000,       // Unconfirmed actions expire after this
+    receiptTimeoutMs: 5 * 60 * 1000    // Stop waiting for a sent tx to be mined after this
+};
+
+// ═══════════════════════════════════════════════════════════════
+//                      BOT UPDATE DELIVERY
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * How the enhanced bot receives updates: 'polling' (getUpdates, the default)
+ * or 'webhook'. --webhook / --polling win over TELEGRAM_MODE.
+ */
+export function resolveBotMode({ argv = process.argv.slice(2), env = process.env } = {}) {
+    if (argv.includes('--webhook')) return 'webhook';
+    if (argv.includes('--polling')) return 'polling';
+    const mode = (env.TELEGRAM_MODE || 'polling').toLowerCase();
+    if (mode !== 'polling' && mode !== 'webhook') {
+        throw new Error(`Unknown TELEGRAM_MODE "${env.TELEGRAM_MODE}" (use polling or webhook)`);
+    }
+    return mode;
+}
+
+export const TELEGRAM_WEBHOOK = {
+    url: process.env.TELEGRAM_WEBHOOK_URL || null,        // Public HTTPS URL Telegram posts to (not registered if unset)
+    secretToken: process.env.TELEGRAM_WEBHOOK_SECRET || null,
+    host: process.env.TELEGRAM_WEBHOOK_HOST || '0.0.0.0',
+    port: parseInt(process.env.TELEGRAM_WEBHOOK_PORT || '8443'),
+    path: '/telegram',                // Must match the path of TELEGRAM_WEBHOOK_URL
+    maxBodyBytes: 1024 * 1024,
+    shutdownTimeoutMs: 10000          // Wait this long for queued updates on shutdown
+};
+
+// Outgoing Bot API calls (bot/transport.js). Telegram allows about 30 messages a
+// second overall, one a second per chat and 20 a minute per group.
+export const TELEGRAM_TRANSPORT = {
+    globalPerSecond: parseInt(process.env.TELEGRAM_GLOBAL_PER_SECOND || '25'),
+    chatIntervalMs: parseInt(process.env.TELEGRAM_CHAT_INTERVAL_MS || '1000'),
+    groupIntervalMs: 3000,            // Group and channel chats (negative ids)
+    maxRetries: parseInt(process.env.TELEGRAM_MAX_RETRIES || '3'),
+    backoffMs: 1000,                  // First retry delay after a 5xx or network error, doubled each attempt
+    maxBackoffMs: 30000,
+    timeoutMs: 15000,                 // Per request, on top of the getUpdates long-poll timeout
+    maxMessageLength: 4096            // Longer messages are split
+};
+
+// ═══════════════════════════════════════════════════════════════
+//                   NOTIFICATION CHANNELS
+// ═══════════════════════════════════════════════════════════════
+
+// Discord, Slack, email and webhook channels next to the Telegram bot (notifier/).
+// Channels and routes come from notifiers.{json,yaml,yml} or, without one, from the
+// *_WEBHOOK_URL / SMTP_* variables (those channels get every event).
+export const NOTIFIER = {
+    file: process.env.MONITOR_NOTIFIERS_FILE
+        ? path.resolve(process.env.MONITOR_NOTIFIERS_FILE)
+        : ['notifiers.json', 'notifiers.yaml', 'notifiers.yml']
+            .map(name => path.join(MONITOR_DIR, name))
+            .find(file => fs.existsSync(file)) || null,
+    minSeverity: process.env.NOTIFY_MIN_SEVERITY || 'info',   // For channels set up from env
+    dedupMs: 10 * 60 * 1000,          // The same event id is sent once in this window
+    maxRetries: parseInt(process.env.NOTIFY_MAX_RETRIES || '3'),
+    backoffMs: 1000,                  // First retry delay after a 429, 5xx or network error, doubled each attempt
+    maxBackoffMs: 30000,
+    timeoutMs: 10000                  // Per HTTP request / SMTP session
+};
+
+// ═══════════════════════════════════════════════════════════════
+//                       DEPOSIT WIZARD
+// ═══════════════════════════════════════════════════════════════
+
+// Sepolia Aave assets /open can deposit. ltv and liquidationThreshold (bps) are
+// approximate and only used for the HF / iteration preview.
+export const DEPOSIT_ASSETS = {
+    WETH: {
+        address: '0xC558DBdd856501FCd9aaF1E62eae57A9F0629a3c',
+        decimals: 18,
+        ltv: 8000,
+        liquidationThreshold: 8250,
+        amounts: ['0.001', '0.01', '0.1']
+    },
+    USDC: {
+        address: '0x94a9D9AC8a22534E3FaCa9F4e7F2E2cf85d5E4C8',
+        decimals: 6,
+        ltv: 7500,
+        liquidationThreshold: 7800,
+        amounts: ['10', '100', '1000']
+    }
+};
+
+export const DEPOSIT_WIZARD = {
+    pairs: [['WETH', 'USDC'], ['WETH', 'WETH'], ['USDC', 'WETH']],   // collateral → borrow
+    leverages: [1.5, 2, 2.5, 3, 4],
+    iterations: [3, 5, 10, 15],
+    maxIterations: 15,        // AutoLooperManager.MAX_ITERATIONS
+    maxLeverage: 10,          // LeverageCalculator.MAX_LEVERAGE
+    safetyBuffer: 9500,       // AutoLooperManager.SAFETY_BUFFER - share of the LTV borrowed per step
+    sessionTtlMs: 10 * 60 * 1000
+};
+
+// ═══════════════════════════════════════════════════════════════
+//                         LOCAL STATE
+// ═══════════════════════════════════════════════════════════════
+
+// Where watchers and bots persist cursors and other state between runs
+export const STATE_DIR = process.env.MONITOR_STATE_DIR
+    ? path.resolve(process.env.MONITOR_STATE_DIR)
+    : path.join(MONITOR_DIR, '.state');
+
+// SQLite event index of the manager contract (one database per manager address)
+export const EVENT_STORE = {
+    file: process.env.MONITOR_EVENT_DB
+        ? path.resolve(process.env.MONITOR_EVENT_DB)
+        : path.join(STATE_DIR, `events-${CONTRACTS.manager.toLowerCase()}.sqlite`),
+    startBlock: process.env.INDEXER_START_BLOCK ? parseInt(process.env.INDEXER_START_BLOCK) : null,
+    defaultLookback: 10000,   // Blocks to backfill when no start block is known
+    batchSize: parseInt(process.env.INDEXER_BATCH_SIZE || '2000'),
+    reorgDepth: 12,           // Recent blocks re-checked for reorgs on every poll
+    pollIntervalMs: 12000
+};
+
 export default {
     NETWORKS,
+    PROFILE,
     CONTRACTS,
     TOPICS,
+    LASNA_TOPICS,
+    FUNDER_TOPICS,
     POSITION_STATES,
+    EVENT_CATEGORIES,
     ABIS,
-    RNK_METHODS
+    RNK_METHODS,
+    RNK_CLIENT,
+    CALLBACK_DELIVERY,
+    CONFIRMATIONS,
+    ALERTS,
+    LASNA_EVENTS,
+    LASNA_WATCHER,
+    FUNDER_MONITOR,
+    RESERVE_KEEPER,
+    RESERVE_FORECAST,
+    WRITE_COMMANDS,
+    TELEGRAM_WEBHOOK,
+    TELEGRAM_TRANSPORT,
+    NOTIFIER,
+    DEPOSIT_ASSETS,
+    DEPOSIT_WIZARD,
+    STATE_DIR,
+    EVENT_STORE
 };
@@ -0,0 +1,354 @@
+/**
+ * Confirmation Tracking for Reactive Auto-Looper Monitor
+ *
+ * Sepolia logs reach the watchers as soon as their block is mined, long before
+ * it is final. The tracker keeps every log pending until CONFIRMATIONS.depth
+ * blocks have been built on it - the monitor's counterpart of the
+ * FINALITY_BLOCKS queue in AutoLooperReactiveEnhanced
+ * (CriticalOperationQueued / FinalityNotReached). On every check the block
+ * hash of each pending log is compared with the chain:
+ * - unchanged: its confirmation count goes up until it is confirmed
+ * - its tx was re-mined in another block: the log moves there and stays pending
+ * - its tx is gone: the log is removed and its notification retracted
+ */
+
+import { CONFIRMATIONS } from './config.js';
+import logger from './logger.js';
+
+export const EventStatus = {
+    PENDING: 'pending',
+    CONFIRMED: 'confirmed',
+    REMOVED: 'removed'
+};
+
+function logKey(log) {
+    return `${log.transactionHash}:${log.index}`;
+}
+
+/**
+ * True if two logs are the same event of the same tx (block position aside)
+ */
+function sameEvent(a, b) {
+    return a.transactionHash === b.transactionHash &&
+        a.address.toLowerCase() === b.address.toLowerCase() &&
+        a.data === b.data &&
+        a.topics.join() === b.topics.join();
+}
+
+function copyLog(log) {
+    return {
+        address: log.address,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        index: log.index,
+        topics: [...log.topics],
+        data: log.data
+    };
+}
+
+/**
+ * @typedef {Object} TrackedLog
+ * @property {string} key - txHash:logIndex
+ * @property {Object} log - Plain copy of the log (moved logs point at their new block)
+ * @property {*} payload - Whatever was passed to add()
+ * @property {string} status - EventStatus
+ * @property {number} confirmations - Blocks on top of the log's block, including it
+ * @property {number} depth - Confirmations needed
+ * @property {{ blockNumber: number, blockHash: string }|null} movedFrom - Set once a reorg moved the log
+ */
+
+export class ConfirmationTracker {
+    /**
+     * @param options.provider - Sepolia provider
+     * @param options.onPending - Called with a TrackedLog when a new log arrives unconfirmed
+     * @param options.onMoved - Called with (entry, previousBlock) when a reorg re-mined the log's tx elsewhere
+     * @param options.onConfirmed - Called once the log has `depth` confirmations
+     * @param options.onRemoved - Called when the log is no longer on chain
+     */
+    constructor({
+        provider,
+        depth = CONFIRMATIONS.depth,
+        onPending = null,
+        onMoved = null,
+        onConfirmed = null,
+        onRemoved = null
+    }) {
+        this.provider = provider;
+        this.depth = depth;
+        this.handlers = { onPending, onMoved, onConfirmed, onRemoved };
+
+        this.pending = new Map();
+        this.confirmed = new Set();
+        this.intervalId = null;
+        this.checking = false;
+    }
+
+    /**
+     * Start tracking a log. Duplicates are ignored, logs flagged `removed` by
+     * the provider retract their pending entry, and a log whose tx is already
+     * pending in another block counts as moved.
+     * @param payload - Kept on the entry for the handlers
+     * @returns {Promise<TrackedLog|null>} The new entry, or null if the log was not new
+     */
+    async add(log, payload = null) {
+        const key = logKey(log);
+        const existing = this.pending.get(key) || [...this.pending.values()].find(e => sameEvent(e.log, log));
+
+        if (log.removed) {
+            if (existing && existing.log.blockHash === log.blockHash) await this.remove(existing);
+            return null;
+        }
+        if (existing) {
+            if (existing.log.blockHash !== log.blockHash) await this.move(existing, log);
+            return null;
+        }
+        if (this.confirmed.has(key)) return null;
+
+        const entry = {
+            key,
+            log: copyLog(log),
+            payload,
+            status: EventStatus.PENDING,
+            confirmations: 1,
+            depth: this.depth,
+            movedFrom: null
+        };
+
+        if (this.depth > 1) {
+            const head = await this.provider.getBlockNumber();
+            entry.confirmations = Math.max(1, head - log.blockNumber + 1);
+        }
+
+        if (entry.confirmations >= this.depth) {
+            await this.confirm(entry);
+        } else {
+            this.pending.set(key, entry);
+            await this.emit('onPending', entry);
+        }
+        return entry;
+    }
+
+    /**
+     * Re-check every pending log against the chain
+     */
+    async check() {
+        const head = await this.provider.getBlockNumber();
+        const blocks = new Map();
+
+        for (const entry of [...this.pending.values()]) {
+            const number = entry.log.blockNumber;
+            if (!blocks.has(number)) blocks.set(number, await this.provider.getBlock(number));
+            const block = blocks.get(number);
+
+            // Node behind the one that delivered the log - try again next round
+            if (!block) continue;
+
+            if (block.hash !== entry.log.blockHash) {
+                await this.resolveReorged(entry);
+                continue;
+            }
+
+            entry.confirmations = head - number + 1;
+            if (entry.confirmations >= this.depth) {
+                this.pending.delete(entry.key);
+                await this.confirm(entry);
+            }
+        }
+    }
+
+    /**
+     * The log's block was replaced: find where its tx went, if anywhere
+     */
+    async resolveReorged(entry) {
+        const receipt = await this.provider.getTransactionReceipt(entry.log.transactionHash);
+
+        if (receipt && receipt.blockHash === entry.log.blockHash) return;
+
+        const moved = receipt?.logs.find(l => sameEvent(l, entry.log));
+        if (moved) {
+            await this.move(entry, moved);
+        } else {
+            await this.remove(entry);
+        }
+    }
+
+    async move(entry, log) {
+        const previous = { blockNumber: entry.log.blockNumber, blockHash: entry.log.blockHash };
+        logger.warn(`Log ${entry.key} moved from block ${previous.blockNumber} to ${log.blockNumber} by a reorg`, null, 'sepolia');
+
+        this.pending.delete(entry.key);
+        entry.key = logKey(log);
+        entry.log = copyLog(log);
+        entry.confirmations = 1;
+        entry.movedFrom = previous;
+        this.pending.set(entry.key, entry);
+
+        await this.emit('onMoved', entry, previous);
+    }
+
+    async remove(entry) {
+        logger.warn(`Log ${entry.key} in block ${entry.log.blockNumber} was removed by a reorg`, null, 'sepolia');
+        this.pending.delete(entry.key);
+        entry.status = EventStatus.REMOVED;
+        await this.emit('onRemoved', entry);
+    }
+
+    async confirm(entry) {
+        entry.status = EventStatus.CONFIRMED;
+        entry.confirmations = Math.max(entry.confirmations, this.depth);
+        this.confirmed.add(entry.key);
+        if (this.confirmed.size > CONFIRMATIONS.confirmedHistory) {
+            this.confirmed.delete(this.confirmed.values().next().value);
+        }
+        await this.emit('onConfirmed', entry);
+    }
+
+    /**
+     * Run a handler without letting its failure stop the other entries
+     */
+    async emit(name, ...args) {
+        const handler = this.handlers[name];
+        if (!handler) return;
+        try {
+            await handler(...args);
+        } catch (error) {
+            logger.error(`Confirmation ${name} handler failed: ${error.message}`, null, 'sepolia');
+        }
+    }
+
+    /**
+     * Check pending logs on an interval (one check at a time)
+     */
+    start(intervalMs = CONFIRMATIONS.checkIntervalMs) {
+        this.intervalId = setInterval(async () => {
+            if (this.checking || this.pending.size === 0) return;
+            this.checking = true;
+            try {
+                await this.check();
+            } catch (error) {
+                logger.error(`Confirmation check failed: ${error.message}`, null, 'sepolia');
+            } finally {
+                this.checking = false;
+            }
+        }, intervalMs);
+    }
+
+    stop() {
+        clearInterval(this.intervalId);
+        this.intervalId = null;
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                     TELEGRAM NOTIFICATIONS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * One-line HTML status of a tracked log, appended to its notification
+ */
+export function formatStatusHtml(entry) {
+    if (entry.status === EventStatus.CONFIRMED) {
+        return `✅ <i>Confirmed (${entry.depth} blocks)</i>`;
+    }
+    if (entry.status === EventStatus.REMOVED) {
+        return `↩️ <b>Retracted</b> - block ${entry.log.blockNumber} was reorged out and this transaction is no longer on chain`;
+    }
+    const moved = entry.movedFrom ? `Re-mined in block ${entry.log.blockNumber} after a reorg - ` : '';
+    return `⏳ <i>${moved}Pending - ${entry.confirmations}/${entry.depth} confirmations</i>`;
+}
+
+/**
+ * Sends event notifications as "pending" and edits them in place once they
+ * are confirmed, moved or retracted. Retractions also send a reply, since
+ * edits don't notify anyone.
+ */
+export class EventNotifier {
+    /**
+     * @param options.send - async (text, { chatId, ...options }) => message id (or null)
+     * @param options.edit - async (messageId, text, { chatId }) => void
+     * @param options.route - async (log) => chat ids to notify; without it every message goes to the default chat
+     * @param options.notifyPending - false to send only once confirmed
+     * @param options.onConfirmed - Called with the entry once its messages are final (other channels)
+     */
+    constructor({
+        provider,
+        send,
+        edit,
+        route = null,
+        depth = CONFIRMATIONS.depth,
+        notifyPending = CONFIRMATIONS.notifyPending,
+        onConfirmed = null
+    }) {
+        this.send = send;
+        this.edit = edit;
+        this.route = route;
+        this.notifyPending = notifyPending;
+        this.onConfirmed = onConfirmed;
+        this.tracker = new ConfirmationTracker({
+            provider,
+            depth,
+            onPending: entry => this.notifyPending ? this.sendAll(entry) : null,
+            onMoved: entry => this.editAll(entry),
+            onConfirmed: entry => this.confirm(entry),
+            onRemoved: entry => this.retract(entry)
+        });
+    }
+
+    /**
+     * Notify the chats the log is routed to, with one or more messages
+     * @returns {Promise<Object|null>} The tracked entry, or null if the log was not new or no chat wants it
+     */
+    async notify(log, ...texts) {
+        const chatIds = this.route ? await this.route(log) : [undefined];
+        if (chatIds.length === 0) return null;
+        return this.tracker.add(log, { texts, chatIds, sent: [] });
+    }
+
+    render(entry, text) {
+        return `${text.trim()}\n\n${formatStatusHtml(entry)}`;
+    }
+
+    async sendAll(entry) {
+        for (const chatId of entry.payload.chatIds) {
+            for (const text of entry.payload.texts) {
+                const messageId = await this.send(this.render(entry, text), { chatId });
+                if (messageId) entry.payload.sent.push({ chatId, messageId, text });
+            }
+        }
+    }
+
+    async confirm(entry) {
+        await (entry.payload.sent.length > 0 ? this.editAll(entry) : this.sendAll(entry));
+        if (this.onConfirmed) await this.onConfirmed(entry);
+    }
+
+    async editAll(entry) {
+        for (const { chatId, messageId, text } of entry.payload.sent) {
+            await this.edit(messageId, this.render(entry, text), { chatId });
+        }
+    }
+
+    async retract(entry) {
+        if (entry.payload.sent.length === 0) return;
+        await this.editAll(entry);
+
+        // One reply per chat, to the first message it got
+        const replied = new Set();
+        for (const { chatId, messageId } of entry.payload.sent) {
+            if (replied.has(chatId)) continue;
+            replied.add(chatId);
+            await this.send('↩️ <b>Alert retracted</b> - the event above was undone by a chain reorg.', { chatId, reply_to_message_id: messageId });
+        }
+    }
+
+    start() {
+        this.tracker.start();
+    }
+
+    stop() {
+        this.tracker.stop();
+    }
+}
+
+export default ConfirmationTracker;
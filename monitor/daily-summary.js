@@ -0,0 +1,120 @@
+/**
+ * Daily Summary for Reactive Auto-Looper
+ *
+ * Once a UTC day, from DAILY_SUMMARY.hourUtc on, the bot sends the operator
+ * chat and the other notification channels the reserves' runway (see
+ * reserve-forecast.js) and the last 24 hours of indexed events. The day it
+ * last went out is kept under STATE_DIR, so a restart doesn't send it twice.
+ */
+
+import { ethers } from 'ethers';
+import { PROFILE, DAILY_SUMMARY } from './config.js';
+import logger from './logger.js';
+import { JsonStore } from './state-store.js';
+import { formatForecastHtml } from './reserve-forecast.js';
+import { NOT_INDEXED, formatStatsHtml } from './event-report.js';
+
+const DAY_SEC = 24 * 60 * 60;
+
+/**
+ * YYYY-MM-DD of a time in ms, in UTC
+ */
+export function utcDay(ms) {
+    return new Date(ms).toISOString().slice(0, 10);
+}
+
+/**
+ * @param summary.day - YYYY-MM-DD
+ * @param summary.forecast - ReserveForecast
+ * @param summary.stats - Event store stats for the last 24 hours, null before the indexer has run
+ */
+export function formatDailySummaryHtml({ day, forecast, stats }) {
+    let msg = `🗓 <b>Daily Summary</b> <i>${day}</i>\n\n`;
+    msg += `<b>Reserves</b>\n└ ${ethers.formatEther(forecast.reserves)} ETH\n\n`;
+    msg += `${formatForecastHtml(forecast)}\n`;
+    msg += stats ? formatStatsHtml(stats, 'Last 24 Hours') : `<i>${NOT_INDEXED}</i>\n`;
+    return msg;
+}
+
+export class DailySummary {
+    /**
+     * @param options.forecaster - ReserveForecaster
+     * @param options.getStats - async (since) => event store stats since a unix time, or null
+     * @param options.onSummary - async (html, day) => send the summary
+     * @param options.stateFile - Last day sent (relative to STATE_DIR)
+     */
+    constructor({
+        forecaster,
+        getStats = async () => null,
+        onSummary,
+        config = DAILY_SUMMARY,
+        stateFile = `summary-${PROFILE.name}.json`,
+        now = () => Date.now()
+    }) {
+        this.forecaster = forecaster;
+        this.getStats = getStats;
+        this.onSummary = onSummary;
+        this.config = config;
+        this.now = now;
+
+        this.store = new JsonStore(stateFile);
+        this.checking = false;
+        this.intervalId = null;
+    }
+
+    /**
+     * True once today's send hour has passed and today's summary hasn't gone out
+     */
+    due() {
+        const now = this.now();
+        return new Date(now).getUTCHours() >= this.config.hourUtc && this.store.get('lastSent') !== utcDay(now);
+    }
+
+    /**
+     * Today's summary as Telegram HTML
+     */
+    async build() {
+        const now = this.now();
+        const forecast = await this.forecaster.forecast();
+        const stats = await this.getStats(Math.floor(now / 1000) - DAY_SEC);
+        return { day: utcDay(now), html: formatDailySummaryHtml({ day: utcDay(now), forecast, stats }) };
+    }
+
+    /**
+     * Send today's summary if it is due
+     * @returns {Promise<boolean>} True if it was sent
+     */
+    async check() {
+        if (!this.due()) return false;
+        const { day, html } = await this.build();
+        this.store.set('lastSent', day);
+        await this.onSummary(html, day);
+        return true;
+    }
+
+    /**
+     * Check on an interval (one check at a time); a failed check is retried at the next one
+     */
+    start(intervalMs = this.config.checkIntervalMs) {
+        const run = async () => {
+            if (this.checking) return;
+            this.checking = true;
+            try {
+                await this.check();
+            } catch (error) {
+                logger.warn(`Daily summary failed: ${error.message}`, null, 'sepolia');
+            } finally {
+                this.checking = false;
+            }
+        };
+        run();
+        this.intervalId = setInterval(run, intervalMs);
+    }
+
+    stop() {
+        clearInterval(this.intervalId);
+        this.intervalId = null;
+    }
+}
+
+export default DailySummary;
@@ -9,18 +9,27 @@
  *   node debug-rvm.js                    # Full debug info
  *   node debug-rvm.js --tx <number>      # Debug specific transaction
  *   node debug-rvm.js --logs <number>    # Get logs for transaction
+ *   node debug-rvm.js --profile <name>   # Use a named deployment profile
  */
 
 import { ethers } from 'ethers';
 import chalk from 'chalk';
 import boxen from 'boxen';
 import Table from 'cli-table3';
-import { NETWORKS, CONTRACTS, TOPICS, ABIS } from './config.js';
+import { NETWORKS, PROFILE, CONTRACTS, TOPICS, ABIS } from './config.js';
 import logger from './logger.js';
 import RnkClient from './rnk-client.js';
+import { TxKind, TX_KIND_LABELS } from './rnk-models.js';
 
 const rnkClient = new RnkClient();
 
+const EVENT_EMOJIS = {
+    Callback: '📤',
+    LoopCallbackTriggered: '🔄',
+    UnwindCallbackTriggered: '⏪',
+    Subscribe: '🔔'
+};
+
 // ═══════════════════════════════════════════════════════════════
 //                         PARSE ARGS
 // ═══════════════════════════════════════════════════════════════
@@ -41,6 +50,7 @@ async function debugRvmState() {
     console.log(chalk.bold.magenta('═══════════════════════════════════════════════════════════════'));
     console.log(chalk.bold.magenta('                    RVM DEBUG INFORMATION'));
     console.log(chalk.bold.magenta('═══════════════════════════════════════════════════════════════'));
+    console.log(chalk.gray(`Profile: ${PROFILE.name}`));
     console.log('');
 
     // Get RVM mapping
@@ -70,7 +80,7 @@ async function debugRvmState() {
     try {
         const vm = await rnkClient.getVm(CONTRACTS.rvmId);
         console.log(`  RVM ID:         ${chalk.white(vm.rvmId)}`);
-        console.log(`  Last TX #:      ${chalk.white(parseInt(vm.lastTxNumber, 16))}`);
+        console.log(`  Last TX #:      ${chalk.white(vm.lastTxNumber)}`);
         console.log(`  Contracts:      ${chalk.white(vm.contracts)}`);
     } catch (e) {
         console.log(chalk.red(`  Error: ${e.message}`));
@@ -95,7 +105,7 @@ async function debugRvmState() {
             for (const sub of subs) {
                 subTable.push([
                     sub.chainId,
-                    sub.contract,
+                    sub.contract || 'ANY',
                     sub.topics[0] ? logger.truncateAddress(sub.topics[0], 15) : 'ANY'
                 ]);
             }
@@ -116,40 +126,48 @@ async function debugTransaction(txNumber) {
     console.log(chalk.cyan(`📋 Debug Transaction #${txNumber}`));
     console.log(chalk.gray('─'.repeat(50)));
     
-    const txHex = '0x' + parseInt(txNumber).toString(16);
-    
     try {
-        const txs = await rnkClient.getTransactions(CONTRACTS.rvmId, txHex, '0x1');
+        const tx = await rnkClient.getTransaction(CONTRACTS.rvmId, parseInt(txNumber));
         
-        if (!txs || txs.length === 0) {
+        if (!tx) {
             console.log(chalk.red('  Transaction not found'));
             return;
         }
         
-        const tx = txs[0];
-        
         console.log(`  Hash:           ${chalk.white(tx.hash)}`);
-        console.log(`  Number:         ${chalk.white(parseInt(tx.number, 16))}`);
-        console.log(`  Status:         ${tx.status === 1 ? chalk.green('✅ Success') : chalk.red('❌ Failed')}`);
-        console.log(`  Time:           ${chalk.white(new Date(tx.time * 1000).toISOString())}`);
+        console.log(`  Number:         ${chalk.white(tx.number)}`);
+        console.log(`  Status:         ${tx.success ? chalk.green('✅ Success') : chalk.red('❌ Failed')}`);
+        console.log(`  Time:           ${chalk.white(tx.timestamp?.toISOString())}`);
         console.log(`  From:           ${chalk.white(tx.from)}`);
         console.log(`  To:             ${chalk.white(tx.to)}`);
-        console.log(`  Gas Limit:      ${chalk.white(tx.limit)}`);
-        console.log(`  Gas Used:       ${chalk.white(tx.used)}`);
+        console.log(`  Gas Limit:      ${chalk.white(tx.gasLimit)}`);
+        console.log(`  Gas Used:       ${chalk.white(tx.gasUsed)}`);
         console.log(`  Create:         ${chalk.white(tx.createContract)}`);
         console.log(`  Ref Chain:      ${chalk.white(tx.refChainId)}`);
         console.log(`  Ref TX:         ${chalk.white(tx.refTx)}`);
         console.log(`  Ref Event Idx:  ${chalk.white(tx.refEventIndex)}`);
         
         // Decode function selector
-        if (tx.data && tx.data.length >= 10) {
-            const selector = tx.data.slice(0, 10);
+        if (tx.selector) {
             let funcName = 'Unknown';
             
-            if (selector === '0x0d152c2c') funcName = 'react(LogRecord)';
-            else if (tx.createContract) funcName = 'Constructor';
+            if (tx.kind === TxKind.REACT) funcName = 'react(LogRecord)';
+            else if (tx.kind === TxKind.DEPLOY) funcName = 'Constructor';
             
-            console.log(`  Function:       ${chalk.yellow(funcName)} (${selector})`);
+            console.log(`  Function:       ${chalk.yellow(funcName)} (${tx.selector})`);
+        }
+        
+        // Origin log handed to react()
+        if (tx.logRecord) {
+            const record = tx.logRecord;
+            console.log('');
+            console.log(chalk.yellow('  📥 LogRecord:'));
+            console.log(`     Origin Chain:    ${record.chainId}`);
+            console.log(`     Origin Contract: ${record.contract}`);
+            console.log(`     Event:           ${record.eventName || 'Unknown'} (${record.topics[0]})`);
+            console.log(`     Origin Block:    ${record.blockNumber}`);
+            console.log(`     Origin TX:       ${record.txHash}`);
+            console.log(`     Log Index:       ${record.logIndex}`);
         }
         
         console.log('');
@@ -168,12 +186,10 @@ async function debugTransactionLogs(txNumber) {
     console.log(chalk.green(`📜 Logs for Transaction #${txNumber}`));
     console.log(chalk.gray('─'.repeat(50)));
     
-    const txHex = '0x' + parseInt(txNumber).toString(16);
-    
     try {
-        const logs = await rnkClient.getTransactionLogs(CONTRACTS.rvmId, txHex);
+        const logs = await rnkClient.getTransactionLogs(CONTRACTS.rvmId, parseInt(txNumber));
         
-        if (!logs || logs.length === 0) {
+        if (logs.length === 0) {
             console.log(chalk.gray('  No logs found'));
             return;
         }
@@ -185,13 +201,9 @@ async function debugTransactionLogs(txNumber) {
             console.log(`  Address: ${chalk.white(log.address)}`);
             
             // Identify known events
-            const topic0 = log.topics[0];
-            let eventName = 'Unknown';
-            
-            if (topic0 === TOPICS.Callback) eventName = '📤 Callback';
-            else if (topic0 === TOPICS.LoopCallbackTriggered) eventName = '🔄 LoopCallbackTriggered';
-            else if (topic0 === TOPICS.UnwindCallbackTriggered) eventName = '⏪ UnwindCallbackTriggered';
-            else if (topic0 === TOPICS.Subscribe) eventName = '🔔 Subscribe';
+            const eventName = log.eventName
+                ? `${EVENT_EMOJIS[log.eventName] || '📡'} ${log.eventName}`
+                : 'Unknown';
             
             console.log(`  Event:   ${chalk.yellow(eventName)}`);
             
@@ -221,30 +233,14 @@ async function debugTransactionLogs(txNumber) {
             console.log(`  Data:    ${chalk.gray(log.data?.slice(0, 100))}...`);
             
             // Special decoding for Callback event
-            if (topic0 === TOPICS.Callback) {
-                try {
-                    const chainId = BigInt(log.topics[1]).toString();
-                    const contract = '0x' + log.topics[2].slice(-40);
-                    const gasLimit = BigInt(log.topics[3]).toString();
-                    
-                    console.log(chalk.yellow(`\n  📤 Callback Details:`));
-                    console.log(`     Target Chain: ${chainId}`);
-                    console.log(`     Target Contract: ${contract}`);
-                    console.log(`     Gas Limit: ${gasLimit}`);
-                    
-                    // Try to decode payload
-                    const abiCoder = new ethers.AbiCoder();
-                    const [payload] = abiCoder.decode(['bytes'], log.data);
-                    const selector = payload.slice(0, 10);
-                    
-                    let funcName = 'Unknown';
-                    if (selector === '0x8c90a800') funcName = 'executeLoopStep';
-                    else if (selector === '0xaa0d9223') funcName = 'executeUnwindStep';
-                    
-                    console.log(`     Function: ${funcName} (${selector})`);
-                } catch (e) {
-                    console.log(chalk.red(`     Error decoding: ${e.message}`));
-                }
+            if (log.callback) {
+                console.log(chalk.yellow(`\n  📤 Callback Details:`));
+                console.log(`     Target Chain: ${log.callback.chainId}`);
+                console.log(`     Target Contract: ${log.callback.contract}`);
+                console.log(`     Gas Limit: ${log.callback.gasLimit}`);
+                console.log(`     Function: ${log.callback.functionName || 'Unknown'} (${log.callback.selector})`);
+            } else if (log.eventName === 'Callback') {
+                console.log(chalk.red(`     Error decoding Callback payload`));
             }
         }
         
@@ -260,8 +256,7 @@ async function showRecentTransactions() {
     console.log(chalk.gray('─'.repeat(50)));
     
     try {
-        const head = await rnkClient.getHeadNumber(CONTRACTS.rvmId);
-        const headNum = parseInt(head, 16);
+        const headNum = await rnkClient.getHeadNumber(CONTRACTS.rvmId);
         
         if (headNum === 0) {
             console.log(chalk.gray('  No transactions'));
@@ -269,24 +264,18 @@ async function showRecentTransactions() {
         }
         
         const from = Math.max(1, headNum - 9);
-        const fromHex = '0x' + from.toString(16);
-        const limitHex = '0xa'; // 10 txs
-        
-        const txs = await rnkClient.getTransactions(CONTRACTS.rvmId, fromHex, limitHex);
+        const txs = await rnkClient.getTransactions(CONTRACTS.rvmId, from, 10);
         
         const table = new Table({
             head: ['#', 'Status', 'Type', 'Gas', 'Ref Chain', 'Time'],
             style: { head: ['yellow'] }
         });
         
-        for (const tx of (txs || []).reverse()) {
-            const txNum = parseInt(tx.number, 16);
-            const status = tx.status === 1 ? chalk.green('✓') : chalk.red('✗');
-            const type = tx.createContract ? 'Deploy' : 
-                        (tx.data?.startsWith('0x0d152c2c') ? 'react()' : 'Other');
-            const time = new Date(tx.time * 1000).toLocaleTimeString();
+        for (const tx of txs.reverse()) {
+            const status = tx.success ? chalk.green('✓') : chalk.red('✗');
+            const time = tx.timestamp?.toLocaleTimeString() || '-';
             
-            table.push([txNum, status, type, tx.used, tx.refChainId, time]);
+            table.push([tx.number, status, TX_KIND_LABELS[tx.kind], tx.gasUsed.toString(), tx.refChainId ?? '-', time]);
         }
         
         console.log(table.toString());
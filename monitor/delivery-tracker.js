@@ -0,0 +1,186 @@
+/**
+ * Callback Delivery Tracker for Reactive Auto-Looper
+ *
+ * Every Callback event the RVM emits should become a Sepolia transaction from
+ * the callback proxy to the target contract. The tracker keeps each emitted
+ * callback pending until that transaction shows up, then reports it as
+ * delivered, reverted (with the revert reason) or - once
+ * CALLBACK_DELIVERY.windowBlocks have passed - missing. Missing callbacks are
+ * checked against the usual causes: empty proxy reserves and RVM debt.
+ */
+
+import { ethers } from 'ethers';
+import { NETWORKS, CONTRACTS, CALLBACK_DELIVERY } from './config.js';
+import logger from './logger.js';
+import { connectCallbackProxy, readRvmDebt } from './abi-registry.js';
+import { PipelineTracer, DeliveryStatus } from './pipeline-trace.js';
+
+// Start searching a little before the estimated emission block to absorb clock skew
+const START_MARGIN_BLOCKS = 2;
+
+// How many delivered tx hashes to remember so one tx isn't matched to two callbacks
+const CLAIMED_HISTORY = 1000;
+
+/**
+ * Look for the usual reasons a callback never reaches Sepolia
+ * @returns {Promise<{ reserves: bigint|null, debt: bigint|null, causes: string[] }>}
+ */
+export async function diagnoseMissingDelivery({ provider, lasnaProvider, rvmId = CONTRACTS.rvmId }) {
+    const causes = [];
+    let reserves = null;
+    let debt = null;
+
+    try {
+        reserves = await connectCallbackProxy(CONTRACTS.callbackProxy, provider).reserves(rvmId);
+        if (reserves === 0n) {
+            causes.push('Callback proxy reserves are empty (node fund-reserves.js)');
+        }
+    } catch (e) {
+        logger.debug(`Could not read callback proxy reserves: ${e.message}`, null, 'sepolia');
+    }
+
+    try {
+        debt = await readRvmDebt(CONTRACTS.systemContract, lasnaProvider, rvmId);
+    } catch (e) {
+        causes.push(`RVM debt could not be read: ${e.shortMessage || e.message}`);
+    }
+    if (debt > 0n) {
+        causes.push(`RVM has ${ethers.formatEther(debt)} REACT of outstanding debt - callbacks pause until it is paid`);
+    }
+
+    return { reserves, debt, causes };
+}
+
+/**
+ * @typedef {Object} DeliveryResult
+ * @property {import('./rnk-models.js').CallbackRequest} callback
+ * @property {number} rvmTxNumber
+ * @property {number} logIndex
+ * @property {number|null} emittedAt - RVM tx time (unix seconds)
+ * @property {Object} delivery - From PipelineTracer.findDelivery (status, txHash, reason, ...)
+ * @property {Object|null} diagnosis - From diagnoseMissingDelivery, for missing callbacks
+ */
+
+export class DeliveryTracker {
+    /**
+     * @param options.provider - Sepolia provider
+     * @param options.lasnaProvider - Lasna provider (RVM debt check)
+     * @param options.onResult - Called with a DeliveryResult once a callback is resolved
+     */
+    constructor({
+        provider,
+        lasnaProvider,
+        tracer,
+        rvmId = CONTRACTS.rvmId,
+        windowBlocks = CALLBACK_DELIVERY.windowBlocks,
+        onResult = null
+    } = {}) {
+        this.provider = provider || new ethers.JsonRpcProvider(NETWORKS.sepolia.rpc);
+        this.lasnaProvider = lasnaProvider || new ethers.JsonRpcProvider(NETWORKS.lasna.rpc);
+        this.tracer = tracer || new PipelineTracer({ provider: this.provider, rvmId });
+        this.rvmId = rvmId;
+        this.windowBlocks = windowBlocks;
+        this.onResult = onResult;
+
+        this.pending = new Map();
+        this.claimed = new Set();
+        this.intervalId = null;
+        this.checking = false;
+    }
+
+    /**
+     * Start waiting for a callback's delivery
+     * @param emittedAt - Time of the RVM tx that emitted it (unix seconds), used to pick the first block to search
+     */
+    async track(callback, { rvmTxNumber, logIndex = 0, emittedAt = null }) {
+        if (callback.chainId !== NETWORKS.sepolia.chainId) {
+            logger.debug(`Callback from RVM TX #${rvmTxNumber} targets chain ${callback.chainId} - not tracked`, null, 'rvm');
+            return;
+        }
+
+        const head = await this.provider.getBlockNumber();
+        const elapsedBlocks = emittedAt
+            ? Math.max(0, Math.floor((Date.now() / 1000 - emittedAt) / CALLBACK_DELIVERY.sepoliaBlockTime))
+            : 0;
+        const emittedBlock = head - elapsedBlocks;
+
+        this.pending.set(`${rvmTxNumber}:${logIndex}`, {
+            callback,
+            rvmTxNumber,
+            logIndex,
+            emittedAt,
+            nextBlock: Math.max(0, emittedBlock - START_MARGIN_BLOCKS),
+            windowEnd: emittedBlock + this.windowBlocks
+        });
+    }
+
+    /**
+     * Search new blocks for every pending callback
+     * @returns {Promise<DeliveryResult[]>} Callbacks resolved in this round
+     */
+    async check() {
+        const resolved = [];
+
+        for (const [key, entry] of this.pending) {
+            const delivery = await this.tracer.findDelivery(entry.callback, {
+                fromBlock: entry.nextBlock,
+                toBlock: entry.windowEnd,
+                emittedAt: entry.emittedAt,
+                exclude: this.claimed
+            });
+
+            if (delivery.status === DeliveryStatus.PENDING) {
+                entry.nextBlock = Math.max(entry.nextBlock, delivery.searchedBlocks[1] + 1);
+                continue;
+            }
+
+            this.pending.delete(key);
+            if (delivery.txHash) this.claim(delivery.txHash);
+
+            const { nextBlock, windowEnd, ...details } = entry;
+            const result = {
+                ...details,
+                delivery,
+                diagnosis: delivery.status === DeliveryStatus.MISSING
+                    ? await diagnoseMissingDelivery({ provider: this.provider, lasnaProvider: this.lasnaProvider, rvmId: this.rvmId })
+                    : null
+            };
+
+            resolved.push(result);
+            if (this.onResult) await this.onResult(result);
+        }
+
+        return resolved;
+    }
+
+    claim(txHash) {
+        this.claimed.add(txHash);
+        if (this.claimed.size > CLAIMED_HISTORY) {
+            this.claimed.delete(this.claimed.values().next().value);
+        }
+    }
+
+    /**
+     * Check pending callbacks on an interval (one check at a time)
+     */
+    start(intervalMs = CALLBACK_DELIVERY.checkIntervalMs) {
+        this.intervalId = setInterval(async () => {
+            if (this.checking || this.pending.size === 0) return;
+            this.checking = true;
+            try {
+                await this.check();
+            } catch (error) {
+                logger.error(`Delivery check failed: ${error.message}`, null, 'sepolia');
+            } finally {
+                this.checking = false;
+            }
+        }, intervalMs);
+    }
+
+    stop() {
+        clearInterval(this.intervalId);
+        this.intervalId = null;
+    }
+}
+
+export default DeliveryTracker;
@@ -0,0 +1,351 @@
+/**
+ * /open Deposit Wizard for the Reactive Auto-Looper Telegram Bot
+ *
+ * A per-chat conversation that collects the deposit parameters step by step:
+ *
+ *   asset pair → amount → target leverage → max iterations
+ *     → flash loan yes/no → safety options → preview
+ *
+ * Same-asset pairs skip the flash loan and safety steps (depositSameAsset
+ * takes neither). Choices arrive as inline button values or typed text; the
+ * bot only renders the current step and hands the preview's submit to
+ * TxCommander, which checks the token approval and sends depositSameAsset,
+ * deposit or depositAdvanced (see depositCall()).
+ */
+
+import { ethers } from 'ethers';
+import { DEPOSIT_ASSETS, DEPOSIT_WIZARD } from './config.js';
+
+export const WizardStep = {
+    PAIR: 'pair',
+    AMOUNT: 'amount',
+    LEVERAGE: 'leverage',
+    ITERATIONS: 'iterations',
+    FLASH: 'flash',
+    OPTIONS: 'options',
+    PREVIEW: 'preview'
+};
+
+// Steps that accept a typed value besides the buttons
+const TEXT_STEPS = new Set([WizardStep.AMOUNT, WizardStep.LEVERAGE, WizardStep.ITERATIONS]);
+
+const SAFETY_OPTIONS = {
+    standard: { label: 'Standard', mevProtection: false, checkProfitability: false },
+    mev: { label: 'MEV protection', mevProtection: true, checkProfitability: false },
+    guarded: { label: 'MEV + profitability check', mevProtection: true, checkProfitability: true }
+};
+
+// ═══════════════════════════════════════════════════════════════
+//                           PREVIEW
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} DepositParams
+ * @property {string} collateral - DEPOSIT_ASSETS key
+ * @property {string} borrow - DEPOSIT_ASSETS key
+ * @property {string} amount - Collateral amount as typed (token units)
+ * @property {number} leverage - Target leverage, e.g. 2.5
+ * @property {number} maxIterations
+ * @property {boolean} useFlashLoan
+ * @property {boolean} mevProtection
+ * @property {boolean} checkProfitability
+ */
+
+/**
+ * Expected outcome of a deposit at current prices
+ *
+ * Each loop step borrows SAFETY_BUFFER of the collateral's LTV (capped by
+ * what is still available) and supplies it back, as _executeLoopIteration
+ * does; a flash loan reaches the target in one step.
+ * @returns {{ healthFactor: number, iterations: number|null, maxLoopLeverage: number, flashAmount: number }}
+ *          iterations is null if looping can't reach the target
+ */
+export function previewDeposit(params) {
+    const { ltv, liquidationThreshold } = DEPOSIT_ASSETS[params.collateral];
+    const maxLtv = ltv / 10000;
+    const stepLtv = maxLtv * DEPOSIT_WIZARD.safetyBuffer / 10000;
+    const target = params.leverage;
+
+    // HF = collateral * LT / debt with collateral = L and debt = L - 1 per unit of equity
+    const healthFactor = target > 1 ? (liquidationThreshold / 10000) * target / (target - 1) : Infinity;
+    const maxLoopLeverage = 1 / (1 - maxLtv);
+
+    let iterations = null;
+    if (params.useFlashLoan) {
+        iterations = 1;
+    } else {
+        let collateral = 1;
+        let debt = 0;
+        for (let step = 1; step <= 50; step++) {
+            const borrow = Math.min(collateral * stepLtv, collateral * maxLtv - debt);
+            if (borrow <= 1e-9) break;
+            collateral += borrow;
+            debt += borrow;
+            if (collateral >= target - 1e-9) {
+                iterations = step;
+                break;
+            }
+        }
+    }
+
+    return {
+        healthFactor,
+        iterations,
+        maxLoopLeverage,
+        flashAmount: params.useFlashLoan ? Number(params.amount) * (target - 1) : 0
+    };
+}
+
+/**
+ * The manager call that opens the position
+ * @returns {{ method: string, params: Array }}
+ */
+export function depositCall(params) {
+    const collateral = DEPOSIT_ASSETS[params.collateral];
+    const amount = ethers.parseUnits(params.amount, collateral.decimals);
+    const leverage = ethers.parseEther(String(params.leverage));
+    const iterations = BigInt(params.maxIterations);
+
+    if (params.collateral === params.borrow) {
+        return { method: 'depositSameAsset', params: [collateral.address, amount, leverage, iterations] };
+    }
+
+    const base = [collateral.address, DEPOSIT_ASSETS[params.borrow].address, amount, leverage, iterations, params.useFlashLoan];
+    if (params.mevProtection || params.checkProfitability) {
+        const config = {
+            maxGasSpend: 0n,
+            twapBlockInterval: 0n,
+            enableMevProtection: params.mevProtection,
+            checkProfitability: params.checkProfitability
+        };
+        return { method: 'depositAdvanced', params: [...base, config] };
+    }
+    return { method: 'deposit', params: base };
+}
+
+/**
+ * One-line summary, e.g. "0.01 WETH → USDC at 2.5x (max 10 iterations, looped)"
+ */
+export function describeDeposit(params) {
+    const pair = params.collateral === params.borrow ? `${params.collateral} (same asset)` : `${params.collateral} → ${params.borrow}`;
+    const mode = params.useFlashLoan ? 'flash loan' : 'looped';
+    return `${params.amount} ${pair} at ${params.leverage}x (max ${params.maxIterations} iterations, ${mode})`;
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                          SESSIONS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} WizardSession
+ * @property {string} step - WizardStep
+ * @property {DepositParams} params - Filled in as the steps complete
+ * @property {number} updatedAt
+ */
+
+export class DepositWizard {
+    constructor({ ttlMs = DEPOSIT_WIZARD.sessionTtlMs, now = Date.now } = {}) {
+        this.ttlMs = ttlMs;
+        this.now = now;
+        this.sessions = new Map();
+    }
+
+    /**
+     * Start (or restart) the wizard for a chat
+     * @returns {WizardSession}
+     */
+    start(chatId) {
+        const session = {
+            step: WizardStep.PAIR,
+            params: { useFlashLoan: false, mevProtection: false, checkProfitability: false },
+            updatedAt: this.now()
+        };
+        this.sessions.set(String(chatId), session);
+        return session;
+    }
+
+    /**
+     * The chat's session, or null if it has none or it expired
+     */
+    get(chatId) {
+        const session = this.sessions.get(String(chatId));
+        if (!session) return null;
+        if (this.now() - session.updatedAt > this.ttlMs) {
+            this.sessions.delete(String(chatId));
+            return null;
+        }
+        return session;
+    }
+
+    /**
+     * True if the chat's current step takes typed input
+     */
+    expectsText(chatId) {
+        const session = this.get(chatId);
+        return session !== null && TEXT_STEPS.has(session.step);
+    }
+
+    cancel(chatId) {
+        return this.sessions.delete(String(chatId));
+    }
+
+    /**
+     * Apply a button value or typed answer to the current step
+     * @returns {WizardSession} The session, moved on to the next step
+     * @throws {Error} With a message for the user if the value is not valid here
+     */
+    handle(chatId, value) {
+        const session = this.get(chatId);
+        if (!session) throw new Error('No deposit in progress - start one with /open');
+        const input = String(value).trim();
+        const { params } = session;
+
+        switch (session.step) {
+            case WizardStep.PAIR: {
+                const pair = DEPOSIT_WIZARD.pairs.find(([c, b]) => `${c}-${b}` === input);
+                if (!pair) throw new Error('Pick one of the asset pairs');
+                [params.collateral, params.borrow] = pair;
+                session.step = WizardStep.AMOUNT;
+                break;
+            }
+            case WizardStep.AMOUNT: {
+                const { decimals } = DEPOSIT_ASSETS[params.collateral];
+                let amount;
+                try {
+                    amount = ethers.parseUnits(input, decimals);
+                } catch (e) {
+                    throw new Error(`Not a ${params.collateral} amount: ${input}`);
+                }
+                if (amount <= 0n) throw new Error('Amount must be above zero');
+                params.amount = input;
+                session.step = WizardStep.LEVERAGE;
+                break;
+            }
+            case WizardStep.LEVERAGE: {
+                const leverage = Number(input.replace(/x$/i, ''));
+                if (!(leverage > 1 && leverage <= DEPOSIT_WIZARD.maxLeverage)) {
+                    throw new Error(`Leverage must be above 1x and at most ${DEPOSIT_WIZARD.maxLeverage}x`);
+                }
+                params.leverage = leverage;
+                session.step = WizardStep.ITERATIONS;
+                break;
+            }
+            case WizardStep.ITERATIONS: {
+                const iterations = Number(input);
+                if (!Number.isInteger(iterations) || iterations < 1 || iterations > DEPOSIT_WIZARD.maxIterations) {
+                    throw new Error(`Iterations must be a whole number from 1 to ${DEPOSIT_WIZARD.maxIterations}`);
+                }
+                params.maxIterations = iterations;
+                session.step = params.collateral === params.borrow ? WizardStep.PREVIEW : WizardStep.FLASH;
+                break;
+            }
+            case WizardStep.FLASH:
+                if (input !== 'yes' && input !== 'no') throw new Error('Choose flash loan yes or no');
+                params.useFlashLoan = input === 'yes';
+                session.step = WizardStep.OPTIONS;
+                break;
+            case WizardStep.OPTIONS: {
+                const option = SAFETY_OPTIONS[input];
+                if (!option) throw new Error('Pick one of the safety options');
+                params.mevProtection = option.mevProtection;
+                params.checkProfitability = option.checkProfitability;
+                session.step = WizardStep.PREVIEW;
+                break;
+            }
+            default:
+                throw new Error('Submit or cancel the deposit below');
+        }
+
+        session.updatedAt = this.now();
+        return session;
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                       TELEGRAM RENDERING
+// ═══════════════════════════════════════════════════════════════
+
+const CANCEL_ROW = [{ text: '❌ Cancel', callback_data: 'open_cancel' }];
+
+function button(text, value) {
+    return { text, callback_data: `open_${value}` };
+}
+
+/**
+ * Message and inline keyboard for the session's current step
+ * @returns {{ text: string, buttons: Array<Array<Object>> }}
+ */
+export function renderStep(session) {
+    const { params } = session;
+    const head = '🆕 <b>Open Position</b>\n\n';
+
+    switch (session.step) {
+        case WizardStep.PAIR:
+            return {
+                text: `${head}<b>Step 1:</b> Choose collateral → borrow asset`,
+                buttons: [
+                    ...DEPOSIT_WIZARD.pairs.map(([c, b]) => [button(c === b ? `${c} (same asset)` : `${c} → ${b}`, `${c}-${b}`)]),
+                    CANCEL_ROW
+                ]
+            };
+        case WizardStep.AMOUNT:
+            return {
+                text: `${head}<b>Step 2:</b> How much ${params.collateral} to deposit?\n\n<i>Tap an amount or type one.</i>`,
+                buttons: [DEPOSIT_ASSETS[params.collateral].amounts.map(a => button(`${a} ${params.collateral}`, a)), CANCEL_ROW]
+            };
+        case WizardStep.LEVERAGE:
+            return {
+                text: `${head}<b>Step 3:</b> Target leverage?\n\n<i>Tap a value or type one (up to ${DEPOSIT_WIZARD.maxLeverage}x).</i>`,
+                buttons: [DEPOSIT_WIZARD.leverages.map(l => button(`${l}x`, l)), CANCEL_ROW]
+            };
+        case WizardStep.ITERATIONS: {
+            const { iterations } = previewDeposit({ ...params, useFlashLoan: false });
+            const hint = iterations ? `About ${iterations} loop step(s) reach ${params.leverage}x.` : `Looping alone can't reach ${params.leverage}x - use a flash loan.`;
+            return {
+                text: `${head}<b>Step 4:</b> Maximum loop iterations?\n\n<i>${hint}</i>`,
+                buttons: [DEPOSIT_WIZARD.iterations.map(n => button(String(n), n)), CANCEL_ROW]
+            };
+        }
+        case WizardStep.FLASH:
+            return {
+                text: `${head}<b>Step 5:</b> Use a flash loan?\n\n<i>A flash loan reaches the target in one transaction (higher fee). Without it the RVM loops step by step.</i>`,
+                buttons: [[button('⚡ Flash loan', 'yes'), button('🔄 Loop', 'no')], CANCEL_ROW]
+            };
+        case WizardStep.OPTIONS:
+            return {
+                text: `${head}<b>Step 6:</b> Safety options`,
+                buttons: [...Object.entries(SAFETY_OPTIONS).map(([key, { label }]) => [button(label, key)]), CANCEL_ROW]
+            };
+        default:
+            return renderPreview(params);
+    }
+}
+
+function renderPreview(params) {
+    const preview = previewDeposit(params);
+    const { method } = depositCall(params);
+    const hf = preview.healthFactor === Infinity ? '∞' : preview.healthFactor.toFixed(2);
+
+    let text = '🆕 <b>Open Position - Preview</b>\n\n';
+    text += `📝 ${describeDeposit(params)}\n`;
+    if (params.mevProtection || params.checkProfitability) {
+        text += `🛡 ${params.checkProfitability ? 'MEV protection + profitability check' : 'MEV protection'}\n`;
+    }
+    text += `\n<b>Expected at target</b>\n`;
+    text += `├ Health factor: ~${hf}\n`;
+    if (params.useFlashLoan) {
+        text += `└ Flash loan: ~${preview.flashAmount.toFixed(4)} ${params.collateral} in one step\n`;
+    } else if (preview.iterations === null) {
+        text += `└ ⚠️ Looping tops out near ${preview.maxLoopLeverage.toFixed(2)}x - the target won't be reached\n`;
+    } else {
+        text += `└ Loop steps: ~${preview.iterations}${preview.iterations > params.maxIterations ? ` ⚠️ more than the ${params.maxIterations} allowed` : ''}\n`;
+    }
+    text += `\nSubmits <code>${method}()</code> from the bot wallet after checking the token approval.`;
+
+    return {
+        text,
+        buttons: [[button('✅ Submit', 'submit')], [button('🔁 Start over', 'restart')], CANCEL_ROW]
+    };
+}
+
+export default DepositWizard;
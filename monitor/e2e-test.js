@@ -15,12 +15,14 @@
  *   node e2e-test.js              # Full E2E flow
  *   node e2e-test.js --dry-run    # Check state only, don't create position
  *   node e2e-test.js --no-telegram # Skip Telegram notifications
+ *   node e2e-test.js --profile <name> # Run against a named deployment profile
  */
 
 import { ethers } from 'ethers';
 import chalk from 'chalk';
 import dotenv from 'dotenv';
-import { NETWORKS, CONTRACTS, TOPICS, ABIS, POSITION_STATES } from './config.js';
+import { NETWORKS, PROFILE, CONTRACTS, TOPICS, POSITION_STATES } from './config.js';
+import { connectManager, connectCallbackProxy, connectWeth } from './abi-registry.js';
 import logger from './logger.js';
 import RnkClient from './rnk-client.js';
 import { sendTelegramMessage, Notifications } from './telegram-bot.js';
@@ -64,10 +66,7 @@ async function checkPrerequisites() {
             logger.success(`Manager deployed at ${CONTRACTS.manager}`);
             
             // Check reactive contract setting
-            const managerAbi = [
-                'function reactiveContract() view returns (address)'
-            ];
-            const manager = new ethers.Contract(CONTRACTS.manager, managerAbi, sepoliaProvider);
+            const manager = connectManager(CONTRACTS.manager, sepoliaProvider);
             
             const reactiveAddr = await manager.reactiveContract();
             
@@ -104,8 +103,8 @@ async function checkPrerequisites() {
     logger.subheader('RVM Subscription');
     try {
         const subs = await rnkClient.getSubscribers(CONTRACTS.rvmId);
-        const hasSub = subs?.some(s => 
-            s.contract.toLowerCase() === CONTRACTS.manager.toLowerCase() &&
+        const hasSub = subs.some(s => 
+            s.contract?.toLowerCase() === CONTRACTS.manager.toLowerCase() &&
             s.topics[0]?.toLowerCase() === TOPICS.PositionUpdated.toLowerCase()
         );
         
@@ -124,8 +123,7 @@ async function checkPrerequisites() {
     // 4. Check callback proxy reserves
     logger.subheader('Callback Proxy Reserves');
     try {
-        const proxyAbi = ['function reserves(address) view returns (uint256)'];
-        const proxy = new ethers.Contract(CONTRACTS.callbackProxy, proxyAbi, sepoliaProvider);
+        const proxy = connectCallbackProxy(CONTRACTS.callbackProxy, sepoliaProvider);
         const reserves = await proxy.reserves(CONTRACTS.rvmId);
         const reservesEth = ethers.formatEther(reserves);
         
@@ -153,12 +151,7 @@ async function checkPrerequisites() {
 async function openPosition(wallet) {
     logger.header('OPENING NEW POSITION');
     
-    const managerExtended = new ethers.Contract(CONTRACTS.manager, [
-        ...ABIS.manager,
-        'function closePosition()',
-        'function requestUnwind()'
-    ], wallet);
-    const manager = managerExtended;
+    const manager = connectManager(CONTRACTS.manager, wallet);
     
     // Check if user already has a position
     const hasPos = await manager.hasPosition(wallet.address);
@@ -230,11 +223,7 @@ async function openPosition(wallet) {
 
     try {
         // First, wrap ETH to WETH
-        const wethContract = new ethers.Contract(WETH, [
-            'function deposit() payable',
-            'function approve(address spender, uint256 amount) returns (bool)',
-            'function balanceOf(address) view returns (uint256)'
-        ], wallet);
+        const wethContract = connectWeth(WETH, wallet);
         
         // Check WETH balance
         const wethBalance = await wethContract.balanceOf(wallet.address);
@@ -315,24 +304,21 @@ async function waitForRvmReaction(startTxNum, timeout = 120000) {
     let lastTxNum = startTxNum;
     
     while (Date.now() - startTime < timeout) {
-        const currentHead = await rnkClient.getHeadNumber(CONTRACTS.rvmId);
-        const currentTxNum = parseInt(currentHead, 16);
+        const currentTxNum = await rnkClient.getHeadNumber(CONTRACTS.rvmId);
         
         if (currentTxNum > lastTxNum) {
             logger.success(`New RVM transaction detected! TX #${currentTxNum}`);
             
             // Get transaction details
-            const txHex = '0x' + currentTxNum.toString(16);
-            const txs = await rnkClient.getTransactions(CONTRACTS.rvmId, txHex, '0x1');
+            const tx = await rnkClient.getTransaction(CONTRACTS.rvmId, currentTxNum);
             
-            if (txs && txs.length > 0) {
-                const tx = txs[0];
-                if (tx.status === 1) {
+            if (tx) {
+                if (tx.success) {
                     logger.success('RVM transaction succeeded!');
                     
                     // Check for Callback event
-                    const logs = await rnkClient.getTransactionLogs(CONTRACTS.rvmId, txHex);
-                    const callbackLog = logs?.find(l => l.topics[0] === TOPICS.Callback);
+                    const logs = await rnkClient.getTransactionLogs(CONTRACTS.rvmId, currentTxNum);
+                    const callbackLog = logs.find(l => l.eventName === 'Callback');
                     
                     if (callbackLog) {
                         logger.success('Callback event emitted!');
@@ -366,7 +352,7 @@ async function waitForRvmReaction(startTxNum, timeout = 120000) {
 async function waitForCallbackDelivery(userAddr, timeout = 180000) {
     logger.header('WAITING FOR CALLBACK DELIVERY');
     
-    const manager = new ethers.Contract(CONTRACTS.manager, ABIS.manager, sepoliaProvider);
+    const manager = connectManager(CONTRACTS.manager, sepoliaProvider);
     const startTime = Date.now();
     
     // Get initial position state
@@ -428,6 +414,8 @@ async function main() {
     console.log(chalk.bold.magenta('║         REACTIVE AUTO-LOOPER E2E TEST                          ║'));
     console.log(chalk.bold.magenta('╚════════════════════════════════════════════════════════════════╝'));
     console.log('');
+    logger.info(`Deployment profile: ${PROFILE.name}`);
+    console.log('');
 
     // Send E2E test started notification
     await notify(Notifications.e2eTestStarted());
@@ -468,8 +456,7 @@ async function main() {
     console.log('');
 
     // Get initial RVM state
-    const initialHead = await rnkClient.getHeadNumber(CONTRACTS.rvmId);
-    const initialTxNum = parseInt(initialHead, 16);
+    const initialTxNum = await rnkClient.getHeadNumber(CONTRACTS.rvmId);
     logger.info(`Initial RVM TX count: ${initialTxNum}`);
     console.log('');
 
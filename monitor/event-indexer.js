@@ -0,0 +1,284 @@
+#!/usr/bin/env node
+
+/**
+ * Event Indexer for Reactive Auto-Looper
+ *
+ * Backfills every AutoLooperManager event (all events in ABIS.manager, which
+ * topic-check.js keeps in line with IAutoLooper.sol) into the SQLite event
+ * store, then follows new blocks. The last EVENT_STORE.reorgDepth block
+ * hashes are re-checked on every poll; if the chain reorganized, events from
+ * the dropped blocks are deleted and those blocks are indexed again.
+ *
+ * Usage:
+ *   node event-indexer.js                       # Backfill, then follow new blocks
+ *   node event-indexer.js --once                # Backfill to the head and exit
+ *   node event-indexer.js --from-block 7000000  # Start block for an empty store
+ *   node event-indexer.js --reset               # Drop indexed events and start over
+ *   node event-indexer.js --profile <name>      # Index a named deployment profile
+ */
+
+import path from 'path';
+import { ethers } from 'ethers';
+import chalk from 'chalk';
+import { NETWORKS, CONTRACTS, ABIS, EVENT_STORE, deriveTopics } from './config.js';
+import logger from './logger.js';
+import { EventStore } from './event-store.js';
+
+const managerInterface = new ethers.Interface(ABIS.manager);
+const MANAGER_TOPICS = Object.values(deriveTopics(ABIS.manager));
+
+// How many old block hashes to keep beyond the reorg window
+const BLOCK_HISTORY = 1000;
+
+// ═══════════════════════════════════════════════════════════════
+//                          DECODING
+// ═══════════════════════════════════════════════════════════════
+
+function serialize(value) {
+    if (typeof value === 'bigint') return value.toString();
+    if (Array.isArray(value)) return value.map(serialize);
+    return value;
+}
+
+/**
+ * Decode a manager log into a StoredEvent (null for unknown topics)
+ * @returns {import('./event-store.js').StoredEvent|null}
+ */
+export function decodeManagerLog(log, timestamp = null) {
+    const parsed = managerInterface.parseLog(log);
+    if (!parsed) return null;
+
+    const args = {};
+    parsed.fragment.inputs.forEach((input, i) => {
+        args[input.name || `arg${i}`] = serialize(parsed.args[i]);
+    });
+
+    return {
+        blockNumber: log.blockNumber,
+        logIndex: log.index,
+        blockHash: log.blockHash,
+        txHash: log.transactionHash,
+        eventName: parsed.name,
+        user: typeof args.user === 'string' ? args.user.toLowerCase() : null,
+        args,
+        timestamp
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                          INDEXER
+// ═══════════════════════════════════════════════════════════════
+
+export class EventIndexer {
+    /**
+     * @param options.store - Writable EventStore
+     * @param options.provider - Sepolia provider
+     */
+    constructor({
+        store,
+        provider,
+        address = CONTRACTS.manager,
+        batchSize = EVENT_STORE.batchSize,
+        reorgDepth = EVENT_STORE.reorgDepth
+    }) {
+        this.store = store;
+        this.provider = provider || new ethers.JsonRpcProvider(NETWORKS.sepolia.rpc);
+        this.address = address;
+        this.batchSize = batchSize;
+        this.reorgDepth = reorgDepth;
+        this.syncing = false;
+    }
+
+    /**
+     * getLogs for a range, halving it while the RPC rejects it as too large
+     */
+    async getLogs(fromBlock, toBlock) {
+        try {
+            return await this.provider.getLogs({ address: this.address, topics: [MANAGER_TOPICS], fromBlock, toBlock });
+        } catch (error) {
+            if (toBlock <= fromBlock) throw error;
+            const mid = Math.floor((fromBlock + toBlock) / 2);
+            logger.debug(`getLogs ${fromBlock}-${toBlock} failed (${error.shortMessage || error.message}), splitting`, null, 'sepolia');
+            return [...await this.getLogs(fromBlock, mid), ...await this.getLogs(mid + 1, toBlock)];
+        }
+    }
+
+    /**
+     * Index one range and save it
+     * @returns {Promise<number>} Number of events stored
+     */
+    async indexRange(fromBlock, toBlock) {
+        const logs = await this.getLogs(fromBlock, toBlock);
+
+        // One header per block with events, plus the range end for reorg checks
+        const headers = new Map();
+        for (const number of new Set([...logs.map(l => l.blockNumber), toBlock])) {
+            const block = await this.provider.getBlock(number);
+            if (!block) throw new Error(`Block ${number} not available yet`);
+            headers.set(number, { number, hash: block.hash, timestamp: block.timestamp });
+        }
+
+        const events = logs
+            .map(log => decodeManagerLog(log, headers.get(log.blockNumber).timestamp))
+            .filter(Boolean);
+
+        this.store.commitBatch(events, [...headers.values()], toBlock);
+        this.store.pruneBlocks(toBlock - BLOCK_HISTORY);
+        this.store.save();
+        return events.length;
+    }
+
+    /**
+     * Compare remembered block hashes with the chain and roll back past any reorg
+     * @returns {Promise<number|null>} Block rolled back to, or null if no reorg
+     */
+    async checkReorg() {
+        const recent = this.store.getRecentBlocks(this.reorgDepth);
+
+        for (let i = 0; i < recent.length; i++) {
+            const block = await this.provider.getBlock(recent[i].number);
+            if (block && block.hash === recent[i].hash) {
+                if (i === 0) return null;
+                this.store.rollbackTo(recent[i].number);
+                this.store.save();
+                return recent[i].number;
+            }
+        }
+
+        if (recent.length === 0) return null;
+
+        // Reorg deeper than the window - re-index all of it
+        const rollback = recent[recent.length - 1].number - 1;
+        this.store.rollbackTo(rollback);
+        this.store.save();
+        return rollback;
+    }
+
+    /**
+     * Index from the store's last block (or startBlock for an empty store) to `toBlock`
+     * @returns {Promise<number>} Number of events stored
+     */
+    async syncTo(toBlock, startBlock = null) {
+        const last = this.store.lastBlock;
+        let from = last !== null ? last + 1 : startBlock;
+        if (from === null) throw new Error('Empty event store and no start block');
+
+        let stored = 0;
+        while (from <= toBlock) {
+            const to = Math.min(toBlock, from + this.batchSize - 1);
+            const count = await this.indexRange(from, to);
+            stored += count;
+            logger.debug(`Indexed blocks ${from}-${to} (${count} events)`, null, 'sepolia');
+            from = to + 1;
+        }
+        return stored;
+    }
+
+    /**
+     * Poll for new blocks, checking for reorgs first (one poll at a time)
+     * @returns {Function} Stop function
+     */
+    follow(pollInterval = EVENT_STORE.pollIntervalMs, onEvents = null) {
+        const poll = async () => {
+            if (this.syncing) return;
+            this.syncing = true;
+            try {
+                const rollback = await this.checkReorg();
+                if (rollback !== null) {
+                    logger.warn(`Chain reorg detected - re-indexing from block ${rollback + 1}`, null, 'sepolia');
+                }
+
+                const head = await this.provider.getBlockNumber();
+                if (head > (this.store.lastBlock ?? head)) {
+                    const count = await this.syncTo(head);
+                    if (count > 0 && onEvents) onEvents(count, head);
+                }
+            } catch (error) {
+                logger.error(`Indexer poll failed: ${error.message}`, null, 'sepolia');
+            } finally {
+                this.syncing = false;
+            }
+        };
+
+        const intervalId = setInterval(poll, pollInterval);
+        return () => clearInterval(intervalId);
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                            CLI
+// ═══════════════════════════════════════════════════════════════
+
+async function main() {
+    const args = process.argv.slice(2);
+    const fromIdx = args.indexOf('--from-block');
+    const once = args.includes('--once');
+
+    logger.header('MANAGER EVENT INDEXER');
+
+    const provider = new ethers.JsonRpcProvider(NETWORKS.sepolia.rpc);
+    const store = await EventStore.open();
+    const indexer = new EventIndexer({ store, provider });
+
+    if (args.includes('--reset')) {
+        store.reset();
+        store.save();
+        logger.warn('Event store reset');
+    }
+
+    const head = await provider.getBlockNumber();
+    let startBlock = null;
+
+    if (store.lastBlock === null) {
+        if (fromIdx !== -1) {
+            startBlock = parseInt(args[fromIdx + 1]);
+        } else if (EVENT_STORE.startBlock !== null) {
+            startBlock = EVENT_STORE.startBlock;
+        } else {
+            startBlock = Math.max(0, head - EVENT_STORE.defaultLookback);
+            logger.warn(`No start block given - backfilling the last ${EVENT_STORE.defaultLookback} blocks (set INDEXER_START_BLOCK or --from-block to go further back)`);
+        }
+        if (!Number.isInteger(startBlock) || startBlock < 0) {
+            console.error('❌ --from-block needs a block number');
+            process.exit(1);
+        }
+    } else if (fromIdx !== -1) {
+        logger.warn(`Store already indexed to block ${store.lastBlock} - ignoring --from-block (use --reset to start over)`);
+    }
+
+    logger.info(`Manager: ${CONTRACTS.manager}`, null, 'sepolia');
+    logger.info(`Database: ${store.file}`);
+    logger.info(`Backfilling from block ${store.lastBlock !== null ? store.lastBlock + 1 : startBlock} to ${head}...`, null, 'sepolia');
+
+    const started = Date.now();
+    const count = await indexer.syncTo(head, startBlock);
+    logger.success(`Backfill complete: ${count} events in ${((Date.now() - started) / 1000).toFixed(1)}s`, null, 'sepolia');
+
+    const stats = store.getStats();
+    console.log(chalk.gray(`    ${stats.events} events from ${stats.users} users indexed up to block ${stats.indexedTo}`));
+
+    if (once) {
+        store.close();
+        return;
+    }
+
+    indexer.follow(EVENT_STORE.pollIntervalMs, (newEvents, block) => {
+        logger.event(`Indexed ${newEvents} new events (block ${block})`, null, 'sepolia');
+    });
+    logger.success(`Following new blocks every ${EVENT_STORE.pollIntervalMs / 1000}s... (Press Ctrl+C to stop)`, null, 'sepolia');
+
+    process.on('SIGINT', () => {
+        console.log('');
+        logger.info('Shutting down indexer...');
+        store.close();
+        process.exit(0);
+    });
+}
+
+// Basename check so test-event-indexer.js doesn't start the CLI
+if (process.argv[1] && path.basename(process.argv[1]) === 'event-indexer.js') {
+    main().catch((e) => {
+        console.error(`❌ ${e.message}`);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+
+/**
+ * Event History Reports for Reactive Auto-Looper
+ *
+ * Queries the SQLite event store filled by event-indexer.js.
+ *
+ * Usage:
+ *   node event-report.js                      # Aggregate stats for everything indexed
+ *   node event-report.js --days 7             # Stats for the last 7 days
+ *   node event-report.js --user <address>     # Event timeline for a user
+ *   node event-report.js --user <address> --limit 50
+ *   node event-report.js --recent             # Latest events across all users
+ */
+
+import { ethers } from 'ethers';
+import chalk from 'chalk';
+import Table from 'cli-table3';
+import { NETWORKS, CONTRACTS } from './config.js';
+import logger from './logger.js';
+import { EventStore } from './event-store.js';
+
+export const NOT_INDEXED = 'No event history yet - run the indexer first: npm run index';
+
+/**
+ * Short "key=value" summary of an event's arguments (without the user)
+ */
+export function summarizeArgs(event, maxArgs = 3) {
+    return Object.entries(event.args)
+        .filter(([name]) => name !== 'user')
+        .slice(0, maxArgs)
+        .map(([name, value]) => `${name}=${ethers.isAddress(value) ? logger.truncateAddress(value, 4) : value}`)
+        .join(' ');
+}
+
+function formatTime(timestamp) {
+    return timestamp ? new Date(timestamp * 1000).toISOString().replace('T', ' ').slice(0, 19) : '-';
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                       TELEGRAM FORMAT
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Stats as a Telegram HTML message
+ */
+export function formatStatsHtml(stats, title = 'Event History') {
+    if (!stats.events) {
+        return `📊 <b>${title}</b>\n\n<i>No events indexed${stats.indexedTo !== null ? ` (up to block ${stats.indexedTo})` : ''}</i>`;
+    }
+
+    let msg = `📊 <b>${title}</b>\n\n`;
+    msg += `<b>Totals</b>\n`;
+    msg += `├ Events: ${stats.events}\n`;
+    msg += `├ Users: ${stats.users}\n`;
+    msg += `└ Blocks: ${stats.firstBlock} → ${stats.indexedTo}\n\n`;
+
+    msg += `<b>By Event</b>\n`;
+    const entries = Object.entries(stats.byEvent);
+    entries.forEach(([name, count], i) => {
+        msg += `${i === entries.length - 1 ? '└' : '├'} ${name}: ${count}\n`;
+    });
+
+    if (stats.topUsers.length > 0) {
+        msg += `\n<b>Most Active Users</b>\n`;
+        stats.topUsers.forEach(({ user, count }, i) => {
+            msg += `${i === stats.topUsers.length - 1 ? '└' : '├'} <code>${logger.truncateAddress(user)}</code>: ${count}\n`;
+        });
+    }
+
+    return msg;
+}
+
+/**
+ * User timeline as a Telegram HTML message
+ */
+export function formatTimelineHtml(user, events) {
+    if (events.length === 0) {
+        return `📜 <b>Event Timeline</b>\n<code>${user}</code>\n\n<i>No indexed events for this address</i>`;
+    }
+
+    let msg = `📜 <b>Event Timeline</b>\n<code>${user}</code>\n\n`;
+    for (const event of events) {
+        msg += `<b>${event.eventName}</b> · <a href="${NETWORKS.sepolia.explorer}/tx/${event.txHash}">${event.blockNumber}</a>\n`;
+        msg += `<i>${formatTime(event.timestamp)}</i>`;
+        const args = summarizeArgs(event);
+        msg += args ? `\n${args}\n\n` : '\n\n';
+    }
+    return msg;
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                         CONSOLE FORMAT
+// ═══════════════════════════════════════════════════════════════
+
+function printStats(stats, title) {
+    logger.header(title);
+
+    if (!stats.events) {
+        console.log(chalk.gray(`  No events indexed${stats.indexedTo !== null ? ` (up to block ${stats.indexedTo})` : ''}`));
+        console.log('');
+        return;
+    }
+
+    console.log(chalk.white(`  Events:  ${stats.events}`));
+    console.log(chalk.white(`  Users:   ${stats.users}`));
+    console.log(chalk.white(`  Blocks:  ${stats.firstBlock} → ${stats.indexedTo}`));
+    console.log(chalk.white(`  Period:  ${formatTime(stats.firstTime)} → ${formatTime(stats.lastTime)}`));
+    console.log('');
+
+    const byEvent = new Table({ head: ['Event', 'Count'], style: { head: ['yellow'] } });
+    for (const [name, count] of Object.entries(stats.byEvent)) {
+        byEvent.push([name, count]);
+    }
+    console.log(byEvent.toString());
+
+    if (stats.topUsers.length > 0) {
+        const users = new Table({ head: ['Most Active Users', 'Events'], style: { head: ['yellow'] } });
+        for (const { user, count } of stats.topUsers) {
+            users.push([user, count]);
+        }
+        console.log(users.toString());
+    }
+    console.log('');
+}
+
+function printEvents(title, events) {
+    logger.header(title);
+
+    if (events.length === 0) {
+        console.log(chalk.gray('  No indexed events'));
+        console.log('');
+        return;
+    }
+
+    const table = new Table({ head: ['Block', 'Time', 'Event', 'User', 'Details'], style: { head: ['yellow'] } });
+    for (const event of events) {
+        table.push([
+            event.blockNumber,
+            formatTime(event.timestamp),
+            event.eventName,
+            event.user ? logger.truncateAddress(event.user, 4) : '-',
+            summarizeArgs(event)
+        ]);
+    }
+    console.log(table.toString());
+    console.log('');
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                            CLI
+// ═══════════════════════════════════════════════════════════════
+
+async function main() {
+    const args = process.argv.slice(2);
+    const userIdx = args.indexOf('--user');
+    const daysIdx = args.indexOf('--days');
+    const limitIdx = args.indexOf('--limit');
+    const limit = limitIdx !== -1 ? parseInt(args[limitIdx + 1]) : 20;
+
+    const store = await EventStore.open(undefined, { readonly: true });
+    if (!store.exists) {
+        console.error(`❌ ${NOT_INDEXED}`);
+        process.exit(1);
+    }
+
+    console.log(chalk.gray(`Manager ${CONTRACTS.manager} · indexed to block ${store.lastBlock}`));
+
+    if (userIdx !== -1) {
+        const user = args[userIdx + 1];
+        if (!user || !ethers.isAddress(user)) {
+            console.error('❌ --user needs an address');
+            process.exit(1);
+        }
+        printEvents(`TIMELINE ${logger.truncateAddress(user)}`, store.getUserTimeline(user, { limit }));
+    } else if (args.includes('--recent')) {
+        printEvents('RECENT EVENTS', store.getRecentEvents(limit));
+    } else if (daysIdx !== -1) {
+        const days = parseFloat(args[daysIdx + 1]);
+        const since = Math.floor(Date.now() / 1000 - days * 86400);
+        printStats(store.getStats({ since }), `EVENT STATS - LAST ${days} DAYS`);
+    } else {
+        printStats(store.getStats(), 'EVENT STATS');
+    }
+
+    store.close();
+}
+
+if (process.argv[1] && process.argv[1].endsWith('event-report.js')) {
+    main().catch((e) => {
+        console.error(`❌ ${e.message}`);
+        process.exit(1);
+    });
+}
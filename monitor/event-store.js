@@ -0,0 +1,344 @@
+/**
+ * Event Store for Reactive Auto-Looper Monitor
+ *
+ * SQLite database (via sql.js, no native build needed) of decoded
+ * AutoLooperManager events, filled by event-indexer.js and queried by the
+ * bot, event-report.js and check-status.js.
+ *
+ * sql.js keeps the database in memory, so the writer saves the whole file
+ * after every batch and readers reload it when it changes on disk. Only one
+ * writer may hold a store at a time (enforced with a .lock file).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import initSqlJs from 'sql.js';
+import { EVENT_STORE } from './config.js';
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS events (
+        block_number INTEGER NOT NULL,
+        log_index    INTEGER NOT NULL,
+        block_hash   TEXT NOT NULL,
+        tx_hash      TEXT NOT NULL,
+        event_name   TEXT NOT NULL,
+        user         TEXT,
+        args         TEXT NOT NULL,
+        timestamp    INTEGER,
+        PRIMARY KEY (block_number, log_index)
+    );
+    CREATE INDEX IF NOT EXISTS events_user ON events (user, block_number);
+    CREATE INDEX IF NOT EXISTS events_name ON events (event_name);
+
+    -- Hashes of recently indexed blocks, for reorg detection
+    CREATE TABLE IF NOT EXISTS blocks (
+        number    INTEGER PRIMARY KEY,
+        hash      TEXT NOT NULL,
+        timestamp INTEGER
+    );
+
+    CREATE TABLE IF NOT EXISTS meta (
+        key   TEXT PRIMARY KEY,
+        value TEXT
+    );
+`;
+
+let sqlModule = null;
+
+// Stores this process holds the writer lock for
+const lockedFiles = new Set();
+
+async function loadSql() {
+    if (!sqlModule) sqlModule = await initSqlJs();
+    return sqlModule;
+}
+
+function isRunning(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (e) {
+        return e.code === 'EPERM';
+    }
+}
+
+/**
+ * @typedef {Object} StoredEvent
+ * @property {number} blockNumber
+ * @property {number} logIndex
+ * @property {string} blockHash
+ * @property {string} txHash
+ * @property {string} eventName
+ * @property {string|null} user - Lowercase address of the event's `user` argument
+ * @property {Object} args - Decoded arguments by name (uint values as strings)
+ * @property {number|null} timestamp - Block time (unix seconds)
+ */
+
+export class EventStore {
+    /**
+     * Open (or create) a store
+     * @param options.readonly - Don't take the writer lock; use refresh() to pick up new data
+     */
+    static async open(file = EVENT_STORE.file, { readonly = false } = {}) {
+        const SQL = await loadSql();
+        const store = new EventStore(SQL, file, readonly);
+        if (!readonly) store.lock();
+        store.load();
+        return store;
+    }
+
+    constructor(SQL, file, readonly) {
+        this.SQL = SQL;
+        this.file = file;
+        this.readonly = readonly;
+        this.lockFile = `${file}.lock`;
+        this.loadedMtime = 0;
+        this.db = null;
+    }
+
+    /**
+     * True once an indexer has written the database file
+     */
+    get exists() {
+        return fs.existsSync(this.file);
+    }
+
+    lock() {
+        if (lockedFiles.has(this.file)) {
+            throw new Error(`Event store ${this.file} is in use by this process`);
+        }
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        if (fs.existsSync(this.lockFile)) {
+            const pid = parseInt(fs.readFileSync(this.lockFile, 'utf8'));
+            if (pid && pid !== process.pid && isRunning(pid)) {
+                throw new Error(`Event store ${this.file} is in use by process ${pid}`);
+            }
+        }
+        fs.writeFileSync(this.lockFile, String(process.pid));
+        lockedFiles.add(this.file);
+        this.releaseOnExit = () => this.unlock();
+        process.on('exit', this.releaseOnExit);
+    }
+
+    unlock() {
+        lockedFiles.delete(this.file);
+        if (fs.existsSync(this.lockFile) && fs.readFileSync(this.lockFile, 'utf8') === String(process.pid)) {
+            fs.unlinkSync(this.lockFile);
+        }
+    }
+
+    load() {
+        this.db?.close();
+        if (this.exists) {
+            this.db = new this.SQL.Database(fs.readFileSync(this.file));
+            this.loadedMtime = fs.statSync(this.file).mtimeMs;
+        } else {
+            this.db = new this.SQL.Database();
+        }
+        this.db.exec(SCHEMA);
+    }
+
+    /**
+     * Reload from disk if the writer saved since the last load (readers only)
+     */
+    refresh() {
+        if (this.exists && fs.statSync(this.file).mtimeMs !== this.loadedMtime) {
+            this.load();
+        }
+    }
+
+    save() {
+        if (this.readonly) throw new Error('Event store was opened read-only');
+        const tmp = `${this.file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, Buffer.from(this.db.export()));
+        fs.renameSync(tmp, this.file);
+        this.loadedMtime = fs.statSync(this.file).mtimeMs;
+    }
+
+    close() {
+        this.db?.close();
+        this.db = null;
+        if (!this.readonly) {
+            this.unlock();
+            process.off('exit', this.releaseOnExit);
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    //                         SQL HELPERS
+    // ═══════════════════════════════════════════════════════════════
+
+    all(sql, params = []) {
+        const stmt = this.db.prepare(sql);
+        const rows = [];
+        try {
+            stmt.bind(params);
+            while (stmt.step()) rows.push(stmt.getAsObject());
+        } finally {
+            stmt.free();
+        }
+        return rows;
+    }
+
+    one(sql, params = []) {
+        return this.all(sql, params)[0] || null;
+    }
+
+    transaction(fn) {
+        this.db.run('BEGIN');
+        try {
+            fn();
+            this.db.run('COMMIT');
+        } catch (error) {
+            this.db.run('ROLLBACK');
+            throw error;
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    //                         INDEX STATE
+    // ═══════════════════════════════════════════════════════════════
+
+    getMeta(key) {
+        return this.one('SELECT value FROM meta WHERE key = ?', [key])?.value ?? null;
+    }
+
+    setMeta(key, value) {
+        this.db.run('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)', [key, String(value)]);
+    }
+
+    /**
+     * Last block whose events are fully indexed, or null for an empty store
+     */
+    get lastBlock() {
+        const value = this.getMeta('last_block');
+        return value === null ? null : Number(value);
+    }
+
+    /**
+     * Store a batch of events and mark everything up to `toBlock` as indexed
+     * @param blocks - [{ number, hash, timestamp }] to remember for reorg checks
+     */
+    commitBatch(events, blocks, toBlock) {
+        this.transaction(() => {
+            for (const e of events) {
+                this.db.run(
+                    `INSERT OR REPLACE INTO events
+                        (block_number, log_index, block_hash, tx_hash, event_name, user, args, timestamp)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [e.blockNumber, e.logIndex, e.blockHash, e.txHash, e.eventName, e.user, JSON.stringify(e.args), e.timestamp]
+                );
+            }
+            for (const b of blocks) {
+                this.db.run('INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (?, ?, ?)', [b.number, b.hash, b.timestamp]);
+            }
+            this.setMeta('last_block', toBlock);
+        });
+    }
+
+    /**
+     * Most recent remembered block hashes, newest first
+     */
+    getRecentBlocks(limit) {
+        return this.all('SELECT number, hash FROM blocks ORDER BY number DESC LIMIT ?', [limit]);
+    }
+
+    /**
+     * Drop everything after `blockNumber` (reorged out) and resume from there
+     */
+    rollbackTo(blockNumber) {
+        this.transaction(() => {
+            this.db.run('DELETE FROM events WHERE block_number > ?', [blockNumber]);
+            this.db.run('DELETE FROM blocks WHERE number > ?', [blockNumber]);
+            this.setMeta('last_block', blockNumber);
+        });
+    }
+
+    /**
+     * Forget block hashes older than `blockNumber` - too deep to reorg
+     */
+    pruneBlocks(blockNumber) {
+        this.db.run('DELETE FROM blocks WHERE number < ?', [blockNumber]);
+    }
+
+    reset() {
+        this.transaction(() => {
+            this.db.run('DELETE FROM events');
+            this.db.run('DELETE FROM blocks');
+            this.db.run('DELETE FROM meta');
+        });
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    //                           QUERIES
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Events for one user, newest first
+     * @returns {StoredEvent[]}
+     */
+    getUserTimeline(user, { limit = 20, eventName = null } = {}) {
+        const filter = eventName ? 'AND event_name = ?' : '';
+        const params = eventName ? [user.toLowerCase(), eventName, limit] : [user.toLowerCase(), limit];
+        return this.all(
+            `SELECT * FROM events WHERE user = ? ${filter}
+             ORDER BY block_number DESC, log_index DESC LIMIT ?`,
+            params
+        ).map(toEvent);
+    }
+
+    /**
+     * Latest events across all users, newest first
+     * @returns {StoredEvent[]}
+     */
+    getRecentEvents(limit = 20) {
+        return this.all('SELECT * FROM events ORDER BY block_number DESC, log_index DESC LIMIT ?', [limit]).map(toEvent);
+    }
+
+    /**
+     * Aggregate stats, optionally only for events since a unix time
+     */
+    getStats({ since = null } = {}) {
+        const where = since ? 'WHERE timestamp >= ?' : '';
+        const params = since ? [since] : [];
+
+        const totals = this.one(
+            `SELECT COUNT(*) AS events, COUNT(DISTINCT user) AS users,
+                    MIN(block_number) AS firstBlock, MAX(block_number) AS lastBlock,
+                    MIN(timestamp) AS firstTime, MAX(timestamp) AS lastTime
+             FROM events ${where}`,
+            params
+        );
+        const byEvent = Object.fromEntries(
+            this.all(`SELECT event_name, COUNT(*) AS count FROM events ${where} GROUP BY event_name ORDER BY count DESC`, params)
+                .map(row => [row.event_name, row.count])
+        );
+        const topUsers = this.all(
+            `SELECT user, COUNT(*) AS count FROM events ${where ? where + ' AND' : 'WHERE'} user IS NOT NULL
+             GROUP BY user ORDER BY count DESC LIMIT 5`,
+            params
+        );
+
+        return {
+            ...totals,
+            indexedTo: this.lastBlock,
+            byEvent,
+            topUsers
+        };
+    }
+}
+
+function toEvent(row) {
+    return {
+        blockNumber: row.block_number,
+        logIndex: row.log_index,
+        blockHash: row.block_hash,
+        txHash: row.tx_hash,
+        eventName: row.event_name,
+        user: row.user,
+        args: JSON.parse(row.args),
+        timestamp: row.timestamp
+    };
+}
+
+export default EventStore;
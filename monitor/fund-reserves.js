@@ -18,6 +18,7 @@ import chalk from 'chalk';
 import dotenv from 'dotenv';
 import { NETWORKS, CONTRACTS, ABIS } from './config.js';
 import logger from './logger.js';
+import { connectCallbackProxy } from './abi-registry.js';
 
 dotenv.config();
 
@@ -33,22 +34,12 @@ const checkOnly = args.includes('--check');
 const fundAmount = amountIdx !== -1 ? args[amountIdx + 1] : '0.1';
 const targetAddress = addressIdx !== -1 ? args[addressIdx + 1] : CONTRACTS.rvmId;
 
-// ═══════════════════════════════════════════════════════════════
-//                      CALLBACK PROXY ABI
-// ═══════════════════════════════════════════════════════════════
-
-const CALLBACK_PROXY_ABI = [
-    'function depositTo(address _target) external payable',
-    'function withdrawTo(address payable _target) external',
-    'function reserves(address) external view returns (uint256)'
-];
-
 // ═══════════════════════════════════════════════════════════════
 //                         MAIN FUNCTIONS
 // ═══════════════════════════════════════════════════════════════
 
 async function checkReserves(provider, proxyAddress, targetAddr) {
-    const proxy = new ethers.Contract(proxyAddress, CALLBACK_PROXY_ABI, provider);
+    const proxy = connectCallbackProxy(proxyAddress, provider);
     const balance = await proxy.reserves(targetAddr);
     return balance;
 }
@@ -142,7 +133,7 @@ async function main() {
     console.log(chalk.yellow.bold(`💳 Funding ${fundAmount} ETH to reserves...`));
     console.log('');
 
-    const proxy = new ethers.Contract(CONTRACTS.callbackProxy, CALLBACK_PROXY_ABI, wallet);
+    const proxy = connectCallbackProxy(CONTRACTS.callbackProxy, wallet);
     
     try {
         const tx = await proxy.depositTo(targetAddress, { value: fundAmountWei });
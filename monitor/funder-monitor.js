@@ -0,0 +1,650 @@
+/**
+ * Self-Funding Loop Monitor for Reactive Auto-Looper
+ *
+ * Follows the Reactivate gas loop, one funding round per fee payment:
+ *   Funder.FundsReceived (Sepolia) → ReactiveFunderRC react() on the RVM
+ *     (BridgeTriggered + Callback) → Funder.coverDebt() → FundsBridged (Sepolia)
+ *
+ * - readFunderStatus: stats of both contracts, bridge readiness and RSC debt
+ * - FundingRoundTracer: one round end to end, from its FundsReceived tx
+ * - FunderMonitor: follows Funder events and reports BridgeFailed and rounds
+ *   that get no FundsBridged within FUNDER_MONITOR.roundTimeoutBlocks
+ *
+ * coverDebt() bridges the whole balance above the gas reserve, so one
+ * FundsBridged settles every round before it, and a round whose own
+ * coverDebt() found nothing left to bridge still counts as bridged. Funder
+ * reverts right after emitting BridgeFailed, so a failed bridge normally
+ * shows up as a reverted coverDebt() delivery in the round's trace.
+ */
+
+import { ethers } from 'ethers';
+import { NETWORKS, PROFILE, CONTRACTS, FUNDER_TOPICS, CONFIRMATIONS, FUNDER_MONITOR } from './config.js';
+import logger from './logger.js';
+import { connectFunder, connectReactiveFunder, getInterface } from './abi-registry.js';
+import { PipelineTracer, DeliveryStatus } from './pipeline-trace.js';
+import { JsonStore } from './state-store.js';
+import { escapeHtml } from './bot/format.js';
+
+export const RoundStatus = Object.freeze({
+    BRIDGED: 'bridged',   // A FundsBridged settled it
+    PENDING: 'pending',   // Waiting for coverDebt(), still within the timeout
+    STALLED: 'stalled',   // No FundsBridged within roundTimeoutBlocks
+    FAILED: 'failed',     // react() failed, or coverDebt() reverted / emitted BridgeFailed
+    SKIPPED: 'skipped'    // Below ReactiveFunderRC's minimum - no bridge expected
+});
+
+export const FunderEventType = Object.freeze({
+    RECEIVED: 'FundsReceived',
+    BRIDGED: 'FundsBridged',
+    FAILED: 'BridgeFailed',
+    STALLED: 'RoundStalled'
+});
+
+const funderInterface = getInterface('funder');
+const reactiveFunderInterface = getInterface('reactiveFunder');
+const WATCHED_EVENTS = [FunderEventType.RECEIVED, FunderEventType.BRIDGED, FunderEventType.FAILED];
+
+// ═══════════════════════════════════════════════════════════════
+//                           STATUS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} FunderStatus
+ * @property {Object|null} funder - Funder on Sepolia: address, totalCollected, totalBridged, balance,
+ *   bridgeThreshold, gasReserve, bridgeCount, targetRsc, canBridge, bridgeable, proxyAuthorized, rsc, rscDebt
+ * @property {Object|null} reactiveFunder - ReactiveFunderRC on Lasna: address, totalBridged, bridgeCount, funder, recipient
+ * @property {string[]} warnings - Why the loop may not be bridging
+ */
+
+/**
+ * Read both ends of the loop. A contract that isn't set or can't be read is null, with a warning.
+ * @returns {Promise<FunderStatus>}
+ */
+export async function readFunderStatus({
+    provider,
+    lasnaProvider,
+    funderAddress = CONTRACTS.funder,
+    reactiveFunderAddress = CONTRACTS.reactiveFunder,
+    callbackProxy = CONTRACTS.callbackProxy
+}) {
+    const warnings = [];
+    let funder = null;
+    let reactiveFunder = null;
+
+    if (!reactiveFunderAddress) {
+        warnings.push('REACTIVE_FUNDER_RC not set');
+    } else {
+        try {
+            const [totalBridged, bridgeCount, watched, recipient] = await connectReactiveFunder(reactiveFunderAddress, lasnaProvider).getStats();
+            reactiveFunder = { address: reactiveFunderAddress, totalBridged, bridgeCount: Number(bridgeCount), funder: watched, recipient };
+        } catch (error) {
+            warnings.push(`ReactiveFunderRC not readable: ${error.shortMessage || error.message}`);
+        }
+    }
+
+    if (!funderAddress) {
+        warnings.push('FUNDER not set');
+        return { funder, reactiveFunder, warnings };
+    }
+
+    try {
+        const contract = connectFunder(funderAddress, provider);
+        const [stats, gasReserve, canBridge, bridgeable, proxyAuthorized] = await Promise.all([
+            contract.getStats(),
+            contract.gasReserve(),
+            contract.canBridge(),
+            contract.getBridgeableAmount(),
+            contract.authorizedCallers(callbackProxy)
+        ]);
+        const [totalCollected, totalBridged, balance, bridgeThreshold, bridgeCount, targetRsc] = stats;
+
+        // ReactiveFunderRC asks coverDebt() to fund its recipient; Funder's own target is the fallback
+        const rsc = reactiveFunder?.recipient && reactiveFunder.recipient !== ethers.ZeroAddress ? reactiveFunder.recipient : targetRsc;
+        funder = {
+            address: funderAddress,
+            totalCollected,
+            totalBridged,
+            balance,
+            bridgeThreshold,
+            gasReserve,
+            bridgeCount: Number(bridgeCount),
+            targetRsc,
+            canBridge,
+            bridgeable,
+            proxyAuthorized,
+            rsc,
+            rscDebt: rsc === ethers.ZeroAddress ? 0n : await contract.checkRscDebt(rsc)
+        };
+    } catch (error) {
+        warnings.push(`Funder not readable: ${error.shortMessage || error.message}`);
+        return { funder, reactiveFunder, warnings };
+    }
+
+    if (!funder.proxyAuthorized) warnings.push('Callback proxy is not an authorized caller - coverDebt() callbacks will revert');
+    if (funder.rsc === ethers.ZeroAddress) warnings.push('No RSC to fund (Funder has no target, ReactiveFunderRC no recipient)');
+    if (funder.rscDebt > 0n) warnings.push(`RSC owes ${ethers.formatEther(funder.rscDebt)} ETH on the callback proxy`);
+    if (funder.canBridge) warnings.push(`${ethers.formatEther(funder.bridgeable)} ETH is over the bridge threshold and waiting to be bridged`);
+    if (reactiveFunder && reactiveFunder.funder.toLowerCase() !== funderAddress.toLowerCase()) {
+        warnings.push(`ReactiveFunderRC follows ${reactiveFunder.funder}, not this Funder`);
+    }
+
+    return { funder, reactiveFunder, warnings };
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                           ROUNDS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} FundingRound
+ * @property {string} id - <txHash>:<logIndex> of its FundsReceived
+ * @property {string} txHash
+ * @property {number} blockNumber
+ * @property {number} logIndex
+ * @property {string} sender
+ * @property {string} amount - Wei, as a string so rounds can be saved as JSON
+ * @property {string} status - RoundStatus
+ * @property {{ txHash: string, blockNumber: number, amount: string }|null} bridgedBy - The FundsBridged that settled it
+ */
+
+/**
+ * Decode a Funder log, or null if it isn't one
+ */
+export function decodeFunderLog(log) {
+    try {
+        const parsed = funderInterface.parseLog({ topics: log.topics, data: log.data });
+        if (!parsed) return null;
+        return { name: parsed.name, args: parsed.args, txHash: log.transactionHash, blockNumber: log.blockNumber, logIndex: log.index };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Decoded FundsReceived, FundsBridged and BridgeFailed logs in a block range, oldest first
+ */
+export async function getFunderLogs(provider, { funder = CONTRACTS.funder, fromBlock, toBlock, maxBlockRange = FUNDER_MONITOR.maxBlockRange }) {
+    const topics = [WATCHED_EVENTS.map(name => FUNDER_TOPICS[name])];
+    const decoded = [];
+    for (let from = fromBlock; from <= toBlock; from += maxBlockRange) {
+        const logs = await provider.getLogs({ address: funder, topics, fromBlock: from, toBlock: Math.min(from + maxBlockRange - 1, toBlock) });
+        decoded.push(...logs.map(decodeFunderLog).filter(Boolean));
+    }
+    return decoded;
+}
+
+function isBefore(round, log) {
+    return round.blockNumber < log.blockNumber || (round.blockNumber === log.blockNumber && round.logIndex < log.logIndex);
+}
+
+/**
+ * Fold a decoded Funder log into a list of rounds (changed in place)
+ *
+ * FundsReceived opens a round (a skipped one below the minimum), FundsBridged
+ * settles every open round up to its block. BridgeFailed settles nothing: the
+ * balance stays, and the next coverDebt() bridges it.
+ * @returns {FundingRound[]} Rounds the log opened or settled
+ */
+export function applyFunderLog(rounds, log, minBridgeAmount = FUNDER_MONITOR.minBridgeAmount) {
+    if (log.name === FunderEventType.RECEIVED) {
+        const round = {
+            id: `${log.txHash}:${log.logIndex}`,
+            txHash: log.txHash,
+            blockNumber: log.blockNumber,
+            logIndex: log.logIndex,
+            sender: log.args.sender,
+            amount: log.args.amount.toString(),
+            status: log.args.amount < minBridgeAmount ? RoundStatus.SKIPPED : RoundStatus.PENDING,
+            bridgedBy: null
+        };
+        rounds.push(round);
+        return [round];
+    }
+
+    if (log.name === FunderEventType.BRIDGED) {
+        const settled = rounds.filter(round =>
+            (round.status === RoundStatus.PENDING || round.status === RoundStatus.STALLED) && isBefore(round, log)
+        );
+        for (const round of settled) {
+            round.status = RoundStatus.BRIDGED;
+            round.bridgedBy = { txHash: log.txHash, blockNumber: log.blockNumber, amount: log.args.amount.toString() };
+        }
+        return settled;
+    }
+
+    return [];
+}
+
+/**
+ * Rounds started in the last lookbackBlocks, newest first. Pending rounds
+ * older than timeoutBlocks are reported as stalled.
+ * @returns {Promise<FundingRound[]>}
+ */
+export async function listRecentRounds({
+    provider,
+    funder = CONTRACTS.funder,
+    lookbackBlocks = FUNDER_MONITOR.lookbackBlocks,
+    timeoutBlocks = FUNDER_MONITOR.roundTimeoutBlocks,
+    limit = 10
+}) {
+    const head = await provider.getBlockNumber();
+    const rounds = [];
+    for (const log of await getFunderLogs(provider, { funder, fromBlock: Math.max(0, head - lookbackBlocks), toBlock: head })) {
+        applyFunderLog(rounds, log);
+    }
+    for (const round of rounds) {
+        if (round.status === RoundStatus.PENDING && head - round.blockNumber > timeoutBlocks) round.status = RoundStatus.STALLED;
+    }
+    return rounds.reverse().slice(0, limit);
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                         ROUND TRACER
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} RoundTrace
+ * @property {FundingRound} round - With the status found by the trace
+ * @property {Object|null} rvmTx - ReactiveFunderRC's react() tx: { number, hash, success, time, latencySec }
+ * @property {bigint|null} bridgeAmount - Amount BridgeTriggered asked for (95% of the fee)
+ * @property {Object|null} delivery - The coverDebt() callback's delivery (see PipelineTracer.findDelivery)
+ * @property {bigint|null} bridged - FundsBridged amount in that delivery
+ * @property {string|null} failure - Why the round failed or stalled, or why its own coverDebt() didn't bridge
+ * @property {number|null} totalLatencySec - FundsReceived block → coverDebt() block
+ */
+
+export class FundingRoundTracer {
+    /**
+     * @param options.provider - Sepolia provider
+     * @param options.rnkClient - RnkClient for Lasna
+     * @param options.tracer - PipelineTracer to share (and its block cache); built from the two above if unset
+     */
+    constructor({
+        provider,
+        rnkClient,
+        tracer,
+        funder = CONTRACTS.funder,
+        timeoutBlocks = FUNDER_MONITOR.roundTimeoutBlocks,
+        minBridgeAmount = FUNDER_MONITOR.minBridgeAmount
+    } = {}) {
+        this.tracer = tracer || new PipelineTracer({ provider, rnkClient });
+        this.provider = this.tracer.provider;
+        this.rnkClient = this.tracer.rnkClient;
+        this.funder = funder;
+        this.timeoutBlocks = timeoutBlocks;
+        this.minBridgeAmount = minBridgeAmount;
+    }
+
+    /**
+     * Trace the round started by a FundsReceived transaction
+     * @returns {Promise<RoundTrace>}
+     */
+    async trace(txHash) {
+        const receipt = await this.provider.getTransactionReceipt(txHash);
+        if (!receipt) {
+            throw new Error(`Transaction ${txHash} not found on Sepolia`);
+        }
+        const received = receipt.logs
+            .filter(log => log.address.toLowerCase() === this.funder?.toLowerCase())
+            .map(decodeFunderLog)
+            .find(log => log?.name === FunderEventType.RECEIVED);
+        if (!received) {
+            throw new Error(`No Funder FundsReceived in ${txHash}`);
+        }
+
+        const [round] = applyFunderLog([], received, this.minBridgeAmount);
+        const trace = { round, rvmTx: null, bridgeAmount: null, delivery: null, bridged: null, failure: null, totalLatencySec: null };
+        if (round.status === RoundStatus.SKIPPED) return trace;
+
+        const pipeline = await this.tracer.traceOriginTx(txHash);
+        const reaction = pipeline.reactions.find(r => r.event.logIndex === received.logIndex) || pipeline.reactions[0];
+        const head = await this.provider.getBlockNumber();
+
+        if (!reaction) {
+            trace.failure = 'ReactiveFunderRC has not reacted (check its subscription and RVM funds)';
+            return this.settle(trace, head, head - round.blockNumber > this.timeoutBlocks ? RoundStatus.STALLED : RoundStatus.PENDING);
+        }
+
+        trace.rvmTx = reaction.rvmTx;
+        const rvmLogs = await this.rnkClient.getTransactionLogs(this.tracer.rvmId, reaction.rvmTx.number);
+        for (const log of rvmLogs) {
+            try {
+                const parsed = reactiveFunderInterface.parseLog({ topics: log.topics, data: log.data });
+                if (parsed?.name === 'BridgeTriggered') trace.bridgeAmount = parsed.args.bridgeAmount;
+            } catch {
+                // Not a ReactiveFunderRC event
+            }
+        }
+
+        if (!reaction.rvmTx.success) {
+            trace.failure = `react() failed in RVM tx #${reaction.rvmTx.number}`;
+            return this.settle(trace, head, RoundStatus.FAILED);
+        }
+
+        const callback = reaction.callbacks.find(c => c.contract.toLowerCase() === this.funder.toLowerCase());
+        if (!callback) {
+            trace.failure = 'ReactiveFunderRC emitted no coverDebt() callback';
+            return this.settle(trace, head, RoundStatus.FAILED);
+        }
+
+        const { delivery } = callback;
+        trace.delivery = delivery;
+        trace.totalLatencySec = pipeline.totalLatencySec;
+
+        if (delivery.status === DeliveryStatus.DELIVERED) {
+            const deliveryReceipt = await this.provider.getTransactionReceipt(delivery.txHash);
+            const outcome = deliveryReceipt.logs
+                .filter(log => log.address.toLowerCase() === this.funder.toLowerCase())
+                .map(decodeFunderLog)
+                .find(log => log?.name === FunderEventType.BRIDGED || log?.name === FunderEventType.FAILED);
+
+            if (outcome?.name === FunderEventType.BRIDGED) {
+                trace.bridged = outcome.args.amount;
+                applyFunderLog([round], outcome);
+                return trace;
+            }
+            trace.failure = outcome ? `BridgeFailed: ${outcome.args.reason}` : 'coverDebt() was delivered without FundsBridged';
+            return this.settle(trace, head, RoundStatus.FAILED);
+        }
+
+        if (delivery.status === DeliveryStatus.REVERTED) {
+            trace.failure = `coverDebt() reverted: ${delivery.reason}`;
+            return this.settle(trace, head, RoundStatus.FAILED);
+        }
+
+        if (delivery.status === DeliveryStatus.MISSING) {
+            trace.failure = 'coverDebt() callback was never delivered (check callback proxy reserves and RVM debt)';
+            return this.settle(trace, head, RoundStatus.STALLED);
+        }
+
+        return this.settle(trace, head, RoundStatus.PENDING);
+    }
+
+    /**
+     * Give a round that its own coverDebt() didn't bridge its status - unless a
+     * FundsBridged since its block already settled it (another round's coverDebt()
+     * bridged the whole balance, usually why this one reverted)
+     */
+    async settle(trace, head, status) {
+        const { round } = trace;
+        const logs = await getFunderLogs(this.provider, {
+            funder: this.funder,
+            fromBlock: round.blockNumber,
+            toBlock: Math.min(head, round.blockNumber + FUNDER_MONITOR.lookbackBlocks)
+        });
+        const bridged = logs.find(log => log.name === FunderEventType.BRIDGED && isBefore(round, log));
+        if (bridged) {
+            applyFunderLog([round], bridged);
+        } else {
+            round.status = status;
+        }
+        return trace;
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                          MONITOR
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} FunderEvent
+ * @property {string} id - <txHash>:<logIndex>, or stalled:<round id>
+ * @property {string} type - FunderEventType
+ * @property {string} txHash
+ * @property {number} blockNumber
+ * @property {Object} args - Event arguments (its FundsReceived's for a stalled round)
+ * @property {FundingRound[]} rounds - Rounds the event opened, settled or gave up on
+ * @property {RoundTrace|null} trace - Why a round stalled (RoundStalled only)
+ */
+
+export class FunderMonitor {
+    /**
+     * @param options.provider - Sepolia provider
+     * @param options.roundTracer - FundingRoundTracer, to explain stalled rounds (optional)
+     * @param options.onEvent - Called with every FunderEvent, in order
+     * @param options.stateFile - Where the last block and open rounds are kept (relative to STATE_DIR)
+     * @param options.confirmations - Blocks an event must be buried under before it is reported
+     */
+    constructor({
+        provider,
+        roundTracer = null,
+        funder = CONTRACTS.funder,
+        onEvent = null,
+        stateFile = `funder-${PROFILE.name}.json`,
+        confirmations = CONFIRMATIONS.depth,
+        timeoutBlocks = FUNDER_MONITOR.roundTimeoutBlocks,
+        maxBlockRange = FUNDER_MONITOR.maxBlockRange
+    }) {
+        this.provider = provider;
+        this.roundTracer = roundTracer;
+        this.funder = funder;
+        this.onEvent = onEvent;
+        this.confirmations = confirmations;
+        this.timeoutBlocks = timeoutBlocks;
+        this.maxBlockRange = maxBlockRange;
+
+        this.store = new JsonStore(stateFile);
+        this.intervalId = null;
+        this.polling = false;
+    }
+
+    /**
+     * Rounds still waiting for a FundsBridged
+     * @returns {FundingRound[]}
+     */
+    get openRounds() {
+        return this.store.get('rounds', []);
+    }
+
+    /**
+     * Report new confirmed Funder events, then rounds that ran out of time
+     * @returns {Promise<FunderEvent[]>} Events reported in this round
+     */
+    async poll() {
+        if (!this.funder) return [];
+
+        const safeHead = await this.provider.getBlockNumber() - this.confirmations;
+        const last = this.store.get('lastBlock');
+        if (last === null) {
+            this.store.set('lastBlock', safeHead);
+            return [];
+        }
+
+        const events = [];
+        const rounds = this.openRounds;
+
+        if (safeHead > last) {
+            const logs = await getFunderLogs(this.provider, { funder: this.funder, fromBlock: last + 1, toBlock: safeHead, maxBlockRange: this.maxBlockRange });
+            for (const log of logs) {
+                const changed = applyFunderLog(rounds, log);
+                if (log.name === FunderEventType.RECEIVED && changed[0].status === RoundStatus.SKIPPED) continue;
+                events.push({
+                    id: `${log.txHash}:${log.logIndex}`,
+                    type: log.name,
+                    txHash: log.txHash,
+                    blockNumber: log.blockNumber,
+                    args: log.args.toObject(),
+                    rounds: changed,
+                    trace: null
+                });
+            }
+        }
+
+        // Each stalled round is reported once, with its trace, then dropped
+        for (const round of rounds.filter(r => r.status === RoundStatus.PENDING && safeHead - r.blockNumber > this.timeoutBlocks)) {
+            const trace = await this.explain(round);
+            if (trace?.round.status === RoundStatus.PENDING) continue;
+            if (trace?.round.status === RoundStatus.BRIDGED) {
+                round.status = RoundStatus.BRIDGED;
+                continue;
+            }
+            round.status = RoundStatus.STALLED;
+            events.push({
+                id: `stalled:${round.id}`,
+                type: FunderEventType.STALLED,
+                txHash: round.txHash,
+                blockNumber: round.blockNumber,
+                args: { sender: round.sender, amount: BigInt(round.amount) },
+                rounds: [round],
+                trace
+            });
+        }
+
+        for (const event of events) {
+            await this.emit(event);
+        }
+        this.store.set('rounds', rounds.filter(r => r.status === RoundStatus.PENDING));
+        this.store.set('lastBlock', Math.max(last, safeHead));
+        return events;
+    }
+
+    async explain(round) {
+        if (!this.roundTracer) return null;
+        try {
+            return await this.roundTracer.trace(round.txHash);
+        } catch (error) {
+            logger.warn(`Could not trace funding round ${logger.truncateAddress(round.txHash)}: ${error.message}`, null, 'sepolia');
+            return null;
+        }
+    }
+
+    async emit(event) {
+        logger.event(`Funder ${event.type} (${ethers.formatEther(event.args.amount ?? 0n)} ETH)`, null, 'sepolia');
+        if (this.onEvent) await this.onEvent(event);
+    }
+
+    /**
+     * Poll on an interval (one poll at a time)
+     */
+    start(intervalMs = FUNDER_MONITOR.pollIntervalMs) {
+        if (!this.funder) {
+            logger.warn('No FUNDER address - funding rounds not watched', null, 'sepolia');
+            return;
+        }
+        const run = async () => {
+            if (this.polling) return;
+            this.polling = true;
+            try {
+                await this.poll();
+            } catch (error) {
+                logger.warn(`Funder poll failed: ${error.message}`, null, 'sepolia');
+            } finally {
+                this.polling = false;
+            }
+        };
+        run();
+        this.intervalId = setInterval(run, intervalMs);
+    }
+
+    stop() {
+        clearInterval(this.intervalId);
+        this.intervalId = null;
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                         FORMATTING
+// ═══════════════════════════════════════════════════════════════
+
+function eth(wei) {
+    return `${Number(ethers.formatEther(wei ?? 0n)).toFixed(4)} ETH`;
+}
+
+export const ROUND_EMOJIS = {
+    [RoundStatus.BRIDGED]: '✅',
+    [RoundStatus.PENDING]: '⏳',
+    [RoundStatus.STALLED]: '❓',
+    [RoundStatus.FAILED]: '❌',
+    [RoundStatus.SKIPPED]: '⚪'
+};
+
+/**
+ * One line per round, for lists
+ */
+function roundLine(round) {
+    const link = `<a href="${NETWORKS.sepolia.explorer}/tx/${round.txHash}">${logger.truncateAddress(round.txHash)}</a>`;
+    return `${ROUND_EMOJIS[round.status]} ${eth(round.amount)} from <code>${logger.truncateAddress(round.sender)}</code> (${link}, block ${round.blockNumber})`;
+}
+
+/**
+ * Render the loop's status and recent rounds as a Telegram HTML message
+ */
+export function formatFunderStatusHtml({ funder, reactiveFunder, warnings }, rounds = []) {
+    let msg = '🏦 <b>Self-Funding Loop</b>\n\n';
+
+    if (funder) {
+        msg += `<b>Funder</b> (Sepolia) <code>${logger.truncateAddress(funder.address)}</code>\n`;
+        msg += `├ Balance: ${eth(funder.balance)} (gas reserve ${eth(funder.gasReserve)})\n`;
+        msg += `├ Collected: ${eth(funder.totalCollected)}\n`;
+        msg += `├ Bridged: ${eth(funder.totalBridged)} in ${funder.bridgeCount} bridge(s)\n`;
+        msg += `├ Threshold: ${eth(funder.bridgeThreshold)} ${funder.canBridge ? '🟡 reached' : '✅ not reached'}\n`;
+        msg += `├ Bridgeable: ${eth(funder.bridgeable)}\n`;
+        msg += `└ RSC debt: ${funder.rscDebt === 0n ? '0 ✅' : `${eth(funder.rscDebt)} ⚠️`} (<code>${logger.truncateAddress(funder.rsc)}</code>)\n\n`;
+    }
+
+    if (reactiveFunder) {
+        msg += `<b>ReactiveFunderRC</b> (Lasna) <code>${logger.truncateAddress(reactiveFunder.address)}</code>\n`;
+        msg += `├ Bridge triggers: ${reactiveFunder.bridgeCount} (${eth(reactiveFunder.totalBridged)})\n`;
+        msg += `└ Funds: <code>${logger.truncateAddress(reactiveFunder.recipient)}</code>\n\n`;
+    }
+
+    if (rounds.length > 0) {
+        msg += '<b>Recent rounds</b>\n';
+        msg += rounds.map(roundLine).join('\n') + '\n\n';
+    }
+
+    msg += warnings.length > 0
+        ? warnings.map(w => `⚠️ ${escapeHtml(w)}`).join('\n')
+        : '✅ Loop healthy';
+    return msg;
+}
+
+/**
+ * Render a round trace as a Telegram HTML message
+ */
+export function formatRoundTraceHtml(trace, title = 'Funding Round') {
+    const { round } = trace;
+    let msg = `🏦 <b>${escapeHtml(title)}</b> ${ROUND_EMOJIS[round.status]} <i>${round.status}</i>\n\n`;
+
+    msg += `<b>💰 FundsReceived</b> (block ${round.blockNumber})\n`;
+    msg += `├ ${eth(round.amount)} from <code>${logger.truncateAddress(round.sender)}</code>\n`;
+    msg += `└ <a href="${NETWORKS.sepolia.explorer}/tx/${round.txHash}">${logger.truncateAddress(round.txHash)}</a>\n`;
+
+    if (round.status === RoundStatus.SKIPPED) {
+        return msg + `\n⚪ Below ReactiveFunderRC's ${eth(FUNDER_MONITOR.minBridgeAmount)} minimum - no bridge`;
+    }
+
+    if (trace.rvmTx) {
+        msg += `\n<b>🔶 RVM TX #${trace.rvmTx.number}</b> ${trace.rvmTx.success ? '✅' : '❌'} +${trace.rvmTx.latencySec}s\n`;
+        msg += `└ BridgeTriggered: ${trace.bridgeAmount !== null ? eth(trace.bridgeAmount) : 'none'}\n`;
+    }
+
+    if (trace.delivery) {
+        const { delivery } = trace;
+        msg += `\n<b>📤 coverDebt()</b> → ${delivery.status}\n`;
+        if (delivery.txHash) {
+            msg += `├ Tx: <a href="${NETWORKS.sepolia.explorer}/tx/${delivery.txHash}">${logger.truncateAddress(delivery.txHash)}</a>\n`;
+            msg += `└ Block ${delivery.blockNumber}, +${delivery.latencySec}s after RVM\n`;
+        } else if (delivery.searchedBlocks) {
+            msg += `└ Searched blocks ${delivery.searchedBlocks[0]}-${delivery.searchedBlocks[1]}\n`;
+        }
+    }
+
+    if (trace.bridged !== null) {
+        msg += `\n🌉 <b>FundsBridged:</b> ${eth(trace.bridged)}\n`;
+    } else if (round.bridgedBy) {
+        msg += `\n🌉 <b>Bridged by</b> <a href="${NETWORKS.sepolia.explorer}/tx/${round.bridgedBy.txHash}">${logger.truncateAddress(round.bridgedBy.txHash)}</a> (${eth(round.bridgedBy.amount)})\n`;
+    }
+
+    if (trace.failure) {
+        msg += `\n${round.status === RoundStatus.BRIDGED ? 'ℹ️' : '⚠️'} ${escapeHtml(trace.failure)}\n`;
+    }
+
+    if (trace.totalLatencySec !== null) {
+        msg += `\n⏱ <b>Total:</b> ${trace.totalLatencySec}s`;
+    }
+
+    return msg;
+}
+
+export default FunderMonitor;
@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+
+/**
+ * Self-Funding Loop Status for Reactive Auto-Looper
+ *
+ * Shows Funder (Sepolia) and ReactiveFunderRC (Lasna) stats, whether the
+ * Funder can bridge, the funded RSC's debt and the latest funding rounds -
+ * or traces one round: FundsReceived → RVM react() → coverDebt() → FundsBridged.
+ *
+ * Usage:
+ *   node funder-status.js                  # Status and the last 10 rounds
+ *   node funder-status.js --rounds 20      # Show more rounds
+ *   node funder-status.js --trace <txHash> # Trace the round a FundsReceived tx started
+ *   node funder-status.js --json           # Print the raw status or trace
+ */
+
+import { ethers } from 'ethers';
+import chalk from 'chalk';
+import Table from 'cli-table3';
+import { NETWORKS, PROFILE, FUNDER_MONITOR } from './config.js';
+import logger from './logger.js';
+import RnkClient from './rnk-client.js';
+import {
+    RoundStatus,
+    ROUND_EMOJIS,
+    FundingRoundTracer,
+    readFunderStatus,
+    listRecentRounds
+} from './funder-monitor.js';
+
+// ═══════════════════════════════════════════════════════════════
+//                         DISPLAY
+// ═══════════════════════════════════════════════════════════════
+
+function formatWei(wei) {
+    const eth = Number(ethers.formatEther(wei ?? 0n));
+    if (eth === 0) return chalk.gray('0 ETH');
+    return `${eth.toFixed(6)} ETH`;
+}
+
+function statusIcon(ok) {
+    return ok ? chalk.green('✓') : chalk.red('✗');
+}
+
+const ROUND_COLORS = {
+    [RoundStatus.BRIDGED]: chalk.green,
+    [RoundStatus.PENDING]: chalk.yellow,
+    [RoundStatus.STALLED]: chalk.red,
+    [RoundStatus.FAILED]: chalk.red,
+    [RoundStatus.SKIPPED]: chalk.gray
+};
+
+/**
+ * Print the loop status and recent rounds to the console
+ */
+export function printFunderStatus({ funder, reactiveFunder, warnings }, rounds) {
+    logger.header('SELF-FUNDING LOOP');
+    console.log(chalk.gray(`Profile: ${PROFILE.name}`));
+    console.log('');
+
+    if (funder) {
+        console.log(chalk.cyan.bold('🏦 FUNDER (Sepolia)'));
+        const table = new Table({ style: { head: ['cyan'] } });
+        table.push(
+            ['Address', funder.address],
+            ['Balance', `${formatWei(funder.balance)} (gas reserve ${formatWei(funder.gasReserve)})`],
+            ['Collected', formatWei(funder.totalCollected)],
+            ['Bridged', `${formatWei(funder.totalBridged)} in ${funder.bridgeCount} bridge(s)`],
+            ['Bridge threshold', `${formatWei(funder.bridgeThreshold)} ${funder.canBridge ? chalk.yellow('(reached)') : ''}`],
+            ['Bridgeable', formatWei(funder.bridgeable)],
+            ['Funded RSC', funder.rsc],
+            ['RSC debt', funder.rscDebt === 0n ? chalk.green('None') : chalk.red(formatWei(funder.rscDebt))],
+            ['Callback proxy authorized', statusIcon(funder.proxyAuthorized)]
+        );
+        console.log(table.toString());
+        console.log('');
+    }
+
+    if (reactiveFunder) {
+        console.log(chalk.magenta.bold('⚡ REACTIVEFUNDERRC (Lasna)'));
+        const table = new Table({ style: { head: ['magenta'] } });
+        table.push(
+            ['Address', reactiveFunder.address],
+            ['Bridge triggers', reactiveFunder.bridgeCount.toString()],
+            ['Total bridged', formatWei(reactiveFunder.totalBridged)],
+            ['Follows Funder', reactiveFunder.funder],
+            ['Funds', reactiveFunder.recipient]
+        );
+        console.log(table.toString());
+        console.log('');
+    }
+
+    if (funder) {
+        console.log(chalk.blue.bold(`🔁 RECENT ROUNDS (last ${FUNDER_MONITOR.lookbackBlocks} blocks)`));
+        if (rounds.length === 0) {
+            console.log(chalk.gray('  No FundsReceived'));
+        } else {
+            const table = new Table({
+                head: ['Block', 'Status', 'Fee', 'Sender', 'Tx', 'Bridged in'],
+                style: { head: ['blue'] }
+            });
+            for (const round of rounds) {
+                table.push([
+                    round.blockNumber,
+                    ROUND_COLORS[round.status](`${ROUND_EMOJIS[round.status]} ${round.status}`),
+                    formatWei(round.amount),
+                    logger.truncateAddress(round.sender),
+                    logger.truncateAddress(round.txHash),
+                    round.bridgedBy ? `block ${round.bridgedBy.blockNumber}` : '-'
+                ]);
+            }
+            console.log(table.toString());
+        }
+        console.log('');
+    }
+
+    if (warnings.length > 0) {
+        for (const warning of warnings) console.log(chalk.yellow(`⚠️  ${warning}`));
+    } else {
+        console.log(chalk.bold.green('✓ Loop healthy'));
+    }
+    console.log('');
+}
+
+/**
+ * Print a round trace to the console
+ */
+export function printRoundTrace(trace) {
+    const { round } = trace;
+
+    logger.header('FUNDING ROUND');
+    console.log(chalk.cyan('💰 FundsReceived (Sepolia)'));
+    console.log(chalk.white(`   Tx:     ${round.txHash}`));
+    console.log(chalk.white(`   Block:  ${round.blockNumber}`));
+    console.log(chalk.white(`   Fee:    ${formatWei(round.amount)} from ${round.sender}`));
+
+    if (trace.rvmTx) {
+        console.log('');
+        console.log(chalk.magenta(`🔶 RVM TX #${trace.rvmTx.number} ${trace.rvmTx.success ? chalk.green('✓') : chalk.red('✗')}  ${chalk.gray(`+${trace.rvmTx.latencySec}s`)}`));
+        console.log(chalk.white(`   BridgeTriggered: ${trace.bridgeAmount !== null ? formatWei(trace.bridgeAmount) : 'none'}`));
+    }
+
+    if (trace.delivery) {
+        const { delivery } = trace;
+        console.log('');
+        console.log(chalk.yellow(`📤 coverDebt() → ${delivery.status}`));
+        if (delivery.txHash) {
+            console.log(chalk.white(`   Tx:    ${delivery.txHash}`));
+            console.log(chalk.white(`   Block: ${delivery.blockNumber}  ${chalk.gray(`+${delivery.latencySec}s after RVM`)}`));
+        } else if (delivery.searchedBlocks) {
+            console.log(chalk.gray(`   Searched blocks ${delivery.searchedBlocks[0]}-${delivery.searchedBlocks[1]}`));
+        }
+    }
+
+    if (trace.bridged !== null) {
+        console.log('');
+        console.log(chalk.green(`🌉 FundsBridged: ${formatWei(trace.bridged)}`));
+    } else if (round.bridgedBy) {
+        console.log('');
+        console.log(chalk.green(`🌉 Bridged by ${round.bridgedBy.txHash} (${formatWei(round.bridgedBy.amount)})`));
+    }
+
+    if (trace.failure) {
+        console.log((round.status === RoundStatus.BRIDGED ? chalk.gray : chalk.red)(`   ${trace.failure}`));
+    }
+
+    console.log('');
+    const summary = `${ROUND_EMOJIS[round.status]} ${round.status}` +
+        (trace.totalLatencySec !== null ? `  (total ${trace.totalLatencySec}s)` : '');
+    console.log(ROUND_COLORS[round.status].bold(summary));
+    console.log('');
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                            CLI
+// ═══════════════════════════════════════════════════════════════
+
+async function main() {
+    const args = process.argv.slice(2);
+    const traceIdx = args.indexOf('--trace');
+    const roundsIdx = args.indexOf('--rounds');
+    const json = args.includes('--json');
+
+    const provider = new ethers.JsonRpcProvider(NETWORKS.sepolia.rpc);
+    const print = value => console.log(JSON.stringify(value, (key, v) => (typeof v === 'bigint' ? v.toString() : v), 2));
+
+    if (traceIdx !== -1) {
+        const txHash = args[traceIdx + 1];
+        if (!/^0x[0-9a-fA-F]{64}$/.test(txHash || '')) {
+            console.error('❌ Usage: node funder-status.js --trace <FundsReceived txHash>');
+            process.exit(1);
+        }
+        const trace = await new FundingRoundTracer({ provider, rnkClient: new RnkClient() }).trace(txHash);
+        if (json) print(trace);
+        else printRoundTrace(trace);
+        return;
+    }
+
+    const status = await readFunderStatus({ provider, lasnaProvider: new ethers.JsonRpcProvider(NETWORKS.lasna.rpc) });
+    const rounds = status.funder
+        ? await listRecentRounds({ provider, limit: roundsIdx !== -1 ? parseInt(args[roundsIdx + 1]) : 10 })
+        : [];
+    if (json) print({ ...status, rounds });
+    else printFunderStatus(status, rounds);
+}
+
+if (process.argv[1] && process.argv[1].endsWith('funder-status.js')) {
+    main().catch((e) => {
+        console.error(`❌ ${e.message}`);
+        process.exit(1);
+    });
+}
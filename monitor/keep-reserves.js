@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+/**
+ * Callback Reserve Keeper Daemon
+ *
+ * Runs ReserveKeeper (reserve-keeper.js): tops up the callback proxy reserves
+ * of the RVM when they drop below KEEPER_RESERVE_FLOOR and pays RVM debt on
+ * Lasna, within the daily caps. Actions go to the audit log and to the
+ * notification channels (TELEGRAM_CHAT_ID and notifiers file / *_WEBHOOK_URL).
+ *
+ * The wallet is KEEPER_PRIVATE_KEY (or PRIVATE_KEY, like fund-reserves.js) on
+ * both chains. Without one the keeper only reports what it would send.
+ *
+ * Usage:
+ *   node keep-reserves.js             # Check every KEEPER_POLL_INTERVAL_MS
+ *   node keep-reserves.js --once      # Check once and exit
+ *   node keep-reserves.js --dry-run   # Report the top-ups it would send, send nothing
+ *   node keep-reserves.js --status    # Reserves, debt, today's spending and the last actions
+ */
+
+import { ethers } from 'ethers';
+import chalk from 'chalk';
+import dotenv from 'dotenv';
+import { NETWORKS, PROFILE, RESERVE_KEEPER } from './config.js';
+import logger from './logger.js';
+import { ReserveKeeper, KeeperAction, CURRENCY, formatKeeperActionHtml } from './reserve-keeper.js';
+import { createNotifier, keeperEvent } from './notifier/index.js';
+
+dotenv.config();
+
+
+function printStatus(status, keeper) {
+    const eth = value => `${ethers.formatEther(BigInt(value))}`;
+    logger.header('RESERVE KEEPER');
+    console.log(chalk.gray(`Profile: ${PROFILE.name}  RVM: ${keeper.rvmId}`));
+    console.log('');
+    const low = status.reserves < keeper.config.floor;
+    console.log(`  Reserves:  ${(low ? chalk.red : chalk.green)(`${eth(status.reserves)} ETH`)} (floor ${eth(keeper.config.floor)}, target ${eth(keeper.config.target)})`);
+    console.log(`  RVM debt:  ${(status.rvmDebt > 0n ? chalk.red : chalk.green)(`${eth(status.rvmDebt)} REACT`)}`);
+    console.log(`  Today:     ${eth(status.spent.sepolia)} / ${eth(status.caps.sepolia)} ETH, ${eth(status.spent.lasna)} / ${eth(status.caps.lasna)} REACT`);
+    console.log('');
+
+    console.log(chalk.blue.bold(`📜 LAST ACTIONS (${keeper.audit.file})`));
+    if (status.recent.length === 0) console.log(chalk.gray('  None'));
+    for (const action of status.recent) {
+        const color = action.type === KeeperAction.FAILED ? chalk.red : action.type === KeeperAction.TOP_UP ? chalk.green : chalk.yellow;
+        console.log(`  ${chalk.gray(action.time)} ${color(action.type.padEnd(7))} ${action.target.padEnd(8)} ${eth(action.amount)} ${CURRENCY[action.network]}${action.txHash ? chalk.gray(` ${action.txHash}`) : ''}${action.error ? chalk.red(` ${action.error}`) : ''}`);
+    }
+    console.log('');
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const provider = new ethers.JsonRpcProvider(NETWORKS.sepolia.rpc);
+    const lasnaProvider = new ethers.JsonRpcProvider(NETWORKS.lasna.rpc);
+
+    const privateKey = process.env.KEEPER_PRIVATE_KEY || process.env.PRIVATE_KEY;
+    let dryRun = args.includes('--dry-run') || RESERVE_KEEPER.dryRun;
+    if (!privateKey && !dryRun && !args.includes('--status')) {
+        logger.warn('No KEEPER_PRIVATE_KEY or PRIVATE_KEY - running as a dry run');
+        dryRun = true;
+    }
+
+    const notifier = createNotifier({ telegram: true });
+    const keeper = new ReserveKeeper({
+        provider,
+        lasnaProvider,
+        signer: privateKey ? new ethers.Wallet(privateKey, provider) : null,
+        lasnaSigner: privateKey ? new ethers.Wallet(privateKey, lasnaProvider) : null,
+        dryRun,
+        onAction: action => notifier.notify(keeperEvent(action, formatKeeperActionHtml(action)))
+    });
+
+    if (args.includes('--status')) {
+        printStatus(await keeper.status(), keeper);
+        return;
+    }
+
+    logger.header('RESERVE KEEPER');
+    logger.info(`Floor ${ethers.formatEther(RESERVE_KEEPER.floor)} ETH → target ${ethers.formatEther(RESERVE_KEEPER.target)} ETH via ${RESERVE_KEEPER.method}${RESERVE_KEEPER.payDebt ? ', paying RVM debt' : ''}`, null, 'sepolia');
+    logger.info(`Daily caps: ${ethers.formatEther(RESERVE_KEEPER.dailyCap)} ETH, ${ethers.formatEther(RESERVE_KEEPER.debtDailyCap)} REACT${dryRun ? ' (dry run)' : ''}`);
+    if (notifier.size === 0) logger.warn('No notification channel configured - actions go to the audit log only');
+
+    if (args.includes('--once')) {
+        const { actions } = await keeper.check();
+        if (actions.length === 0) logger.success('Reserves and RVM debt OK - nothing to do');
+        return;
+    }
+
+    keeper.start();
+    logger.success(`Checking every ${RESERVE_KEEPER.pollIntervalMs / 1000}s... (Press Ctrl+C to stop)`);
+
+    process.on('SIGINT', () => {
+        console.log('');
+        logger.info('Shutting down keeper...');
+        keeper.stop();
+        process.exit(0);
+    });
+}
+
+if (process.argv[1] && process.argv[1].endsWith('keep-reserves.js')) {
+    main().catch((e) => {
+        console.error(`❌ ${e.message}`);
+        process.exit(1);
+    });
+}
+
+export default ReserveKeeper;
@@ -0,0 +1,234 @@
+/**
+ * Lasna Event Watcher for Reactive Auto-Looper
+ *
+ * Follows the events of the reactive contracts on Lasna, so you can see why
+ * the RSC skipped or deferred an action (rate limits, finality, stale
+ * positions) and when the funder bridges reserves:
+ * - RVM: logs of every new RVM transaction (react() runs, via RnkClient.getTransactionLogs)
+ * - Lasna: logs of calls made on the contracts themselves (eth_getLogs on lasnaProvider)
+ *
+ * Logs are decoded with LASNA_TOPICS, per contract: AutoLooperReactiveEnhanced
+ * reuses several manager event names with other arguments. Only the events in
+ * LASNA_EVENTS are reported. Both positions are saved under STATE_DIR, so a
+ * restart picks up where the last run stopped; the first run starts at the head.
+ */
+
+import { PROFILE, CONTRACTS, LASNA_EVENTS, LASNA_WATCHER } from './config.js';
+import { getInterface } from './abi-registry.js';
+import { TxKind } from './rnk-models.js';
+import { JsonStore } from './state-store.js';
+import logger from './logger.js';
+
+/**
+ * @typedef {Object} LasnaEvent
+ * @property {string} id - rvm:<txNumber>:<logIndex> or <txHash>:<logIndex>
+ * @property {string} contract - LASNA_EVENTS key (reactiveEnhanced, reactiveFunder)
+ * @property {string} name - Event name
+ * @property {import('ethers').Result} args - Decoded arguments
+ * @property {string} category - EVENT_CATEGORIES key from LASNA_EVENTS
+ * @property {string|null} user - Position owner, if the event has one
+ * @property {string} source - 'rvm' or 'lasna'
+ * @property {number|null} rvmTxNumber - RVM transaction (source rvm)
+ * @property {string|null} txHash - RVM or Lasna transaction hash
+ * @property {number|null} blockNumber - Lasna block (source lasna)
+ * @property {number} logIndex
+ */
+
+export class LasnaWatcher {
+    /**
+     * @param options.rnkClient - RnkClient for the RVM
+     * @param options.provider - Lasna provider
+     * @param options.contracts - LASNA_EVENTS key → address (unset ones are skipped)
+     * @param options.onEvent - Called with every LasnaEvent, in order
+     * @param options.stateFile - Where the RVM tx and Lasna block positions are kept (relative to STATE_DIR)
+     */
+    constructor({
+        rnkClient,
+        provider,
+        rvmId = CONTRACTS.rvmId,
+        contracts = { reactiveEnhanced: CONTRACTS.reactiveEnhanced, reactiveFunder: CONTRACTS.reactiveFunder },
+        events = LASNA_EVENTS,
+        onEvent = null,
+        stateFile = `lasna-${PROFILE.name}.json`,
+        maxBlockRange = LASNA_WATCHER.maxBlockRange
+    }) {
+        this.rnkClient = rnkClient;
+        this.provider = provider;
+        this.rvmId = rvmId;
+        this.events = events;
+        this.onEvent = onEvent;
+        this.maxBlockRange = maxBlockRange;
+
+        // Lowercase address → { contract, iface }
+        this.contracts = new Map(Object.entries(contracts)
+            .filter(([, address]) => address)
+            .map(([contract, address]) => [address.toLowerCase(), { contract, iface: getInterface(contract) }]));
+
+        this.store = new JsonStore(stateFile);
+        this.intervalId = null;
+        this.polling = false;
+    }
+
+    get addresses() {
+        return [...this.contracts.keys()];
+    }
+
+    /**
+     * Decode a log of a watched contract
+     * @returns {{ contract: string, name: string, args: import('ethers').Result }|null}
+     */
+    decode(log) {
+        const watched = this.contracts.get(log.address?.toLowerCase());
+        if (!watched) return null;
+        try {
+            const parsed = watched.iface.parseLog({ topics: log.topics, data: log.data });
+            return parsed ? { contract: watched.contract, name: parsed.name, args: parsed.args } : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * LasnaEvent for a log, or null if it isn't one of the reported events
+     * @param where - source, rvmTxNumber, txHash, blockNumber
+     */
+    toEvent(log, logIndex, where) {
+        const decoded = this.decode(log);
+        if (!decoded) return null;
+
+        const category = this.events[decoded.contract]?.[decoded.name];
+        if (!category) {
+            logger.debug(`${decoded.contract}.${decoded.name} (not reported)`, null, 'lasna');
+            return null;
+        }
+
+        const id = where.source === 'rvm' ? `rvm:${where.rvmTxNumber}:${logIndex}` : `${where.txHash}:${logIndex}`;
+        return {
+            id,
+            ...decoded,
+            category,
+            user: decoded.args.user ?? null,
+            rvmTxNumber: null,
+            txHash: null,
+            blockNumber: null,
+            ...where,
+            logIndex
+        };
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    //                          POLLING
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Logs of one RVM transaction as LasnaEvents
+     * @param tx - RvmTransaction
+     */
+    async handleRvmTransaction(tx) {
+        if (tx.kind === TxKind.DEPLOY) return [];
+        const logs = await this.rnkClient.getTransactionLogs(this.rvmId, tx.number);
+        return logs
+            .map(log => this.toEvent(log, log.index, { source: 'rvm', rvmTxNumber: tx.number, txHash: tx.hash }))
+            .filter(Boolean);
+    }
+
+    /**
+     * New RVM transactions since the saved position
+     */
+    async pollRvm() {
+        const head = await this.rnkClient.getHeadNumber(this.rvmId);
+        const last = this.store.get('lastTxNumber');
+        if (last === null) {
+            this.store.set('lastTxNumber', head);
+            return [];
+        }
+
+        const events = [];
+        for await (const txs of this.rnkClient.iterateTransactions(this.rvmId, last + 1, head)) {
+            for (const tx of txs) {
+                for (const event of await this.handleRvmTransaction(tx)) {
+                    await this.emit(event);
+                    events.push(event);
+                }
+                this.store.set('lastTxNumber', tx.number);
+            }
+        }
+        return events;
+    }
+
+    /**
+     * New Lasna blocks since the saved position, in maxBlockRange chunks
+     */
+    async pollChain() {
+        const head = await this.provider.getBlockNumber();
+        const last = this.store.get('lastBlock');
+        if (last === null) {
+            this.store.set('lastBlock', head);
+            return [];
+        }
+
+        const events = [];
+        for (let from = last + 1; from <= head; from += this.maxBlockRange) {
+            const to = Math.min(from + this.maxBlockRange - 1, head);
+            const logs = await this.provider.getLogs({ address: this.addresses, fromBlock: from, toBlock: to });
+            for (const log of logs) {
+                const event = this.toEvent(log, log.index, { source: 'lasna', txHash: log.transactionHash, blockNumber: log.blockNumber });
+                if (!event) continue;
+                await this.emit(event);
+                events.push(event);
+            }
+            this.store.set('lastBlock', to);
+        }
+        return events;
+    }
+
+    async emit(event) {
+        logger.event(`${event.contract}.${event.name}${event.user ? ` for ${logger.truncateAddress(event.user)}` : ''}`, null, 'lasna');
+        if (this.onEvent) await this.onEvent(event);
+    }
+
+    /**
+     * Check the RVM and Lasna once. A failing source doesn't hold up the other.
+     * @returns {Promise<LasnaEvent[]>} Events reported in this round
+     */
+    async poll() {
+        if (this.contracts.size === 0) return [];
+        const events = [];
+        for (const [source, poll] of [['RVM', () => this.pollRvm()], ['Lasna', () => this.pollChain()]]) {
+            try {
+                events.push(...await poll());
+            } catch (error) {
+                logger.warn(`${source} event poll failed: ${error.message}`, null, 'lasna');
+            }
+        }
+        return events;
+    }
+
+    /**
+     * Poll on an interval (one poll at a time)
+     */
+    start(intervalMs = LASNA_WATCHER.pollIntervalMs) {
+        if (this.contracts.size === 0) {
+            logger.warn('No AUTO_LOOPER_REACTIVE_ENHANCED or REACTIVE_FUNDER_RC address - Lasna events not watched', null, 'lasna');
+            return;
+        }
+        const run = async () => {
+            if (this.polling) return;
+            this.polling = true;
+            try {
+                await this.poll();
+            } finally {
+                this.polling = false;
+            }
+        };
+        run();
+        this.intervalId = setInterval(run, intervalMs);
+    }
+
+    stop() {
+        clearInterval(this.intervalId);
+        this.intervalId = null;
+    }
+}
+
+export default LasnaWatcher;
@@ -135,8 +135,8 @@ export const logger = {
         console.log('');
         console.log(chalk.bgMagenta.white(' RVM TRANSACTION '));
         console.log(chalk.magenta(`  TX #: ${txNum}`));
-        console.log(chalk.magenta(`  Status: ${data.status === 1 ? '✅ Success' : '❌ Failed'}`));
-        console.log(chalk.magenta(`  Gas Used: ${data.used}`));
+        console.log(chalk.magenta(`  Status: ${data.success ? '✅ Success' : '❌ Failed'}`));
+        console.log(chalk.magenta(`  Gas Used: ${data.gasUsed}`));
         console.log(chalk.magenta(`  Ref Chain: ${data.refChainId}`));
         console.log(chalk.magenta(`  Ref TX: ${truncateAddress(data.refTx)}`));
         console.log('');
@@ -0,0 +1,47 @@
+/**
+ * Discord Channel (incoming webhook)
+ *
+ * One embed per event: the title, the body as Markdown, a severity colour
+ * and the explorer link.
+ */
+
+import { postJson } from '../http.js';
+import { bodyOf, htmlToMarkdown } from '../format.js';
+
+const COLORS = { info: 0x3498db, warning: 0xf1c40f, critical: 0xe74c3c };
+
+export class DiscordChannel {
+    /**
+     * @param options.url - Webhook URL from the channel's Integrations settings
+     * @param options.username - Name the messages are posted under
+     */
+    constructor({ name = 'discord', url, username = 'Reactive Auto-Looper', fetch = globalThis.fetch, timeoutMs }) {
+        if (!url) throw new Error(`Channel ${name}: discord needs a webhook url`);
+        this.name = name;
+        this.type = 'discord';
+        this.url = url;
+        this.username = username;
+        this.http = { fetch, timeoutMs };
+    }
+
+    format(event) {
+        const description = htmlToMarkdown(bodyOf(event.html)).slice(0, 4096);
+        return {
+            username: this.username,
+            embeds: [{
+                title: event.title.slice(0, 256),
+                ...(description && { description }),
+                ...(event.url && { url: event.url }),
+                color: COLORS[event.severity] ?? COLORS.info,
+                footer: { text: `${event.type} · ${event.severity}` },
+                timestamp: new Date(event.timestamp).toISOString()
+            }]
+        };
+    }
+
+    async send(event) {
+        await postJson(this.url, this.format(event), this.http);
+    }
+}
+
+export default DiscordChannel;
@@ -0,0 +1,43 @@
+/**
+ * Slack Channel (incoming webhook)
+ *
+ * A header with the title, the body as mrkdwn and a context line with the
+ * severity, event type and explorer link. `text` is the fallback shown in
+ * notifications.
+ */
+
+import { postJson } from '../http.js';
+import { bodyOf, htmlToMrkdwn } from '../format.js';
+
+const ICONS = { info: 'ℹ️', warning: '⚠️', critical: '🚨' };
+
+export class SlackChannel {
+    /**
+     * @param options.url - Incoming webhook URL of the Slack app
+     */
+    constructor({ name = 'slack', url, fetch = globalThis.fetch, timeoutMs }) {
+        if (!url) throw new Error(`Channel ${name}: slack needs a webhook url`);
+        this.name = name;
+        this.type = 'slack';
+        this.url = url;
+        this.http = { fetch, timeoutMs };
+    }
+
+    format(event) {
+        const context = [`${ICONS[event.severity] ?? ''} ${event.severity}`, event.type];
+        if (event.url) context.push(`<${event.url}|View transaction>`);
+
+        const blocks = [{ type: 'header', text: { type: 'plain_text', text: event.title.slice(0, 150), emoji: true } }];
+        const body = htmlToMrkdwn(bodyOf(event.html));
+        if (body) blocks.push({ type: 'section', text: { type: 'mrkdwn', text: body.slice(0, 3000) } });
+        blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: context.join(' · ') }] });
+
+        return { text: event.title, blocks };
+    }
+
+    async send(event) {
+        await postJson(this.url, this.format(event), this.http);
+    }
+}
+
+export default SlackChannel;
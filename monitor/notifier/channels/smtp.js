@@ -0,0 +1,240 @@
+/**
+ * Email Channel (SMTP)
+ *
+ * A small SMTP client on net/tls, enough to hand a message to a relay:
+ * implicit TLS (port 465) or STARTTLS when the server offers it, AUTH PLAIN,
+ * one message per session. Credentials are only sent over TLS unless
+ * allowInsecureAuth says otherwise. The mail is multipart - the body as plain text
+ * and as HTML - with the event title as subject.
+ *
+ * 4xx replies and connection failures are transient (the notifier retries);
+ * 5xx replies are not.
+ */
+
+import net from 'net';
+import tls from 'tls';
+import os from 'os';
+import crypto from 'crypto';
+import { NOTIFIER } from '../../config.js';
+import { channelError } from '../http.js';
+import { bodyOf, htmlToText } from '../format.js';
+
+const SUBJECT_PREFIX = { info: '', warning: '[WARNING] ', critical: '[CRITICAL] ' };
+
+function smtpError(message, code = null) {
+    return channelError(message, { transient: code === null || (code >= 400 && code < 500) });
+}
+
+/**
+ * Encoded-word for headers with non-ASCII text (emoji in titles)
+ */
+function encodeHeader(text) {
+    return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text).toString('base64')}?=`;
+}
+
+function base64Lines(text) {
+    return Buffer.from(text).toString('base64').match(/.{1,76}/g)?.join('\r\n') ?? '';
+}
+
+/**
+ * One SMTP conversation: write a command, wait for its (possibly multi-line) reply
+ */
+class SmtpConnection {
+    constructor(socket) {
+        this.replies = [];
+        this.waiting = null;
+        this.error = null;
+        this.attach(socket);
+    }
+
+    attach(socket) {
+        this.socket = socket;
+        this.buffer = '';
+        this.lines = [];
+        socket.on('data', chunk => {
+            this.buffer += chunk.toString('utf8');
+            this.drain();
+        });
+        socket.on('error', error => this.fail(error));
+        socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+    }
+
+    /**
+     * Hand the socket over to TLS (STARTTLS)
+     */
+    async upgrade(host, timeoutMs) {
+        const raw = this.socket;
+        raw.removeAllListeners('data');
+        raw.removeAllListeners('error');
+        raw.removeAllListeners('close');
+        const secure = tls.connect({ socket: raw, servername: host });
+        secure.setTimeout(timeoutMs, () => secure.destroy(new Error('SMTP timeout')));
+        await new Promise((resolve, reject) => {
+            secure.once('secureConnect', resolve);
+            secure.once('error', reject);
+        });
+        this.attach(secure);
+    }
+
+    drain() {
+        let index;
+        while ((index = this.buffer.indexOf('\n')) !== -1) {
+            const line = this.buffer.slice(0, index).replace(/\r$/, '');
+            this.buffer = this.buffer.slice(index + 1);
+            this.lines.push(line);
+            // "250-..." continues a reply, "250 ..." ends it
+            if (/^\d{3}(?: |$)/.test(line)) {
+                this.replies.push({ code: parseInt(line, 10), text: this.lines.map(l => l.slice(4)).join('\n') });
+                this.lines = [];
+            }
+        }
+        this.settle();
+    }
+
+    fail(error) {
+        this.error ??= error;
+        this.settle();
+    }
+
+    settle() {
+        if (!this.waiting) return;
+        const { resolve, reject } = this.waiting;
+        if (this.replies.length > 0) {
+            this.waiting = null;
+            resolve(this.replies.shift());
+        } else if (this.error) {
+            this.waiting = null;
+            reject(smtpError(this.error.message));
+        }
+    }
+
+    reply() {
+        return new Promise((resolve, reject) => {
+            this.waiting = { resolve, reject };
+            this.settle();
+        });
+    }
+
+    /**
+     * @param line - Command to send, or null to read the greeting
+     * @param label - Shown in errors instead of the command (keeps AUTH secrets out of logs)
+     */
+    async command(line, expected, label = line?.split(' ')[0] ?? 'greeting') {
+        if (line !== null) this.socket.write(`${line}\r\n`);
+        const reply = await this.reply();
+        if (!expected.includes(reply.code)) {
+            throw smtpError(`SMTP ${label} refused: ${reply.code} ${reply.text}`, reply.code);
+        }
+        return reply;
+    }
+
+    close() {
+        this.socket.end();
+    }
+}
+
+export class SmtpChannel {
+    /**
+     * @param options.host / options.port - Relay; port 465 means implicit TLS
+     * @param options.secure - Force implicit TLS on another port
+     * @param options.user / options.pass - AUTH PLAIN credentials, if the relay wants them
+     * @param options.allowInsecureAuth - Send them even when the connection isn't encrypted
+     * @param options.from - Sender address
+     * @param options.to - Recipient address or list
+     */
+    constructor({
+        name = 'email',
+        host,
+        port = 587,
+        secure = Number(port) === 465,
+        user = null,
+        pass = null,
+        allowInsecureAuth = false,
+        from,
+        to,
+        timeoutMs = NOTIFIER.timeoutMs
+    }) {
+        const recipients = [].concat(to ?? []).flatMap(address => String(address).split(',')).map(a => a.trim()).filter(Boolean);
+        if (!host || !from || recipients.length === 0) throw new Error(`Channel ${name}: smtp needs host, from and to`);
+        this.name = name;
+        this.type = 'smtp';
+        this.options = { host, port: Number(port), secure, user, pass, allowInsecureAuth, from, to: recipients, timeoutMs };
+    }
+
+    format(event) {
+        const body = bodyOf(event.html);
+        let text = htmlToText(body);
+        if (event.url) text += `\n\n${event.url}`;
+        const html = `<div style="white-space: pre-wrap; font-family: sans-serif">${body}</div>`;
+        return { subject: `${SUBJECT_PREFIX[event.severity] ?? ''}${event.title}`, text, html };
+    }
+
+    /**
+     * RFC 5322 message with text and HTML alternatives
+     */
+    message(event) {
+        const { subject, text, html } = this.format(event);
+        const boundary = `alt-${crypto.randomBytes(8).toString('hex')}`;
+        return [
+            `From: ${this.options.from}`,
+            `To: ${this.options.to.join(', ')}`,
+            `Subject: ${encodeHeader(subject)}`,
+            `Date: ${new Date(event.timestamp).toUTCString()}`,
+            `Message-ID: <${crypto.randomUUID()}@${os.hostname()}>`,
+            'MIME-Version: 1.0',
+            `Content-Type: multipart/alternative; boundary="${boundary}"`,
+            '',
+            `--${boundary}`,
+            'Content-Type: text/plain; charset=utf-8',
+            'Content-Transfer-Encoding: base64',
+            '',
+            base64Lines(text),
+            `--${boundary}`,
+            'Content-Type: text/html; charset=utf-8',
+            'Content-Transfer-Encoding: base64',
+            '',
+            base64Lines(html),
+            `--${boundary}--`,
+            ''
+        ].join('\r\n');
+    }
+
+    async send(event) {
+        const { host, port, secure, user, pass, allowInsecureAuth, from, to, timeoutMs } = this.options;
+
+        const socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+        socket.setTimeout(timeoutMs, () => socket.destroy(new Error('SMTP timeout')));
+        const smtp = new SmtpConnection(socket);
+
+        try {
+            await smtp.command(null, [220]);
+            const ehlo = await smtp.command(`EHLO ${os.hostname()}`, [250]);
+            let encrypted = secure;
+            if (!secure && /^STARTTLS$/im.test(ehlo.text)) {
+                await smtp.command('STARTTLS', [220]);
+                await smtp.upgrade(host, timeoutMs);
+                await smtp.command(`EHLO ${os.hostname()}`, [250]);
+                encrypted = true;
+            }
+
+            if (user && !encrypted && !allowInsecureAuth) {
+                throw channelError(`SMTP ${host} offers no STARTTLS - not sending credentials in cleartext (allowInsecureAuth)`);
+            }
+            if (user) {
+                const credentials = Buffer.from(`\0${user}\0${pass ?? ''}`).toString('base64');
+                await smtp.command(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+            }
+            await smtp.command(`MAIL FROM:<${from}>`, [250]);
+            for (const recipient of to) {
+                await smtp.command(`RCPT TO:<${recipient}>`, [250, 251]);
+            }
+            await smtp.command('DATA', [354]);
+            await smtp.command(`${this.message(event)}\r\n.`, [250], 'message');
+            await smtp.command('QUIT', [221]).catch(() => {});
+        } finally {
+            smtp.close();
+        }
+    }
+}
+
+export default SmtpChannel;
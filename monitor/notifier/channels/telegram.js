@@ -0,0 +1,35 @@
+/**
+ * Telegram Channel
+ *
+ * Sends the event's HTML as it is to one chat. The bot has its own per-chat
+ * routing; this channel is for scripts and for extra chats in a routes file.
+ */
+
+import { TelegramApi } from '../../bot/telegram-api.js';
+import { channelError } from '../http.js';
+
+export class TelegramChannel {
+    /**
+     * @param options.token / options.chatId - Bot token and target chat
+     * @param options.api - TelegramApi to send through instead (tests)
+     */
+    constructor({ name = 'telegram', token = null, chatId, api = null }) {
+        if (!chatId) throw new Error(`Channel ${name}: telegram needs a chatId`);
+        this.name = name;
+        this.type = 'telegram';
+        this.chatId = chatId;
+        this.api = api ?? new TelegramApi({ token, defaultChatId: chatId });
+    }
+
+    format(event) {
+        return event.html;
+    }
+
+    async send(event) {
+        // TelegramApi already retried through its transport and logged the reason
+        const result = await this.api.sendMessage(this.format(event), { chatId: this.chatId });
+        if (!result) throw channelError('Telegram did not accept the message');
+    }
+}
+
+export default TelegramChannel;
@@ -0,0 +1,76 @@
+/**
+ * Generic JSON Webhook Channel
+ *
+ * Posts the event model as JSON (body as plain text and HTML, structured
+ * data, severity) for whatever ops tooling listens. With a routingKey the
+ * body is a PagerDuty Events API v2 request instead: alerts trigger and
+ * resolve one incident per user and rule.
+ */
+
+import { PROFILE } from '../../config.js';
+import { postJson } from '../http.js';
+import { bodyOf, htmlToText } from '../format.js';
+
+export const PAGERDUTY_EVENTS_URL = 'https://events.pagerduty.com/v2/enqueue';
+
+export class WebhookChannel {
+    /**
+     * @param options.url - Endpoint (defaults to PagerDuty's with a routingKey)
+     * @param options.headers - Extra request headers, e.g. Authorization
+     * @param options.routingKey - PagerDuty integration key; switches to the Events API v2 format
+     */
+    constructor({ name = 'webhook', url = null, headers = {}, routingKey = null, fetch = globalThis.fetch, timeoutMs }) {
+        this.url = url ?? (routingKey ? PAGERDUTY_EVENTS_URL : null);
+        if (!this.url) throw new Error(`Channel ${name}: webhook needs a url`);
+        this.name = name;
+        this.type = 'webhook';
+        this.routingKey = routingKey;
+        this.http = { fetch, timeoutMs, headers };
+    }
+
+    format(event) {
+        const source = `reactive-auto-looper/${PROFILE.name}`;
+        const text = htmlToText(bodyOf(event.html));
+
+        if (!this.routingKey) {
+            return {
+                id: event.id,
+                type: event.type,
+                category: event.category,
+                severity: event.severity,
+                title: event.title,
+                text,
+                html: event.html,
+                user: event.user,
+                url: event.url,
+                source,
+                timestamp: new Date(event.timestamp).toISOString(),
+                data: event.data
+            };
+        }
+
+        // An alert's incident lives from fired to resolved
+        const resolved = event.type === 'alert' && event.data.type === 'resolved';
+        return {
+            routing_key: this.routingKey,
+            event_action: resolved ? 'resolve' : 'trigger',
+            dedup_key: event.type === 'alert' ? `alert:${event.user ?? 'system'}:${event.data.rule}` : event.id,
+            payload: {
+                summary: event.title.slice(0, 1024),
+                severity: event.severity,
+                source,
+                component: event.category,
+                class: event.type,
+                timestamp: new Date(event.timestamp).toISOString(),
+                custom_details: { text, user: event.user, ...event.data }
+            },
+            ...(event.url && { links: [{ href: event.url, text: 'Transaction' }] })
+        };
+    }
+
+    async send(event) {
+        await postJson(this.url, this.format(event), this.http);
+    }
+}
+
+export default WebhookChannel;
@@ -0,0 +1,252 @@
+/**
+ * Notification Event Model
+ *
+ * Everything the notifier delivers is a NotifierEvent, built by one of the
+ * helpers below from a manager log, an alert engine event or a plain
+ * message. The body is Telegram HTML, the format every existing template
+ * produces; channels convert it (see format.js) and also get the structured
+ * fields for their own layout.
+ */
+
+import { ethers } from 'ethers';
+import { NETWORKS } from '../config.js';
+import { eventCategory } from '../chat-store.js';
+import { AlertEventType, AlertLevel, formatAlertHtml } from '../alert-engine.js';
+import { FunderEventType } from '../funder-monitor.js';
+import { KeeperAction } from '../reserve-keeper.js';
+import { unescapeHtml } from './format.js';
+
+export const Severity = {
+    INFO: 'info',
+    WARNING: 'warning',
+    CRITICAL: 'critical'
+};
+
+const SEVERITY_ORDER = [Severity.INFO, Severity.WARNING, Severity.CRITICAL];
+
+/**
+ * True if `severity` is `min` or worse
+ */
+export function atLeast(severity, min) {
+    return SEVERITY_ORDER.indexOf(severity) >= SEVERITY_ORDER.indexOf(min);
+}
+
+export function isSeverity(value) {
+    return SEVERITY_ORDER.includes(value);
+}
+
+// Manager events that need someone to act now; the rest of the risk category is a warning
+const CRITICAL_EVENTS = ['EmergencyStop', 'LiquidationDetected', 'GuardianFailure', 'CircuitBreakerTriggered'];
+
+/**
+ * @typedef {Object} NotifierEvent
+ * @property {string} id - Stable id; the notifier sends each id once (txHash:logIndex for logs)
+ * @property {string} type - Manager event name, <contract>.<event> for Lasna events, funder.<event> for the
+ *   self-funding loop, keeper.<action> for the reserve keeper, 'alert' or 'message'
+ * @property {string} category - EVENT_CATEGORIES key, 'alert' or 'message'
+ * @property {string} severity - Severity
+ * @property {string} title - One line of plain text
+ * @property {string} html - Body as Telegram HTML
+ * @property {string|null} user - Position owner, if the event is about one
+ * @property {string|null} url - Explorer link
+ * @property {Object} data - Event fields as JSON-safe values
+ * @property {number} timestamp - ms
+ */
+
+/**
+ * Plain text of the first <b>…</b> in a message, as its title
+ */
+export function titleOf(html) {
+    const bold = html.match(/<b>([\s\S]*?)<\/b>/);
+    const line = bold ? bold[1] : html.trim().split('\n')[0];
+    return unescapeHtml(line.replace(/<[^>]*>/g, '')).trim();
+}
+
+/**
+ * Copy of event args with bigints as strings
+ */
+function jsonSafe(value) {
+    if (typeof value === 'bigint') return value.toString();
+    if (Array.isArray(value)) return value.map(jsonSafe);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, jsonSafe(v)]));
+    }
+    return value;
+}
+
+/**
+ * @param fields - Any NotifierEvent fields; html is required
+ * @returns {NotifierEvent}
+ */
+export function createEvent({ html, ...fields }) {
+    if (!html) throw new Error('A notification needs an html body');
+    const timestamp = fields.timestamp ?? Date.now();
+    return {
+        id: `message:${timestamp}:${Math.random().toString(36).slice(2, 8)}`,
+        type: 'message',
+        category: 'message',
+        severity: Severity.INFO,
+        title: titleOf(html),
+        user: null,
+        url: null,
+        data: {},
+        ...fields,
+        html: html.trim(),
+        timestamp
+    };
+}
+
+/**
+ * A confirmed AutoLooperManager event
+ * @param log - The event's log (transactionHash, index)
+ * @param texts - The messages MANAGER_EVENT_MESSAGES rendered for it
+ */
+export function managerEvent(name, args, log, texts) {
+    const data = jsonSafe(typeof args?.toObject === 'function' ? args.toObject() : { ...args });
+    const category = eventCategory(name);
+
+    let severity = Severity.INFO;
+    if (CRITICAL_EVENTS.includes(name)) severity = Severity.CRITICAL;
+    else if (category === 'risk') severity = Severity.WARNING;
+    else if (name === 'PositionUpdated' && args.healthFactor > 0n && args.healthFactor < ethers.parseEther('1.5')) {
+        severity = Severity.WARNING;
+    }
+
+    const html = [].concat(texts).map(text => text.trim()).join('\n\n');
+    return createEvent({
+        id: `${log.transactionHash}:${log.index}`,
+        type: name,
+        category,
+        severity,
+        title: titleOf(html),
+        html,
+        user: data.user ?? null,
+        url: log.transactionHash ? `${NETWORKS.sepolia.explorer}/tx/${log.transactionHash}` : null,
+        data: { ...data, transactionHash: log.transactionHash, blockNumber: log.blockNumber }
+    });
+}
+
+/**
+ * A reactive contract event on Lasna
+ *
+ * The type is qualified with the contract, since AutoLooperReactiveEnhanced
+ * shares event names with the manager (routes can tell them apart).
+ * @param event - LasnaEvent (see lasna-watcher.js)
+ * @param texts - The messages LASNA_EVENT_MESSAGES rendered for it
+ */
+export function lasnaEvent(event, texts) {
+    let severity = Severity.INFO;
+    if (event.name === 'LiquidationDetected') severity = Severity.CRITICAL;
+    else if (event.category === 'risk') severity = Severity.WARNING;
+
+    const html = [].concat(texts).map(text => text.trim()).join('\n\n');
+    return createEvent({
+        id: `lasna:${event.id}`,
+        type: `${event.contract}.${event.name}`,
+        category: event.category,
+        severity,
+        title: titleOf(html),
+        html,
+        user: event.user,
+        url: event.source === 'lasna' ? `${NETWORKS.lasna.explorer}/tx/${event.txHash}` : null,
+        data: {
+            ...jsonSafe(event.args.toObject()),
+            source: event.source,
+            rvmTxNumber: event.rvmTxNumber,
+            transactionHash: event.txHash,
+            blockNumber: event.blockNumber
+        }
+    });
+}
+
+/**
+ * A self-funding loop event: Funder logs and stalled rounds
+ * @param event - FunderEvent (see funder-monitor.js)
+ * @param texts - The messages FUNDER_EVENT_MESSAGES rendered for it
+ */
+export function funderEvent(event, texts) {
+    let severity = Severity.INFO;
+    if (event.type === FunderEventType.FAILED) severity = Severity.CRITICAL;
+    else if (event.type === FunderEventType.STALLED) severity = Severity.WARNING;
+
+    const html = [].concat(texts).map(text => text.trim()).join('\n\n');
+    return createEvent({
+        id: `funder:${event.id}`,
+        type: `funder.${event.type}`,
+        category: 'infra',
+        severity,
+        title: titleOf(html),
+        html,
+        url: `${NETWORKS.sepolia.explorer}/tx/${event.txHash}`,
+        data: {
+            ...jsonSafe(event.args),
+            rounds: event.rounds.map(round => round.id),
+            roundStatus: event.trace?.round.status ?? null,
+            failure: event.trace?.failure ?? null,
+            transactionHash: event.txHash,
+            blockNumber: event.blockNumber
+        }
+    });
+}
+
+/**
+ * A reserve keeper action: top-up, dry run, daily cap reached or failure
+ * @param action - KeeperActionRecord (see reserve-keeper.js)
+ * @param html - The action rendered by formatKeeperActionHtml
+ */
+export function keeperEvent(action, html) {
+    let severity = Severity.INFO;
+    if (action.type === KeeperAction.FAILED) severity = Severity.CRITICAL;
+    else if (action.type === KeeperAction.CAPPED) severity = Severity.WARNING;
+
+    return createEvent({
+        id: `keeper:${action.id}`,
+        type: `keeper.${action.type}`,
+        category: 'infra',
+        severity,
+        title: titleOf(html),
+        html,
+        url: action.txHash ? `${NETWORKS[action.network].explorer}/tx/${action.txHash}` : null,
+        data: jsonSafe(action)
+    });
+}
+
+/**
+ * An alert engine event (fired, escalated, reminder, resolved)
+ *
+ * Chats watching the same user raise the same alert each, so the id leaves
+ * the chat out - the notifier sends it once.
+ */
+export function alertEvent(event) {
+    const severity = event.type === AlertEventType.RESOLVED
+        ? Severity.INFO
+        : event.level === AlertLevel.CRITICAL ? Severity.CRITICAL : Severity.WARNING;
+    const html = formatAlertHtml(event);
+    return createEvent({
+        id: `alert:${event.user ?? 'system'}:${event.rule}:${event.type}:${event.since}`,
+        type: 'alert',
+        category: 'alert',
+        severity,
+        title: titleOf(html),
+        html,
+        user: event.user,
+        data: {
+            type: event.type,
+            rule: event.rule,
+            level: event.level,
+            value: event.condition?.value ?? null,
+            threshold: event.condition?.threshold ?? null,
+            summary: event.condition?.summary ?? null,
+            since: event.since
+        }
+    });
+}
+
+/**
+ * A one-off message from a script (summaries, test runs)
+ */
+export function messageEvent(html, options = {}) {
+    return createEvent({ ...options, html });
+}
+
+export default { Severity, createEvent, managerEvent, lasnaEvent, funderEvent, keeperEvent, alertEvent, messageEvent };
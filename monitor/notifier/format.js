@@ -0,0 +1,105 @@
+/**
+ * Channel Formats for Notification Bodies
+ *
+ * Notifications are written once as Telegram HTML (bot/notifications.js,
+ * formatAlertHtml, ...). Each channel converts that to what it renders:
+ * plain text for email and JSON webhooks, Markdown for Discord and mrkdwn
+ * for Slack. Links keep their URL; tags a format has no equivalent for
+ * are dropped.
+ */
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+export function unescapeHtml(text) {
+    return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return ENTITIES[name.toLowerCase()] ?? entity;
+    });
+}
+
+/**
+ * The message without its heading line (the first line, if it is bold),
+ * for channels that show the title on its own
+ */
+export function bodyOf(html) {
+    const lines = html.trim().split('\n');
+    return /<b>/.test(lines[0]) ? lines.slice(1).join('\n').trim() : html.trim();
+}
+
+/**
+ * Walk Telegram HTML, mapping tags through `marks`, anchors through
+ * `link(href, label)` and text runs through `text`
+ */
+function convert(html, { marks, link, text }) {
+    let out = '';
+    let anchor = null;   // { href, label } while inside <a>
+
+    for (const [token] of html.matchAll(/<[^<>]*>|[^<]+|</g)) {
+        const tag = token.match(/^<(\/?)([\w-]+)([^>]*)>$/);
+        if (!tag) {
+            if (anchor) anchor.label += token;
+            else out += text(token);
+            continue;
+        }
+
+        const [, closing, rawName, attrs] = tag;
+        const name = rawName.toLowerCase();
+        if (name === 'a') {
+            if (!closing) {
+                anchor = { href: unescapeHtml(attrs.match(/href="([^"]*)"/)?.[1] ?? ''), label: '' };
+            } else if (anchor) {
+                out += link(anchor.href, unescapeHtml(anchor.label.replace(/<[^>]*>/g, '')));
+                anchor = null;
+            }
+            continue;
+        }
+        if (!anchor) out += marks[name] ?? '';
+    }
+
+    return out.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Plain text, links as "label (url)"
+ */
+export function htmlToText(html) {
+    return convert(html, {
+        marks: {},
+        link: (href, label) => (!href || label === href ? label || href : `${label} (${href})`),
+        text: unescapeHtml
+    });
+}
+
+const MARKDOWN = { b: '**', strong: '**', i: '*', em: '*', u: '__', s: '~~', code: '`', pre: '```' };
+
+/**
+ * Discord Markdown
+ */
+export function htmlToMarkdown(html) {
+    return convert(html, {
+        marks: MARKDOWN,
+        link: (href, label) => (href ? `[${label || href}](${href})` : label),
+        text: unescapeHtml
+    });
+}
+
+// Slack escapes only these three, with the same entities as HTML
+const escapeSlack = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const MRKDWN = { b: '*', strong: '*', i: '_', em: '_', s: '~', code: '`', pre: '```' };
+
+/**
+ * Slack mrkdwn
+ */
+export function htmlToMrkdwn(html) {
+    return convert(html, {
+        marks: MRKDWN,
+        link: (href, label) => (href ? `<${escapeSlack(href)}|${escapeSlack(label || href)}>` : escapeSlack(label)),
+        text: token => escapeSlack(unescapeHtml(token))
+    });
+}
+
+export default { unescapeHtml, bodyOf, htmlToText, htmlToMarkdown, htmlToMrkdwn };
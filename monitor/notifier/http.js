@@ -0,0 +1,41 @@
+/**
+ * HTTP Helper for the Webhook Channels
+ *
+ * postJson() throws errors marked `transient` (network errors, timeouts,
+ * 429, 5xx) or not (other 4xx), and carries Retry-After as retryAfterMs,
+ * so the notifier knows whether and when to retry.
+ */
+
+import { NOTIFIER } from '../config.js';
+
+export function channelError(message, { transient = false, retryAfterMs = null } = {}) {
+    return Object.assign(new Error(message), { transient, retryAfterMs });
+}
+
+/**
+ * POST a JSON body
+ * @returns {Promise<Response>} The response, if 2xx
+ */
+export async function postJson(url, body, { fetch = globalThis.fetch, headers = {}, timeoutMs = NOTIFIER.timeoutMs } = {}) {
+    let response;
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body),
+            signal: AbortSignal.timeout(timeoutMs)
+        });
+    } catch (error) {
+        throw channelError(error.message, { transient: true });
+    }
+    if (response.ok) return response;
+
+    const retryAfter = Number(response.headers?.get?.('retry-after'));
+    const text = await response.text().catch(() => '');
+    throw channelError(`HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`, {
+        transient: response.status === 429 || response.status >= 500,
+        retryAfterMs: retryAfter > 0 ? retryAfter * 1000 : null
+    });
+}
+
+export default postJson;
@@ -0,0 +1,155 @@
+/**
+ * Notification Channels for Reactive Auto-Looper
+ *
+ * Delivers the monitor's events to Discord, Slack, email, JSON webhooks
+ * (PagerDuty and the like) and Telegram chats:
+ *
+ *   const notifier = createNotifier();
+ *   await notifier.notify(alertEvent(event));
+ *
+ * createNotifier() reads channels and routes from notifiers.{json,yaml,yml}
+ * (or MONITOR_NOTIFIERS_FILE). String values may reference the environment
+ * as ${NAME}, so webhook URLs and passwords can stay in .env:
+ *
+ *   channels:
+ *     ops-discord: { type: discord, url: "${DISCORD_WEBHOOK_URL}" }
+ *     pager:       { type: webhook, routingKey: "${PAGERDUTY_ROUTING_KEY}" }
+ *   routes:
+ *     - { channels: [pager], minSeverity: critical }
+ *     - { channels: [ops-discord], categories: [risk, tpsl, alert] }
+ *
+ * Without a file, DISCORD_WEBHOOK_URL, SLACK_WEBHOOK_URL, NOTIFY_WEBHOOK_URL
+ * and SMTP_HOST each add a channel that gets every event of at least
+ * NOTIFY_MIN_SEVERITY.
+ */
+
+import fs from 'fs';
+import YAML from 'yaml';
+import { NOTIFIER } from '../config.js';
+import { Notifier } from './notifier.js';
+import { TelegramChannel } from './channels/telegram.js';
+import { DiscordChannel } from './channels/discord.js';
+import { SlackChannel } from './channels/slack.js';
+import { SmtpChannel } from './channels/smtp.js';
+import { WebhookChannel } from './channels/webhook.js';
+
+export { Notifier, routeMatches, ROUTE_CATEGORIES } from './notifier.js';
+export { Severity, createEvent, managerEvent, lasnaEvent, funderEvent, keeperEvent, alertEvent, messageEvent } from './events.js';
+export { htmlToText, htmlToMarkdown, htmlToMrkdwn } from './format.js';
+export { TelegramChannel, DiscordChannel, SlackChannel, SmtpChannel, WebhookChannel };
+
+const CHANNEL_TYPES = {
+    telegram: TelegramChannel,
+    discord: DiscordChannel,
+    slack: SlackChannel,
+    smtp: SmtpChannel,
+    email: SmtpChannel,
+    webhook: WebhookChannel
+};
+
+/**
+ * Build a channel adapter from its config entry
+ * @param spec - { type, ...adapter options }
+ * @param extra - Passed to every adapter (fetch, timeoutMs)
+ */
+export function createChannel(name, { type, ...spec }, extra = {}) {
+    const Channel = CHANNEL_TYPES[type];
+    if (!Channel) throw new Error(`Channel ${name}: unknown type "${type}" (use ${Object.keys(CHANNEL_TYPES).join(', ')})`);
+    return new Channel({ timeoutMs: NOTIFIER.timeoutMs, ...extra, ...spec, name });
+}
+
+/**
+ * Replace ${NAME} in every string of a config value
+ */
+function interpolate(value, env, where) {
+    if (typeof value === 'string') {
+        return value.replace(/\$\{(\w+)\}/g, (_, name) => {
+            if (env[name] === undefined || env[name] === '') throw new Error(`${where}: ${name} is not set`);
+            return env[name];
+        });
+    }
+    if (Array.isArray(value)) return value.map(item => interpolate(item, env, where));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, interpolate(v, env, where)]));
+    }
+    return value;
+}
+
+/**
+ * Parse a JSON or YAML notifiers file into { channels: { name: spec }, routes }
+ */
+export function loadNotifierFile(file, env = process.env) {
+    const raw = fs.readFileSync(file, 'utf8');
+    const parsed = /\.ya?ml$/i.test(file) ? YAML.parse(raw) : JSON.parse(raw);
+
+    if (!parsed || typeof parsed.channels !== 'object' || Array.isArray(parsed.channels)) {
+        throw new Error(`${file}: expected a top-level "channels" object`);
+    }
+    if (parsed.routes !== undefined && !Array.isArray(parsed.routes)) {
+        throw new Error(`${file}: "routes" must be a list`);
+    }
+    return {
+        channels: interpolate(parsed.channels, env, file),
+        routes: parsed.routes ?? []
+    };
+}
+
+/**
+ * Channel specs from the environment (used when there is no notifiers file)
+ */
+export function channelsFromEnv(env = process.env) {
+    const channels = {};
+    if (env.DISCORD_WEBHOOK_URL) channels.discord = { type: 'discord', url: env.DISCORD_WEBHOOK_URL };
+    if (env.SLACK_WEBHOOK_URL) channels.slack = { type: 'slack', url: env.SLACK_WEBHOOK_URL };
+    if (env.NOTIFY_WEBHOOK_URL) {
+        channels.webhook = {
+            type: 'webhook',
+            url: env.NOTIFY_WEBHOOK_URL,
+            headers: env.NOTIFY_WEBHOOK_TOKEN ? { Authorization: `Bearer ${env.NOTIFY_WEBHOOK_TOKEN}` } : {}
+        };
+    }
+    if (env.SMTP_HOST) {
+        channels.email = {
+            type: 'smtp',
+            host: env.SMTP_HOST,
+            port: env.SMTP_PORT || 587,
+            user: env.SMTP_USER || null,
+            pass: env.SMTP_PASS || null,
+            allowInsecureAuth: env.SMTP_ALLOW_INSECURE_AUTH === 'true',
+            from: env.SMTP_FROM,
+            to: env.SMTP_TO
+        };
+    }
+    return channels;
+}
+
+/**
+ * Notifier for the configured channels
+ * @param options.file - Notifiers file (default NOTIFIER.file); null to use the environment
+ * @param options.telegram - Also send to TELEGRAM_CHAT_ID, for scripts (the bot routes Telegram itself)
+ * @param options.fetch - fetch for the webhook channels (tests)
+ * @param options - Other options go to the Notifier
+ */
+export function createNotifier({ file = NOTIFIER.file, env = process.env, telegram = false, fetch, ...options } = {}) {
+    let specs;
+    let routes;
+    if (file) {
+        ({ channels: specs, routes } = loadNotifierFile(file, env));
+    } else {
+        specs = channelsFromEnv(env);
+        const names = Object.keys(specs);
+        routes = names.length > 0 ? [{ channels: names, minSeverity: env.NOTIFY_MIN_SEVERITY || NOTIFIER.minSeverity }] : [];
+    }
+
+    const extra = fetch ? { fetch } : {};
+    const channels = Object.entries(specs).map(([name, spec]) => createChannel(name, spec, extra));
+
+    if (telegram && env.TELEGRAM_BOT_TOKEN && env.TELEGRAM_CHAT_ID && !channels.some(c => c.type === 'telegram')) {
+        channels.push(new TelegramChannel({ name: 'telegram', token: env.TELEGRAM_BOT_TOKEN, chatId: env.TELEGRAM_CHAT_ID }));
+        if (routes.length > 0) routes = [...routes, { channels: ['telegram'] }];
+    }
+
+    return new Notifier({ channels, routes, ...options });
+}
+
+export default createNotifier;
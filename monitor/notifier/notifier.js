@@ -0,0 +1,167 @@
+/**
+ * Notifier: Routes Events to Channels
+ *
+ * Each event goes to the channels of every route it matches. A route
+ * matches when all of its filters do:
+ *
+ *   { channels: ['pager'], minSeverity: 'critical' }
+ *   { channels: ['ops-discord', 'team-slack'], categories: ['risk', 'tpsl', 'alert'] }
+ *   { channels: ['email'], events: ['PositionClosed'], users: ['0x…'] }
+ *
+ * Without routes every channel gets every event. An event id is sent once
+ * (chats watching the same user raise the same alert), and sends that fail
+ * with a transient error are retried with backoff, honouring Retry-After.
+ * A failing channel never stops the others.
+ */
+
+import { NOTIFIER, EVENT_CATEGORIES } from '../config.js';
+import logger from '../logger.js';
+import { atLeast, isSeverity } from './events.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Categories a route can filter on: the manager event categories plus the notifier's own
+export const ROUTE_CATEGORIES = [...Object.keys(EVENT_CATEGORIES), 'alert', 'message'];
+
+/**
+ * @typedef {Object} Route
+ * @property {string[]} channels - Channel names
+ * @property {string[]} [events] - Event types (manager event names, 'alert', 'message')
+ * @property {string[]} [categories] - ROUTE_CATEGORIES
+ * @property {string} [minSeverity] - info | warning | critical
+ * @property {string[]} [users] - Position owners
+ */
+
+/**
+ * Throws if a route names an unknown channel, category or severity
+ */
+export function validateRoute(route, channelNames) {
+    if (!Array.isArray(route.channels) || route.channels.length === 0) {
+        throw new Error('A route needs a list of channels');
+    }
+    for (const name of route.channels) {
+        if (!channelNames.includes(name)) throw new Error(`Route names unknown channel "${name}"`);
+    }
+    for (const category of route.categories ?? []) {
+        if (!ROUTE_CATEGORIES.includes(category)) {
+            throw new Error(`Unknown route category "${category}" (use ${ROUTE_CATEGORIES.join(', ')})`);
+        }
+    }
+    if (route.minSeverity !== undefined && !isSeverity(route.minSeverity)) {
+        throw new Error(`Unknown minSeverity "${route.minSeverity}" (use info, warning or critical)`);
+    }
+}
+
+/**
+ * @param {Route} route
+ * @param {import('./events.js').NotifierEvent} event
+ */
+export function routeMatches(route, event) {
+    if (route.events && !route.events.includes(event.type)) return false;
+    if (route.categories && !route.categories.includes(event.category)) return false;
+    if (route.minSeverity && !atLeast(event.severity, route.minSeverity)) return false;
+    if (route.users) {
+        const users = route.users.map(user => user.toLowerCase());
+        if (!event.user || !users.includes(event.user.toLowerCase())) return false;
+    }
+    return true;
+}
+
+export class Notifier {
+    /**
+     * @param options.channels - Channel adapters (see channels/), each with a unique name
+     * @param options.routes - Route[]; empty sends everything everywhere
+     * @param options - Overrides for NOTIFIER (maxRetries, backoffMs, dedupMs, ...)
+     */
+    constructor({ channels = [], routes = [], now = Date.now, sleep: wait = sleep, ...options } = {}) {
+        this.channels = new Map();
+        for (const channel of channels) {
+            if (this.channels.has(channel.name)) throw new Error(`Channel ${channel.name} is defined twice`);
+            this.channels.set(channel.name, channel);
+        }
+        for (const route of routes) validateRoute(route, [...this.channels.keys()]);
+
+        this.routes = routes;
+        this.options = { ...NOTIFIER, ...options };
+        this.now = now;
+        this.sleep = wait;
+
+        this.recent = new Map();   // event id → when it was sent
+        this.stats = new Map([...this.channels.keys()].map(name => [name, { sent: 0, failed: 0, retries: 0, lastError: null }]));
+    }
+
+    get size() {
+        return this.channels.size;
+    }
+
+    /**
+     * Channel names an event goes to
+     */
+    channelsFor(event) {
+        if (this.routes.length === 0) return [...this.channels.keys()];
+        const names = new Set();
+        for (const route of this.routes) {
+            if (routeMatches(route, event)) route.channels.forEach(name => names.add(name));
+        }
+        return [...names];
+    }
+
+    /**
+     * Deliver an event to its channels. Never throws.
+     * @returns {Promise<{ sent: string[], failed: string[], duplicate: boolean }>}
+     */
+    async notify(event) {
+        const now = this.now();
+        for (const [id, at] of this.recent) {
+            if (now - at >= this.options.dedupMs) this.recent.delete(id);
+        }
+        if (this.recent.has(event.id)) return { sent: [], failed: [], duplicate: true };
+        this.recent.set(event.id, now);
+
+        const names = this.channelsFor(event);
+        const results = await Promise.all(names.map(name => this.deliver(this.channels.get(name), event)));
+        return {
+            sent: names.filter((_, i) => results[i]),
+            failed: names.filter((_, i) => !results[i]),
+            duplicate: false
+        };
+    }
+
+    /**
+     * Send to one channel, retrying transient failures
+     * @returns {Promise<boolean>}
+     */
+    async deliver(channel, event) {
+        const { maxRetries, backoffMs, maxBackoffMs } = this.options;
+        const stats = this.stats.get(channel.name);
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                await channel.send(event);
+                stats.sent++;
+                return true;
+            } catch (error) {
+                stats.lastError = error.message;
+                if (!error.transient || attempt === maxRetries) {
+                    stats.failed++;
+                    logger.warn(`Notification to ${channel.name} (${channel.type}) failed: ${error.message}`);
+                    return false;
+                }
+
+                const delay = error.retryAfterMs ?? Math.min(backoffMs * 2 ** attempt, maxBackoffMs);
+                stats.retries++;
+                logger.debug(`Notification to ${channel.name} failed (${error.message}), retrying in ${delay}ms`);
+                await this.sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * Per channel: type, sent, failed, retries, lastError
+     */
+    metrics() {
+        return Object.fromEntries([...this.stats].map(([name, stats]) => [name, { type: this.channels.get(name).type, ...stats }]));
+    }
+}
+
+export default Notifier;
@@ -1,17 +1,7 @@
 require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
-const TelegramBot = require('node-telegram-bot-api');
 
-const token = process.env.TELEGRAM_BOT_TOKEN;
-const chatId = process.env.TELEGRAM_CHAT_ID;
-
-if (!token || !chatId) {
-  console.error('Error: TELEGRAM_BOT_TOKEN and TELEGRAM_CHAT_ID must be set in .env');
-  process.exit(1);
-}
-
-const bot = new TelegramBot(token, { polling: false });
-
-const msg = `🎉 REACTIVE AUTOMATION WORKING
+// Sent to TELEGRAM_CHAT_ID and every configured notification channel (see notifier/)
+const msg = `🎉 <b>REACTIVE AUTOMATION WORKING</b>
 
 ✅ RVM is processing events
 ✅ Callbacks executing successfully  
@@ -29,6 +19,16 @@ Bug Found and Fixed:
 • Re-subscribed to events
 • Now processing callbacks correctly`;
 
-bot.sendMessage(chatId, msg)
-  .then(() => console.log('Telegram notification sent!'))
+import('./notifier/index.js')
+  .then(async ({ createNotifier, messageEvent }) => {
+    const notifier = createNotifier({ telegram: true });
+    if (notifier.size === 0) {
+      console.error('Error: set TELEGRAM_BOT_TOKEN and TELEGRAM_CHAT_ID in .env, or configure a notification channel');
+      process.exit(1);
+    }
+
+    const { sent, failed } = await notifier.notify(messageEvent(msg));
+    if (sent.length > 0) console.log(`Notification sent to ${sent.join(', ')}!`);
+    if (failed.length > 0) console.error(`Error: could not notify ${failed.join(', ')}`);
+  })
   .catch(err => console.error('Error:', err.message));
@@ -0,0 +1,468 @@
+#!/usr/bin/env node
+
+/**
+ * Cross-Chain Pipeline Tracer for Reactive Auto-Looper
+ *
+ * Follows one origin transaction through the whole automation pipeline:
+ *   Sepolia origin tx → Lasna RVM react() tx (matched by refTx)
+ *     → Callback log (decoded payload) → Sepolia destination tx (delivered / reverted)
+ * with the latency of each hop.
+ *
+ * Usage:
+ *   node pipeline-trace.js <originTxHash>      # Trace a Sepolia transaction
+ *   node pipeline-trace.js --rvm-tx <number>   # Trace starting from an RVM transaction
+ *   node pipeline-trace.js --user <address>    # Trace the user's latest PositionUpdated
+ *   node pipeline-trace.js <hash> --scan 1000  # Search further back in the RVM (default 500 txs)
+ *   node pipeline-trace.js <hash> --window 100 # Search more Sepolia blocks for delivery (default 50)
+ *   node pipeline-trace.js <hash> --json       # Print the raw trace
+ */
+
+import path from 'path';
+import { ethers } from 'ethers';
+import chalk from 'chalk';
+import { NETWORKS, CONTRACTS, TOPICS } from './config.js';
+import logger from './logger.js';
+import RnkClient from './rnk-client.js';
+import { getInterface } from './abi-registry.js';
+import { escapeHtml } from './bot/format.js';
+
+export const TraceStatus = Object.freeze({
+    COMPLETE: 'complete',       // Every reaction ran and every callback landed
+    NO_REACTION: 'no-reaction', // RVM never picked the origin tx up
+    RVM_FAILED: 'rvm-failed',   // A react() transaction failed
+    UNDELIVERED: 'undelivered', // A callback has no destination tx (yet)
+    REVERTED: 'reverted'        // A callback landed but reverted
+});
+
+export const DeliveryStatus = Object.freeze({
+    DELIVERED: 'delivered',
+    REVERTED: 'reverted',
+    PENDING: 'pending',         // Not found, but the search window isn't over yet
+    MISSING: 'missing',         // Not found within the search window
+    OTHER_CHAIN: 'other-chain'  // Destination isn't Sepolia - not traced
+});
+
+const managerInterface = getInterface('manager');
+const BLOCK_CACHE_SIZE = 500;
+
+// ═══════════════════════════════════════════════════════════════
+//                         TRACER
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} PipelineTrace
+ * @property {Object} origin - { txHash, blockNumber, time, events: [{ logIndex, eventName, user }] }
+ * @property {Object[]} reactions - One per RVM react() tx:
+ *   { event, rvmTx: { number, hash, success, time, latencySec }, callbacks: [{ ...CallbackRequest, delivery }] }
+ * @property {string} status - TraceStatus
+ * @property {number|null} totalLatencySec - Origin block → last destination block
+ */
+
+export class PipelineTracer {
+    /**
+     * @param options.provider - Sepolia provider
+     * @param options.rnkClient - RnkClient for Lasna
+     * @param options.scanLimit - How many RVM txs to search back from the head
+     * @param options.windowBlocks - How many Sepolia blocks after the origin to search for delivery
+     */
+    constructor({ provider, rnkClient, rvmId = CONTRACTS.rvmId, scanLimit = 500, windowBlocks = 50 } = {}) {
+        this.provider = provider || new ethers.JsonRpcProvider(NETWORKS.sepolia.rpc);
+        this.rnkClient = rnkClient || new RnkClient();
+        this.rvmId = rvmId;
+        this.scanLimit = scanLimit;
+        this.windowBlocks = windowBlocks;
+        this.blocks = new Map();
+    }
+
+    /**
+     * Block with its transactions, cached since delivery searches overlap
+     */
+    async getBlock(number) {
+        if (!this.blocks.has(number)) {
+            if (this.blocks.size >= BLOCK_CACHE_SIZE) {
+                this.blocks.delete(this.blocks.keys().next().value);
+            }
+            this.blocks.set(number, await this.provider.getBlock(number, true));
+        }
+        return this.blocks.get(number);
+    }
+
+    /**
+     * Trace an origin transaction on Sepolia
+     * @param rvmTxs - Already known RVM transactions for this origin (skips the RVM search)
+     * @returns {Promise<PipelineTrace>}
+     */
+    async traceOriginTx(txHash, rvmTxs = null) {
+        const receipt = await this.provider.getTransactionReceipt(txHash);
+        if (!receipt) {
+            throw new Error(`Transaction ${txHash} not found on Sepolia`);
+        }
+
+        const block = await this.getBlock(receipt.blockNumber);
+        const origin = {
+            txHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            time: block.timestamp,
+            events: receipt.logs
+                .filter(log => log.address.toLowerCase() === CONTRACTS.manager.toLowerCase())
+                .map(describeManagerLog)
+        };
+
+        const txs = rvmTxs || await this.findReactions(receipt.hash, origin.time);
+        const reactions = [];
+        // Identical callbacks (same target and payload) must not resolve to the same delivery
+        const claimed = new Set();
+
+        for (const tx of txs) {
+            const logIndex = tx.logRecord?.logIndex ?? tx.refEventIndex ?? null;
+            const logs = await this.rnkClient.getTransactionLogs(this.rvmId, tx.number);
+            const callbacks = [];
+
+            for (const log of logs.filter(l => l.callback)) {
+                const delivery = await this.findDelivery(log.callback, { fromBlock: origin.blockNumber + 1, emittedAt: tx.time, exclude: claimed });
+                if (delivery.txHash) claimed.add(delivery.txHash);
+                callbacks.push({ ...log.callback, delivery });
+            }
+
+            reactions.push({
+                event: origin.events.find(e => e.logIndex === logIndex) || { logIndex, eventName: tx.logRecord?.eventName || null, user: null },
+                rvmTx: {
+                    number: tx.number,
+                    hash: tx.hash,
+                    success: tx.success,
+                    time: tx.time,
+                    latencySec: tx.time - origin.time
+                },
+                callbacks
+            });
+        }
+
+        return { origin, reactions, ...summarize(origin, reactions) };
+    }
+
+    /**
+     * Trace the origin transaction behind an RVM transaction number
+     * @returns {Promise<PipelineTrace>}
+     */
+    async traceRvmTx(txNumber) {
+        const tx = await this.rnkClient.getTransaction(this.rvmId, txNumber);
+        if (!tx) {
+            throw new Error(`RVM transaction #${txNumber} not found`);
+        }
+        if (!tx.refTx || tx.refChainId !== NETWORKS.sepolia.chainId) {
+            throw new Error(`RVM transaction #${txNumber} was not triggered by a Sepolia log`);
+        }
+        return this.traceOriginTx(tx.refTx, [tx]);
+    }
+
+    /**
+     * Trace the most recent PositionUpdated for a user
+     * @returns {Promise<PipelineTrace>}
+     */
+    async traceLatestForUser(user, lookbackBlocks = 5000) {
+        const head = await this.provider.getBlockNumber();
+        const logs = await this.provider.getLogs({
+            address: CONTRACTS.manager,
+            topics: [TOPICS.PositionUpdated, ethers.zeroPadValue(user, 32)],
+            fromBlock: Math.max(0, head - lookbackBlocks),
+            toBlock: head
+        });
+        if (logs.length === 0) {
+            throw new Error(`No PositionUpdated for ${user} in the last ${lookbackBlocks} blocks`);
+        }
+        return this.traceOriginTx(logs[logs.length - 1].transactionHash);
+    }
+
+    /**
+     * Search the RVM backwards from the head for react() txs caused by an origin tx
+     *
+     * Stops at scanLimit txs or once transactions predate the origin block.
+     */
+    async findReactions(originTxHash, originTime) {
+        const target = originTxHash.toLowerCase();
+        const head = await this.rnkClient.getHeadNumber(this.rvmId);
+        const lowest = Math.max(1, head - this.scanLimit + 1);
+        const found = [];
+
+        for (let to = head; to >= lowest; to -= 50) {
+            const from = Math.max(lowest, to - 49);
+            const txs = await this.rnkClient.getTransactions(this.rvmId, from, to - from + 1);
+
+            for (const tx of txs) {
+                const ref = (tx.refTx || tx.logRecord?.txHash || '').toLowerCase();
+                if (ref === target) found.push(tx);
+            }
+
+            if (txs.length > 0 && txs[0].time < originTime) break;
+        }
+
+        return found.sort((a, b) => a.number - b.number);
+    }
+
+    /**
+     * Find the Sepolia transaction that delivered a callback
+     *
+     * Scans fromBlock..toBlock (default: windowBlocks blocks) for a transaction
+     * to the callback proxy (or the target itself) whose calldata carries the
+     * callback payload. The first argument (rvm_id) is overwritten by the
+     * network, so it is not compared. Reverted deliveries are replayed to
+     * recover the revert reason.
+     *
+     * @param options.emittedAt - RVM tx time, for the hop latency
+     * @param options.exclude - Tx hashes already matched to other callbacks
+     */
+    async findDelivery(callback, { fromBlock, toBlock = fromBlock + this.windowBlocks - 1, emittedAt = null, exclude = new Set() }) {
+        if (callback.chainId !== NETWORKS.sepolia.chainId) {
+            return { status: DeliveryStatus.OTHER_CHAIN };
+        }
+
+        const head = await this.provider.getBlockNumber();
+        const lastBlock = Math.min(head, toBlock);
+        const pattern = payloadPattern(callback.payload);
+        const recipients = new Set([CONTRACTS.callbackProxy.toLowerCase(), callback.contract.toLowerCase()]);
+
+        for (let number = fromBlock; number <= lastBlock; number++) {
+            const block = await this.getBlock(number);
+            const tx = block.prefetchedTransactions.find(t =>
+                t.to && recipients.has(t.to.toLowerCase()) && !exclude.has(t.hash) && pattern.test(t.data.toLowerCase())
+            );
+            if (!tx) continue;
+
+            const receipt = await this.provider.getTransactionReceipt(tx.hash);
+            const reverted = receipt.status !== 1;
+            return {
+                status: reverted ? DeliveryStatus.REVERTED : DeliveryStatus.DELIVERED,
+                txHash: tx.hash,
+                blockNumber: number,
+                time: block.timestamp,
+                gasUsed: receipt.gasUsed,
+                latencySec: emittedAt ? block.timestamp - emittedAt : null,
+                reason: reverted ? await this.revertReason(tx, number) : null
+            };
+        }
+
+        return {
+            status: head < toBlock ? DeliveryStatus.PENDING : DeliveryStatus.MISSING,
+            searchedBlocks: [fromBlock, lastBlock]
+        };
+    }
+
+    /**
+     * Replay a reverted transaction against the previous block to get its revert reason
+     */
+    async revertReason(tx, blockNumber) {
+        try {
+            await this.provider.call({
+                to: tx.to,
+                from: tx.from,
+                data: tx.data,
+                gasLimit: tx.gasLimit,
+                blockTag: blockNumber - 1
+            });
+            return 'Unknown (succeeds when replayed - depends on state within the block)';
+        } catch (error) {
+            return error.reason || error.revert?.args?.[0] || error.shortMessage || error.message;
+        }
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                         HELPERS
+// ═══════════════════════════════════════════════════════════════
+
+function describeManagerLog(log) {
+    const parsed = managerInterface.parseLog(log);
+    const userIdx = parsed?.fragment.inputs.findIndex(input => input.name === 'user' && input.indexed) ?? -1;
+    return {
+        logIndex: log.index,
+        eventName: parsed?.name || null,
+        user: userIdx !== -1 ? parsed.args[userIdx] : null
+    };
+}
+
+/**
+ * Regex for the payload's calldata with the rvm_id word wildcarded
+ */
+function payloadPattern(payload) {
+    const hex = payload.toLowerCase().slice(2);
+    const selector = hex.slice(0, 8);
+    const rest = hex.slice(8 + 64);
+    return new RegExp(`${selector}[0-9a-f]{64}${rest}`);
+}
+
+function summarize(origin, reactions) {
+    const callbacks = reactions.flatMap(r => r.callbacks);
+    const deliveries = callbacks.map(c => c.delivery).filter(d => d.time);
+
+    let status = TraceStatus.COMPLETE;
+    if (reactions.length === 0) {
+        status = TraceStatus.NO_REACTION;
+    } else if (reactions.some(r => !r.rvmTx.success)) {
+        status = TraceStatus.RVM_FAILED;
+    } else if (callbacks.some(c => c.delivery.status === DeliveryStatus.REVERTED)) {
+        status = TraceStatus.REVERTED;
+    } else if (callbacks.some(c => c.delivery.status === DeliveryStatus.PENDING || c.delivery.status === DeliveryStatus.MISSING)) {
+        status = TraceStatus.UNDELIVERED;
+    }
+
+    const lastTime = deliveries.length > 0
+        ? Math.max(...deliveries.map(d => d.time))
+        : (reactions.length > 0 ? Math.max(...reactions.map(r => r.rvmTx.time)) : null);
+
+    return {
+        status,
+        totalLatencySec: lastTime !== null ? lastTime - origin.time : null
+    };
+}
+
+const STATUS_EMOJIS = {
+    [TraceStatus.COMPLETE]: '✅',
+    [TraceStatus.NO_REACTION]: '⚪',
+    [TraceStatus.RVM_FAILED]: '❌',
+    [TraceStatus.UNDELIVERED]: '⏳',
+    [TraceStatus.REVERTED]: '❌',
+    [DeliveryStatus.DELIVERED]: '✅',
+    [DeliveryStatus.PENDING]: '⏳',
+    [DeliveryStatus.MISSING]: '❓',
+    [DeliveryStatus.OTHER_CHAIN]: '↗️'
+};
+
+/**
+ * Render a trace as a Telegram HTML message
+ */
+export function formatTraceHtml(trace) {
+    const { origin } = trace;
+    let msg = `🔗 <b>Pipeline Trace</b> ${STATUS_EMOJIS[trace.status]} <i>${trace.status}</i>\n\n`;
+
+    msg += `<b>🔷 Origin</b> (block ${origin.blockNumber})\n`;
+    msg += `<a href="${NETWORKS.sepolia.explorer}/tx/${origin.txHash}">${logger.truncateAddress(origin.txHash)}</a>\n`;
+    msg += `${origin.events.map(e => e.eventName || 'Unknown').join(', ') || 'No manager events'}\n`;
+
+    if (trace.reactions.length === 0) {
+        msg += '\n⚪ No RVM reaction found\n';
+    }
+
+    for (const reaction of trace.reactions) {
+        const { rvmTx } = reaction;
+        msg += `\n<b>🔶 RVM TX #${rvmTx.number}</b> ${rvmTx.success ? '✅' : '❌'} +${rvmTx.latencySec}s\n`;
+        msg += `├ Trigger: ${reaction.event.eventName || 'Unknown'} (log ${reaction.event.logIndex})\n`;
+        msg += `└ Callbacks: ${reaction.callbacks.length}\n`;
+
+        for (const callback of reaction.callbacks) {
+            const { delivery } = callback;
+            msg += `\n<b>📤 ${callback.functionName || callback.selector}</b> → ${STATUS_EMOJIS[delivery.status]} ${delivery.status}\n`;
+            if (delivery.txHash) {
+                msg += `├ Tx: <a href="${NETWORKS.sepolia.explorer}/tx/${delivery.txHash}">${logger.truncateAddress(delivery.txHash)}</a>\n`;
+                msg += `${delivery.reason ? '├' : '└'} Block ${delivery.blockNumber}, +${delivery.latencySec}s after RVM\n`;
+                if (delivery.reason) {
+                    msg += `└ Reason: <code>${escapeHtml(delivery.reason)}</code>\n`;
+                }
+            } else if (delivery.searchedBlocks) {
+                msg += `└ Searched blocks ${delivery.searchedBlocks[0]}-${delivery.searchedBlocks[1]}\n`;
+            }
+        }
+    }
+
+    if (trace.totalLatencySec !== null) {
+        msg += `\n⏱ <b>Total:</b> ${trace.totalLatencySec}s`;
+    }
+
+    return msg;
+}
+
+/**
+ * Print a trace to the console
+ */
+export function printTrace(trace) {
+    const { origin } = trace;
+
+    logger.header('PIPELINE TRACE');
+    console.log(chalk.cyan('🔷 Origin (Sepolia)'));
+    console.log(chalk.white(`   Tx:     ${origin.txHash}`));
+    console.log(chalk.white(`   Block:  ${origin.blockNumber} (${new Date(origin.time * 1000).toISOString()})`));
+    for (const event of origin.events) {
+        console.log(chalk.white(`   Log ${event.logIndex}: ${event.eventName || 'Unknown'}${event.user ? ` (${logger.truncateAddress(event.user)})` : ''}`));
+    }
+
+    if (trace.reactions.length === 0) {
+        console.log('');
+        console.log(chalk.gray('   No RVM reaction found'));
+    }
+
+    for (const reaction of trace.reactions) {
+        const { rvmTx } = reaction;
+        console.log('');
+        console.log(chalk.magenta(`🔶 RVM TX #${rvmTx.number} ${rvmTx.success ? chalk.green('✓') : chalk.red('✗')}  ${chalk.gray(`+${rvmTx.latencySec}s`)}`));
+        console.log(chalk.white(`   Trigger: ${reaction.event.eventName || 'Unknown'} (log ${reaction.event.logIndex})`));
+
+        if (reaction.callbacks.length === 0) {
+            console.log(chalk.gray('   No callback emitted'));
+        }
+
+        for (const callback of reaction.callbacks) {
+            const { delivery } = callback;
+            console.log(chalk.yellow(`   📤 ${callback.functionName || callback.selector} → ${logger.truncateAddress(callback.contract)} (gas ${callback.gasLimit})`));
+
+            const color = delivery.status === DeliveryStatus.DELIVERED ? chalk.green : chalk.red;
+            console.log(color(`      ${STATUS_EMOJIS[delivery.status]} ${delivery.status}`));
+            if (delivery.txHash) {
+                console.log(chalk.white(`      Tx:    ${delivery.txHash}`));
+                console.log(chalk.white(`      Block: ${delivery.blockNumber}  ${chalk.gray(`+${delivery.latencySec}s after RVM`)}`));
+                if (delivery.reason) {
+                    console.log(chalk.red(`      Reason: ${delivery.reason}`));
+                }
+            } else if (delivery.searchedBlocks) {
+                console.log(chalk.gray(`      Searched blocks ${delivery.searchedBlocks[0]}-${delivery.searchedBlocks[1]}`));
+            }
+        }
+    }
+
+    console.log('');
+    const summary = `${STATUS_EMOJIS[trace.status]} ${trace.status}` +
+        (trace.totalLatencySec !== null ? `  (total ${trace.totalLatencySec}s)` : '');
+    console.log(trace.status === TraceStatus.COMPLETE ? chalk.bold.green(summary) : chalk.bold.yellow(summary));
+    console.log('');
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                            CLI
+// ═══════════════════════════════════════════════════════════════
+
+async function main() {
+    const args = process.argv.slice(2);
+    const rvmTxIdx = args.indexOf('--rvm-tx');
+    const userIdx = args.indexOf('--user');
+    const scanIdx = args.indexOf('--scan');
+    const windowIdx = args.indexOf('--window');
+    const txHash = args.find(arg => /^0x[0-9a-fA-F]{64}$/.test(arg));
+
+    const tracer = new PipelineTracer({
+        scanLimit: scanIdx !== -1 ? parseInt(args[scanIdx + 1]) : 500,
+        windowBlocks: windowIdx !== -1 ? parseInt(args[windowIdx + 1]) : 50
+    });
+
+    let trace;
+    if (rvmTxIdx !== -1) {
+        trace = await tracer.traceRvmTx(parseInt(args[rvmTxIdx + 1]));
+    } else if (userIdx !== -1 && ethers.isAddress(args[userIdx + 1])) {
+        trace = await tracer.traceLatestForUser(args[userIdx + 1]);
+    } else if (txHash) {
+        trace = await tracer.traceOriginTx(txHash);
+    } else {
+        console.error('❌ Usage: node pipeline-trace.js <originTxHash> | --rvm-tx <number> | --user <address>');
+        process.exit(1);
+    }
+
+    if (args.includes('--json')) {
+        console.log(JSON.stringify(trace, (key, value) => (typeof value === 'bigint' ? value.toString() : value), 2));
+    } else {
+        printTrace(trace);
+    }
+}
+
+if (process.argv[1] && path.basename(process.argv[1]) === 'pipeline-trace.js') {
+    main().catch((e) => {
+        console.error(`❌ ${e.message}`);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,528 @@
+/**
+ * Reserve Burn Rate and Runway for Reactive Auto-Looper
+ *
+ * How long callbackProxy.reserves(rvmId) lasts at the current rate of callbacks:
+ * - Samples of reserves (Sepolia) and RVM debt (Lasna) are kept under STATE_DIR.
+ *   The bot takes one every RESERVE_FORECAST.sampleIntervalMs; check-status.js
+ *   adds one per run. Until they span RESERVE_FORECAST.minSpanSec, reserves()
+ *   is read at past blocks instead (needs an archive RPC).
+ * - Burn is every drop between samples; rises are deposits and are left out,
+ *   so a top-up hides the burn of the interval it lands in.
+ * - The burn is split over the RVM's react() runs in the same span (their
+ *   tx.used gas is shown too) and over the positions whose manager events
+ *   those runs handled.
+ *
+ * check-status.js, /reserves, /stats and the bot's daily summary show the forecast.
+ */
+
+import { ethers } from 'ethers';
+import { PROFILE, CONTRACTS, CALLBACK_DELIVERY, RESERVE_FORECAST } from './config.js';
+import logger from './logger.js';
+import { connectCallbackProxy } from './abi-registry.js';
+import { TxKind } from './rnk-models.js';
+import { JsonStore } from './state-store.js';
+import { readReserves } from './reserve-keeper.js';
+
+export const RunwayStatus = Object.freeze({
+    HEALTHY: 'healthy',
+    LOW: 'low',             // Below RESERVE_FORECAST.warnDays
+    CRITICAL: 'critical',   // Below RESERVE_FORECAST.criticalDays
+    EMPTY: 'empty',
+    UNKNOWN: 'unknown'      // Not enough history for a burn rate
+});
+
+export const RUNWAY_EMOJIS = {
+    [RunwayStatus.HEALTHY]: '💚',
+    [RunwayStatus.LOW]: '💛',
+    [RunwayStatus.CRITICAL]: '🧡',
+    [RunwayStatus.EMPTY]: '❤️',
+    [RunwayStatus.UNKNOWN]: '❔'
+};
+
+const DAY = 24n * 60n * 60n;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ═══════════════════════════════════════════════════════════════
+//                         BURN RATE
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} ReserveSample
+ * @property {number} time - Unix seconds
+ * @property {bigint} reserves
+ * @property {bigint|null} rvmDebt - null when not read (historical samples)
+ * @property {string} source - 'live' or 'history'
+ */
+
+/**
+ * @typedef {Object} BurnRate
+ * @property {number} from - First sample (unix seconds)
+ * @property {number} to - Last sample
+ * @property {number} spanSec
+ * @property {number} samples
+ * @property {bigint} burned - Sum of every drop in reserves
+ * @property {bigint} deposited - Sum of every rise
+ * @property {bigint} perDay - Burned per day
+ * @property {bigint} debtPerDay - RVM debt growth per day (REACT)
+ */
+
+/**
+ * Burn rate over a set of samples, or null if they span less than minSpanSec
+ * @returns {BurnRate|null}
+ */
+export function computeBurnRate(samples, { minSpanSec } = RESERVE_FORECAST) {
+    const points = [...samples].sort((a, b) => a.time - b.time);
+    if (points.length < 2) return null;
+
+    const from = points[0].time;
+    const to = points[points.length - 1].time;
+    const spanSec = to - from;
+    if (spanSec < minSpanSec) return null;
+
+    let burned = 0n;
+    let deposited = 0n;
+    let debtGrowth = 0n;
+    for (let i = 1; i < points.length; i++) {
+        const change = points[i].reserves - points[i - 1].reserves;
+        if (change < 0n) burned -= change;
+        else deposited += change;
+
+        const [before, after] = [points[i - 1].rvmDebt, points[i].rvmDebt];
+        if (before !== null && after !== null && after > before) debtGrowth += after - before;
+    }
+
+    return {
+        from,
+        to,
+        spanSec,
+        samples: points.length,
+        burned,
+        deposited,
+        perDay: burned * DAY / BigInt(spanSec),
+        debtPerDay: debtGrowth * DAY / BigInt(spanSec)
+    };
+}
+
+/**
+ * The position a react() run was about: the user topic of a manager event
+ */
+function positionUser(logRecord, manager) {
+    if (!logRecord || !manager || logRecord.contract.toLowerCase() !== manager.toLowerCase()) return null;
+    const topic = logRecord.topics[1];
+    if (!topic || BigInt(topic) === 0n) return null;
+    return ethers.getAddress('0x' + topic.slice(-40));
+}
+
+/**
+ * @typedef {Object} CallbackActivity
+ * @property {number} callbacks - Successful react() runs (each may send a callback)
+ * @property {number} failed - Reverted react() runs
+ * @property {bigint} gasUsed - RVM gas (tx.used) of every react() run
+ * @property {bigint|null} gasPerCallback
+ * @property {Array<{ user: string, callbacks: number }>} users - Most callbacks first
+ */
+
+/**
+ * What the RVM's react() runs between since and until (unix seconds) did
+ * @param txs - RvmTransaction[] from RnkClient
+ * @returns {CallbackActivity}
+ */
+export function summarizeCallbacks(txs, { since, until = Infinity, manager = CONTRACTS.manager }) {
+    const reacts = txs.filter(tx => tx.kind === TxKind.REACT && tx.time >= since && tx.time <= until);
+
+    let gasUsed = 0n;
+    let failed = 0;
+    const byUser = new Map();
+    for (const tx of reacts) {
+        gasUsed += tx.gasUsed;
+        if (!tx.success) {
+            failed++;
+            continue;
+        }
+        const user = positionUser(tx.logRecord, manager);
+        if (user) byUser.set(user, (byUser.get(user) ?? 0) + 1);
+    }
+
+    return {
+        callbacks: reacts.length - failed,
+        failed,
+        gasUsed,
+        gasPerCallback: reacts.length > 0 ? gasUsed / BigInt(reacts.length) : null,
+        users: [...byUser]
+            .map(([user, callbacks]) => ({ user, callbacks }))
+            .sort((a, b) => b.callbacks - a.callbacks)
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                          RUNWAY
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} ReserveForecast
+ * @property {bigint} reserves
+ * @property {bigint|null} rvmDebt
+ * @property {BurnRate|null} burn
+ * @property {CallbackActivity|null} activity
+ * @property {string} status - RunwayStatus
+ * @property {number|null} runwayDays - Infinity when nothing is burned
+ * @property {string|null} emptyAt - ISO time reserves run out
+ * @property {bigint|null} perCallback - Reserves one callback burns
+ * @property {number|null} callbacksPerDay
+ * @property {number|null} callbacksLeft - Callbacks the reserves still pay for
+ * @property {bigint|null} perPosition - Average burn per day of one position
+ * @property {Array<{ user: string, callbacks: number, perDay: bigint }>} positions
+ */
+
+/**
+ * Project how long the reserves last at the measured burn rate
+ * @returns {ReserveForecast}
+ */
+export function projectRunway(
+    { reserves, rvmDebt = null, burn, activity = null, now = Date.now() },
+    { warnDays, criticalDays } = RESERVE_FORECAST
+) {
+    const forecast = {
+        reserves,
+        rvmDebt,
+        burn,
+        activity,
+        status: RunwayStatus.UNKNOWN,
+        runwayDays: null,
+        emptyAt: null,
+        perCallback: null,
+        callbacksPerDay: null,
+        callbacksLeft: null,
+        perPosition: null,
+        positions: []
+    };
+
+    if (burn) {
+        if (burn.perDay > 0n) {
+            forecast.runwayDays = Number(reserves * 1000n / burn.perDay) / 1000;
+            forecast.emptyAt = new Date(now + forecast.runwayDays * DAY_MS).toISOString();
+        } else {
+            forecast.runwayDays = Infinity;
+        }
+    }
+
+    if (burn && activity && activity.callbacks > 0) {
+        forecast.perCallback = burn.burned / BigInt(activity.callbacks);
+        forecast.callbacksPerDay = activity.callbacks * Number(DAY) / burn.spanSec;
+        if (forecast.perCallback > 0n) forecast.callbacksLeft = Number(reserves / forecast.perCallback);
+
+        forecast.positions = activity.users.map(({ user, callbacks }) => ({
+            user,
+            callbacks,
+            perDay: forecast.perCallback * BigInt(callbacks) * DAY / BigInt(burn.spanSec)
+        }));
+        if (forecast.positions.length > 0) {
+            const total = forecast.positions.reduce((sum, position) => sum + position.perDay, 0n);
+            forecast.perPosition = total / BigInt(forecast.positions.length);
+        }
+    }
+
+    if (reserves === 0n) forecast.status = RunwayStatus.EMPTY;
+    else if (forecast.runwayDays === null) forecast.status = RunwayStatus.UNKNOWN;
+    else if (forecast.runwayDays < criticalDays) forecast.status = RunwayStatus.CRITICAL;
+    else if (forecast.runwayDays < warnDays) forecast.status = RunwayStatus.LOW;
+    else forecast.status = RunwayStatus.HEALTHY;
+
+    return forecast;
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                         FORECASTER
+// ═══════════════════════════════════════════════════════════════
+
+function parseSample(raw) {
+    return {
+        time: raw.time,
+        reserves: BigInt(raw.reserves),
+        rvmDebt: raw.rvmDebt === null ? null : BigInt(raw.rvmDebt),
+        source: raw.source
+    };
+}
+
+function serializeSample(sample) {
+    return {
+        time: sample.time,
+        reserves: sample.reserves.toString(),
+        rvmDebt: sample.rvmDebt === null ? null : sample.rvmDebt.toString(),
+        source: sample.source
+    };
+}
+
+// What RPCs answer when a past block's state is pruned or archive calls aren't served
+const STATE_UNAVAILABLE = /missing trie node|header not found|historical state|state (is )?(not available|unavailable)|pruned|archive/i;
+
+/**
+ * Whether a past-block read failed because the RPC doesn't keep that state,
+ * rather than for a reason that may pass (timeout, rate limit)
+ */
+function isStateUnavailable(error) {
+    if (ethers.isError(error, 'UNSUPPORTED_OPERATION')) return true;
+    return STATE_UNAVAILABLE.test(`${error.message} ${error.error?.message ?? ''}`);
+}
+
+export class ReserveForecaster {
+    /**
+     * @param options.provider - Sepolia provider
+     * @param options.lasnaProvider - Lasna provider for RVM debt (null: debt isn't sampled)
+     * @param options.rnkClient - For the per-callback and per-position split (null: skipped)
+     * @param options.stateFile - Samples (relative to STATE_DIR)
+     */
+    constructor({
+        provider,
+        lasnaProvider = null,
+        rnkClient = null,
+        rvmId = CONTRACTS.rvmId,
+        callbackProxy = CONTRACTS.callbackProxy,
+        systemContract = CONTRACTS.systemContract,
+        manager = CONTRACTS.manager,
+        config = RESERVE_FORECAST,
+        stateFile = `reserves-${PROFILE.name}.json`,
+        now = () => Date.now()
+    }) {
+        this.provider = provider;
+        this.lasnaProvider = lasnaProvider;
+        this.rnkClient = rnkClient;
+        this.rvmId = rvmId;
+        this.callbackProxy = callbackProxy;
+        this.systemContract = systemContract;
+        this.manager = manager;
+        this.config = config;
+        this.now = now;
+
+        this.store = new JsonStore(stateFile);
+        this.historyUnavailable = false;
+        this.reconstructedAt = -Infinity;
+        this.activityCache = null;
+        this.intervalId = null;
+    }
+
+    get nowSec() {
+        return Math.floor(this.now() / 1000);
+    }
+
+    /**
+     * Current reserves, and RVM debt if there is a Lasna provider
+     * @returns {Promise<{ reserves: bigint, rvmDebt: bigint|null }>}
+     */
+    async read() {
+        if (this.lasnaProvider) {
+            return readReserves({
+                provider: this.provider,
+                lasnaProvider: this.lasnaProvider,
+                rvmId: this.rvmId,
+                callbackProxy: this.callbackProxy,
+                systemContract: this.systemContract
+            });
+        }
+        const reserves = await connectCallbackProxy(this.callbackProxy, this.provider).reserves(this.rvmId);
+        return { reserves, rvmDebt: null };
+    }
+
+    /**
+     * Stored samples within the window, oldest first
+     * @returns {ReserveSample[]}
+     */
+    samples() {
+        // check-status.js and the bot add samples from separate processes
+        this.store.data = this.store.load();
+        const since = this.nowSec - this.config.windowHours * 3600;
+        return this.store.get('samples', [])
+            .map(parseSample)
+            .filter(sample => sample.time >= since);
+    }
+
+    /**
+     * Store samples, replacing any taken at the same second
+     */
+    record(samples) {
+        const byTime = new Map(this.samples().map(sample => [sample.time, sample]));
+        for (const sample of samples) byTime.set(sample.time, sample);
+
+        const kept = [...byTime.values()]
+            .sort((a, b) => a.time - b.time)
+            .slice(-this.config.maxSamples);
+        this.store.set('samples', kept.map(serializeSample));
+    }
+
+    /**
+     * Read and store one sample
+     */
+    async sample() {
+        const reading = await this.read();
+        this.record([{ time: this.nowSec, ...reading, source: 'live' }]);
+        return reading;
+    }
+
+    /**
+     * Reserves at evenly spaced past blocks across the window
+     * @returns {Promise<ReserveSample[]>}
+     */
+    async reconstruct() {
+        const proxy = connectCallbackProxy(this.callbackProxy, this.provider);
+        const head = await this.provider.getBlockNumber();
+        const span = Math.floor(this.config.windowHours * 3600 / CALLBACK_DELIVERY.sepoliaBlockTime);
+        const step = Math.max(1, Math.floor(span / this.config.reconstructPoints));
+
+        const samples = [];
+        for (let block = Math.max(0, head - span); block < head; block += step) {
+            const [reserves, header] = await Promise.all([
+                proxy.reserves(this.rvmId, { blockTag: block }),
+                this.provider.getBlock(block)
+            ]);
+            samples.push({ time: header.timestamp, reserves, rvmDebt: null, source: 'history' });
+        }
+        return samples;
+    }
+
+    /**
+     * The RVM's react() runs between since and until, newest pages first
+     * @returns {Promise<CallbackActivity>}
+     */
+    async callbackActivity(since, until) {
+        const txs = [];
+        let to = await this.rnkClient.getHeadNumber(this.rvmId);
+
+        while (to >= 1 && txs.length < this.config.maxRvmTxs) {
+            const from = Math.max(1, to - 49);
+            const page = await this.rnkClient.getTransactions(this.rvmId, from, to - from + 1);
+            if (page.length === 0) break;
+            txs.push(...page);
+            if (page.some(tx => tx.time !== null && tx.time < since)) break;
+            to = from - 1;
+        }
+        return summarizeCallbacks(txs, { since, until, manager: this.manager });
+    }
+
+    /**
+     * callbackActivity(), reused for config.cacheMs - /reserves and /stats
+     * would otherwise page through the RVM's transactions on every call.
+     * Only reused for the same window, give or take how far it slides in cacheMs.
+     * @returns {Promise<CallbackActivity|null>} null if the RNK couldn't be read
+     */
+    async recentCallbackActivity(since, until) {
+        const cached = this.activityCache;
+        const slack = this.config.cacheMs / 1000;
+        if (cached
+            && this.now() - cached.at < this.config.cacheMs
+            && Math.abs(since - cached.since) <= slack
+            && Math.abs(until - cached.until) <= slack) {
+            return cached.activity;
+        }
+        let activity = null;
+        try {
+            activity = await this.callbackActivity(since, until);
+        } catch (error) {
+            logger.debug(`RVM transactions unavailable: ${error.message}`, null, 'lasna');
+        }
+        this.activityCache = { at: this.now(), since, until, activity };
+        return activity;
+    }
+
+    /**
+     * Burn rate and runway of the current reserves
+     * @param reading - Reserves and debt already read (default: read them)
+     * @param options.record - Store the reading as a sample
+     * @returns {Promise<ReserveForecast>}
+     */
+    async forecast(reading = null, { record = false } = {}) {
+        const current = reading ?? await this.read();
+        const latest = { time: this.nowSec, reserves: current.reserves, rvmDebt: current.rvmDebt ?? null, source: 'live' };
+        if (record) this.record([latest]);
+
+        const withLatest = () => [...this.samples().filter(sample => sample.time < latest.time), latest];
+        let burn = computeBurnRate(withLatest(), this.config);
+
+        // Reconstruction that fails or still leaves too little history is retried once per cacheMs
+        if (!burn && !this.historyUnavailable && this.now() - this.reconstructedAt >= this.config.cacheMs) {
+            this.reconstructedAt = this.now();
+            try {
+                this.record(await this.reconstruct());
+                burn = computeBurnRate(withLatest(), this.config);
+            } catch (error) {
+                // Most RPCs only keep recent state; then wait for live samples instead
+                this.historyUnavailable = isStateUnavailable(error);
+                logger.debug(`Historical reserves unavailable: ${error.message}`, null, 'sepolia');
+            }
+        }
+
+        const activity = this.rnkClient
+            ? await this.recentCallbackActivity(burn?.from ?? latest.time - this.config.windowHours * 3600, latest.time)
+            : null;
+
+        return projectRunway({ ...latest, burn, activity, now: this.now() }, this.config);
+    }
+
+    /**
+     * Sample on an interval
+     */
+    start(intervalMs = this.config.sampleIntervalMs) {
+        const run = () => this.sample().catch(error => {
+            logger.warn(`Reserve sample failed: ${error.message}`, null, 'sepolia');
+        });
+        run();
+        this.intervalId = setInterval(run, intervalMs);
+    }
+
+    stop() {
+        clearInterval(this.intervalId);
+        this.intervalId = null;
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                         FORMATTING
+// ═══════════════════════════════════════════════════════════════
+
+function formatEth(wei, currency = 'ETH') {
+    return `${Number(ethers.formatEther(wei)).toFixed(6)} ${currency}`;
+}
+
+/**
+ * "8.2 days", "14.5 hours", "> 1 year", "no burn" or "unknown"
+ */
+export function formatRunway(days) {
+    if (days === null) return 'unknown';
+    if (days === Infinity) return 'no burn';
+    if (days >= 365) return '> 1 year';
+    if (days >= 2) return `${days.toFixed(1)} days`;
+    return `${(days * 24).toFixed(1)} hours`;
+}
+
+/**
+ * Render a forecast as Telegram HTML (burn rate and runway sections)
+ */
+export function formatForecastHtml(forecast) {
+    const { burn, activity } = forecast;
+    const emoji = RUNWAY_EMOJIS[forecast.status];
+
+    if (!burn) {
+        let msg = `<b>Runway</b>\n└ ${emoji} Not enough history yet - samples build up while the bot runs\n`;
+        if (activity?.gasPerCallback) msg += `\n<i>react() uses ${activity.gasPerCallback.toLocaleString()} RVM gas on average</i>\n`;
+        return msg;
+    }
+
+    const lines = [`${formatEth(burn.perDay)}/day`];
+    if (forecast.perCallback !== null) {
+        lines.push(`Per callback: ${formatEth(forecast.perCallback)} (${activity.gasPerCallback.toLocaleString()} RVM gas avg)`);
+    }
+    if (forecast.perPosition !== null) {
+        lines.push(`Per position: ${formatEth(forecast.perPosition)}/day (${forecast.positions.length} active)`);
+    }
+    if (burn.debtPerDay > 0n) lines.push(`RVM debt: +${formatEth(burn.debtPerDay, 'REACT')}/day`);
+
+    let msg = `<b>Burn Rate</b> (last ${(burn.spanSec / 3600).toFixed(1)}h, ${burn.samples} samples)\n`;
+    msg += lines.map((line, i) => `${i === lines.length - 1 ? '└' : '├'} ${line}`).join('\n') + '\n\n';
+
+    msg += `<b>Runway</b>\n└ ${emoji} ${formatRunway(forecast.runwayDays)}`;
+    if (forecast.emptyAt) msg += ` (until ${forecast.emptyAt.replace('T', ' ').slice(0, 16)} UTC)`;
+    if (forecast.callbacksLeft !== null) msg += `, ≈ ${forecast.callbacksLeft.toLocaleString()} callbacks`;
+    msg += '\n';
+    return msg;
+}
+
+export default ReserveForecaster;
@@ -0,0 +1,428 @@
+/**
+ * Callback Reserve Keeper for Reactive Auto-Looper
+ *
+ * Callbacks stop without a sound when the callback proxy runs out of the
+ * RVM's reserves, so this daemon keeps them topped up:
+ * - Sepolia: callbackProxy.reserves(rvmId) below RESERVE_KEEPER.floor is brought
+ *   back to RESERVE_KEEPER.target, with depositTo(rvmId) on the callback proxy -
+ *   or, with KEEPER_METHOD=funder, by sending the amount to Funder.fund() for
+ *   the self-funding loop to bridge (it credits the RSC the Funder targets)
+ * - Lasna: RVM debt on the system contract is paid with its depositTo(rvmId)
+ *
+ * Spending is capped per UTC day and chain; a top-up the cap cuts short is
+ * sent for what is left. Every action - top-ups, dry runs, capped and failed
+ * ones - is appended to an audit log (JSON lines under STATE_DIR) and passed
+ * to onAction for notification. keep-reserves.js runs it as a daemon.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ethers } from 'ethers';
+import { NETWORKS, PROFILE, CONTRACTS, RESERVE_KEEPER, STATE_DIR } from './config.js';
+import logger from './logger.js';
+import { connectCallbackProxy, connectFunder, connectSystem, readRvmDebt } from './abi-registry.js';
+import { JsonStore } from './state-store.js';
+import { revertReason } from './tx-commands.js';
+import { escapeHtml } from './bot/format.js';
+
+export const KeeperTarget = Object.freeze({
+    RESERVES: 'reserves',   // callbackProxy.reserves(rvmId) on Sepolia
+    RVM_DEBT: 'rvmDebt'     // systemContract.debt(rvmId) on Lasna
+});
+
+export const KeeperAction = Object.freeze({
+    TOP_UP: 'topUp',        // Sent and mined
+    DRY_RUN: 'dryRun',      // Would have been sent
+    CAPPED: 'capped',       // Nothing left of the daily cap - not sent
+    FAILED: 'failed'        // Not sent, reverted or not mined in time
+});
+
+export const CURRENCY = { sepolia: 'ETH', lasna: 'REACT' };
+
+// ═══════════════════════════════════════════════════════════════
+//                        READ + PLAN
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Current reserves (Sepolia) and RVM debt (Lasna)
+ * @returns {Promise<{ reserves: bigint, rvmDebt: bigint }>}
+ */
+export async function readReserves({
+    provider,
+    lasnaProvider,
+    rvmId = CONTRACTS.rvmId,
+    callbackProxy = CONTRACTS.callbackProxy,
+    systemContract = CONTRACTS.systemContract
+}) {
+    const reserves = await connectCallbackProxy(callbackProxy, provider).reserves(rvmId);
+    const rvmDebt = await readRvmDebt(systemContract, lasnaProvider, rvmId);
+    return { reserves, rvmDebt };
+}
+
+/**
+ * @typedef {Object} TopUpPlan
+ * @property {string} target - KeeperTarget
+ * @property {string} network - 'sepolia' or 'lasna' (whose daily cap it counts against)
+ * @property {string} method - 'proxy', 'funder' or 'system'
+ * @property {bigint} amount - Wei to send, before the daily cap
+ * @property {string} reason
+ */
+
+/**
+ * Top-ups the current reserves and debt call for
+ * @returns {TopUpPlan[]}
+ */
+export function planTopUps({ reserves, rvmDebt }, { floor, target, method, payDebt } = RESERVE_KEEPER) {
+    const plans = [];
+    if (reserves < floor) {
+        plans.push({
+            target: KeeperTarget.RESERVES,
+            network: 'sepolia',
+            method,
+            amount: target - reserves,
+            reason: `Reserves ${ethers.formatEther(reserves)} ETH are below the ${ethers.formatEther(floor)} ETH floor`
+        });
+    }
+    if (payDebt && rvmDebt > 0n) {
+        plans.push({
+            target: KeeperTarget.RVM_DEBT,
+            network: 'lasna',
+            method: 'system',
+            amount: rvmDebt,
+            reason: `RVM owes ${ethers.formatEther(rvmDebt)} REACT on Lasna`
+        });
+    }
+    return plans;
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                         AUDIT LOG
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Append-only JSON lines file of every keeper action
+ */
+export class AuditLog {
+    /**
+     * @param file - Path to the log (relative paths resolve against STATE_DIR)
+     */
+    constructor(file) {
+        this.file = path.isAbsolute(file) ? file : path.join(STATE_DIR, file);
+    }
+
+    append(entry) {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.appendFileSync(this.file, JSON.stringify(entry, (key, v) => (typeof v === 'bigint' ? v.toString() : v)) + '\n');
+    }
+
+    /**
+     * The last `count` entries, oldest first
+     */
+    tail(count = 10) {
+        if (!fs.existsSync(this.file)) return [];
+        return fs.readFileSync(this.file, 'utf8')
+            .split('\n')
+            .filter(Boolean)
+            .slice(-count)
+            .map(line => JSON.parse(line));
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                           KEEPER
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} KeeperActionRecord
+ * @property {string} id - <target>:<time ms>
+ * @property {string} type - KeeperAction
+ * @property {string} time - ISO timestamp
+ * @property {string} target - KeeperTarget
+ * @property {string} network
+ * @property {string} method
+ * @property {string} reason
+ * @property {bigint} requested - Amount the plan asked for
+ * @property {bigint} amount - Amount sent (or that would be), after the daily cap
+ * @property {bigint} spentToday - Spent on this network today, including this top-up
+ * @property {bigint} dailyCap
+ * @property {string|null} txHash
+ * @property {number|null} blockNumber
+ * @property {string|null} error
+ */
+
+export class ReserveKeeper {
+    /**
+     * @param options.provider - Sepolia provider
+     * @param options.lasnaProvider - Lasna provider
+     * @param options.signer - Sepolia wallet that pays top-ups (null: nothing is sent)
+     * @param options.lasnaSigner - Lasna wallet that pays RVM debt
+     * @param options.onAction - Called with every KeeperActionRecord
+     * @param options.stateFile - Today's spending and cooldowns (relative to STATE_DIR)
+     * @param options.auditFile - Audit log (relative to STATE_DIR)
+     */
+    constructor({
+        provider,
+        lasnaProvider,
+        signer = null,
+        lasnaSigner = null,
+        rvmId = CONTRACTS.rvmId,
+        callbackProxy = CONTRACTS.callbackProxy,
+        systemContract = CONTRACTS.systemContract,
+        funder = CONTRACTS.funder,
+        config = RESERVE_KEEPER,
+        dryRun = config.dryRun,
+        onAction = null,
+        stateFile = `keeper-${PROFILE.name}.json`,
+        auditFile = `keeper-audit-${PROFILE.name}.jsonl`,
+        now = () => Date.now()
+    }) {
+        if (!['proxy', 'funder'].includes(config.method)) {
+            throw new Error(`Unknown KEEPER_METHOD "${config.method}" (use proxy or funder)`);
+        }
+        if (config.method === 'funder' && !funder) {
+            throw new Error('KEEPER_METHOD=funder needs a FUNDER address');
+        }
+        if (config.target < config.floor) {
+            throw new Error('KEEPER_RESERVE_TARGET must not be below KEEPER_RESERVE_FLOOR');
+        }
+
+        this.provider = provider;
+        this.lasnaProvider = lasnaProvider;
+        this.signers = { sepolia: signer, lasna: lasnaSigner };
+        this.rvmId = rvmId;
+        this.callbackProxy = callbackProxy;
+        this.systemContract = systemContract;
+        this.funder = funder;
+        this.config = config;
+        this.dryRun = dryRun;
+        this.onAction = onAction;
+        this.now = now;
+
+        this.caps = { sepolia: config.dailyCap, lasna: config.debtDailyCap };
+        this.store = new JsonStore(stateFile);
+        this.audit = new AuditLog(auditFile);
+        this.intervalId = null;
+        this.checking = false;
+    }
+
+    /**
+     * UTC day the daily caps count against
+     */
+    get today() {
+        return new Date(this.now()).toISOString().slice(0, 10);
+    }
+
+    spentToday(network) {
+        const spending = this.store.get('spending', {});
+        return spending.day === this.today ? BigInt(spending[network] ?? 0) : 0n;
+    }
+
+    addSpending(network, amount) {
+        const spending = this.store.get('spending', {});
+        const today = spending.day === this.today ? spending : { day: this.today };
+        this.store.set('spending', { ...today, [network]: (this.spentToday(network) + amount).toString() });
+    }
+
+    coolingDown(target) {
+        const last = this.store.get('lastTopUp', {})[target];
+        return last !== undefined && this.now() - last < this.config.cooldownMs;
+    }
+
+    markTopUp(target) {
+        this.store.set('lastTopUp', { ...this.store.get('lastTopUp', {}), [target]: this.now() });
+    }
+
+    /**
+     * Read reserves and debt and send the top-ups they call for
+     * @returns {Promise<{ reserves: bigint, rvmDebt: bigint, actions: KeeperActionRecord[] }>}
+     */
+    async check() {
+        const state = await readReserves({
+            provider: this.provider,
+            lasnaProvider: this.lasnaProvider,
+            rvmId: this.rvmId,
+            callbackProxy: this.callbackProxy,
+            systemContract: this.systemContract
+        });
+
+        const actions = [];
+        for (const plan of planTopUps(state, this.config)) {
+            if (this.coolingDown(plan.target)) {
+                logger.debug(`${plan.reason} - last top-up too recent, waiting`, null, plan.network);
+                continue;
+            }
+            const action = await this.topUp(plan);
+            if (action) actions.push(action);
+        }
+        return { ...state, actions };
+    }
+
+    /**
+     * Send one planned top-up within what is left of today's cap
+     * @returns {Promise<KeeperActionRecord|null>} null for a cap already reported today
+     */
+    async topUp(plan) {
+        const { network } = plan;
+        const left = this.caps[network] - this.spentToday(network);
+        const amount = plan.amount < left ? plan.amount : (left > 0n ? left : 0n);
+        const action = {
+            id: `${plan.target}:${this.now()}`,
+            type: null,
+            time: new Date(this.now()).toISOString(),
+            target: plan.target,
+            network,
+            method: plan.method,
+            reason: plan.reason,
+            requested: plan.amount,
+            amount,
+            spentToday: this.spentToday(network),
+            dailyCap: this.caps[network],
+            txHash: null,
+            blockNumber: null,
+            error: null
+        };
+
+        if (amount === 0n) {
+            // Reported once a day, not on every check until midnight
+            const capped = this.store.get('capped', {});
+            if (capped[plan.target] === this.today) return null;
+            this.store.set('capped', { ...capped, [plan.target]: this.today });
+            return this.record({ ...action, type: KeeperAction.CAPPED });
+        }
+
+        // Failed attempts wait out the cooldown too, so a broke wallet isn't reported on every check
+        this.markTopUp(plan.target);
+        if (this.dryRun) {
+            return this.record({ ...action, type: KeeperAction.DRY_RUN });
+        }
+
+        const signer = this.signers[network];
+        if (!signer) {
+            return this.record({ ...action, type: KeeperAction.FAILED, error: 'No keeper wallet (set KEEPER_PRIVATE_KEY)' });
+        }
+
+        try {
+            const balance = await signer.provider.getBalance(await signer.getAddress());
+            if (balance < amount) {
+                throw new Error(`Keeper wallet holds only ${ethers.formatEther(balance)} ${CURRENCY[network]}`);
+            }
+
+            const tx = await this.send(plan.method, amount, signer);
+            this.addSpending(network, amount);
+            action.txHash = tx.hash;
+            action.spentToday = this.spentToday(network);
+
+            const receipt = await tx.wait(1, this.config.receiptTimeoutMs);
+            return this.record({ ...action, type: KeeperAction.TOP_UP, blockNumber: receipt.blockNumber });
+        } catch (error) {
+            return this.record({ ...action, type: KeeperAction.FAILED, error: revertReason(error) });
+        }
+    }
+
+    /**
+     * @returns {Promise<Object>} The ethers TransactionResponse
+     */
+    async send(method, amount, signer) {
+        if (method === 'system') return connectSystem(this.systemContract, signer).depositTo(this.rvmId, { value: amount });
+        if (method === 'funder') return connectFunder(this.funder, signer).fund({ value: amount });
+        return connectCallbackProxy(this.callbackProxy, signer).depositTo(this.rvmId, { value: amount });
+    }
+
+    async record(action) {
+        this.audit.append(action);
+        const text = `${action.type} ${action.target}: ${ethers.formatEther(action.amount)} ${CURRENCY[action.network]}`;
+        if (action.type === KeeperAction.FAILED) logger.error(`${text} - ${action.error}`, null, action.network);
+        else if (action.type === KeeperAction.CAPPED) logger.warn(`${text} - daily cap reached`, null, action.network);
+        else logger.success(text, null, action.network);
+
+        if (this.onAction) await this.onAction(action);
+        return action;
+    }
+
+    /**
+     * Reserves, debt, today's spending and the latest audit entries
+     */
+    async status(count = 10) {
+        const state = await readReserves({
+            provider: this.provider,
+            lasnaProvider: this.lasnaProvider,
+            rvmId: this.rvmId,
+            callbackProxy: this.callbackProxy,
+            systemContract: this.systemContract
+        });
+        return {
+            ...state,
+            spent: { sepolia: this.spentToday('sepolia'), lasna: this.spentToday('lasna') },
+            caps: this.caps,
+            recent: this.audit.tail(count)
+        };
+    }
+
+    /**
+     * Check on an interval (one check at a time)
+     */
+    start(intervalMs = this.config.pollIntervalMs) {
+        const run = async () => {
+            if (this.checking) return;
+            this.checking = true;
+            try {
+                await this.check();
+            } catch (error) {
+                logger.warn(`Reserve check failed: ${error.message}`, null, 'sepolia');
+            } finally {
+                this.checking = false;
+            }
+        };
+        run();
+        this.intervalId = setInterval(run, intervalMs);
+    }
+
+    stop() {
+        clearInterval(this.intervalId);
+        this.intervalId = null;
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                         FORMATTING
+// ═══════════════════════════════════════════════════════════════
+
+const ACTION_TITLES = {
+    [KeeperAction.TOP_UP]: { reserves: '💸 Reserves Topped Up', rvmDebt: '💸 RVM Debt Paid' },
+    [KeeperAction.DRY_RUN]: { reserves: '🧪 Dry Run: Would Top Up Reserves', rvmDebt: '🧪 Dry Run: Would Pay RVM Debt' },
+    [KeeperAction.CAPPED]: { reserves: '🛑 Keeper Daily Cap Reached', rvmDebt: '🛑 Keeper Daily Cap Reached' },
+    [KeeperAction.FAILED]: { reserves: '❌ Reserve Top-Up Failed', rvmDebt: '❌ RVM Debt Payment Failed' }
+};
+
+const METHOD_LABELS = {
+    proxy: 'depositTo(rvmId) on the callback proxy',
+    funder: 'Funder.fund() (bridged by the self-funding loop)',
+    system: 'depositTo(rvmId) on the Lasna system contract'
+};
+
+/**
+ * Render a keeper action as a Telegram HTML message
+ */
+export function formatKeeperActionHtml(action) {
+    const currency = CURRENCY[action.network];
+    const amount = value => `${Number(ethers.formatEther(BigInt(value))).toFixed(6)} ${currency}`;
+
+    let msg = `<b>${ACTION_TITLES[action.type][action.target]}</b>\n\n`;
+    msg += `${escapeHtml(action.reason)}\n\n`;
+    msg += `├ Amount: ${amount(action.amount)}`;
+    if (BigInt(action.amount) < BigInt(action.requested)) msg += ` (of ${amount(action.requested)} - daily cap)`;
+    msg += '\n';
+    msg += `├ Via: ${METHOD_LABELS[action.method]}\n`;
+    msg += `└ Spent today: ${amount(action.spentToday)} of ${amount(action.dailyCap)}\n`;
+
+    if (action.txHash) {
+        msg += `\n🔗 <a href="${NETWORKS[action.network].explorer}/tx/${action.txHash}">${logger.truncateAddress(action.txHash)}</a>`;
+        if (action.blockNumber) msg += ` (block ${action.blockNumber})`;
+        msg += '\n';
+    }
+    if (action.error) msg += `\n⚠️ ${escapeHtml(action.error)}\n`;
+    if (action.type === KeeperAction.CAPPED) msg += '\n<i>Top up by hand (fund-reserves.js) or raise the cap - callbacks stop when reserves hit zero</i>\n';
+    return msg;
+}
+
+export default ReserveKeeper;
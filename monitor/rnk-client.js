@@ -2,17 +2,166 @@
  * RNK (Reactive Network) RPC Client
  * 
  * Provides methods for querying Reactive Network-specific RPC endpoints
+ * 
+ * Requests time out, transient failures (network errors, timeouts, HTTP 429/5xx,
+ * JSON-RPC server errors) are retried with exponential backoff, and failing
+ * endpoints are skipped for a cooldown in favour of the next fallback URL.
+ * 
+ * Results are normalized by rnk-models.js (numbers instead of hex strings,
+ * decoded react() and Callback payloads). Use call() for the raw JSON.
  */
 
-import { NETWORKS, RNK_METHODS } from './config.js';
+import { NETWORKS, RNK_METHODS, RNK_CLIENT } from './config.js';
 import logger from './logger.js';
+import { parseVm, parseSubscriber, parseRvmTransaction, parseRvmLog, toNumber, toHexQuantity } from './rnk-models.js';
+
+// JSON-RPC error codes that mean the request itself is wrong - retrying won't help
+const PERMANENT_RPC_ERRORS = new Set([-32700, -32600, -32601, -32602]);
+
+function rpcError(message, { code = null, transient = false } = {}) {
+    return Object.assign(new Error(message), { code, transient });
+}
+
+function isTransient(error) {
+    if (typeof error.transient === 'boolean') return error.transient;
+    // fetch() network failures ("fetch failed", with the socket error as cause) and AbortSignal
+    // timeouts - not any TypeError, so bugs in the request path fail at once
+    if (error.name === 'TypeError') return error.message === 'fetch failed' || error.cause !== undefined;
+    return error.name === 'TimeoutError' || error.name === 'AbortError';
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 class RnkClient {
-    constructor(rpcUrl = NETWORKS.lasna.rpc) {
-        this.rpcUrl = rpcUrl;
+    /**
+     * @param rpcUrls - RPC URL or ordered list of URLs (primary first, then fallbacks)
+     * @param options - Overrides for RNK_CLIENT (timeoutMs, maxRetries, backoffMs, ...)
+     */
+    constructor(rpcUrls = [NETWORKS.lasna.rpc, ...NETWORKS.lasna.fallbackRpcs], options = {}) {
+        const urls = Array.isArray(rpcUrls) ? rpcUrls : [rpcUrls];
+        if (urls.length === 0) {
+            throw new Error('RnkClient needs at least one RPC URL');
+        }
+
+        this.endpoints = urls.map(url => ({
+            url,
+            failures: 0,
+            unhealthyUntil: 0,
+            lastError: null,
+            latencyMs: null
+        }));
+        this.options = { ...RNK_CLIENT, ...options };
         this.requestId = 1;
     }
 
+    /**
+     * URL of the endpoint requests currently go to
+     */
+    get rpcUrl() {
+        return this.pickEndpoint().url;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    //                         TRANSPORT
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * First healthy endpoint in priority order, or the one that recovers soonest
+     */
+    pickEndpoint() {
+        const now = Date.now();
+        const healthy = this.endpoints.find(e => e.unhealthyUntil <= now);
+        if (healthy) return healthy;
+        return this.endpoints.reduce((a, b) => (b.unhealthyUntil < a.unhealthyUntil ? b : a));
+    }
+
+    markSuccess(endpoint, latencyMs) {
+        endpoint.failures = 0;
+        endpoint.unhealthyUntil = 0;
+        endpoint.latencyMs = latencyMs;
+    }
+
+    markFailure(endpoint, error) {
+        endpoint.failures++;
+        endpoint.lastError = error.message;
+        endpoint.unhealthyUntil = Date.now() + this.options.unhealthyCooldownMs;
+    }
+
+    /**
+     * Health snapshot of every configured endpoint
+     */
+    getEndpointHealth() {
+        const now = Date.now();
+        return this.endpoints.map(e => ({
+            url: e.url,
+            healthy: e.unhealthyUntil <= now,
+            failures: e.failures,
+            lastError: e.lastError,
+            latencyMs: e.latencyMs
+        }));
+    }
+
+    /**
+     * POST a JSON-RPC payload (single request or batch) to one endpoint
+     */
+    async post(endpoint, payload) {
+        const started = Date.now();
+        const response = await fetch(endpoint.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload),
+            signal: AbortSignal.timeout(this.options.timeoutMs)
+        });
+
+        if (!response.ok) {
+            throw rpcError(`HTTP ${response.status} from ${endpoint.url}`, {
+                transient: response.status === 429 || response.status >= 500
+            });
+        }
+
+        const data = await response.json();
+        return { data, latencyMs: Date.now() - started };
+    }
+
+    /**
+     * Send a payload with retries and endpoint failover
+     *
+     * `check` inspects the decoded response and throws for errors that should
+     * be retried (e.g. a JSON-RPC server error).
+     */
+    async send(payload, check = () => {}) {
+        const { maxRetries, backoffMs, maxBackoffMs } = this.options;
+        let lastError;
+
+        for (let attempt = 0; attempt <= maxRetries; attempt++) {
+            const endpoint = this.pickEndpoint();
+
+            try {
+                const { data, latencyMs } = await this.post(endpoint, payload);
+                check(data);
+                this.markSuccess(endpoint, latencyMs);
+                return data;
+            } catch (error) {
+                lastError = error;
+                if (!isTransient(error)) throw error;
+
+                this.markFailure(endpoint, error);
+                if (attempt === maxRetries) break;
+
+                const delay = Math.min(backoffMs * 2 ** attempt, maxBackoffMs);
+                const next = this.pickEndpoint();
+                logger.debug(
+                    `RNK RPC ${endpoint.url} failed (${error.message}), retrying via ${next.url} in ${delay}ms`,
+                    null,
+                    'lasna'
+                );
+                await sleep(delay);
+            }
+        }
+
+        throw lastError;
+    }
+
     async call(method, params = []) {
         const body = {
             jsonrpc: '2.0',
@@ -22,18 +171,15 @@ class RnkClient {
         };
 
         try {
-            const response = await fetch(this.rpcUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(body)
+            const data = await this.send(body, (response) => {
+                if (response.error) {
+                    throw rpcError(`RPC Error: ${response.error.message}`, {
+                        code: response.error.code,
+                        transient: !PERMANENT_RPC_ERRORS.has(response.error.code)
+                    });
+                }
             });
 
-            const data = await response.json();
-            
-            if (data.error) {
-                throw new Error(`RPC Error: ${data.error.message}`);
-            }
-
             return data.result;
         } catch (error) {
             logger.error(`RNK RPC call failed: ${method}`, { error: error.message }, 'lasna');
@@ -41,22 +187,67 @@ class RnkClient {
         }
     }
 
+    /**
+     * Send several calls as one JSON-RPC batch request
+     *
+     * Resolves in request order with Promise.allSettled-style entries:
+     * { status: 'fulfilled', value } or { status: 'rejected', reason }.
+     * Falls back to individual calls if the endpoint rejects batches.
+     */
+    async batch(calls) {
+        const body = calls.map(({ method, params = [] }) => ({
+            jsonrpc: '2.0',
+            method,
+            params,
+            id: this.requestId++
+        }));
+
+        let data;
+        try {
+            data = await this.send(body, (response) => {
+                if (!Array.isArray(response)) {
+                    throw rpcError('Batch requests not supported', { transient: false });
+                }
+            });
+        } catch (error) {
+            if (error.transient !== false) {
+                logger.error('RNK RPC batch failed', { error: error.message }, 'lasna');
+                return calls.map(() => ({ status: 'rejected', reason: error }));
+            }
+            return Promise.allSettled(calls.map(({ method, params }) => this.call(method, params)));
+        }
+
+        const byId = new Map(data.map(item => [item.id, item]));
+        return body.map(({ id, method }) => {
+            const item = byId.get(id);
+            if (!item) {
+                return { status: 'rejected', reason: rpcError(`No batch response for ${method}`) };
+            }
+            if (item.error) {
+                return { status: 'rejected', reason: rpcError(`RPC Error: ${item.error.message}`, { code: item.error.code }) };
+            }
+            return { status: 'fulfilled', value: item.result };
+        });
+    }
+
     // ═══════════════════════════════════════════════════════════════
     //                         VM METHODS
     // ═══════════════════════════════════════════════════════════════
 
     /**
      * Get VM status for a given RVM ID
+     * @returns {Promise<import('./rnk-models.js').VmInfo|null>}
      */
     async getVm(rvmId) {
-        return this.call(RNK_METHODS.getVm, [rvmId]);
+        return parseVm(await this.call(RNK_METHODS.getVm, [rvmId]));
     }
 
     /**
      * Get the latest transaction number for an RVM
+     * @returns {Promise<number>}
      */
     async getHeadNumber(rvmId) {
-        return this.call(RNK_METHODS.getHeadNumber, [rvmId]);
+        return toNumber(await this.call(RNK_METHODS.getHeadNumber, [rvmId])) ?? 0;
     }
 
     /**
@@ -72,9 +263,11 @@ class RnkClient {
 
     /**
      * Get all subscriptions for an RVM
+     * @returns {Promise<import('./rnk-models.js').Subscriber[]>}
      */
     async getSubscribers(rvmId) {
-        return this.call(RNK_METHODS.getSubscribers, [rvmId]);
+        const subscribers = await this.call(RNK_METHODS.getSubscribers, [rvmId]);
+        return (subscribers || []).map(parseSubscriber);
     }
 
     /**
@@ -91,18 +284,32 @@ class RnkClient {
     /**
      * Get transactions for an RVM
      * @param rvmId - The RVM ID
-     * @param from - Starting transaction number (hex)
-     * @param limit - Max transactions to return (hex)
+     * @param from - Starting transaction number (number or hex)
+     * @param limit - Max transactions to return (number or hex)
+     * @returns {Promise<import('./rnk-models.js').RvmTransaction[]>}
      */
-    async getTransactions(rvmId, from = '0x1', limit = '0x100') {
-        return this.call(RNK_METHODS.getTransactions, [rvmId, from, limit]);
+    async getTransactions(rvmId, from = 1, limit = 256) {
+        const txs = await this.call(RNK_METHODS.getTransactions, [rvmId, toHexQuantity(from), toHexQuantity(limit)]);
+        return (txs || []).map(parseRvmTransaction);
+    }
+
+    /**
+     * Get a single RVM transaction by number, or null if it doesn't exist
+     * @returns {Promise<import('./rnk-models.js').RvmTransaction|null>}
+     */
+    async getTransaction(rvmId, txNumber) {
+        const [tx] = await this.getTransactions(rvmId, txNumber, 1);
+        return tx || null;
     }
 
     /**
      * Get logs for a specific transaction
+     * @param txNumber - Transaction number (number or hex)
+     * @returns {Promise<import('./rnk-models.js').RvmLog[]>}
      */
     async getTransactionLogs(rvmId, txNumber) {
-        return this.call(RNK_METHODS.getTransactionLogs, [rvmId, txNumber]);
+        const logs = await this.call(RNK_METHODS.getTransactionLogs, [rvmId, toHexQuantity(txNumber)]);
+        return (logs || []).map(parseRvmLog);
     }
 
     // ═══════════════════════════════════════════════════════════════
@@ -121,7 +328,7 @@ class RnkClient {
 
         const matching = subscribers.find(sub => 
             sub.chainId === chainId &&
-            sub.contract.toLowerCase() === contractAddress.toLowerCase() &&
+            sub.contract?.toLowerCase() === contractAddress.toLowerCase() &&
             sub.topics[0]?.toLowerCase() === topic0.toLowerCase()
         );
 
@@ -135,50 +342,121 @@ class RnkClient {
      * Get recent RVM activity summary
      */
     async getActivitySummary(rvmId) {
-        const [vm, headNumber, subscribers] = await Promise.all([
-            this.getVm(rvmId).catch(() => null),
-            this.getHeadNumber(rvmId).catch(() => '0x0'),
-            this.getSubscribers(rvmId).catch(() => [])
+        const [vmRes, headRes, subsRes] = await this.batch([
+            { method: RNK_METHODS.getVm, params: [rvmId] },
+            { method: RNK_METHODS.getHeadNumber, params: [rvmId] },
+            { method: RNK_METHODS.getSubscribers, params: [rvmId] }
         ]);
 
-        const txCount = parseInt(headNumber, 16);
-        
+        const vm = vmRes.status === 'fulfilled' ? parseVm(vmRes.value) : null;
+        const headNumber = headRes.status === 'fulfilled' ? toNumber(headRes.value) ?? 0 : 0;
+        const subscribers = subsRes.status === 'fulfilled' ? subsRes.value || [] : [];
+
         return {
             rvmId,
             active: !!vm,
-            lastTxNumber: txCount,
+            lastTxNumber: headNumber,
             contracts: vm?.contracts || 0,
-            subscriptions: subscribers?.length || 0,
-            lastActivity: vm?.lastTxNumber ? parseInt(vm.lastTxNumber, 16) : 0
+            subscriptions: subscribers.length,
+            lastActivity: vm?.lastTxNumber || 0
         };
     }
 
+    /**
+     * Page through transactions fromTx..toTx (inclusive), yielding one page at a time
+     *
+     * Keeps requesting until the whole range is covered, however large the gap.
+     * @returns {AsyncGenerator<import('./rnk-models.js').RvmTransaction[]>}
+     */
+    async *iterateTransactions(rvmId, fromTx, toTx, pageSize = 50) {
+        let next = fromTx;
+
+        while (next <= toTx) {
+            const txs = await this.getTransactions(rvmId, next, Math.min(pageSize, toTx - next + 1));
+            if (txs.length === 0) return;
+
+            yield txs;
+
+            const last = txs[txs.length - 1].number;
+            if (!(last >= next)) return; // Node didn't move forward - avoid looping forever
+            next = last + 1;
+        }
+    }
+
     /**
      * Watch for new transactions on an RVM (polling)
+     *
+     * Starts after `fromTx - 1` if given, else after the position saved in
+     * `cursor`, else at the current head (only new transactions). The cursor
+     * is advanced after every page, so a restart resumes exactly where the
+     * last run stopped.
+     *
+     * A transaction whose callback throws stays unprocessed and is retried
+     * on the next poll. After `maxHandlerAttempts` failed polls in a row it is
+     * logged and skipped, so one bad transaction can't stall the watcher.
+     *
+     * @param options.cursor - Object with get()/set(txNumber), e.g. TxCursor from state-store.js
+     * @param options.fromTx - Replay from this transaction number (backfill)
+     * @param options.pageSize - Transactions per rnk_getTransactions request
+     * @param options.maxHandlerAttempts - Failed attempts before a transaction is skipped
+     * @returns {Promise<Function>} Stop function
      */
-    async watchTransactions(rvmId, callback, pollInterval = 5000) {
-        let lastTxNumber = 0;
+    async watchTransactions(rvmId, callback, pollInterval = 5000, {
+        cursor = null,
+        fromTx = null,
+        pageSize = 50,
+        maxHandlerAttempts = this.options.maxHandlerAttempts
+    } = {}) {
+        let lastTxNumber = null;
+        if (fromTx !== null && fromTx !== undefined) {
+            lastTxNumber = Math.max(0, fromTx - 1);
+        } else if (cursor && cursor.get() !== null) {
+            lastTxNumber = cursor.get();
+        }
+
+        let polling = false;
+        const failing = { txNumber: null, attempts: 0 };
+
+        const handle = async (tx) => {
+            try {
+                await callback(tx);
+            } catch (error) {
+                failing.attempts = failing.txNumber === tx.number ? failing.attempts + 1 : 1;
+                failing.txNumber = tx.number;
+                if (failing.attempts < maxHandlerAttempts) throw error;
+                logger.error(`Skipping RVM tx #${tx.number} after ${failing.attempts} failed attempts: ${error.message}`, null, 'rvm');
+            }
+        };
 
         const poll = async () => {
+            // A long backfill can outlast the interval - never run two at once
+            if (polling) return;
+            polling = true;
+
             try {
-                const headNumber = await this.getHeadNumber(rvmId);
-                const currentTxNumber = parseInt(headNumber, 16);
-
-                if (currentTxNumber > lastTxNumber) {
-                    // Fetch new transactions
-                    const fromHex = '0x' + (lastTxNumber + 1).toString(16);
-                    const limitHex = '0x' + (currentTxNumber - lastTxNumber).toString(16);
-                    
-                    const txs = await this.getTransactions(rvmId, fromHex, limitHex);
-                    
-                    for (const tx of txs || []) {
-                        await callback(tx);
-                    }
+                const currentTxNumber = await this.getHeadNumber(rvmId);
 
+                // First run with nothing to resume from: start at the head
+                if (lastTxNumber === null) {
                     lastTxNumber = currentTxNumber;
+                    cursor?.set(lastTxNumber);
+                    return;
+                }
+
+                for await (const txs of this.iterateTransactions(rvmId, lastTxNumber + 1, currentTxNumber, pageSize)) {
+                    try {
+                        for (const tx of txs) {
+                            await handle(tx);
+                            lastTxNumber = tx.number;
+                        }
+                    } finally {
+                        cursor?.set(lastTxNumber);
+                    }
                 }
             } catch (error) {
                 logger.error(`Polling error: ${error.message}`, null, 'rvm');
+            } finally {
+                polling = false;
             }
         };
 
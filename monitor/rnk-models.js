@@ -0,0 +1,259 @@
+/**
+ * Response Models for rnk_* RPC Results
+ *
+ * Normalizes the raw JSON returned by the Reactive Network RPC (hex strings,
+ * mixed number formats) into plain objects with numbers/BigInts, a status
+ * enum and decoded react() / Callback payloads. RnkClient returns these, so
+ * callers never parse hex by hand.
+ */
+
+import { ethers } from 'ethers';
+import { TOPICS } from './config.js';
+import { getInterface } from './abi-registry.js';
+
+export const TxStatus = Object.freeze({
+    SUCCESS: 'success',
+    FAILED: 'failed'
+});
+
+export const TxKind = Object.freeze({
+    DEPLOY: 'deploy',
+    REACT: 'react',
+    OTHER: 'other'
+});
+
+export const TX_KIND_LABELS = {
+    [TxKind.DEPLOY]: 'Deploy',
+    [TxKind.REACT]: 'react()',
+    [TxKind.OTHER]: 'Other'
+};
+
+const reactiveInterface = getInterface('reactive');
+const managerInterface = getInterface('manager');
+
+export const REACT_SELECTOR = reactiveInterface.getFunction('react').selector;
+
+// topic0 → event name for everything the monitor knows about
+const EVENT_NAMES = new Map(Object.entries(TOPICS).map(([name, topic]) => [topic.toLowerCase(), name]));
+
+// ═══════════════════════════════════════════════════════════════
+//                       VALUE HELPERS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Hex string, decimal string, number or bigint → number (null if missing)
+ */
+export function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return value;
+    return Number(BigInt(value));
+}
+
+/**
+ * Hex string, decimal string, number or bigint → bigint (null if missing)
+ */
+export function toBigInt(value) {
+    if (value === null || value === undefined || value === '') return null;
+    return BigInt(value);
+}
+
+/**
+ * Number or hex string → 0x-prefixed hex quantity for RPC params
+ */
+export function toHexQuantity(value) {
+    if (typeof value === 'string') return value;
+    return '0x' + BigInt(value).toString(16);
+}
+
+function toBytes32(value) {
+    return ethers.toBeHex(value, 32);
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                           MODELS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} VmInfo
+ * @property {string} rvmId
+ * @property {number} lastTxNumber
+ * @property {number} contracts
+ * @property {boolean} paused
+ * @property {Object} raw - Original RPC result
+ */
+export function parseVm(raw) {
+    if (!raw) return null;
+    return {
+        rvmId: raw.rvmId,
+        lastTxNumber: toNumber(raw.lastTxNumber) ?? 0,
+        contracts: toNumber(raw.contracts) ?? 0,
+        paused: raw.paused === true,
+        raw
+    };
+}
+
+/**
+ * @typedef {Object} Subscriber
+ * @property {number} chainId
+ * @property {string|null} contract - null subscribes to every contract
+ * @property {Array<string|null>} topics - null entries are wildcards
+ * @property {Object} raw
+ */
+export function parseSubscriber(raw) {
+    return {
+        chainId: toNumber(raw.chainId),
+        contract: raw.contract || null,
+        topics: (raw.topics || []).map(t => t || null),
+        raw
+    };
+}
+
+/**
+ * @typedef {Object} LogRecord - The origin-chain log an RVM react() call handled
+ * @property {number} chainId - Origin chain
+ * @property {string} contract - Emitting contract on the origin chain
+ * @property {string[]} topics - topic_0..topic_3 as bytes32 hex
+ * @property {string} data
+ * @property {number} blockNumber
+ * @property {number} opCode - Number of topics
+ * @property {string} blockHash
+ * @property {string} txHash - Origin transaction hash
+ * @property {number} logIndex
+ * @property {string|null} eventName - Known event name for topic_0
+ */
+export function decodeReactCall(data) {
+    if (!data || !data.startsWith(REACT_SELECTOR)) return null;
+
+    const [log] = reactiveInterface.decodeFunctionData('react', data);
+    const topics = [log.topic_0, log.topic_1, log.topic_2, log.topic_3].map(toBytes32);
+
+    return {
+        chainId: Number(log.chain_id),
+        contract: ethers.getAddress(log._contract),
+        topics,
+        data: log.data,
+        blockNumber: Number(log.block_number),
+        opCode: Number(log.op_code),
+        blockHash: toBytes32(log.block_hash),
+        txHash: toBytes32(log.tx_hash),
+        logIndex: Number(log.log_index),
+        eventName: EVENT_NAMES.get(topics[0]) || null
+    };
+}
+
+/**
+ * @typedef {Object} RvmTransaction
+ * @property {string} hash
+ * @property {number} number - Sequence number within the RVM
+ * @property {string} status - TxStatus
+ * @property {boolean} success
+ * @property {number} time - Unix seconds
+ * @property {Date} timestamp
+ * @property {string} from
+ * @property {string} to
+ * @property {bigint} gasLimit
+ * @property {bigint} gasUsed
+ * @property {boolean} createContract
+ * @property {number|null} refChainId - Chain of the log that triggered this tx
+ * @property {string|null} refTx - Origin transaction hash
+ * @property {number|null} refEventIndex
+ * @property {string} data - Raw calldata
+ * @property {string|null} selector
+ * @property {string} kind - TxKind
+ * @property {LogRecord|null} logRecord - Decoded react() argument
+ * @property {Object} raw
+ */
+export function parseRvmTransaction(raw) {
+    const data = raw.data || '0x';
+    const selector = data.length >= 10 ? data.slice(0, 10) : null;
+    const success = toNumber(raw.status) === 1;
+
+    let logRecord = null;
+    try {
+        logRecord = decodeReactCall(data);
+    } catch {
+        // Malformed calldata - leave undecoded
+    }
+
+    return {
+        hash: raw.hash,
+        number: toNumber(raw.number),
+        status: success ? TxStatus.SUCCESS : TxStatus.FAILED,
+        success,
+        time: toNumber(raw.time),
+        timestamp: raw.time ? new Date(toNumber(raw.time) * 1000) : null,
+        from: raw.from,
+        to: raw.to,
+        gasLimit: toBigInt(raw.limit) ?? 0n,
+        gasUsed: toBigInt(raw.used) ?? 0n,
+        createContract: !!raw.createContract,
+        refChainId: toNumber(raw.refChainId),
+        refTx: raw.refTx || null,
+        refEventIndex: toNumber(raw.refEventIndex),
+        data,
+        selector,
+        kind: raw.createContract ? TxKind.DEPLOY : (selector === REACT_SELECTOR ? TxKind.REACT : TxKind.OTHER),
+        logRecord,
+        raw
+    };
+}
+
+/**
+ * @typedef {Object} CallbackRequest - Decoded Callback event
+ * @property {number} chainId - Destination chain
+ * @property {string} contract - Destination contract
+ * @property {bigint} gasLimit
+ * @property {string} payload - Calldata for the destination
+ * @property {string} selector
+ * @property {string|null} functionName - e.g. executeLoopStep
+ */
+export function decodeCallback(log) {
+    const [payload] = ethers.AbiCoder.defaultAbiCoder().decode(['bytes'], log.data);
+    const selector = payload.slice(0, 10);
+
+    return {
+        chainId: Number(BigInt(log.topics[1])),
+        contract: ethers.getAddress('0x' + log.topics[2].slice(-40)),
+        gasLimit: BigInt(log.topics[3]),
+        payload,
+        selector,
+        functionName: managerInterface.getFunction(selector)?.name || null
+    };
+}
+
+/**
+ * @typedef {Object} RvmLog
+ * @property {number} index - Position within the transaction
+ * @property {string} address
+ * @property {string[]} topics
+ * @property {string|null} topic0
+ * @property {string} data
+ * @property {string|null} eventName - Known event name for topic0
+ * @property {CallbackRequest|null} callback - Set for Callback events
+ * @property {Object} raw
+ */
+export function parseRvmLog(raw, index = 0) {
+    const topics = raw.topics || [];
+    const topic0 = topics[0]?.toLowerCase() || null;
+    const eventName = topic0 ? EVENT_NAMES.get(topic0) || null : null;
+
+    let callback = null;
+    if (eventName === 'Callback') {
+        try {
+            callback = decodeCallback(raw);
+        } catch {
+            // Malformed payload - leave undecoded
+        }
+    }
+
+    return {
+        index,
+        address: raw.address,
+        topics,
+        topic0,
+        data: raw.data || '0x',
+        eventName,
+        callback,
+        raw
+    };
+}
@@ -2,9 +2,12 @@
 
 /**
  * Send final summary of Telegram bot setup to confirm everything works
+ *
+ * Goes to TELEGRAM_CHAT_ID and to every configured notification channel
+ * (Discord, Slack, email, webhooks - see notifier/).
  */
 
-import { sendTelegramMessage } from './telegram-bot.js';
+import { createNotifier, messageEvent } from './notifier/index.js';
 
 async function sendSummary() {
     const summary = `
@@ -70,8 +73,15 @@ async function sendSummary() {
 <b>🔔 The bot will automatically notify you of ALL contract events in real-time!</b>
 `;
 
-    const result = await sendTelegramMessage(summary);
-    console.log(result?.ok ? '✅ Summary sent to Telegram!' : '❌ Failed to send summary');
+    const notifier = createNotifier({ telegram: true });
+    if (notifier.size === 0) {
+        console.log('❌ No channel configured (TELEGRAM_BOT_TOKEN / TELEGRAM_CHAT_ID or a notifiers file)');
+        return;
+    }
+
+    const { sent, failed } = await notifier.notify(messageEvent(summary));
+    if (sent.length > 0) console.log(`✅ Summary sent to ${sent.join(', ')}!`);
+    if (failed.length > 0) console.log(`❌ Failed to send summary to ${failed.join(', ')}`);
 }
 
 sendSummary().catch(console.error);
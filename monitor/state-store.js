@@ -0,0 +1,105 @@
+/**
+ * Local State Store for Reactive Auto-Looper Monitor
+ *
+ * Small JSON files under STATE_DIR (monitor/.state by default, override with
+ * MONITOR_STATE_DIR) that let watchers pick up where they stopped. Writes go
+ * to a temp file first and are renamed into place, so a crash mid-write
+ * never leaves a truncated file behind.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { STATE_DIR } from './config.js';
+
+// ═══════════════════════════════════════════════════════════════
+//                         JSON STORE
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * A plain object persisted to a single JSON file
+ */
+export class JsonStore {
+    /**
+     * @param file - Path to the JSON file (relative paths resolve against STATE_DIR)
+     */
+    constructor(file) {
+        this.file = path.isAbsolute(file) ? file : path.join(STATE_DIR, file);
+        this.data = this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.file)) return {};
+        try {
+            return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Corrupt state file ${this.file}: ${error.message}`);
+        }
+    }
+
+    get(key, fallback = null) {
+        return key in this.data ? this.data[key] : fallback;
+    }
+
+    set(key, value) {
+        this.data[key] = value;
+        this.save();
+    }
+
+    delete(key) {
+        delete this.data[key];
+        this.save();
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const tmp = `${this.file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(this.data, null, 2) + '\n');
+        fs.renameSync(tmp, this.file);
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                      RVM TX CURSOR
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Last RVM transaction number a consumer has fully processed
+ *
+ * Each consumer (watch-events, a bot, ...) gets its own file per RVM so
+ * separate processes never overwrite each other's position.
+ */
+export class TxCursor {
+    /**
+     * @param name - Consumer name, e.g. 'watch-events'
+     * @param rvmId - RVM the cursor belongs to
+     * @param dir - State directory (defaults to STATE_DIR)
+     */
+    constructor(name, rvmId, dir = STATE_DIR) {
+        this.name = name;
+        this.rvmId = rvmId;
+        this.store = new JsonStore(path.join(dir, 'cursors', `${name}-${rvmId.toLowerCase()}.json`));
+    }
+
+    get file() {
+        return this.store.file;
+    }
+
+    /**
+     * @returns {number|null} Last processed tx number, or null if never run
+     */
+    get() {
+        return this.store.get('lastTxNumber');
+    }
+
+    set(txNumber) {
+        if (txNumber === this.get()) return;
+        this.store.data = {
+            rvmId: this.rvmId,
+            lastTxNumber: txNumber,
+            updatedAt: new Date().toISOString()
+        };
+        this.store.save();
+    }
+}
+
+export default { JsonStore, TxCursor };
@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+
+/**
+ * ABI Registry Test
+ *
+ * Points the registry at a temporary Foundry out/ dir (no network needed):
+ * artifact vs bundled ABI selection, the fallback when the dir is missing or
+ * an artifact is malformed, and the connect* factories.
+ *
+ * Usage: node test-abi-registry.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { ethers } from 'ethers';
+import chalk from 'chalk';
+import {
+    ARTIFACTS, BUNDLED_ABIS, loadArtifactAbi, loadAbis, getInterface,
+    connectManager, connectReactive, connectReactiveEnhanced, connectReactiveFunder,
+    connectFunder, connectCallbackProxy, connectSystem, connectWeth, connectErc20
+} from './abi-registry.js';
+import logger from './logger.js';
+
+logger.setLevel('CRITICAL');
+
+const ADDRESS = '0x188c7b7dC3EEbCA58371abC8D62cB62bEE201d47';
+const MANAGER_FILE = 'AutoLooperManager.sol/AutoLooperManager.json';
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'abis-'));
+
+// Only the compiled manager knows paused(), so it shows which ABI was picked
+const BUILT_MANAGER = [...BUNDLED_ABIS.manager, 'function paused() view returns (bool)'];
+
+function writeArtifact(file, content) {
+    fs.mkdirSync(path.join(dir, path.dirname(file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+}
+
+writeArtifact(MANAGER_FILE, JSON.stringify({ abi: JSON.parse(new ethers.Interface(BUILT_MANAGER).formatJson()) }));
+writeArtifact('AutoLooperReactive.sol/AutoLooperReactive.json', '{"abi": [');
+writeArtifact('Funder.sol/Funder.json', JSON.stringify({ bytecode: { object: '0x' } }));
+
+// ═══════════════════════════════════════════════════════════════
+//                            TESTS
+// ═══════════════════════════════════════════════════════════════
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(chalk.green(`✅ ${name}`));
+        passed++;
+    } catch (e) {
+        console.log(chalk.red(`❌ ${name}: ${e.message}`));
+        failed++;
+    }
+}
+
+function expect(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+function runTests() {
+    test('1. loadArtifactAbi reads built artifacts, null when not built, throws without an ABI', () => {
+        const abi = loadArtifactAbi('AutoLooperManager.sol', 'AutoLooperManager', dir);
+        expect(Array.isArray(abi) && abi.some(f => f.name === 'paused'), 'artifact ABI not read');
+        expect(loadArtifactAbi('ReactiveFunderRC.sol', 'ReactiveFunderRC', dir) === null, 'missing artifact not null');
+
+        let error = null;
+        try {
+            loadArtifactAbi('Funder.sol', 'Funder', dir);
+        } catch (e) {
+            error = e;
+        }
+        expect(error?.message.startsWith('Artifact has no ABI'), `error: ${error?.message}`);
+    });
+
+    test('2. A good artifact wins; broken and missing ones fall back to the bundled ABI', () => {
+        const { abis, sources } = loadAbis(dir);
+        expect(sources.manager === MANAGER_FILE && abis.manager.some(f => f.name === 'paused'), `manager from ${sources.manager}`);
+        expect(sources.reactive === 'bundled' && abis.reactive === BUNDLED_ABIS.reactive, 'malformed JSON not skipped');
+        expect(sources.funder === 'bundled' && abis.funder === BUNDLED_ABIS.funder, 'artifact without ABI not skipped');
+        expect(sources.reactiveFunder === 'bundled' && sources.system === 'bundled', 'missing artifacts not bundled');
+        expect(Object.keys(abis).length === Object.keys(BUNDLED_ABIS).length, 'registry names lost');
+    });
+
+    test('3. A missing artifacts dir uses every bundled ABI', () => {
+        const { abis, sources } = loadAbis(path.join(dir, 'not-built'));
+        for (const name of Object.keys(BUNDLED_ABIS)) {
+            expect(sources[name] === 'bundled' && abis[name] === BUNDLED_ABIS[name], `${name} from ${sources[name]}`);
+        }
+        expect(Object.keys(ARTIFACTS).every(name => BUNDLED_ABIS[name]), 'artifact without a bundled fallback');
+    });
+
+    test('4. connect* factories build contracts from the registry ABIs', () => {
+        const provider = new ethers.JsonRpcProvider('http://127.0.0.1:1', undefined, { staticNetwork: true });
+        const expected = [
+            ['manager', connectManager, 'getPosition'],
+            ['reactive', connectReactive, 'react'],
+            ['reactiveEnhanced', connectReactiveEnhanced, 'owner'],
+            ['reactiveFunder', connectReactiveFunder, 'totalBridged'],
+            ['funder', connectFunder, 'getStats'],
+            ['callbackProxy', connectCallbackProxy, 'reserves'],
+            ['system', connectSystem, 'debt'],
+            ['weth', connectWeth, 'deposit'],
+            ['erc20', connectErc20, 'allowance']
+        ];
+
+        for (const [name, connect, fn] of expected) {
+            const contract = connect(ADDRESS, provider);
+            expect(contract.target === ADDRESS && contract.runner === provider, `${name}: target/runner not set`);
+            expect(contract.interface.getFunction(fn), `${fn} missing from the ${name} contract`);
+        }
+        provider.destroy();
+
+        expect(getInterface('system').getFunction('debt').selector === ethers.id('debt(address)').slice(0, 10), 'wrong debt selector');
+        let error = null;
+        try {
+            getInterface('nope');
+        } catch (e) {
+            error = e;
+        }
+        expect(error?.message === 'Unknown ABI: nope', `error: ${error?.message}`);
+    });
+
+    test('5. MONITOR_ARTIFACTS_DIR is picked up at import, with a warning for the broken artifact', () => {
+        const script = `const r = await import('./abi-registry.js');
+            const paused = !!r.connectManager('${ADDRESS}', null).interface.getFunction('paused', []);
+            console.log(JSON.stringify({ sources: r.ABI_SOURCES, paused }));`;
+        const stdout = execFileSync(process.execPath, ['--input-type=module', '-e', script], {
+            cwd: path.dirname(new URL(import.meta.url).pathname),
+            env: { ...process.env, MONITOR_ARTIFACTS_DIR: dir },
+            stdio: 'pipe'
+        }).toString();
+
+        const lines = stdout.trim().split('\n');
+        const { sources, paused } = JSON.parse(lines[lines.length - 1]);
+        expect(sources.manager === MANAGER_FILE && sources.reactive === 'bundled' && paused, `sources: ${JSON.stringify(sources)}`);
+        expect(stdout.includes('Using the bundled reactive ABI, artifact unreadable'), 'no warning for the broken artifact');
+    });
+}
+
+function main() {
+    console.log(chalk.bold.cyan('\n╔════════════════════════════════════════════════════════════════╗'));
+    console.log(chalk.bold.cyan('║                      ABI REGISTRY TESTS                        ║'));
+    console.log(chalk.bold.cyan('╚════════════════════════════════════════════════════════════════╝\n'));
+
+    runTests();
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    console.log('');
+    console.log(chalk.bold(`Passed: ${passed}  Failed: ${failed}`));
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
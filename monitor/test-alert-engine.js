@@ -0,0 +1,349 @@
+#!/usr/bin/env node
+
+/**
+ * Alert Engine Test
+ *
+ * Drives AlertEngine over a mock manager and a fake clock (no network needed)
+ * to check firing, hysteresis, escalation, reminders, resolution, stuck
+ * positions and that active alerts survive a restart, plus /setalert rule
+ * parsing and how chat rules become alert targets.
+ *
+ * Usage: node test-alert-engine.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import chalk from 'chalk';
+import { ethers } from 'ethers';
+import { AlertEngine, AlertRule, AlertLevel, evaluateRules, formatAlertHtml } from './alert-engine.js';
+import { parseAlertRule, resolveThresholds } from './alert-rules.js';
+import { ChatStore } from './chat-store.js';
+import { ALERTS } from './config.js';
+import logger from './logger.js';
+
+logger.setLevel('CRITICAL');
+
+const ALICE = '0x00000000000000000000000000000000000a11ce';
+const BOB = '0x0000000000000000000000000000000000000b0b';
+const THRESHOLDS = { healthFactor: 1.3, leverageDeviation: 0.5 };
+const MINUTE = 60 * 1000;
+
+// ═══════════════════════════════════════════════════════════════
+//                        MOCK MANAGER
+// ═══════════════════════════════════════════════════════════════
+
+function position({ state = 0, current = 2, target = 2, lastUpdateBlock = 1000 } = {}) {
+    return {
+        initialCollateral: ethers.parseEther('1'),
+        currentLeverage: ethers.parseEther(String(current)),
+        targetLeverage: ethers.parseEther(String(target)),
+        state: BigInt(state),
+        lastUpdateBlock: BigInt(lastUpdateBlock)
+    };
+}
+
+/**
+ * Positions and health factors per user, plus a block number and a clock
+ */
+class MockChain {
+    constructor() {
+        this.block = 1000;
+        this.time = 0;
+        this.positions = new Map();
+        this.calls = 0;
+        this.failing = new Set();
+    }
+
+    set(user, pos, hf) {
+        this.positions.set(user.toLowerCase(), { position: position(pos), healthFactor: ethers.parseEther(String(hf)) });
+    }
+
+    advance(ms, blocks = 0) {
+        this.time += ms;
+        this.block += blocks;
+    }
+
+    async getBlockNumber() {
+        return this.block;
+    }
+
+    async getPosition(user) {
+        this.calls++;
+        if (this.failing.has(user.toLowerCase())) throw new Error('rpc down');
+        return this.positions.get(user.toLowerCase()).position;
+    }
+
+    async getHealthFactor(user) {
+        return this.positions.get(user.toLowerCase()).healthFactor;
+    }
+}
+
+function setup(dir, targets) {
+    const chain = new MockChain();
+    const events = [];
+    const options = {
+        manager: chain,
+        provider: chain,
+        getTargets: () => targets,
+        onAlert: e => events.push(`${e.chatId}:${e.rule}:${e.type}:${e.level}`),
+        stateFile: path.join(dir, `alerts-${Math.random().toString(16).slice(2)}.json`),
+        now: () => chain.time
+    };
+    return { chain, events, options, engine: new AlertEngine(options) };
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                            TESTS
+// ═══════════════════════════════════════════════════════════════
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(chalk.green(`✅ ${name}`));
+        passed++;
+    } catch (e) {
+        console.log(chalk.red(`❌ ${name}: ${e.message}`));
+        failed++;
+    }
+}
+
+function expect(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+async function runTests(dir) {
+    const target = (chatId, user = ALICE, thresholds = THRESHOLDS) => ({ chatId, user, thresholds });
+
+    await test('1. Rules: HF, leverage drift and stuck positions', async () => {
+        const snapshot = (pos, hf) => ({ position: position(pos), healthFactor: ethers.parseEther(String(hf)), blockNumber: 1100 });
+
+        const healthy = evaluateRules(snapshot({}, 2), THRESHOLDS);
+        expect(Object.values(healthy).every(c => c === null), JSON.stringify(healthy));
+
+        const low = evaluateRules(snapshot({}, 1.2), THRESHOLDS)[AlertRule.HEALTH_FACTOR];
+        expect(low?.level === AlertLevel.WARNING, 'HF 1.2 not a warning');
+        const critical = evaluateRules(snapshot({}, 1.05), THRESHOLDS)[AlertRule.HEALTH_FACTOR];
+        expect(critical?.level === AlertLevel.CRITICAL, 'HF 1.05 not critical');
+
+        expect(evaluateRules(snapshot({ current: 2.6 }, 2), THRESHOLDS)[AlertRule.LEVERAGE_DEVIATION], 'drift not flagged');
+        expect(!evaluateRules(snapshot({ current: 1, state: 1 }, 2), THRESHOLDS)[AlertRule.LEVERAGE_DEVIATION], 'looping position flagged for drift');
+
+        const stuck = evaluateRules(snapshot({ state: 2, lastUpdateBlock: 1100 - ALERTS.stuckBlocks }, 2), THRESHOLDS)[AlertRule.STUCK];
+        expect(stuck?.value === ALERTS.stuckBlocks && stuck.summary.includes('UNWINDING'), JSON.stringify(stuck));
+
+        const noDebt = { position: position(), healthFactor: ethers.MaxUint256, blockNumber: 1100 };
+        expect(!evaluateRules(noDebt, THRESHOLDS)[AlertRule.HEALTH_FACTOR], 'no-debt HF flagged');
+    });
+
+    await test('2. An alert fires once and resolves only past the hysteresis margin', async () => {
+        const { chain, events, engine } = setup(dir, [target('ops')]);
+        chain.set(ALICE, {}, 1.25);
+
+        await engine.poll();
+        await engine.poll();
+        expect(events.join() === 'ops:hf:fired:warning', events.join());
+
+        chain.set(ALICE, {}, 1.3 + ALERTS.hfHysteresis / 2);
+        await engine.poll();
+        expect(events.length === 1, 'resolved inside the hysteresis band');
+
+        chain.set(ALICE, {}, 1.5);
+        await engine.poll();
+        expect(events.join() === 'ops:hf:fired:warning,ops:hf:resolved:warning', events.join());
+        expect(Object.keys(engine.active).length === 0, 'alert still active');
+    });
+
+    await test('3. Warnings escalate when HF turns critical or the alert lasts too long', async () => {
+        const { chain, events, engine } = setup(dir, [target('ops'), target('ops', BOB)]);
+        chain.set(ALICE, {}, 1.2);
+        chain.set(BOB, { current: 3 }, 2);
+
+        await engine.poll();
+        chain.set(ALICE, {}, 1.05);
+        chain.advance(MINUTE);
+        await engine.poll();
+        expect(events.join() === 'ops:hf:fired:warning,ops:leverage:fired:warning,ops:hf:escalated:critical', events.join());
+
+        chain.advance(ALERTS.escalateAfterMs);
+        await engine.poll();
+        expect(events[3] === 'ops:leverage:escalated:critical', events.join());
+    });
+
+    await test('4. Critical alerts are repeated on the reminder interval only', async () => {
+        const { chain, events, engine } = setup(dir, [target('ops')]);
+        chain.set(ALICE, {}, 1.05);
+
+        await engine.poll();
+        chain.advance(ALERTS.repeatCriticalMs - MINUTE);
+        await engine.poll();
+        expect(events.length === 1, events.join());
+
+        chain.advance(MINUTE);
+        await engine.poll();
+        await engine.poll();
+        expect(events.join() === 'ops:hf:fired:critical,ops:hf:reminder:critical', events.join());
+    });
+
+    await test('5. Stuck positions alert and clear once the automation moves on', async () => {
+        const { chain, events, engine } = setup(dir, [target('ops')]);
+        chain.set(ALICE, { state: 1, current: 1.5, lastUpdateBlock: 1000 }, 2);
+
+        chain.advance(0, ALERTS.stuckBlocks - 1);
+        await engine.poll();
+        expect(events.length === 0, events.join());
+
+        chain.advance(0, 1);
+        await engine.poll();
+        chain.set(ALICE, { lastUpdateBlock: chain.block }, 2);
+        await engine.poll();
+        expect(events.join() === 'ops:stuck:fired:warning,ops:stuck:resolved:warning', events.join());
+    });
+
+    await test('6. Each chat uses its own thresholds; a user is read once per poll', async () => {
+        const { chain, events, engine } = setup(dir, [
+            target('ops'),
+            target('alice', ALICE, { healthFactor: 1.5, leverageDeviation: 0.5 })
+        ]);
+        chain.set(ALICE, {}, 1.4);
+
+        await engine.poll();
+        expect(events.join() === 'alice:hf:fired:warning', events.join());
+        expect(chain.calls === 1, `${chain.calls} reads`);
+    });
+
+    await test('7. Active alerts survive a restart and unwatched ones are dropped quietly', async () => {
+        const targets = [target('ops')];
+        const { chain, events, options, engine } = setup(dir, targets);
+        chain.set(ALICE, {}, 1.2);
+        await engine.poll();
+
+        const restarted = new AlertEngine(options);
+        await restarted.poll();
+        expect(events.join() === 'ops:hf:fired:warning', events.join());
+
+        targets.length = 0;
+        await restarted.poll();
+        expect(events.length === 1 && Object.keys(restarted.active).length === 0, events.join());
+    });
+
+    await test('8. A failed read keeps the alert; a failing handler does not stop the rest', async () => {
+        const { chain, events, options } = setup(dir, [target('ops'), target('alice')]);
+        const engine = new AlertEngine({
+            ...options,
+            onAlert: (e) => {
+                events.push(e.chatId);
+                if (e.chatId === 'ops') throw new Error('send failed');
+            }
+        });
+        chain.set(ALICE, {}, 1.2);
+        await engine.poll();
+        expect(events.join() === 'ops,alice', events.join());
+
+        chain.failing.add(ALICE);
+        await engine.poll();
+        expect(events.length === 2 && Object.keys(engine.active).length === 2, events.join());
+    });
+
+    await test('9. Alert messages name the rule, user and state', async () => {
+        const { chain, engine } = setup(dir, [target('ops')]);
+        const html = [];
+        engine.onAlert = e => html.push(formatAlertHtml(e));
+        chain.time = Date.now();
+        chain.set(ALICE, {}, 1.05);
+        await engine.poll();
+        chain.set(ALICE, {}, 2);
+        await engine.poll();
+
+        expect(html[0].includes('CRITICAL') && html[0].includes('Health Factor') && html[0].includes(ALICE), html[0]);
+        expect(html[1].includes('Resolved'), html[1]);
+        expect(engine.active[`ops:${ALICE}:${AlertRule.HEALTH_FACTOR}`] === undefined, 'alert kept');
+    });
+
+    await test('10. /setalert expressions parse into rules and bad ones are rejected', async () => {
+        const rule = parseAlertRule([ALICE.toUpperCase().replace('0X', '0x'), 'hf', '<', '1.25']);
+        expect(rule.metric === 'hf' && rule.op === '<' && rule.value === 1.25 && rule.user === ALICE, JSON.stringify(rule));
+
+        const reserves = parseAlertRule(['reserves<0.05']);
+        expect(reserves.user === null && reserves.value === 0.05, JSON.stringify(reserves));
+
+        for (const bad of [['hf>2'], ['foo<1'], ['lev=3'], ['hf<0'], [ALICE, 'reserves<1'], []]) {
+            let threw = false;
+            try { parseAlertRule(bad); } catch (e) { threw = true; }
+            expect(threw, `accepted ${bad.join(' ')}`);
+        }
+    });
+
+    await test('11. Address rules override chat-wide rules, which override the defaults', async () => {
+        const chats = new ChatStore(path.join(dir, 'chats.json'), { operatorChatId: 'ops' });
+        chats.watch('ops', BOB);
+        chats.addAlertRule('ops', parseAlertRule(['hf<1.4']));
+        chats.addAlertRule('ops', parseAlertRule([ALICE, 'hf<1.2']));
+        chats.addAlertRule('ops', parseAlertRule([ALICE, 'lev>3.5']));
+        const { rule, replaced } = chats.addAlertRule('ops', parseAlertRule([ALICE, 'lev>4']));
+        chats.addAlertRule('ops', parseAlertRule(['reserves<0.05']));
+        expect(replaced && rule.id === 3 && chats.get('ops').alertRules.length === 4, JSON.stringify(chats.get('ops').alertRules));
+
+        const { alertThresholds, alertRules } = chats.get('ops');
+        expect(resolveThresholds(alertThresholds, alertRules, BOB).healthFactor === 1.4, 'chat-wide rule ignored');
+        const alice = resolveThresholds(alertThresholds, alertRules, ALICE);
+        expect(alice.healthFactor === 1.2 && alice.maxLeverage === 4 && alice.leverageDeviation === 0.5, JSON.stringify(alice));
+
+        // Alice is checked because of her rules, the reserves rule adds a system-wide target
+        const targets = chats.alertTargets().map(t => `${t.chatId}:${t.user}`);
+        expect(targets.join() === `ops:${BOB},ops:${ALICE},ops:null`, targets.join());
+
+        chats.setCategory('ops', 'risk', false);
+        expect(chats.alertTargets().length === 0, 'muted chat still checked');
+        expect(chats.removeAlertRule('ops', 3) === 1 && chats.removeAlertRule('ops', 'all') === 3, 'rules not removed');
+    });
+
+    await test('12. Leverage limits and low reserves raise alerts', async () => {
+        const targets = [
+            target('ops', ALICE, { ...THRESHOLDS, maxLeverage: 3.5, minLeverage: null }),
+            { chatId: 'ops', user: null, thresholds: { reserves: 0.05 } }
+        ];
+        const { chain, events, options } = setup(dir, targets);
+        let reserves = 0.04;
+        const engine = new AlertEngine({ ...options, getReserves: async () => reserves });
+        chain.set(ALICE, { current: 3.6, target: 3.5 }, 2);
+
+        await engine.poll();
+        expect(events.join() === 'ops:lev:fired:warning,ops:reserves:fired:warning', events.join());
+
+        reserves = 0.052;
+        chain.set(ALICE, { current: 3.45, target: 3.5 }, 2);
+        await engine.poll();
+        expect(events.length === 2, `cleared inside the hysteresis band: ${events.join()}`);
+
+        reserves = 0;
+        chain.set(ALICE, { current: 3.2, target: 3.5 }, 2);
+        await engine.poll();
+        expect(events.slice(2).join() === 'ops:lev:resolved:warning,ops:reserves:escalated:critical', events.join());
+    });
+}
+
+async function main() {
+    console.log(chalk.bold.cyan('\n╔════════════════════════════════════════════════════════════════╗'));
+    console.log(chalk.bold.cyan('║                      ALERT ENGINE TESTS                        ║'));
+    console.log(chalk.bold.cyan('╚════════════════════════════════════════════════════════════════╝\n'));
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alert-engine-'));
+    try {
+        await runTests(dir);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    console.log('');
+    console.log(chalk.bold(`Passed: ${passed}  Failed: ${failed}`));
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+});
@@ -0,0 +1,315 @@
+#!/usr/bin/env node
+
+/**
+ * Bot Core Test
+ *
+ * Checks the command registry (argument parsing, usage, generated /help) and
+ * how the bot core dispatches messages, buttons and plain text to plugins,
+ * using a fake Telegram API and a temporary chat store (no network needed).
+ * Also checks that importing the bot entry points starts nothing.
+ *
+ * Usage: node test-bot-core.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import chalk from 'chalk';
+import { ethers } from 'ethers';
+import { Bot, CommandRegistry, ALL_PLUGINS, BASIC_PLUGINS, MANAGER_EVENT_MESSAGES } from './bot/index.js';
+import { ChatStore } from './chat-store.js';
+import { Notifier } from './notifier/index.js';
+import { getInterface } from './abi-registry.js';
+import logger from './logger.js';
+
+logger.setLevel('CRITICAL');
+
+const ALICE = '0x00000000000000000000000000000000000a11ce';
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-core-'));
+
+// ═══════════════════════════════════════════════════════════════
+//                        FAKE TELEGRAM
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Records what the bot sends instead of calling Telegram
+ */
+class FakeApi {
+    constructor() {
+        this.sent = [];
+        this.edited = [];
+        this.answered = [];
+    }
+
+    async sendMessage(text, options = {}) {
+        this.sent.push({ text, ...options });
+        return { ok: true, result: { message_id: this.sent.length } };
+    }
+
+    async editMessage(messageId, text, options = {}) {
+        this.edited.push({ messageId, text, ...options });
+        return { ok: true };
+    }
+
+    async answerCallbackQuery(id) {
+        this.answered.push(id);
+        return { ok: true };
+    }
+
+    get last() {
+        return this.sent.at(-1)?.text ?? '';
+    }
+}
+
+/**
+ * Plugin whose commands record the arguments they were called with
+ */
+function recorderPlugin(calls) {
+    return () => ({
+        name: 'recorder',
+        section: 'Test <Tools>',
+        commands: [
+            {
+                name: 'echo',
+                args: [{ name: 'address', type: 'address' }, { name: 'count', type: 'int', optional: true, default: 1 }],
+                description: 'Echo <args>',
+                handler: async (chatId, args) => { calls.push({ chatId, ...args }); }
+            },
+            { name: 'boom', description: 'Always fails', handler: async () => { throw new Error('kaboom'); } },
+            { name: 'secret', hidden: true, description: 'Not in /help', handler: async () => {} }
+        ],
+        callbacks: {
+            rec: async (chatId, value, messageId) => { calls.push({ chatId, value, messageId }); }
+        },
+        onText: async (chatId, text) => {
+            if (text !== 'ping') return false;
+            calls.push({ chatId, text });
+            return true;
+        }
+    });
+}
+
+let storeCount = 0;
+
+function makeBot(plugins) {
+    const api = new FakeApi();
+    const chatStore = new ChatStore(path.join(dir, `chats-${++storeCount}.json`), { operatorChatId: 'ops' });
+    const bot = new Bot({ operatorChatId: 'ops', api, chatStore, plugins, notifier: new Notifier() });
+    return { bot, api };
+}
+
+const message = (text, chatId = 7) => ({ message: { chat: { id: chatId }, text } });
+
+// ═══════════════════════════════════════════════════════════════
+//                            TESTS
+// ═══════════════════════════════════════════════════════════════
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(chalk.green(`✅ ${name}`));
+        passed++;
+    } catch (e) {
+        console.log(chalk.red(`❌ ${name}: ${e.message}`));
+        failed++;
+    }
+}
+
+function expect(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+async function runTests() {
+    await test('1. Registry parses typed arguments and rejects bad input', async () => {
+        const registry = new CommandRegistry();
+        registry.register({
+            name: 'try',
+            args: [
+                { name: 'address', type: 'address' },
+                { name: 'count', type: 'int', optional: true, default: 10, max: 30 },
+                { name: 'mode', type: 'enum', values: ['on', 'off'], optional: true },
+                { name: 'rest', type: 'rest', optional: true }
+            ],
+            description: 'x',
+            handler: async () => {}
+        });
+
+        const { args } = registry.resolve(`/try ${ALICE} 99 ON a b`);
+        expect(args.address === ALICE && args.count === 30 && args.mode === 'on', JSON.stringify(args));
+        expect(args.rest.join() === 'a,b', `rest ${args.rest}`);
+
+        expect(registry.resolve('/try').error === 'Missing address', 'missing address accepted');
+        expect(/Not an address/.test(registry.resolve('/try 0x1234').error), 'bad address accepted');
+        expect(registry.resolve('hello') === null, 'plain text treated as a command');
+        expect(registry.resolve('/nope').command === null, 'unknown command resolved');
+    });
+
+    await test('2. Optional arguments that do not match are skipped', async () => {
+        const registry = new CommandRegistry();
+        registry.register({
+            name: 'events',
+            args: [
+                { name: 'address', type: 'address', optional: true },
+                { name: 'count', type: 'int', optional: true, default: 10 }
+            ],
+            description: 'x',
+            handler: async () => {}
+        });
+
+        const { args: countOnly } = registry.resolve('/events 5');
+        expect(countOnly.address === undefined && countOnly.count === 5, JSON.stringify(countOnly));
+        const { args: none } = registry.resolve('/events');
+        expect(none.count === 10, `default ${none.count}`);
+        expect(/Unexpected/.test(registry.resolve(`/events ${ALICE} 5 6`).error), 'extra argument accepted');
+        expect(/Not a whole number/.test(registry.resolve(`/events ${ALICE} five`).error), 'bad count accepted');
+    });
+
+    await test('3. Usage, aliases, @bot suffixes and duplicate names', async () => {
+        const registry = new CommandRegistry();
+        registry.register({
+            name: 'rvmdebt',
+            aliases: ['debt_rvm'],
+            args: [{ name: 'mode', type: 'enum', values: ['on', 'off'], optional: true }, { name: 'id', label: 'id|all' }],
+            description: 'x',
+            handler: async () => {}
+        });
+
+        expect(registry.usage('rvmdebt') === '/rvmdebt [on|off] <id|all>', registry.usage('rvmdebt'));
+        expect(registry.resolve('/debt_rvm 1').name === 'rvmdebt', 'alias not resolved');
+        expect(registry.resolve('/RVMDEBT@some_bot 1').args.id === '1', '@bot suffix not stripped');
+
+        let threw = false;
+        try {
+            registry.register({ name: 'debt_rvm', description: 'x', handler: async () => {} });
+        } catch (e) {
+            threw = true;
+        }
+        expect(threw, 'name clash with an alias accepted');
+    });
+
+    await test('4. Commands get parsed arguments; errors are reported to the chat', async () => {
+        const calls = [];
+        const { bot, api } = makeBot([recorderPlugin(calls)]);
+
+        await bot.handleUpdate(message(`/echo ${ALICE} 3`));
+        expect(calls.length === 1 && calls[0].address === ALICE && calls[0].count === 3 && calls[0].chatId === 7, JSON.stringify(calls));
+
+        await bot.handleUpdate(message('/echo nope'));
+        expect(api.last.includes('Usage: /echo &lt;address&gt; [count]'), api.last);
+
+        await bot.handleUpdate(message('/boom'));
+        expect(api.last.includes('kaboom'), api.last);
+
+        await bot.handleUpdate(message('/missing'));
+        expect(api.last.includes('Unknown command') && api.sent.every(m => m.chatId === 7), api.last);
+        expect(calls.length === 1, 'handler ran for a bad command');
+    });
+
+    await test('5. Buttons run commands or the plugin that owns the prefix', async () => {
+        const calls = [];
+        const { bot, api } = makeBot([recorderPlugin(calls)]);
+
+        await bot.handleUpdate({ callback_query: { id: 'q1', data: `cmd_echo ${ALICE}`, message: { chat: { id: 9 }, message_id: 55 } } });
+        await bot.handleUpdate({ callback_query: { id: 'q2', data: 'rec_some_value', message: { chat: { id: 9 }, message_id: 56 } } });
+        await bot.handleUpdate({ callback_query: { id: 'q3', data: 'zzz_unknown', message: { chat: { id: 9 }, message_id: 57 } } });
+
+        expect(api.answered.join() === 'q1,q2,q3', `answered ${api.answered}`);
+        expect(calls[0].address === ALICE && calls[0].chatId === 9, JSON.stringify(calls[0]));
+        expect(calls[1].value === 'some_value' && calls[1].messageId === 56, JSON.stringify(calls[1]));
+        expect(calls.length === 2, `calls ${calls.length}`);
+    });
+
+    await test('6. Plain text goes to text handlers and is otherwise ignored', async () => {
+        const calls = [];
+        const { bot, api } = makeBot([recorderPlugin(calls)]);
+
+        await bot.handleUpdate(message('ping'));
+        await bot.handleUpdate(message('hello there'));
+        expect(calls.length === 1 && calls[0].text === 'ping', JSON.stringify(calls));
+        expect(api.sent.length === 0, `replied to plain text: ${api.last}`);
+    });
+
+    await test('7. /help is generated from the registered commands', async () => {
+        const calls = [];
+        const { bot, api } = makeBot([...BASIC_PLUGINS, recorderPlugin(calls)]);
+
+        await bot.handleUpdate(message('/help'));
+        const help = api.last;
+        expect(help.includes('━━━ BASIC ━━━') && help.includes('━━━ TEST &lt;TOOLS&gt; ━━━'), 'sections missing');
+        expect(help.indexOf('BASIC') < help.indexOf('POSITION') && help.indexOf('POSITION') < help.indexOf('TEST'), 'section order');
+        expect(help.includes('/echo &lt;address&gt; [count] - Echo &lt;args&gt;'), 'command line not escaped');
+        expect(!help.includes('/secret') && !help.includes('/watch'), 'hidden or unregistered command listed');
+
+        // /start only suggests commands this bot has
+        await bot.handleUpdate(message('/start'));
+        expect(api.last.includes('/reserves') && !api.last.includes('/tp '), 'quick commands not filtered');
+    });
+
+    await test('8. The full plugin set registers the commands of both old bots', async () => {
+        const { bot } = makeBot(ALL_PLUGINS);
+        const expected = [
+            'start', 'help', 'status', 'health', 'contracts', 'networks', 'position', 'myposition', 'leverage',
+            'hf', 'collateral', 'debt', 'tp', 'fees', 'settings', 'open', 'unwind', 'close', 'emergency', 'settp',
+            'reserves', 'subscription', 'rvmstatus', 'rvmdebt', 'reactive', 'trace', 'watch', 'unwatch',
+            'watchlist', 'setmy', 'allusers', 'categories', 'setalert', 'alerts', 'delalert', 'features',
+            'stats', 'events'
+        ];
+        const missing = expected.filter(name => !bot.registry.has(name));
+        expect(missing.length === 0, `missing ${missing}`);
+        expect(['pos', 'lev', 'hf', 'txok', 'txno', 'open', 'cat'].every(p => bot.callbacks.has(p)), `callbacks ${[...bot.callbacks.keys()]}`);
+
+        const { args } = bot.registry.resolve('/categories risk off');
+        expect(args.category === 'risk' && args.mode === 'off', JSON.stringify(args));
+    });
+
+    await test('9. Manager events render and route to the operator chat', async () => {
+        const { bot } = makeBot(BASIC_PLUGINS);
+        const iface = getInterface('manager');
+        const hf = ethers.parseEther('1.2');
+        const log = iface.encodeEventLog('PositionUpdated', [ALICE, ethers.parseEther('2'), ethers.parseEther('3'), hf, 2, 1]);
+        const { args } = iface.parseLog(log);
+
+        const messages = [].concat(MANAGER_EVENT_MESSAGES.PositionUpdated(args, '0xabc'));
+        expect(messages.length === 2 && messages[1].includes('1.20'), `messages ${messages.length}`);
+        expect(messages[0].includes('2.00x'), 'leverage missing');
+
+        const chats = bot.chatsForLog(log);
+        expect(chats.join() === 'ops', `routed to ${chats}`);
+    });
+
+    await test('10. Importing the bot entry points starts nothing', async () => {
+        const output = execFileSync(process.execPath, [
+            '--input-type=module',
+            '-e',
+            "import './telegram-bot.js'; import './telegram-bot-enhanced.js'; import './bot/index.js';"
+        ], {
+            cwd: path.dirname(new URL(import.meta.url).pathname),
+            env: { ...process.env, TELEGRAM_BOT_TOKEN: 'test-token', TELEGRAM_CHAT_ID: 'ops' },
+            timeout: 30000,
+            encoding: 'utf8'
+        });
+        expect(output.trim() === '', `import printed: ${output.slice(0, 80)}`);
+    });
+}
+
+async function main() {
+    console.log(chalk.bold.cyan('\n╔════════════════════════════════════════════════════════════════╗'));
+    console.log(chalk.bold.cyan('║                       BOT CORE TESTS                           ║'));
+    console.log(chalk.bold.cyan('╚════════════════════════════════════════════════════════════════╝\n'));
+
+    await runTests();
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    console.log('');
+    console.log(chalk.bold(`Passed: ${passed}  Failed: ${failed}`));
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+});
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+/**
+ * Chat Store Test
+ *
+ * Checks which chats chatsForEvent() picks for an event, using temporary chat
+ * store files (no network needed): watched vs unwatched users, /setmy
+ * addresses, "all users" mode, disabled categories, events without a user,
+ * and the operator chat that defaults to "all users".
+ *
+ * Usage: node test-chat-store.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import chalk from 'chalk';
+import { ChatStore, eventCategory } from './chat-store.js';
+import logger from './logger.js';
+
+logger.setLevel('CRITICAL');
+
+const ALICE = '0x00000000000000000000000000000000000A11CE';
+const BOB = '0x0000000000000000000000000000000000000b0b';
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-store-'));
+
+let storeCount = 0;
+
+function makeStore() {
+    return new ChatStore(path.join(dir, `chats-${++storeCount}.json`), { operatorChatId: 'ops' });
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                            TESTS
+// ═══════════════════════════════════════════════════════════════
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(chalk.green(`✅ ${name}`));
+        passed++;
+    } catch (e) {
+        console.log(chalk.red(`❌ ${name}: ${e.message}`));
+        failed++;
+    }
+}
+
+function expect(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+function runTests() {
+    test('1. Only chats watching the event\'s user are notified', () => {
+        const chats = makeStore();
+        chats.setAllUsers('ops', false);
+        chats.watch('alice-fan', ALICE);
+        chats.watch('bob-fan', BOB);
+
+        const recipients = chats.chatsForEvent('LoopStepExecuted', ALICE.toLowerCase());
+        expect(recipients.join() === 'alice-fan', `recipients ${recipients}`);
+        expect(chats.chatsForEvent('LoopStepExecuted', BOB.toUpperCase().replace('0X', '0x')).join() === 'bob-fan', 'address case matters');
+    });
+
+    test('2. A /setmy address counts as watched', () => {
+        const chats = makeStore();
+        chats.setAllUsers('ops', false);
+        chats.setMyAddress('me', ALICE);
+
+        expect(chats.chatsForEvent('PositionClosed', ALICE.toLowerCase()).join() === 'me', '/setmy chat not notified');
+        expect(chats.chatsForEvent('PositionClosed', BOB).length === 0, 'notified about an unwatched user');
+    });
+
+    test('3. The operator chat defaults to all users; /allusers switches any chat', () => {
+        const chats = makeStore();
+        chats.watch('alice-fan', ALICE);
+        expect(chats.get('ops').allUsers && !chats.get('alice-fan').allUsers, 'wrong defaults');
+        expect(chats.chatsForEvent('LoopStepExecuted', BOB).join() === 'ops', 'operator chat not notified by default');
+
+        chats.setAllUsers('alice-fan', true);
+        chats.setAllUsers('ops', false);
+        const recipients = chats.chatsForEvent('LoopStepExecuted', BOB);
+        expect(recipients.join() === 'alice-fan', `recipients ${recipients}`);
+    });
+
+    test('4. Events without a user only reach chats in all-users mode', () => {
+        const chats = makeStore();
+        chats.watch('alice-fan', ALICE);
+        chats.setMyAddress('me', ALICE);
+
+        const recipients = chats.chatsForEvent('GasRefilled');
+        expect(recipients.join() === 'ops', `recipients ${recipients}`);
+
+        chats.setAllUsers('ops', false);
+        expect(chats.chatsForEvent('GasRefilled', null).length === 0, 'user-less event sent to a watching chat');
+    });
+
+    test('5. A disabled category silences the chat, even in all-users mode', () => {
+        const chats = makeStore();
+        chats.watch('alice-fan', ALICE);
+        chats.setCategory('alice-fan', 'tpsl', false);
+        chats.setCategory('ops', 'tpsl', false);
+
+        expect(eventCategory('StopLossTriggered') === 'tpsl', 'wrong category');
+        expect(chats.chatsForEvent('StopLossTriggered', ALICE).length === 0, 'disabled category notified');
+        const recipients = chats.chatsForEvent('EmergencyStop', ALICE).sort();
+        expect(recipients.join() === 'alice-fan,ops', `other categories: ${recipients}`);
+
+        chats.setCategory('alice-fan', 'tpsl', true);
+        expect(chats.chatsForEvent('StopLossTriggered', ALICE).join() === 'alice-fan', 'category not re-enabled');
+    });
+
+    test('6. An explicit category overrides the manager event\'s; unknown events count as infra', () => {
+        const chats = makeStore();
+        chats.setCategory('ops', 'risk', false);
+
+        expect(chats.chatsForEvent('StalePositionDetected', null, 'risk').length === 0, 'explicit category ignored');
+        expect(chats.chatsForEvent('StalePositionDetected', null, 'infra').join() === 'ops', 'explicit category ignored');
+
+        chats.setCategory('ops', 'infra', false);
+        expect(eventCategory('SomethingNew') === 'infra' && chats.chatsForEvent('SomethingNew').length === 0, 'unknown event not infra');
+    });
+
+    test('7. Settings survive a restart', () => {
+        const chats = makeStore();
+        chats.watch('alice-fan', ALICE);
+        chats.setAllUsers('ops', false);
+
+        const reloaded = new ChatStore(chats.file, { operatorChatId: 'ops' });
+        expect(reloaded.chatsForEvent('LoopStepExecuted', ALICE).join() === 'alice-fan', 'state lost on reload');
+    });
+}
+
+function main() {
+    console.log(chalk.bold.cyan('\n╔════════════════════════════════════════════════════════════════╗'));
+    console.log(chalk.bold.cyan('║                      CHAT STORE TESTS                          ║'));
+    console.log(chalk.bold.cyan('╚════════════════════════════════════════════════════════════════╝\n'));
+
+    runTests();
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    console.log('');
+    console.log(chalk.bold(`Passed: ${passed}  Failed: ${failed}`));
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
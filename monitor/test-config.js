@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+
+/**
+ * Deployment Profile Test
+ *
+ * Resolves profiles from temporary deployments files (no network needed):
+ * which profile wins (--profile, MONITOR_PROFILE, defaultProfile, env), .env
+ * fallbacks for fields a profile leaves out, validation of missing and
+ * malformed addresses, and that a bad profile stops a script at import.
+ *
+ * Usage: node test-config.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import chalk from 'chalk';
+import { resolveProfile, validateProfile, loadProfileFile } from './config.js';
+import logger from './logger.js';
+
+logger.setLevel('CRITICAL');
+
+const DEMO = '0x188c7b7dC3EEbCA58371abC8D62cB62bEE201d47';
+const STAGING = '0x00000000000000000000000000000000000a11ce';
+const FROM_ENV = '0x0000000000000000000000000000000000000b0b';
+const DEPLOYER = '0x3a949910627c3D424d0871EFa2A34214293A5E25';
+const REACTIVE = '0xE58eA8c7eC0E47D195f720f34b3187F59eb27894';
+const OFFICIAL_PROXY = '0xc9f36411C9897e7F959D99ffca2a0Ba7ee0D7bDA';
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+
+const PROFILES = {
+    defaultProfile: 'demo',
+    profiles: {
+        demo: { description: 'Demo', manager: DEMO, reactiveContract: REACTIVE, rvmId: DEPLOYER, deployerAddress: DEPLOYER },
+        staging: { manager: STAGING, reactiveContract: REACTIVE, deployerAddress: DEPLOYER },
+        broken: { manager: '0x1234', reactiveContract: REACTIVE }
+    }
+};
+
+// The addresses .env.example sets
+const ENV = { AUTO_LOOPER_MANAGER: FROM_ENV, AUTO_LOOPER_REACTIVE: REACTIVE, DEPLOYER_ADDRESS: DEPLOYER };
+
+let files = 0;
+
+function profileFile(content = PROFILES, ext = 'json') {
+    const file = path.join(dir, `deployments-${++files}.${ext}`);
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+}
+
+function resolve({ argv = [], env = {}, file = profileFile() } = {}) {
+    return resolveProfile({ argv, env: { ...ENV, MONITOR_PROFILES_FILE: file, ...env } });
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                            TESTS
+// ═══════════════════════════════════════════════════════════════
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(chalk.green(`✅ ${name}`));
+        passed++;
+    } catch (e) {
+        console.log(chalk.red(`❌ ${name}: ${e.message}`));
+        failed++;
+    }
+}
+
+function expect(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+function runTests() {
+    test('1. The file\'s defaultProfile wins over .env addresses', () => {
+        const profile = resolve();
+        expect(profile.name === 'demo' && profile.contracts.manager === DEMO, `${profile.name}: ${profile.contracts.manager}`);
+        expect(profile.source.endsWith('.json') && profile.description === 'Demo', `source ${profile.source}`);
+    });
+
+    test('2. --profile beats MONITOR_PROFILE beats defaultProfile; "env" takes .env only', () => {
+        expect(resolve({ env: { MONITOR_PROFILE: 'staging' } }).contracts.manager === STAGING, 'MONITOR_PROFILE ignored');
+        const flag = resolve({ argv: ['--profile', 'demo'], env: { MONITOR_PROFILE: 'staging' } });
+        expect(flag.name === 'demo', `picked ${flag.name}`);
+
+        const env = resolve({ argv: ['--profile', 'env'] });
+        expect(env.name === 'env' && env.source === 'env' && env.contracts.manager === FROM_ENV, `env profile: ${env.contracts.manager}`);
+
+        const noDefault = resolve({ file: profileFile({ profiles: PROFILES.profiles }) });
+        expect(noDefault.name === 'env', `without defaultProfile: ${noDefault.name}`);
+    });
+
+    test('3. Fields a profile leaves out fall back to .env, then network defaults', () => {
+        const { contracts } = resolve({ env: { MONITOR_PROFILE: 'staging', FUNDER: FROM_ENV } });
+        expect(contracts.rvmId === DEPLOYER, `rvmId ${contracts.rvmId}`);
+        expect(contracts.funder === FROM_ENV && contracts.callbackProxy === OFFICIAL_PROXY, 'fallbacks not applied');
+        expect(contracts.reactiveEnhanced === null, 'optional field invented');
+        expect(resolve({ env: { MONITOR_PROFILE: 'staging', RVM_ID: FROM_ENV } }).contracts.rvmId === FROM_ENV, 'RVM_ID not before DEPLOYER_ADDRESS');
+    });
+
+    test('4. Unknown profiles and malformed files are errors', () => {
+        let error = null;
+        try {
+            resolve({ argv: ['--profile', 'prod'] });
+        } catch (e) {
+            error = e;
+        }
+        expect(error?.message.includes('Unknown profile "prod"') && error.message.includes('demo, staging, broken, env'), error?.message);
+
+        const bad = profileFile({ defaultProfile: 'demo' });
+        let parseError = null;
+        try {
+            loadProfileFile(bad);
+        } catch (e) {
+            parseError = e;
+        }
+        expect(parseError?.message.includes('"profiles"'), 'file without profiles accepted');
+    });
+
+    test('5. YAML profile files work like JSON', () => {
+        const yaml = profileFile(`defaultProfile: staging\nprofiles:\n  staging:\n    manager: "${STAGING}"\n`, 'yaml');
+        const profile = resolve({ file: yaml });
+        expect(profile.name === 'staging' && profile.contracts.manager === STAGING, `${profile.name}: ${profile.contracts.manager}`);
+    });
+
+    test('6. Validation lists missing required fields and malformed addresses', () => {
+        const { contracts } = resolve({ env: { MONITOR_PROFILE: 'broken', DEPLOYER_ADDRESS: '' } });
+        const problems = validateProfile(contracts);
+        expect(problems.some(p => p === 'manager is not a valid address: 0x1234'), `problems: ${problems}`);
+        expect(problems.some(p => p.startsWith('rvmId is not set') && p.includes('RVM_ID / DEPLOYER_ADDRESS')), 'missing rvmId not reported');
+        expect(problems.some(p => p.startsWith('deployerAddress is not set')) && problems.length === 3, `problems: ${problems}`);
+
+        expect(validateProfile(resolve().contracts).length === 0, 'valid profile rejected');
+    });
+
+    test('7. A bad profile stops a script at import with the problems', () => {
+        let result = null;
+        try {
+            execFileSync(process.execPath, ['-e', 'import(\'./config.js\')'], {
+                cwd: path.dirname(new URL(import.meta.url).pathname),
+                env: { ...process.env, ...ENV, MONITOR_PROFILES_FILE: profileFile(), MONITOR_PROFILE: 'broken' },
+                stdio: 'pipe'
+            });
+        } catch (e) {
+            result = { status: e.status, stderr: e.stderr.toString() };
+        }
+        expect(result?.status === 1, `exit ${result?.status ?? 0}`);
+        expect(result.stderr.includes('Profile "broken" is invalid') && result.stderr.includes('manager is not a valid address'), result.stderr);
+    });
+}
+
+function main() {
+    console.log(chalk.bold.cyan('\n╔════════════════════════════════════════════════════════════════╗'));
+    console.log(chalk.bold.cyan('║                   DEPLOYMENT PROFILE TESTS                     ║'));
+    console.log(chalk.bold.cyan('╚════════════════════════════════════════════════════════════════╝\n'));
+
+    runTests();
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    console.log('');
+    console.log(chalk.bold(`Passed: ${passed}  Failed: ${failed}`));
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,323 @@
+#!/usr/bin/env node
+
+/**
+ * Confirmation Tracker Test
+ *
+ * Drives ConfirmationTracker and EventNotifier over a mock chain (no network
+ * needed) to check pending → confirmed, duplicate delivery, reorged-out logs
+ * and logs re-mined in another block.
+ *
+ * Usage: node test-confirmations.js
+ */
+
+import chalk from 'chalk';
+import { ethers } from 'ethers';
+import { ConfirmationTracker, EventNotifier, EventStatus } from './confirmations.js';
+import { CONTRACTS, TOPICS } from './config.js';
+import logger from './logger.js';
+
+logger.setLevel('CRITICAL');
+
+const DEPTH = 3;
+
+// ═══════════════════════════════════════════════════════════════
+//                         MOCK CHAIN
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Blocks and receipts only; mine() and reorg() move the head
+ */
+class MockChain {
+    constructor(head) {
+        this.blocks = [];
+        this.receipts = new Map();
+        for (let n = 0; n <= head; n++) this.addBlock(n, 'a');
+    }
+
+    addBlock(number, fork) {
+        this.blocks[number] = { number, hash: ethers.id(`${fork}-${number}`) };
+    }
+
+    mine(count = 1) {
+        for (let i = 0; i < count; i++) this.addBlock(this.blocks.length, 'a');
+    }
+
+    /**
+     * Include a tx with one manager log in a block
+     */
+    include(txName, blockNumber, index = 0) {
+        const transactionHash = ethers.id(txName);
+        const log = {
+            address: CONTRACTS.manager,
+            blockNumber,
+            blockHash: this.blocks[blockNumber].hash,
+            transactionHash,
+            index,
+            topics: [TOPICS.PositionUpdated, ethers.zeroPadValue(CONTRACTS.deployerAddress, 32)],
+            data: '0x'
+        };
+        this.receipts.set(transactionHash, { blockHash: log.blockHash, logs: [log] });
+        return log;
+    }
+
+    /**
+     * Replace blocks from `fromBlock` on and drop the txs mined in them
+     */
+    reorg(fromBlock, fork) {
+        for (let n = fromBlock; n < this.blocks.length; n++) this.addBlock(n, fork);
+        for (const [hash, receipt] of this.receipts) {
+            if (receipt.logs[0].blockNumber >= fromBlock) this.receipts.delete(hash);
+        }
+    }
+
+    async getBlockNumber() {
+        return this.blocks.length - 1;
+    }
+
+    async getBlock(number) {
+        return this.blocks[number] || null;
+    }
+
+    async getTransactionReceipt(hash) {
+        return this.receipts.get(hash) || null;
+    }
+}
+
+function recorder() {
+    const seen = [];
+    return {
+        seen,
+        handlers: {
+            onPending: entry => seen.push(`pending:${entry.log.blockNumber}`),
+            onMoved: (entry, previous) => seen.push(`moved:${previous.blockNumber}->${entry.log.blockNumber}`),
+            onConfirmed: entry => seen.push(`confirmed:${entry.log.blockNumber}`),
+            onRemoved: entry => seen.push(`removed:${entry.log.blockNumber}`)
+        }
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                            TESTS
+// ═══════════════════════════════════════════════════════════════
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(chalk.green(`✅ ${name}`));
+        passed++;
+    } catch (e) {
+        console.log(chalk.red(`❌ ${name}: ${e.message}`));
+        failed++;
+    }
+}
+
+function expect(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+async function runTests() {
+    await test('1. A new log stays pending until it has enough confirmations', async () => {
+        const chain = new MockChain(100);
+        const { seen, handlers } = recorder();
+        const tracker = new ConfirmationTracker({ provider: chain, depth: DEPTH, ...handlers });
+
+        const entry = await tracker.add(chain.include('tx1', 100));
+        expect(entry.status === EventStatus.PENDING && entry.confirmations === 1, `${entry.status} ${entry.confirmations}`);
+
+        chain.mine();
+        await tracker.check();
+        expect(entry.confirmations === 2 && seen.join() === 'pending:100', seen.join());
+
+        chain.mine();
+        await tracker.check();
+        expect(seen.join() === 'pending:100,confirmed:100' && tracker.pending.size === 0, seen.join());
+    });
+
+    await test('2. Re-delivered logs are ignored, pending or confirmed', async () => {
+        const chain = new MockChain(100);
+        const { seen, handlers } = recorder();
+        const tracker = new ConfirmationTracker({ provider: chain, depth: DEPTH, ...handlers });
+        const log = chain.include('tx2', 100);
+
+        await tracker.add(log);
+        expect(await tracker.add({ ...log }) === null, 'duplicate was tracked');
+
+        chain.mine(2);
+        await tracker.check();
+        expect(await tracker.add({ ...log }) === null, 'confirmed log was tracked again');
+        expect(seen.join() === 'pending:100,confirmed:100', seen.join());
+    });
+
+    await test('3. Logs already deep enough are confirmed without a pending state', async () => {
+        const chain = new MockChain(100);
+        const { seen, handlers } = recorder();
+        const tracker = new ConfirmationTracker({ provider: chain, depth: DEPTH, ...handlers });
+
+        await tracker.add(chain.include('tx3', 90));
+        expect(seen.join() === 'confirmed:90', seen.join());
+    });
+
+    await test('4. A log whose tx was reorged out is removed', async () => {
+        const chain = new MockChain(100);
+        const { seen, handlers } = recorder();
+        const tracker = new ConfirmationTracker({ provider: chain, depth: DEPTH, ...handlers });
+
+        const entry = await tracker.add(chain.include('tx4', 100));
+        chain.reorg(100, 'b');
+        chain.mine();
+        await tracker.check();
+
+        expect(seen.join() === 'pending:100,removed:100', seen.join());
+        expect(entry.status === EventStatus.REMOVED && tracker.pending.size === 0, entry.status);
+    });
+
+    await test('5. A tx re-mined in another block moves its log and restarts the count', async () => {
+        const chain = new MockChain(100);
+        const { seen, handlers } = recorder();
+        const tracker = new ConfirmationTracker({ provider: chain, depth: DEPTH, ...handlers });
+
+        await tracker.add(chain.include('tx5', 99));
+        chain.reorg(99, 'b');
+        chain.mine();
+        chain.include('tx5', 101, 2);
+
+        await tracker.check();
+        expect(seen.join() === 'pending:99,moved:99->101', seen.join());
+
+        // The provider delivering the re-mined log again is not a new event
+        expect(await tracker.add(chain.receipts.get(ethers.id('tx5')).logs[0]) === null, 're-mined log tracked twice');
+
+        chain.mine(2);
+        await tracker.check();
+        expect(seen.join() === 'pending:99,moved:99->101,confirmed:101', seen.join());
+    });
+
+    await test('6. Logs flagged removed by the provider retract their entry', async () => {
+        const chain = new MockChain(100);
+        const { seen, handlers } = recorder();
+        const tracker = new ConfirmationTracker({ provider: chain, depth: DEPTH, ...handlers });
+        const log = chain.include('tx6', 100);
+
+        await tracker.add(log);
+        await tracker.add({ ...log, removed: true });
+        expect(seen.join() === 'pending:100,removed:100', seen.join());
+    });
+
+    await test('7. A failing handler does not stop the other logs', async () => {
+        const chain = new MockChain(100);
+        const confirmed = [];
+        const tracker = new ConfirmationTracker({
+            provider: chain,
+            depth: DEPTH,
+            onConfirmed: (entry) => {
+                confirmed.push(entry.log.transactionHash);
+                if (confirmed.length === 1) throw new Error('send failed');
+            }
+        });
+
+        await tracker.add(chain.include('tx7a', 100));
+        await tracker.add(chain.include('tx7b', 100, 1));
+        chain.mine(2);
+        await tracker.check();
+        expect(confirmed.length === 2 && tracker.pending.size === 0, `${confirmed.length} confirmed`);
+    });
+
+    await test('8. EventNotifier edits pending messages and replies to retractions', async () => {
+        const chain = new MockChain(100);
+        const sent = [];
+        const edits = [];
+        const notifier = new EventNotifier({
+            provider: chain,
+            depth: DEPTH,
+            notifyPending: true,
+            send: async (text, options = {}) => {
+                sent.push({ text, replyTo: options.reply_to_message_id });
+                return sent.length;
+            },
+            edit: async (messageId, text) => edits.push({ messageId, text })
+        });
+
+        await notifier.notify(chain.include('tx8a', 100), 'first event', 'health warning');
+        chain.mine();
+        await notifier.notify(chain.include('tx8b', 101), 'second event');
+        expect(sent.length === 3 && sent.every(m => m.text.includes('Pending')), JSON.stringify(sent));
+
+        chain.reorg(101, 'b');
+        chain.mine();
+        await notifier.tracker.check();
+
+        expect(edits.length === 3, `${edits.length} edits`);
+        expect(edits.filter(e => e.text.includes('Confirmed')).map(e => e.messageId).join() === '1,2', JSON.stringify(edits));
+        expect(edits.find(e => e.messageId === 3).text.includes('Retracted'), 'second event not retracted');
+        expect(sent[3]?.replyTo === 3, 'no retraction reply');
+    });
+
+    await test('9. Without pending notices, only confirmed events are sent', async () => {
+        const chain = new MockChain(100);
+        const sent = [];
+        const notifier = new EventNotifier({
+            provider: chain,
+            depth: DEPTH,
+            notifyPending: false,
+            send: async (text) => sent.push(text),
+            edit: async () => { throw new Error('nothing to edit'); }
+        });
+
+        await notifier.notify(chain.include('tx9a', 100), 'kept');
+        await notifier.notify(chain.include('tx9b', 100, 1), 'reorged');
+        chain.reorg(100, 'b');
+        chain.include('tx9a', 100);
+        chain.mine(2);
+        await notifier.tracker.check();
+        expect(sent.length === 0, 'sent before confirmation');
+
+        await notifier.tracker.check();
+        expect(sent.length === 1 && sent[0].includes('kept') && sent[0].includes('Confirmed'), JSON.stringify(sent));
+    });
+
+    await test('10. Notifications go only to the chats the log is routed to', async () => {
+        const chain = new MockChain(100);
+        const sent = [];
+        const edits = [];
+        const notifier = new EventNotifier({
+            provider: chain,
+            depth: DEPTH,
+            notifyPending: true,
+            route: async log => log.transactionHash === ethers.id('tx10b') ? [] : ['ops', 'alice'],
+            send: async (text, options) => {
+                sent.push({ chatId: options.chatId, replyTo: options.reply_to_message_id });
+                return sent.length;
+            },
+            edit: async (messageId, text, options) => edits.push({ messageId, chatId: options.chatId })
+        });
+
+        await notifier.notify(chain.include('tx10a', 100), 'event', 'warning');
+        expect(await notifier.notify(chain.include('tx10b', 100, 1), 'nobody watches') === null, 'unrouted log was tracked');
+        expect(sent.map(m => m.chatId).join() === 'ops,ops,alice,alice', JSON.stringify(sent));
+
+        chain.reorg(100, 'b');
+        await notifier.tracker.check();
+        expect(edits.map(e => `${e.chatId}:${e.messageId}`).join() === 'ops:1,ops:2,alice:3,alice:4', JSON.stringify(edits));
+        expect(sent.slice(4).map(m => `${m.chatId}:${m.replyTo}`).join() === 'ops:1,alice:3', JSON.stringify(sent.slice(4)));
+    });
+}
+
+async function main() {
+    console.log(chalk.bold.cyan('\n╔════════════════════════════════════════════════════════════════╗'));
+    console.log(chalk.bold.cyan('║                  CONFIRMATION TRACKER TESTS                    ║'));
+    console.log(chalk.bold.cyan('╚════════════════════════════════════════════════════════════════╝\n'));
+
+    await runTests();
+
+    console.log('');
+    console.log(chalk.bold(`Passed: ${passed}  Failed: ${failed}`));
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+});
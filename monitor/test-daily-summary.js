@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+
+/**
+ * Daily Summary Test
+ *
+ * Drives DailySummary with a fake forecaster, event stats and clock (no
+ * network needed): sent once a UTC day from the configured hour, not again
+ * after a restart, retried after a failed build, and rendered as valid
+ * Telegram HTML with the runway and the last 24 hours of events.
+ *
+ * Usage: node test-daily-summary.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import chalk from 'chalk';
+import { ethers } from 'ethers';
+import { DailySummary, formatDailySummaryHtml, utcDay } from './daily-summary.js';
+import { projectRunway, computeBurnRate } from './reserve-forecast.js';
+import { NOT_INDEXED } from './event-report.js';
+import { htmlProblems } from './test-helpers.js';
+import logger from './logger.js';
+
+logger.setLevel('CRITICAL');
+
+const ETH = ethers.parseEther('1');
+const HOUR_MS = 60 * 60 * 1000;
+const MIDNIGHT = Date.UTC(2026, 9, 18);
+const ALICE = '0x00000000000000000000000000000000000a11ce';
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'daily-summary-'));
+
+const CONFIG = { enabled: true, hourUtc: 9, checkIntervalMs: 1000 };
+const FORECAST_CONFIG = { windowHours: 24, warnDays: 3, criticalDays: 1, minSpanSec: 3600 };
+
+// ═══════════════════════════════════════════════════════════════
+//                          FAKES
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * 0.1 ETH left, burning 0.05 ETH a day
+ */
+function forecastAt(nowMs) {
+    const t = Math.floor(nowMs / 1000);
+    const burn = computeBurnRate([
+        { time: t - 12 * 3600, reserves: ETH / 10n + ETH / 40n, rvmDebt: null, source: 'live' },
+        { time: t, reserves: ETH / 10n, rvmDebt: null, source: 'live' }
+    ], FORECAST_CONFIG);
+    return projectRunway({ reserves: ETH / 10n, burn, activity: null, now: nowMs }, FORECAST_CONFIG);
+}
+
+const STATS = {
+    events: 3,
+    users: 1,
+    firstBlock: 100,
+    indexedTo: 200,
+    byEvent: { LoopStepExecuted: 2, PositionCreated: 1 },
+    topUsers: [{ user: ALICE, count: 3 }]
+};
+
+let stores = 0;
+
+function makeSummary({ clock = { now: MIDNIGHT }, stateFile = null, stats = STATS, forecaster = null } = {}) {
+    const sent = [];
+    const statsSince = [];
+    const summary = new DailySummary({
+        forecaster: forecaster ?? { forecast: async () => forecastAt(clock.now) },
+        getStats: async (since) => {
+            statsSince.push(since);
+            return stats;
+        },
+        onSummary: async (html, day) => sent.push({ html, day }),
+        config: CONFIG,
+        stateFile: stateFile ?? path.join(dir, `summary-${++stores}.json`),
+        now: () => clock.now
+    });
+    return { summary, sent, statsSince, clock };
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                            TESTS
+// ═══════════════════════════════════════════════════════════════
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(chalk.green(`✅ ${name}`));
+        passed++;
+    } catch (e) {
+        console.log(chalk.red(`❌ ${name}: ${e.message}`));
+        failed++;
+    }
+}
+
+function expect(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+async function runTests() {
+    await test('1. Nothing is sent before the hour, then once that UTC day', async () => {
+        const { summary, sent, statsSince, clock } = makeSummary({ clock: { now: MIDNIGHT + 8 * HOUR_MS } });
+        expect(!(await summary.check()) && sent.length === 0, 'sent before the hour');
+
+        clock.now = MIDNIGHT + 9 * HOUR_MS + 60000;
+        expect(await summary.check() && sent.length === 1 && sent[0].day === '2026-10-18', `sent ${sent.map(s => s.day)}`);
+        expect(statsSince[0] === Math.floor(clock.now / 1000) - 86400, 'stats not for the last 24 hours');
+
+        clock.now = MIDNIGHT + 23 * HOUR_MS;
+        expect(!(await summary.check()) && sent.length === 1, 'sent twice in one day');
+    });
+
+    await test('2. The next day gets its own summary, from its own hour', async () => {
+        const { summary, sent, clock } = makeSummary({ clock: { now: MIDNIGHT + 10 * HOUR_MS } });
+        await summary.check();
+
+        clock.now = MIDNIGHT + 24 * HOUR_MS + 2 * HOUR_MS;
+        expect(!(await summary.check()), 'sent before the next day\'s hour');
+        clock.now = MIDNIGHT + 24 * HOUR_MS + 9 * HOUR_MS;
+        await summary.check();
+        expect(sent.map(s => s.day).join() === '2026-10-18,2026-10-19', `sent ${sent.map(s => s.day)}`);
+    });
+
+    await test('3. A restart doesn\'t send the day\'s summary again', async () => {
+        const clock = { now: MIDNIGHT + 12 * HOUR_MS };
+        const stateFile = path.join(dir, 'restart.json');
+        const before = makeSummary({ clock, stateFile });
+        await before.summary.check();
+
+        const after = makeSummary({ clock, stateFile });
+        expect(!(await after.summary.check()) && after.sent.length === 0, 'sent again after a restart');
+    });
+
+    await test('4. A failed forecast sends nothing and is retried at the next check', async () => {
+        let down = true;
+        const clock = { now: MIDNIGHT + 9 * HOUR_MS };
+        const forecaster = {
+            async forecast() {
+                if (down) throw new Error('could not detect network');
+                return forecastAt(clock.now);
+            }
+        };
+        const { summary, sent } = makeSummary({ clock, forecaster });
+        const error = await summary.check().then(() => null, e => e);
+        expect(error && sent.length === 0 && summary.due(), 'failed summary marked as sent');
+
+        down = false;
+        expect(await summary.check() && sent.length === 1, 'not retried');
+    });
+
+    await test('5. The summary has the runway and the last 24 hours of events, as valid HTML', async () => {
+        const { summary, sent } = makeSummary({ clock: { now: MIDNIGHT + 9 * HOUR_MS } });
+        await summary.check();
+        const { html } = sent[0];
+        expect(htmlProblems(html).length === 0, htmlProblems(html).join(', '));
+        expect(html.includes('Daily Summary') && html.includes('0.1 ETH') && html.includes('Runway') && html.includes('2.0 days'), 'runway missing');
+        expect(html.includes('Last 24 Hours') && html.includes('LoopStepExecuted: 2'), 'event stats missing');
+
+        const unindexed = formatDailySummaryHtml({ day: utcDay(MIDNIGHT), forecast: forecastAt(MIDNIGHT), stats: null });
+        expect(unindexed.includes(NOT_INDEXED) && htmlProblems(unindexed).length === 0, 'no hint to run the indexer');
+
+        const unknown = formatDailySummaryHtml({ day: utcDay(MIDNIGHT), forecast: projectRunway({ reserves: ETH, burn: null }, FORECAST_CONFIG), stats: STATS });
+        expect(unknown.includes('Not enough history') && htmlProblems(unknown).length === 0, 'unknown runway not explained');
+    });
+}
+
+async function main() {
+    console.log(chalk.bold.cyan('\n╔════════════════════════════════════════════════════════════════╗'));
+    console.log(chalk.bold.cyan('║                     DAILY SUMMARY TESTS                        ║'));
+    console.log(chalk.bold.cyan('╚════════════════════════════════════════════════════════════════╝\n'));
+
+    await runTests();
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    console.log('');
+    console.log(chalk.bold(`Passed: ${passed}  Failed: ${failed}`));
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+});
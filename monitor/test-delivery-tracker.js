@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+
+/**
+ * Callback Delivery Tracker Test
+ *
+ * Drives DeliveryTracker over a fake Sepolia provider and Lasna system
+ * contract (no network needed): callbacks stay pending until their delivery
+ * lands, then resolve as delivered, reverted (with the reason) or - once the
+ * window has passed - missing, with empty reserves and RVM debt as causes.
+ *
+ * Usage: node test-delivery-tracker.js
+ */
+
+import chalk from 'chalk';
+import { ethers } from 'ethers';
+import { DeliveryTracker } from './delivery-tracker.js';
+import { DeliveryStatus } from './pipeline-trace.js';
+import { fakeChain, loopCallback } from './test-helpers.js';
+import logger from './logger.js';
+
+logger.setLevel('CRITICAL');
+
+const HEAD = 100;
+const WINDOW = 5;
+
+// ═══════════════════════════════════════════════════════════════
+//                          FAKES
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Sepolia at HEAD with callback proxy reserves, Lasna with RVM debt (null: no debt record)
+ */
+function makeTracker({ reserves = ethers.parseEther('0.1'), debt = null } = {}) {
+    const sepolia = fakeChain({ head: HEAD, reserves });
+    const results = [];
+    const tracker = new DeliveryTracker({
+        provider: sepolia,
+        lasnaProvider: fakeChain({ debt }),
+        windowBlocks: WINDOW,
+        onResult: result => results.push(result)
+    });
+    // Emitted now - the search starts just before the current head
+    const track = (rvmTxNumber, callback = loopCallback()) =>
+        tracker.track(callback, { rvmTxNumber, logIndex: 0, emittedAt: Math.floor(Date.now() / 1000) });
+    return { tracker, sepolia, results, track };
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                            TESTS
+// ═══════════════════════════════════════════════════════════════
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(chalk.green(`✅ ${name}`));
+        passed++;
+    } catch (e) {
+        console.log(chalk.red(`❌ ${name}: ${e.message}`));
+        failed++;
+    }
+}
+
+function expect(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+async function runTests() {
+    await test('1. A callback stays pending until its delivery lands, then is delivered', async () => {
+        const { tracker, sepolia, results, track } = makeTracker();
+        await track(7);
+
+        expect((await tracker.check()).length === 0 && tracker.pending.size === 1, 'resolved before delivery');
+
+        const hash = sepolia.deliver(HEAD + 2);
+        sepolia.head = HEAD + 2;
+        const [result] = await tracker.check();
+        expect(result?.delivery.status === DeliveryStatus.DELIVERED && result.delivery.txHash === hash, `status ${result?.delivery.status}`);
+        expect(result.rvmTxNumber === 7 && result.diagnosis === null && results.length === 1, 'result not reported');
+        expect(tracker.pending.size === 0 && tracker.claimed.has(hash), 'delivery not claimed');
+    });
+
+    await test('2. A reverted delivery resolves with its revert reason', async () => {
+        const { tracker, sepolia, track } = makeTracker();
+        await track(8);
+        sepolia.deliver(HEAD - 1, { status: 0 });   // Within the start margin
+        const [result] = await tracker.check();
+        expect(result?.delivery.status === DeliveryStatus.REVERTED, `status ${result?.delivery.status}`);
+        expect(result.delivery.reason === 'Position not looping', `reason ${result.delivery.reason}`);
+    });
+
+    await test('3. Searches resume after the last block searched', async () => {
+        const { tracker, sepolia, track } = makeTracker();
+        await track(9);
+        await tracker.check();
+        sepolia.head = HEAD + 2;
+        sepolia.blocksRead = [];
+        await tracker.check();
+        expect(sepolia.blocksRead.join() === '101,102', `read ${sepolia.blocksRead}`);
+    });
+
+    await test('4. Missing after the window, with empty reserves and RVM debt as causes', async () => {
+        const { tracker, sepolia, results, track } = makeTracker({ reserves: 0n, debt: ethers.parseEther('0.5') });
+        await track(10);
+        sepolia.head = HEAD + WINDOW - 1;
+        expect((await tracker.check()).length === 0, 'missing before the window ended');
+
+        sepolia.head = HEAD + WINDOW;
+        const [result] = await tracker.check();
+        expect(result?.delivery.status === DeliveryStatus.MISSING && results.length === 1, `status ${result?.delivery.status}`);
+        expect(result.delivery.searchedBlocks[1] === HEAD + WINDOW, `searched up to ${result.delivery.searchedBlocks[1]}`);
+        const { causes, reserves, debt } = result.diagnosis;
+        expect(reserves === 0n && debt === ethers.parseEther('0.5') && causes.length === 2, `causes ${causes}`);
+
+        const healthy = makeTracker();
+        await healthy.track(11);
+        healthy.sepolia.head = HEAD + WINDOW;
+        const [ok] = await healthy.tracker.check();
+        expect(ok.delivery.status === DeliveryStatus.MISSING && ok.diagnosis.causes.length === 0 && ok.diagnosis.debt === 0n, 'causes without empty reserves or debt');
+    });
+
+    await test('5. An unreadable RVM debt is a cause, not "no debt"', async () => {
+        const { tracker, sepolia, track } = makeTracker({ debt: Object.assign(new Error('connect ECONNREFUSED'), { code: 'NETWORK_ERROR' }) });
+        await track(15);
+        sepolia.head = HEAD + WINDOW;
+        const [result] = await tracker.check();
+        const { causes, debt } = result.diagnosis;
+        expect(result.delivery.status === DeliveryStatus.MISSING && debt === null, `debt ${debt}`);
+        expect(causes.length === 1 && causes[0] === 'RVM debt could not be read: connect ECONNREFUSED', `causes ${causes}`);
+    });
+
+    await test('6. One delivery is never claimed by two callbacks; other chains are not tracked', async () => {
+        const { tracker, sepolia, track } = makeTracker();
+        sepolia.deliver(HEAD + 1);
+        sepolia.head = HEAD + 1;
+        await track(12);
+        await track(13);
+        await track(14, loopCallback({ chainId: 1 }));
+        expect(tracker.pending.size === 2, `${tracker.pending.size} pending`);
+
+        const resolved = await tracker.check();
+        expect(resolved.length === 1 && resolved[0].rvmTxNumber === 12 && tracker.pending.has('13:0'), 'second callback matched the same delivery');
+
+        const second = sepolia.deliver(HEAD + 2, { name: 'b' });
+        sepolia.head = HEAD + 2;
+        const [result] = await tracker.check();
+        expect(result?.rvmTxNumber === 13 && result.delivery.txHash === second, 'second callback not matched to its own delivery');
+    });
+}
+
+async function main() {
+    console.log(chalk.bold.cyan('\n╔════════════════════════════════════════════════════════════════╗'));
+    console.log(chalk.bold.cyan('║               CALLBACK DELIVERY TRACKER TESTS                  ║'));
+    console.log(chalk.bold.cyan('╚════════════════════════════════════════════════════════════════╝\n'));
+
+    await runTests();
+
+    console.log('');
+    console.log(chalk.bold(`Passed: ${passed}  Failed: ${failed}`));
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+});
@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+
+/**
+ * Deposit Wizard Test
+ *
+ * Walks the /open wizard through its steps (no network) and checks input
+ * validation, the HF / iteration preview and the deposit call it produces.
+ *
+ * Usage: node test-deposit-wizard.js
+ */
+
+import chalk from 'chalk';
+import { ethers } from 'ethers';
+import { DEPOSIT_ASSETS } from './config.js';
+import { DepositWizard, WizardStep, previewDeposit, depositCall, renderStep } from './deposit-wizard.js';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(chalk.green(`✅ ${name}`));
+        passed++;
+    } catch (e) {
+        console.log(chalk.red(`❌ ${name}: ${e.message}`));
+        failed++;
+    }
+}
+
+function expect(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+function throws(fn, pattern) {
+    try {
+        fn();
+    } catch (e) {
+        expect(pattern.test(e.message), `unexpected error: ${e.message}`);
+        return;
+    }
+    throw new Error(`did not throw ${pattern}`);
+}
+
+/**
+ * Feed a sequence of answers to a fresh session
+ */
+function walk(answers, options = {}) {
+    const wizard = new DepositWizard(options);
+    let session = wizard.start(1);
+    for (const answer of answers) session = wizard.handle(1, answer);
+    return { wizard, session };
+}
+
+function runTests() {
+    test('1. A cross-asset deposit goes through every step', () => {
+        const { session } = walk(['WETH-USDC', '0.01', '2.5x', '10', 'yes', 'mev']);
+        expect(session.step === WizardStep.PREVIEW, session.step);
+        const { params } = session;
+        expect(params.collateral === 'WETH' && params.borrow === 'USDC' && params.amount === '0.01', JSON.stringify(params));
+        expect(params.leverage === 2.5 && params.maxIterations === 10, JSON.stringify(params));
+        expect(params.useFlashLoan && params.mevProtection && !params.checkProfitability, JSON.stringify(params));
+    });
+
+    test('2. Same-asset pairs skip the flash loan and safety steps', () => {
+        const { session } = walk(['WETH-WETH', '0.1', '2', '5']);
+        expect(session.step === WizardStep.PREVIEW, session.step);
+        expect(depositCall(session.params).method === 'depositSameAsset', 'wrong method');
+    });
+
+    test('3. Invalid answers are rejected and the step stays put', () => {
+        const { wizard } = walk(['USDC-WETH']);
+        throws(() => wizard.handle(1, '0.0000001'), /Not a USDC amount/);
+        throws(() => wizard.handle(1, '0'), /above zero/);
+        wizard.handle(1, '100');
+        throws(() => wizard.handle(1, '1'), /above 1x/);
+        throws(() => wizard.handle(1, '11'), /at most 10x/);
+        wizard.handle(1, '3');
+        throws(() => wizard.handle(1, '16'), /1 to 15/);
+        throws(() => wizard.handle(1, '2.5'), /whole number/);
+        expect(wizard.get(1).step === WizardStep.ITERATIONS, wizard.get(1).step);
+        throws(() => wizard.handle(2, 'WETH-USDC'), /No deposit in progress/);
+    });
+
+    test('4. Sessions expire after the TTL', () => {
+        let time = 0;
+        const { wizard } = walk(['WETH-USDC'], { ttlMs: 1000, now: () => time });
+        expect(wizard.expectsText(1), 'amount step should take text');
+        time = 1001;
+        expect(wizard.get(1) === null && !wizard.expectsText(1), 'session kept');
+    });
+
+    test('5. Preview: health factor and loop steps to reach the target', () => {
+        const base = { collateral: 'WETH', borrow: 'USDC', amount: '1', useFlashLoan: false };
+        const preview = previewDeposit({ ...base, leverage: 2.5 });
+        // HF = LT * L / (L - 1) = 0.825 * 2.5 / 1.5
+        expect(Math.abs(preview.healthFactor - 1.375) < 1e-9, `hf ${preview.healthFactor}`);
+        // 1 → 1.76 → 2.408 → 2.926: three steps
+        expect(preview.iterations === 3, `iterations ${preview.iterations}`);
+        expect(Math.abs(preview.maxLoopLeverage - 5) < 1e-9, `max ${preview.maxLoopLeverage}`);
+
+        expect(previewDeposit({ ...base, leverage: 6 }).iterations === null, 'unreachable target looped');
+        const flash = previewDeposit({ ...base, leverage: 6, useFlashLoan: true });
+        expect(flash.iterations === 1 && flash.flashAmount === 5, JSON.stringify(flash));
+    });
+
+    test('6. Deposit call arguments use token decimals and 18-decimal leverage', () => {
+        const { session } = walk(['USDC-WETH', '100', '2', '5', 'no', 'guarded']);
+        const { method, params } = depositCall(session.params);
+        expect(method === 'depositAdvanced', method);
+        expect(params[0] === DEPOSIT_ASSETS.USDC.address && params[1] === DEPOSIT_ASSETS.WETH.address, 'wrong assets');
+        expect(params[2] === 100_000000n && params[3] === ethers.parseEther('2') && params[4] === 5n, String(params.slice(2, 5)));
+        expect(params[6].enableMevProtection && params[6].checkProfitability, JSON.stringify(params[6], (k, v) => String(v)));
+
+        const plain = walk(['WETH-USDC', '0.01', '2', '5', 'no', 'standard']).session.params;
+        expect(depositCall(plain).method === 'deposit', 'standard options should use deposit()');
+    });
+
+    test('7. Every step renders buttons with open_ callback data and a cancel', () => {
+        const wizard = new DepositWizard();
+        let session = wizard.start(1);
+        for (const answer of ['WETH-USDC', '0.01', '2', '5', 'no', 'standard', null]) {
+            const { text, buttons } = renderStep(session);
+            const data = buttons.flat().map(b => b.callback_data);
+            expect(text && data.every(d => d.startsWith('open_') && d.length <= 64), `${session.step}: ${data}`);
+            expect(data.includes('open_cancel'), `${session.step} has no cancel`);
+            if (answer !== null) {
+                expect(data.includes(`open_${answer}`), `${session.step} has no ${answer} button`);
+                session = wizard.handle(1, answer);
+            }
+        }
+        expect(renderStep(session).text.includes('deposit()'), 'preview does not name the call');
+    });
+}
+
+function main() {
+    console.log(chalk.bold.cyan('\n╔════════════════════════════════════════════════════════════════╗'));
+    console.log(chalk.bold.cyan('║                    DEPOSIT WIZARD TESTS                        ║'));
+    console.log(chalk.bold.cyan('╚════════════════════════════════════════════════════════════════╝\n'));
+
+    runTests();
+
+    console.log('');
+    console.log(chalk.bold(`Passed: ${passed}  Failed: ${failed}`));
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+
+/**
+ * Event Handler Coverage Test
+ *
+ * Every event declared in src/interfaces/IAutoLooper.sol must be decoded
+ * (ABIS.manager), routed (one EVENT_CATEGORIES entry) and rendered
+ * (MANAGER_EVENT_MESSAGES) by the monitor. Fails as soon as the interface
+ * gains an event the bot would not listen to, with the names to add.
+ *
+ * Usage: node test-event-handlers.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import chalk from 'chalk';
+import { ethers } from 'ethers';
+import { EVENT_CATEGORIES } from './config.js';
+import { Bot, MANAGER_EVENT_MESSAGES } from './bot/index.js';
+import { ChatStore } from './chat-store.js';
+import { Notifier, managerEvent } from './notifier/index.js';
+import { getInterface } from './abi-registry.js';
+import { INTERFACE_SOURCE, parseSolidityEvents, checkInterfaceSource } from './topic-check.js';
+import { htmlProblems } from './test-helpers.js';
+import logger from './logger.js';
+
+logger.setLevel('CRITICAL');
+
+const ALICE = '0x00000000000000000000000000000000000a11ce';
+const TX = '0x' + 'cd'.repeat(32);
+// Contract strings can hold anything; templates must escape them
+const NASTY = 'HF <1.1> & "falling"';
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-handlers-'));
+
+const declared = parseSolidityEvents(fs.readFileSync(INTERFACE_SOURCE, 'utf8')).map(e => e.name);
+const iface = getInterface('manager');
+
+// ═══════════════════════════════════════════════════════════════
+//                        SAMPLE LOGS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * A plausible value for an ABI parameter
+ */
+function sampleValue(param, i) {
+    if (param.name === 'user') return ALICE;
+    if (param.type === 'address') return ethers.getAddress('0x' + (i + 1).toString(16).padStart(40, '0'));
+    if (param.type === 'bool') return true;
+    if (param.type === 'string') return NASTY;
+    if (param.type === 'bytes32') return ethers.id(`${param.name}-${i}`);
+    if (param.type === 'uint8') return 2;
+    if (param.name === 'healthFactor') return ethers.parseEther('1.2');
+    return ethers.parseEther('1.5');
+}
+
+/**
+ * An encoded manager log for the event, shaped like what ethers hands to listeners
+ */
+function sampleLog(name, index = 0) {
+    const fragment = iface.getEvent(name);
+    const { topics, data } = iface.encodeEventLog(fragment, fragment.inputs.map(sampleValue));
+    return { topics, data, transactionHash: TX, index, blockNumber: 100 };
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                            TESTS
+// ═══════════════════════════════════════════════════════════════
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(chalk.green(`✅ ${name}`));
+        passed++;
+    } catch (e) {
+        console.log(chalk.red(`❌ ${name}: ${e.message}`));
+        failed++;
+    }
+}
+
+function expect(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+async function runTests() {
+    await test(`1. IAutoLooper.sol declares events (${declared.length}) and ABIS.manager decodes them all`, async () => {
+        expect(declared.length >= 30, `only ${declared.length} events parsed from ${INTERFACE_SOURCE}`);
+        const { problems } = checkInterfaceSource();
+        expect(problems.length === 0, problems.join('; '));
+    });
+
+    await test('2. Every declared event has a message template', async () => {
+        const missing = declared.filter(name => !MANAGER_EVENT_MESSAGES[name]);
+        expect(missing.length === 0, `add to MANAGER_EVENT_MESSAGES: ${missing.join(', ')}`);
+        const extra = Object.keys(MANAGER_EVENT_MESSAGES).filter(name => !declared.includes(name));
+        expect(extra.length === 0, `not in IAutoLooper.sol: ${extra.join(', ')}`);
+    });
+
+    await test('3. Every declared event is in exactly one category', async () => {
+        const counts = new Map(declared.map(name => [name, 0]));
+        for (const { events } of Object.values(EVENT_CATEGORIES)) {
+            for (const name of events) {
+                expect(counts.has(name), `EVENT_CATEGORIES lists unknown event ${name}`);
+                counts.set(name, counts.get(name) + 1);
+            }
+        }
+        const uncategorized = [...counts].filter(([, n]) => n === 0).map(([name]) => name);
+        const repeated = [...counts].filter(([, n]) => n > 1).map(([name]) => name);
+        expect(uncategorized.length === 0, `add to EVENT_CATEGORIES: ${uncategorized.join(', ')}`);
+        expect(repeated.length === 0, `in more than one category: ${repeated.join(', ')}`);
+    });
+
+    await test('4. Every event renders to valid Telegram HTML', async () => {
+        const problems = [];
+        for (const name of declared) {
+            const { args } = iface.parseLog(sampleLog(name));
+            let messages;
+            try {
+                messages = [].concat(MANAGER_EVENT_MESSAGES[name](args, TX));
+            } catch (e) {
+                problems.push(`${name}: ${e.message}`);
+                continue;
+            }
+            if (messages.length === 0 || messages.some(m => typeof m !== 'string' || !m.includes('<b>'))) {
+                problems.push(`${name}: no message`);
+            }
+            for (const message of messages) {
+                problems.push(...htmlProblems(message).map(p => `${name}: ${p}`));
+            }
+        }
+        expect(problems.length === 0, problems.join('; '));
+    });
+
+    await test('5. The bot listens to every event and notifies the operator chat', async () => {
+        const chatStore = new ChatStore(path.join(dir, 'chats.json'), { operatorChatId: 'ops' });
+        const bot = new Bot({ operatorChatId: 'ops', api: {}, chatStore, notifier: new Notifier() });
+
+        const listeners = new Map();
+        bot.manager = { on: (name, listener) => listeners.set(name, listener) };
+        const notified = [];
+        bot.eventNotifier = {
+            start() {},
+            async notify(log, ...texts) {
+                notified.push({ name: iface.parseLog(log).name, chats: bot.chatsForLog(log), texts });
+            }
+        };
+        bot.setupEventListeners();
+
+        const unheard = declared.filter(name => !listeners.has(name));
+        expect(unheard.length === 0, `no listener for ${unheard.join(', ')}`);
+
+        for (const [i, name] of declared.entries()) {
+            const log = sampleLog(name, i);
+            const { args } = iface.parseLog(log);
+            // ethers calls listeners with the decoded values, then the event payload
+            await listeners.get(name)(...args, { args, log });
+        }
+        expect(notified.length === declared.length, `${notified.length}/${declared.length} notified`);
+        const unrouted = notified.filter(n => n.chats.join() !== 'ops').map(n => n.name);
+        expect(unrouted.length === 0, `not routed to the operator chat: ${unrouted.join(', ')}`);
+    });
+
+    await test('6. Every event becomes a notifier event with its category', async () => {
+        const problems = [];
+        for (const [i, name] of declared.entries()) {
+            const log = sampleLog(name, i);
+            const { args } = iface.parseLog(log);
+            const event = managerEvent(name, args, log, [].concat(MANAGER_EVENT_MESSAGES[name](args, TX)));
+            const category = Object.keys(EVENT_CATEGORIES).find(key => EVENT_CATEGORIES[key].events.includes(name));
+            if (event.category !== category) problems.push(`${name}: category ${event.category}, expected ${category}`);
+            if (!event.title) problems.push(`${name}: no title`);
+            try {
+                JSON.stringify(event);   // webhook channels post it as-is
+            } catch (e) {
+                problems.push(`${name}: ${e.message}`);
+            }
+        }
+        expect(problems.length === 0, problems.join('; '));
+    });
+}
+
+async function main() {
+    console.log(chalk.bold.cyan('\n╔════════════════════════════════════════════════════════════════╗'));
+    console.log(chalk.bold.cyan('║                 EVENT HANDLER COVERAGE TESTS                   ║'));
+    console.log(chalk.bold.cyan('╚════════════════════════════════════════════════════════════════╝\n'));
+
+    await runTests();
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    console.log('');
+    console.log(chalk.bold(`Passed: ${passed}  Failed: ${failed}`));
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+});
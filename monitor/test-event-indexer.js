@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+
+/**
+ * Event Indexer Test
+ *
+ * Runs the indexer against an in-memory mock chain (no network needed) to
+ * check backfill, range splitting, reorg rollback and the store queries.
+ *
+ * Usage: node test-event-indexer.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import chalk from 'chalk';
+import { ethers } from 'ethers';
+import { EventIndexer } from './event-indexer.js';
+import { EventStore } from './event-store.js';
+import { CONTRACTS } from './config.js';
+import { getInterface } from './abi-registry.js';
+import logger from './logger.js';
+
+logger.setLevel('CRITICAL');
+
+const ALICE = '0xDDe9D31a31d6763612C7f535f51E5dC9f830682e';
+const BOB = '0x000000000000000000000000000000000000bEEF';
+const managerInterface = getInterface('manager');
+
+// ═══════════════════════════════════════════════════════════════
+//                         MOCK CHAIN
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Minimal provider over a list of blocks; reorg() swaps out the tail
+ */
+class MockChain {
+    constructor(head) {
+        this.blocks = [];
+        this.logs = [];
+        this.maxRange = Infinity;
+        this.getLogsCalls = 0;
+        for (let n = 0; n <= head; n++) this.addBlock(n, 'a');
+    }
+
+    addBlock(number, fork) {
+        this.blocks[number] = { number, hash: ethers.id(`${fork}-${number}`), timestamp: 1700000000 + number * 12 };
+    }
+
+    emit(blockNumber, name, args) {
+        const { topics, data } = managerInterface.encodeEventLog(name, args);
+        const block = this.blocks[blockNumber];
+        this.logs.push({
+            address: CONTRACTS.manager,
+            blockNumber,
+            blockHash: block.hash,
+            transactionHash: ethers.id(`tx-${block.hash}-${this.logs.length}`),
+            index: this.logs.filter(l => l.blockNumber === blockNumber).length,
+            topics,
+            data
+        });
+    }
+
+    /**
+     * Replace every block from `fromBlock` on with a new fork (dropping its logs)
+     */
+    reorg(fromBlock, fork) {
+        this.logs = this.logs.filter(l => l.blockNumber < fromBlock);
+        for (let n = fromBlock; n < this.blocks.length; n++) this.addBlock(n, fork);
+    }
+
+    async getBlockNumber() {
+        return this.blocks.length - 1;
+    }
+
+    async getBlock(number) {
+        return this.blocks[number] || null;
+    }
+
+    async getLogs({ fromBlock, toBlock }) {
+        this.getLogsCalls++;
+        if (toBlock - fromBlock + 1 > this.maxRange) {
+            throw new Error('query exceeds max block range');
+        }
+        return this.logs
+            .filter(l => l.blockNumber >= fromBlock && l.blockNumber <= toBlock)
+            .map(l => ({ ...l, blockHash: this.blocks[l.blockNumber].hash }));
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                            TESTS
+// ═══════════════════════════════════════════════════════════════
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(chalk.green(`✅ ${name}`));
+        passed++;
+    } catch (e) {
+        console.log(chalk.red(`❌ ${name}: ${e.message}`));
+        failed++;
+    }
+}
+
+function expect(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+async function runTests(dir) {
+    const file = path.join(dir, 'events.sqlite');
+    const chain = new MockChain(100);
+    chain.emit(10, 'PositionCreated', [ALICE, ethers.ZeroAddress, ethers.ZeroAddress, 3n * 10n ** 18n]);
+    chain.emit(10, 'PositionUpdated', [ALICE, 10n ** 18n, 3n * 10n ** 18n, 2n * 10n ** 18n, 0n, 1]);
+    chain.emit(40, 'LoopStepExecuted', [ALICE, 1n, 500n, 480n, 15n * 10n ** 17n]);
+    chain.emit(95, 'PositionCreated', [BOB, ethers.ZeroAddress, ethers.ZeroAddress, 2n * 10n ** 18n]);
+
+    const store = await EventStore.open(file);
+    const indexer = new EventIndexer({ store, provider: chain, batchSize: 30, reorgDepth: 12 });
+
+    await test('1. Backfill stores every decoded manager event', async () => {
+        const count = await indexer.syncTo(100, 0);
+        expect(count === 4, `stored ${count} events`);
+        expect(store.lastBlock === 100, `indexed to ${store.lastBlock}`);
+
+        const [created] = store.getUserTimeline(ALICE, { eventName: 'PositionCreated' });
+        expect(created.user === ALICE.toLowerCase() && created.args.targetLeverage === (3n * 10n ** 18n).toString(), JSON.stringify(created?.args));
+        expect(created.timestamp === 1700000000 + 10 * 12, `timestamp ${created.timestamp}`);
+    });
+
+    await test('2. User timelines are newest first', async () => {
+        const timeline = store.getUserTimeline(ALICE);
+        expect(timeline.map(e => e.eventName).join() === 'LoopStepExecuted,PositionUpdated,PositionCreated', timeline.map(e => e.eventName).join());
+    });
+
+    await test('3. Aggregate stats count events and users', async () => {
+        const stats = store.getStats();
+        expect(stats.events === 4 && stats.users === 2, JSON.stringify(stats));
+        expect(stats.byEvent.PositionCreated === 2 && stats.topUsers[0].user === ALICE.toLowerCase(), JSON.stringify(stats.byEvent));
+        expect(store.getStats({ since: 1700000000 + 90 * 12 }).events === 1, 'since filter not applied');
+    });
+
+    await test('4. Ranges the RPC rejects are split', async () => {
+        chain.maxRange = 10;
+        for (let n = 101; n <= 130; n++) chain.addBlock(n, 'a');
+        chain.emit(120, 'PositionClosed', [ALICE, 900n]);
+        chain.getLogsCalls = 0;
+
+        const count = await indexer.syncTo(130);
+        expect(count === 1 && store.lastBlock === 130, `stored ${count}, indexed to ${store.lastBlock}`);
+        expect(chain.getLogsCalls > 1, 'range was not split');
+        chain.maxRange = Infinity;
+    });
+
+    await test('5. No reorg leaves the store untouched', async () => {
+        expect(await indexer.checkReorg() === null, 'reported a reorg');
+    });
+
+    await test('6. Reorged blocks are rolled back and re-indexed', async () => {
+        chain.reorg(125, 'b');
+        chain.emit(127, 'EmergencyStop', [ALICE, 'health factor too low']);
+
+        const rollback = await indexer.checkReorg();
+        expect(rollback !== null && rollback < 125, `rolled back to ${rollback}`);
+        expect(!store.getUserTimeline(ALICE).some(e => e.eventName === 'PositionClosed' && e.blockNumber >= 125) , 'stale event kept');
+
+        await indexer.syncTo(130);
+        const latest = store.getUserTimeline(ALICE, { limit: 1 })[0];
+        expect(latest.eventName === 'EmergencyStop' && latest.blockHash === chain.blocks[127].hash, `latest is ${latest.eventName}`);
+        expect(latest.args.reason === 'health factor too low', 'bad args');
+        expect(store.getUserTimeline(ALICE, { eventName: 'PositionClosed' }).length === 1, 'PositionClosed before the fork was lost');
+    });
+
+    await test('7. A second writer is refused while the store is locked', async () => {
+        let error;
+        await EventStore.open(file).catch(e => { error = e; });
+        expect(error && /in use/.test(error.message), 'second writer was allowed');
+    });
+
+    await test('8. Readers pick up saved changes on refresh', async () => {
+        const reader = await EventStore.open(file, { readonly: true });
+        const before = reader.getStats().events;
+
+        for (let n = 131; n <= 140; n++) chain.addBlock(n, 'b');
+        chain.emit(135, 'PositionUpdated', [BOB, 10n ** 18n, 2n * 10n ** 18n, 3n * 10n ** 18n, 0n, 1]);
+        await new Promise(r => setTimeout(r, 20)); // Let the file mtime move on
+        await indexer.syncTo(140);
+
+        reader.refresh();
+        expect(reader.getStats().events === before + 1, `reader saw ${reader.getStats().events} events`);
+        reader.close();
+    });
+
+    store.close();
+}
+
+async function main() {
+    console.log(chalk.bold.cyan('\n╔════════════════════════════════════════════════════════════════╗'));
+    console.log(chalk.bold.cyan('║                    EVENT INDEXER TESTS                         ║'));
+    console.log(chalk.bold.cyan('╚════════════════════════════════════════════════════════════════╝\n'));
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-store-'));
+    try {
+        await runTests(dir);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    console.log('');
+    console.log(chalk.bold(`Passed: ${passed}  Failed: ${failed}`));
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+});
@@ -0,0 +1,357 @@
+#!/usr/bin/env node
+
+/**
+ * Self-Funding Loop Monitor Test
+ *
+ * Drives the funder monitor over fake Sepolia/Lasna contracts, a fake
+ * provider and a fake pipeline tracer (no network needed) to check the
+ * status warnings, how FundsBridged settles rounds, round traces (bridged,
+ * reverted, not reacted yet), and that the monitor reports confirmed events
+ * and each stalled round once - as valid Telegram HTML and notifier events.
+ *
+ * Usage: node test-funder-monitor.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import chalk from 'chalk';
+import { ethers } from 'ethers';
+import {
+    RoundStatus,
+    FunderEventType,
+    FundingRoundTracer,
+    FunderMonitor,
+    readFunderStatus,
+    decodeFunderLog,
+    applyFunderLog,
+    listRecentRounds,
+    formatFunderStatusHtml,
+    formatRoundTraceHtml
+} from './funder-monitor.js';
+import { DeliveryStatus } from './pipeline-trace.js';
+import { FUNDER_EVENT_MESSAGES } from './bot/notifications.js';
+import { funderEvent, Severity } from './notifier/index.js';
+import { getInterface } from './abi-registry.js';
+import { htmlProblems } from './test-helpers.js';
+import logger from './logger.js';
+
+logger.setLevel('CRITICAL');
+
+const FUNDER = '0x00000000000000000000000000000000000f0dd0';
+const REACTIVE_FUNDER = '0x00000000000000000000000000000000000f0dd1';
+const RSC = '0x00000000000000000000000000000000000e4a4c';
+const PROXY = '0x0000000000000000000000000000000000c0ffee';
+const ALICE = '0x00000000000000000000000000000000000a11ce';
+const RVM_ID = '0x0000000000000000000000000000000000000001';
+const ETH = ethers.parseEther('1');
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'funder-monitor-'));
+
+const funderIface = getInterface('funder');
+const reactiveFunderIface = getInterface('reactiveFunder');
+
+// ═══════════════════════════════════════════════════════════════
+//                     FAKE CHAIN + TRACER
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * A contract runner answering view calls from a name → result table
+ */
+function fakeRunner(iface, results) {
+    return {
+        async call({ data }) {
+            const { name } = iface.parseTransaction({ data });
+            return iface.encodeFunctionResult(name, [].concat(results[name]));
+        }
+    };
+}
+
+/**
+ * A decoded-log-shaped Funder log
+ */
+function funderLog(name, values, blockNumber, index = 0, txHash = ethers.id(`tx-${blockNumber}-${index}`)) {
+    const { topics, data } = funderIface.encodeEventLog(funderIface.getEvent(name), values);
+    return { address: FUNDER, topics, data, blockNumber, index, transactionHash: txHash };
+}
+
+const received = (amount, block, index, txHash) => funderLog('FundsReceived', [ALICE, amount], block, index, txHash);
+const bridged = (amount, block, index, txHash) => funderLog('FundsBridged', [RSC, amount], block, index, txHash);
+const bridgeFailed = (amount, block, index, txHash) => funderLog('BridgeFailed', [RSC, amount, 'Bridge transfer failed'], block, index, txHash);
+
+function fakeProvider(head, logs = [], receipts = {}) {
+    return {
+        head,
+        ranges: [],
+        async getBlockNumber() {
+            return this.head;
+        },
+        async getLogs({ fromBlock, toBlock }) {
+            this.ranges.push([fromBlock, toBlock]);
+            return logs.filter(log => log.blockNumber >= fromBlock && log.blockNumber <= toBlock);
+        },
+        async getTransactionReceipt(txHash) {
+            return receipts[txHash] || null;
+        }
+    };
+}
+
+/**
+ * A PipelineTracer whose FundsReceived tx got one reaction (or none)
+ */
+function fakeTracer(provider, { reacted = true, success = true, delivery = null } = {}) {
+    const rvmTx = { number: 42, hash: ethers.id('rvm-42'), success, time: 0, latencySec: 12 };
+    return {
+        provider,
+        rvmId: RVM_ID,
+        rnkClient: {
+            async getTransactionLogs() {
+                const { topics, data } = reactiveFunderIface.encodeEventLog(
+                    reactiveFunderIface.getEvent('BridgeTriggered'), [ALICE, ETH / 100n, ETH * 95n / 10000n, 0n]
+                );
+                return [{ address: REACTIVE_FUNDER, topics, data, index: 0 }];
+            }
+        },
+        async traceOriginTx() {
+            if (!reacted) return { reactions: [], totalLatencySec: null };
+            return {
+                reactions: [{ event: { logIndex: 0 }, rvmTx, callbacks: delivery ? [{ contract: FUNDER, delivery }] : [] }],
+                totalLatencySec: 30
+            };
+        }
+    };
+}
+
+/**
+ * The round started by a FundsReceived at block 100, with coverDebt() landing at block 103
+ */
+function makeRound({ delivery, deliveryLogs = [], later = [], head = 120, reacted = true, success = true } = {}) {
+    const origin = received(ETH / 100n, 100, 0, ethers.id('origin'));
+    const coverDebt = ethers.id('cover-debt');
+    const provider = fakeProvider(head, [origin, ...later], {
+        [origin.transactionHash]: { logs: [origin] },
+        [coverDebt]: { logs: deliveryLogs }
+    });
+    const tracer = fakeTracer(provider, { reacted, success, delivery: delivery && { txHash: coverDebt, blockNumber: 103, latencySec: 18, ...delivery } });
+    return new FundingRoundTracer({ tracer, funder: FUNDER, timeoutBlocks: 50 });
+}
+
+let stores = 0;
+
+function makeMonitor(provider, roundTracer = null) {
+    const seen = [];
+    const monitor = new FunderMonitor({
+        provider,
+        roundTracer,
+        funder: FUNDER,
+        stateFile: path.join(dir, `funder-${++stores}.json`),
+        confirmations: 3,
+        timeoutBlocks: 90,
+        maxBlockRange: 100,
+        onEvent: event => seen.push(event)
+    });
+    return { monitor, seen };
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                            TESTS
+// ═══════════════════════════════════════════════════════════════
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(chalk.green(`✅ ${name}`));
+        passed++;
+    } catch (e) {
+        console.log(chalk.red(`❌ ${name}: ${e.message}`));
+        failed++;
+    }
+}
+
+function expect(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+async function runTests() {
+    await test('1. Status reads both contracts and explains why the loop may not bridge', async () => {
+        const provider = fakeRunner(funderIface, {
+            getStats: [ETH, ETH / 2n, ETH / 5n, ETH / 10n, 3n, ethers.ZeroAddress],
+            gasReserve: ETH / 100n,
+            canBridge: true,
+            getBridgeableAmount: ETH / 5n - ETH / 100n,
+            authorizedCallers: false,
+            checkRscDebt: ETH / 1000n
+        });
+        const lasnaProvider = fakeRunner(reactiveFunderIface, { getStats: [ETH / 2n, 3n, ALICE, RSC] });
+        const status = await readFunderStatus({
+            provider, lasnaProvider, funderAddress: FUNDER, reactiveFunderAddress: REACTIVE_FUNDER, callbackProxy: PROXY
+        });
+
+        expect(status.funder.balance === ETH / 5n && status.funder.bridgeCount === 3, 'Funder stats not read');
+        expect(status.funder.rsc.toLowerCase() === RSC, `funded RSC ${status.funder.rsc} is not ReactiveFunderRC's recipient`);
+        expect(status.reactiveFunder.totalBridged === ETH / 2n, 'ReactiveFunderRC stats not read');
+        const warnings = status.warnings.join('\n');
+        for (const expected of ['not an authorized caller', 'RSC owes 0.001', 'waiting to be bridged', 'not this Funder']) {
+            expect(warnings.includes(expected), `no "${expected}" warning in:\n${warnings}`);
+        }
+
+        const unset = await readFunderStatus({ provider, lasnaProvider, funderAddress: '', reactiveFunderAddress: '' });
+        expect(unset.funder === null && unset.warnings.length === 2, `unset addresses gave ${unset.warnings}`);
+    });
+
+    await test('2. FundsBridged settles the open rounds before it, small fees are skipped', async () => {
+        const rounds = [];
+        const logs = [received(ETH / 100n, 10, 0), received(ETH / 10000n, 10, 1), bridged(ETH / 200n, 10, 2), received(ETH / 100n, 12, 0)]
+            .map(decodeFunderLog);
+
+        for (const log of logs) applyFunderLog(rounds, log);
+        expect(rounds.map(r => r.status).join() === 'bridged,skipped,pending', `statuses ${rounds.map(r => r.status)}`);
+        expect(rounds[0].bridgedBy?.blockNumber === 10 && rounds[0].amount === (ETH / 100n).toString(), 'settled round lacks its FundsBridged');
+
+        const changed = applyFunderLog(rounds, decodeFunderLog(bridgeFailed(ETH / 100n, 13, 0)));
+        expect(changed.length === 0 && rounds[2].status === RoundStatus.PENDING, 'BridgeFailed settled a round');
+    });
+
+    await test('3. Recent rounds are newest first, old unbridged ones stalled', async () => {
+        const provider = fakeProvider(200, [received(ETH / 100n, 100, 0), received(ETH / 100n, 180, 0), received(ETH / 100n, 190, 0)]);
+        const rounds = await listRecentRounds({ provider, funder: FUNDER, lookbackBlocks: 150, timeoutBlocks: 50, limit: 2 });
+        expect(rounds.map(r => r.blockNumber).join() === '190,180', `listed blocks ${rounds.map(r => r.blockNumber)}`);
+        expect(rounds.every(r => r.status === RoundStatus.PENDING), 'recent rounds not pending');
+
+        const all = await listRecentRounds({ provider, funder: FUNDER, lookbackBlocks: 150, timeoutBlocks: 50 });
+        expect(all.at(-1).status === RoundStatus.STALLED, `round at block 100 is ${all.at(-1).status}`);
+    });
+
+    await test('4. A round traces through BridgeTriggered and coverDebt() to FundsBridged', async () => {
+        const tracer = makeRound({
+            delivery: { status: DeliveryStatus.DELIVERED },
+            deliveryLogs: [bridged(ETH / 50n, 103, 1)]
+        });
+        const trace = await tracer.trace(ethers.id('origin'));
+        expect(trace.round.status === RoundStatus.BRIDGED, `status ${trace.round.status}`);
+        expect(trace.bridgeAmount === ETH * 95n / 10000n, `BridgeTriggered amount ${trace.bridgeAmount}`);
+        expect(trace.bridged === ETH / 50n && trace.totalLatencySec === 30 && trace.failure === null, 'FundsBridged not traced');
+
+        const missing = makeRound();
+        let error = null;
+        await missing.trace(ethers.id('unknown')).catch(e => { error = e; });
+        expect(error?.message.includes('not found'), 'unknown tx did not throw');
+    });
+
+    await test('5. A reverted coverDebt() fails the round unless a later FundsBridged settled it', async () => {
+        const reverted = { status: DeliveryStatus.REVERTED, reason: 'Bridge transfer failed' };
+        const failedTrace = await makeRound({ delivery: reverted }).trace(ethers.id('origin'));
+        expect(failedTrace.round.status === RoundStatus.FAILED, `status ${failedTrace.round.status}`);
+        expect(failedTrace.failure.includes('Bridge transfer failed'), `failure ${failedTrace.failure}`);
+
+        const settledTrace = await makeRound({ delivery: reverted, later: [bridged(ETH / 50n, 101, 0)] }).trace(ethers.id('origin'));
+        expect(settledTrace.round.status === RoundStatus.BRIDGED && settledTrace.round.bridgedBy.blockNumber === 101,
+            `status ${settledTrace.round.status}`);
+
+        const rvmFailed = await makeRound({ delivery: reverted, success: false }).trace(ethers.id('origin'));
+        expect(rvmFailed.round.status === RoundStatus.FAILED && rvmFailed.failure.includes('RVM tx #42'), `failure ${rvmFailed.failure}`);
+    });
+
+    await test('6. A round ReactiveFunderRC has not reacted to is pending, then stalled', async () => {
+        const pending = await makeRound({ reacted: false, head: 120 }).trace(ethers.id('origin'));
+        expect(pending.round.status === RoundStatus.PENDING && pending.rvmTx === null, `status ${pending.round.status}`);
+
+        const stalled = await makeRound({ reacted: false, head: 200 }).trace(ethers.id('origin'));
+        expect(stalled.round.status === RoundStatus.STALLED, `status ${stalled.round.status}`);
+        expect(stalled.failure.includes('has not reacted'), `failure ${stalled.failure}`);
+    });
+
+    await test('7. Monitor reports confirmed events, then each stalled round once', async () => {
+        const logs = [];
+        const provider = fakeProvider(100, logs);
+        const stalledTrace = { round: { status: RoundStatus.STALLED }, failure: 'ReactiveFunderRC has not reacted' };
+        const { monitor, seen } = makeMonitor(provider, { trace: async () => stalledTrace });
+
+        expect((await monitor.poll()).length === 0, 'reported history on the first run');
+        expect(monitor.store.get('lastBlock') === 97, `first run saved ${monitor.store.get('lastBlock')}`);
+
+        logs.push(received(ETH / 100n, 98, 0), received(ETH / 10000n, 99, 0), bridgeFailed(ETH / 100n, 105, 0), received(ETH / 100n, 109, 0));
+        provider.head = 110;
+        await monitor.poll();
+        expect(seen.map(e => e.type).join() === 'FundsReceived,BridgeFailed', `reported ${seen.map(e => e.type)}`);
+        expect(monitor.openRounds.length === 1 && monitor.store.get('lastBlock') === 107, 'unconfirmed block 109 processed');
+
+        provider.head = 200;
+        await monitor.poll();
+        expect(seen.slice(2).map(e => e.type).join() === 'FundsReceived,RoundStalled', `then ${seen.slice(2).map(e => e.type)}`);
+        const stall = seen.at(-1);
+        expect(stall.id === `stalled:${stall.rounds[0].id}` && stall.args.amount === ETH / 100n && stall.trace === stalledTrace,
+            'stalled event lacks its round or trace');
+
+        await monitor.poll();
+        expect(seen.length === 4, 'stalled round reported twice');
+
+        logs.push(bridged(ETH / 50n, 250, 0));
+        provider.head = 260;
+        await monitor.poll();
+        expect(seen.at(-1).type === FunderEventType.BRIDGED && seen.at(-1).rounds.length === 1, 'FundsBridged did not settle the open round');
+        expect(monitor.openRounds.length === 0, 'settled round still open');
+    });
+
+    await test('8. Every funder event renders as valid HTML and a JSON-safe notifier event', async () => {
+        const round = { id: 'r', txHash: ethers.id('r'), blockNumber: 1, logIndex: 0, sender: ALICE, amount: '10000000000000000', status: RoundStatus.STALLED, bridgedBy: null };
+        const trace = { round, rvmTx: null, bridgeAmount: null, delivery: { status: DeliveryStatus.MISSING, searchedBlocks: [1, 51] }, bridged: null, failure: 'coverDebt() was <never> delivered', totalLatencySec: null };
+        const events = [
+            { type: 'FundsReceived', args: { sender: ALICE, amount: ETH / 100n }, trace: null },
+            { type: 'FundsBridged', args: { reactiveContract: RSC, amount: ETH / 50n }, trace: null },
+            { type: 'BridgeFailed', args: { reactiveContract: RSC, amount: ETH / 50n, reason: 'Bridge <transfer> failed & reverted' }, trace: null },
+            { type: 'RoundStalled', args: { sender: ALICE, amount: ETH / 100n }, trace },
+            { type: 'RoundStalled', args: { sender: ALICE, amount: ETH / 100n }, trace: null }
+        ].map((e, i) => ({ ...e, id: `e${i}`, txHash: ethers.id(`e${i}`), blockNumber: i, rounds: [round] }));
+
+        const expectedSeverity = { FundsReceived: Severity.INFO, FundsBridged: Severity.INFO, BridgeFailed: Severity.CRITICAL, RoundStalled: Severity.WARNING };
+        for (const event of events) {
+            const html = FUNDER_EVENT_MESSAGES[event.type](event);
+            const problems = htmlProblems(html);
+            expect(problems.length === 0, `${event.type}: ${problems.join(', ')}`);
+
+            const notifierEvent = funderEvent(event, html);
+            expect(notifierEvent.severity === expectedSeverity[event.type], `${event.type} severity ${notifierEvent.severity}`);
+            expect(notifierEvent.category === 'infra' && notifierEvent.data.rounds[0] === 'r', `${event.type} data ${JSON.stringify(notifierEvent.data)}`);
+            JSON.parse(JSON.stringify(notifierEvent.data));
+        }
+        expect(formatRoundTraceHtml(trace).includes('Searched blocks 1-51'), 'trace lacks the delivery search');
+    });
+
+    await test('9. Status message lists rounds and escapes warnings', async () => {
+        const status = {
+            funder: {
+                address: FUNDER, totalCollected: ETH, totalBridged: ETH / 2n, balance: ETH / 5n, bridgeThreshold: ETH / 10n,
+                gasReserve: ETH / 100n, bridgeCount: 3, targetRsc: RSC, canBridge: false, bridgeable: 0n, proxyAuthorized: true, rsc: RSC, rscDebt: 0n
+            },
+            reactiveFunder: null,
+            warnings: ['ReactiveFunderRC not readable: <timeout>']
+        };
+        const rounds = [{ id: 'r', txHash: ethers.id('r'), blockNumber: 7, logIndex: 0, sender: ALICE, amount: '10000000000000000', status: RoundStatus.BRIDGED, bridgedBy: null }];
+        const html = formatFunderStatusHtml(status, rounds);
+        const problems = htmlProblems(html);
+        expect(problems.length === 0, problems.join(', '));
+        expect(html.includes('Bridged: 0.5000 ETH in 3 bridge(s)') && html.includes('block 7'), 'stats or rounds missing');
+        expect(formatFunderStatusHtml({ ...status, warnings: [] }).includes('Loop healthy'), 'healthy loop not reported');
+    });
+}
+
+async function main() {
+    console.log(chalk.bold.cyan('\n╔════════════════════════════════════════════════════════════════╗'));
+    console.log(chalk.bold.cyan('║                 SELF-FUNDING LOOP MONITOR TESTS                ║'));
+    console.log(chalk.bold.cyan('╚════════════════════════════════════════════════════════════════╝\n'));
+
+    await runTests();
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    console.log('');
+    console.log(chalk.bold(`Passed: ${passed}  Failed: ${failed}`));
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+});
@@ -0,0 +1,176 @@
+/**
+ * Shared helpers for the test-*.js scripts
+ *
+ * Checks and fakes more than one test needs. Not a test itself.
+ */
+
+import { ethers } from 'ethers';
+import { CONTRACTS, NETWORKS } from './config.js';
+import { getInterface } from './abi-registry.js';
+
+// The user whose callbacks loopCallback() and deliver() carry by default
+export const USER = '0xDDe9D31a31d6763612C7f535f51E5dC9f830682e';
+
+const ifaces = { manager: getInterface('manager'), proxy: getInterface('callbackProxy'), system: getInterface('system') };
+const RESERVES = ifaces.proxy.getFunction('reserves').selector;
+const DEBT = ifaces.system.getFunction('debt').selector;
+
+// ═══════════════════════════════════════════════════════════════
+//                         TELEGRAM HTML
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Problems with a rendered message: leftover placeholders or markup Telegram would reject
+ * @returns {string[]}
+ */
+export function htmlProblems(html) {
+    const problems = [];
+    if (/undefined|NaN|null|\[object /.test(html)) problems.push(`placeholder in: ${html.trim().split('\n')[0]}`);
+    const stripped = html.replace(/<\/?(b|i|code|a)(\s[^<>]*)?>/g, '');
+    if (/[<>]/.test(stripped)) problems.push('unescaped < or >');
+    if (/&(?!amp;|lt;|gt;|quot;)/.test(html)) problems.push('unescaped &');
+    return problems;
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                          FAKE RNK
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * RNK client over a list of RVM transactions, oldest first, found by their
+ * number. getTransactionLogs() indexes each tx's logs. pages counts
+ * getTransactions() reads; calls records iterateTransactions() ranges.
+ */
+export function fakeRnk(txs) {
+    const byNumber = number => txs.find(tx => tx.number === number);
+    const rnk = {
+        pages: 0,
+        calls: [],
+        async getHeadNumber() {
+            return txs.length ? txs[txs.length - 1].number : 0;
+        },
+        async getTransactions(rvmId, from, limit) {
+            rnk.pages++;
+            return txs.filter(tx => tx.number >= from && tx.number < from + limit);
+        },
+        async getTransaction(rvmId, number) {
+            return byNumber(number) || null;
+        },
+        async *iterateTransactions(rvmId, from, to) {
+            rnk.calls.push([from, to]);
+            yield txs.filter(tx => tx.number >= from && tx.number <= to);
+        },
+        async getTransactionLogs(rvmId, number) {
+            return byNumber(number).logs.map((log, index) => ({ ...log, index }));
+        }
+    };
+    return rnk;
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                         FAKE CHAIN
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Callback the RVM emitted for executeLoopStep(user) on the manager
+ */
+export function loopCallback({ chainId = NETWORKS.sepolia.chainId, user = USER } = {}) {
+    const payload = ifaces.manager.encodeFunctionData('executeLoopStep', [ethers.ZeroAddress, user]);
+    return {
+        chainId,
+        contract: CONTRACTS.manager,
+        gasLimit: 1000000n,
+        payload,
+        selector: payload.slice(0, 10),
+        functionName: 'executeLoopStep'
+    };
+}
+
+/**
+ * A provider and wallet on one chain at `head`, blocks 12s apart (timestamp
+ * gives a block's time). reserves() and debt() answer view calls - debt null
+ * is no debt record (debt() reverts), an Error is thrown as is. Any other call
+ * reverts with revertReason, as replaying a failed delivery does.
+ * reserves() at a past block is reservesAt(block); archive: false makes those
+ * reads fail, and pastErrors are thrown by the next ones first.
+ * deliver() puts a callback delivery into a block; sent transactions are
+ * recorded and mined at the head with `status`.
+ */
+export function fakeChain({
+    head = 100,
+    reserves = 0n,
+    reservesAt = () => reserves,
+    archive = true,
+    pastErrors = [],
+    debt = null,
+    balance = ethers.parseEther('1'),
+    status = 1,
+    revertReason = 'Position not looping',
+    timestamp = number => 1700000000 + number * 12,
+    receipts = [],
+    address = '0x00000000000000000000000000000000000a11ce'
+} = {}) {
+    const chain = {
+        head,
+        reserves,
+        debt,
+        balance,
+        status,
+        blocksRead: [],
+        pastReads: 0,
+        txs: new Map(),
+        receipts: new Map(receipts.map(receipt => [receipt.hash, receipt])),
+        sent: [],
+        deliver(block, { user = USER, status = 1, name = 'a' } = {}) {
+            const hash = ethers.id(`delivery-${name}-${block}`);
+            const data = ifaces.manager.encodeFunctionData('executeLoopStep', [CONTRACTS.rvmId, user]);
+            const tx = { hash, to: CONTRACTS.callbackProxy, from: ethers.ZeroAddress, data, gasLimit: 1000000n };
+            chain.txs.set(block, [...(chain.txs.get(block) || []), tx]);
+            chain.receipts.set(hash, { hash, blockNumber: block, status, gasUsed: 80000n, logs: [] });
+            return hash;
+        },
+        async getBlockNumber() {
+            return chain.head;
+        },
+        async getBlock(number) {
+            chain.blocksRead.push(number);
+            return { number, timestamp: timestamp(number), prefetchedTransactions: chain.txs.get(number) || [] };
+        },
+        async getTransactionReceipt(hash) {
+            return chain.receipts.get(hash) || null;
+        },
+        async getBalance() {
+            return chain.balance;
+        },
+        async call({ data, blockTag }) {
+            if (data.startsWith(RESERVES)) {
+                if (blockTag === undefined || blockTag === 'latest') {
+                    return ifaces.proxy.encodeFunctionResult('reserves', [chain.reserves]);
+                }
+                chain.pastReads++;
+                if (pastErrors.length > 0) throw pastErrors.shift();
+                if (!archive) throw new Error('missing trie node');
+                return ifaces.proxy.encodeFunctionResult('reserves', [reservesAt(Number(blockTag))]);
+            }
+            if (data.startsWith(DEBT)) {
+                if (chain.debt instanceof Error) throw chain.debt;
+                if (chain.debt === null) throw Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION' });
+                return ifaces.system.encodeFunctionResult('debt', [chain.debt]);
+            }
+            throw Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION', reason: revertReason });
+        }
+    };
+    chain.signer = {
+        provider: chain,
+        async getAddress() {
+            return address;
+        },
+        async sendTransaction(tx) {
+            chain.sent.push(tx);
+            const hash = ethers.id(`tx-${chain.sent.length}`);
+            chain.receipts.set(hash, { hash, blockNumber: chain.head, status: chain.status, logs: [] });
+            return { hash };
+        }
+    };
+    return chain;
+}
@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+
+/**
+ * Lasna Event Watcher Test
+ *
+ * Drives LasnaWatcher over a fake RNK client and a fake Lasna provider (no
+ * network needed) to check decoding per contract, where polling starts and
+ * resumes, chunked eth_getLogs, that a failing source doesn't hold up the
+ * other, and that every reported event renders, routes and becomes a
+ * notifier event.
+ *
+ * Usage: node test-lasna-watcher.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import chalk from 'chalk';
+import { ethers } from 'ethers';
+import { LASNA_EVENTS } from './config.js';
+import { LasnaWatcher } from './lasna-watcher.js';
+import { LASNA_EVENT_MESSAGES } from './bot/notifications.js';
+import { ChatStore } from './chat-store.js';
+import { lasnaEvent, Severity } from './notifier/index.js';
+import { getInterface } from './abi-registry.js';
+import { TxKind } from './rnk-models.js';
+import { htmlProblems, fakeRnk } from './test-helpers.js';
+import logger from './logger.js';
+
+logger.setLevel('CRITICAL');
+
+const ALICE = '0x00000000000000000000000000000000000a11ce';
+const BOB = '0x0000000000000000000000000000000000000b0b';
+const ENHANCED = '0x00000000000000000000000000000000000e4a4c';
+const FUNDER = '0x00000000000000000000000000000000000f0dd0';
+const RVM_ID = '0x0000000000000000000000000000000000000001';
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lasna-watcher-'));
+
+const ifaces = { reactiveEnhanced: getInterface('reactiveEnhanced'), reactiveFunder: getInterface('reactiveFunder') };
+const ADDRESSES = { reactiveEnhanced: ENHANCED, reactiveFunder: FUNDER };
+
+// ═══════════════════════════════════════════════════════════════
+//                     FAKE RNK + PROVIDER
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * A plausible value for an ABI parameter
+ */
+function sampleValue(param, i) {
+    if (param.name === 'user') return ALICE;
+    if (param.type === 'address') return ethers.getAddress('0x' + (i + 1).toString(16).padStart(40, '0'));
+    if (param.type === 'bool') return true;
+    if (param.type === 'bytes32') return ethers.id(`${param.name}-${i}`);
+    if (param.type === 'uint8') return 1;
+    if (param.name === 'deviation') return 750n;   // bps
+    return BigInt(1000 + i);
+}
+
+/**
+ * An encoded log of a reactive contract
+ */
+function sampleLog(contract, name, values = null) {
+    const iface = ifaces[contract];
+    const fragment = iface.getEvent(name);
+    const { topics, data } = iface.encodeEventLog(fragment, values || fragment.inputs.map(sampleValue));
+    return { address: ADDRESSES[contract], topics, data };
+}
+
+function fakeProvider(head, logsByBlock = {}) {
+    return {
+        ranges: [],
+        async getBlockNumber() {
+            return head;
+        },
+        async getLogs({ fromBlock, toBlock }) {
+            this.ranges.push([fromBlock, toBlock]);
+            return Object.entries(logsByBlock)
+                .filter(([block]) => block >= fromBlock && block <= toBlock)
+                .flatMap(([block, logs]) => logs.map((log, index) => ({
+                    ...log, index, blockNumber: Number(block), transactionHash: ethers.id(`tx-${block}`)
+                })));
+        }
+    };
+}
+
+let stores = 0;
+
+function makeWatcher({ rnkClient = fakeRnk([]), provider = fakeProvider(0), state = null } = {}) {
+    const stateFile = path.join(dir, `lasna-${++stores}.json`);
+    if (state) fs.writeFileSync(stateFile, JSON.stringify(state));
+    const seen = [];
+    const watcher = new LasnaWatcher({
+        rnkClient,
+        provider,
+        rvmId: RVM_ID,
+        contracts: ADDRESSES,
+        stateFile,
+        maxBlockRange: 100,
+        onEvent: event => seen.push(event)
+    });
+    return { watcher, seen };
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                            TESTS
+// ═══════════════════════════════════════════════════════════════
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(chalk.green(`✅ ${name}`));
+        passed++;
+    } catch (e) {
+        console.log(chalk.red(`❌ ${name}: ${e.message}`));
+        failed++;
+    }
+}
+
+function expect(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+async function runTests() {
+    await test('1. Logs decode per contract (enhanced StopLossTriggered is not the manager\'s)', async () => {
+        const { watcher } = makeWatcher();
+        const log = sampleLog('reactiveEnhanced', 'StopLossTriggered', [ALICE, BOB, 900n, 1000n]);
+        const event = watcher.toEvent(log, 0, { source: 'rvm', rvmTxNumber: 7, txHash: ethers.id('rvm-7') });
+        expect(event?.contract === 'reactiveEnhanced' && event.name === 'StopLossTriggered', `decoded as ${event?.contract}.${event?.name}`);
+        expect(event.args.triggerPrice === 1000n && event.category === 'tpsl', 'wrong arguments or category');
+        expect(event.user.toLowerCase() === ALICE && event.id === 'rvm:7:0', `user ${event.user}, id ${event.id}`);
+
+        const foreign = { ...log, address: BOB };
+        expect(watcher.toEvent(foreign, 0, { source: 'rvm', rvmTxNumber: 7 }) === null, 'decoded a log of another contract');
+    });
+
+    await test('2. Unreported events are skipped', async () => {
+        const { watcher } = makeWatcher();
+        const log = sampleLog('reactiveFunder', 'OwnerUpdated');
+        expect(watcher.decode(log)?.name === 'OwnerUpdated', 'OwnerUpdated not decoded');
+        expect(watcher.toEvent(log, 0, { source: 'lasna', txHash: ethers.id('x') }) === null, 'OwnerUpdated reported');
+    });
+
+    await test('3. First RVM poll starts at the head, the next one resumes after it', async () => {
+        const transactions = [
+            { number: 4, hash: ethers.id('rvm-4'), kind: TxKind.REACT, logs: [sampleLog('reactiveEnhanced', 'RateLimited')] }
+        ];
+        const rnkClient = fakeRnk(transactions);
+        const { watcher, seen } = makeWatcher({ rnkClient });
+
+        expect((await watcher.pollRvm()).length === 0, 'reported history on the first run');
+        expect(watcher.store.get('lastTxNumber') === 4, 'head not saved');
+
+        transactions.push(
+            { number: 5, hash: ethers.id('rvm-5'), kind: TxKind.DEPLOY, logs: [] },
+            { number: 6, hash: ethers.id('rvm-6'), kind: TxKind.REACT, logs: [
+                sampleLog('reactiveEnhanced', 'CronHealthCheckExecuted'),
+                sampleLog('reactiveEnhanced', 'FinalityNotReached')
+            ] }
+        );
+        await watcher.pollRvm();
+        expect(rnkClient.calls.at(-1).join() === '5,6', `iterated ${rnkClient.calls.at(-1)}`);
+        expect(seen.map(e => e.name).join() === 'CronHealthCheckExecuted,FinalityNotReached', `saw ${seen.map(e => e.name)}`);
+        expect(seen[1].id === 'rvm:6:1' && seen[1].rvmTxNumber === 6, `id ${seen[1].id}`);
+        expect(watcher.store.get('lastTxNumber') === 6, 'position not saved');
+
+        // A restart on the same file picks up where this one stopped
+        const restarted = new LasnaWatcher({ rnkClient, provider: fakeProvider(0), rvmId: RVM_ID, contracts: ADDRESSES, stateFile: watcher.store.file });
+        expect((await restarted.pollRvm()).length === 0, 'repeated events after a restart');
+    });
+
+    await test('4. Lasna logs are fetched in maxBlockRange chunks', async () => {
+        const provider = fakeProvider(350, {
+            120: [sampleLog('reactiveFunder', 'BridgeTriggered')],
+            340: [sampleLog('reactiveEnhanced', 'CriticalOperationExecuted')]
+        });
+        const { watcher, seen } = makeWatcher({ provider, state: { lastBlock: 100 } });
+        await watcher.pollChain();
+
+        expect(provider.ranges.map(r => r.join('-')).join() === '101-200,201-300,301-350', `ranges ${provider.ranges.map(r => r.join('-'))}`);
+        expect(seen.map(e => `${e.contract}.${e.name}`).join() === 'reactiveFunder.BridgeTriggered,reactiveEnhanced.CriticalOperationExecuted',
+            `saw ${seen.map(e => e.name)}`);
+        expect(seen[0].source === 'lasna' && seen[0].blockNumber === 120 && seen[0].user === null, 'wrong Lasna fields');
+        expect(watcher.store.get('lastBlock') === 350, 'position not saved');
+    });
+
+    await test('5. A failing source doesn\'t hold up the other', async () => {
+        const rnkClient = { async getHeadNumber() { throw new Error('RNK down'); } };
+        const provider = fakeProvider(10, { 10: [sampleLog('reactiveEnhanced', 'PriceDeviationDetected')] });
+        const { watcher, seen } = makeWatcher({ rnkClient, provider, state: { lastBlock: 5 } });
+
+        const events = await watcher.poll();
+        expect(events.length === 1 && seen.length === 1, `${events.length} events`);
+        expect(watcher.store.get('lastTxNumber') === null, 'RVM position moved');
+    });
+
+    await test('6. Every reported event renders to valid Telegram HTML', async () => {
+        const { watcher } = makeWatcher();
+        const problems = [];
+        for (const [contract, events] of Object.entries(LASNA_EVENTS)) {
+            for (const name of Object.keys(events)) {
+                const template = LASNA_EVENT_MESSAGES[contract]?.[name];
+                if (!template) {
+                    problems.push(`${contract}.${name}: no template`);
+                    continue;
+                }
+                for (const where of [{ source: 'rvm', rvmTxNumber: 3, txHash: ethers.id('a') }, { source: 'lasna', txHash: ethers.id('b'), blockNumber: 9 }]) {
+                    const event = watcher.toEvent(sampleLog(contract, name), 0, where);
+                    const messages = [].concat(template(event.args, event));
+                    if (messages.some(m => typeof m !== 'string' || !m.includes('<b>'))) problems.push(`${contract}.${name}: no message`);
+                    for (const message of messages) problems.push(...htmlProblems(message).map(p => `${contract}.${name}: ${p}`));
+                }
+            }
+        }
+        expect(problems.length === 0, problems.join('; '));
+    });
+
+    await test('7. Notifier events carry the contract, severity and a JSON-safe payload', async () => {
+        const { watcher } = makeWatcher();
+        const toNotifier = (contract, name, where) => {
+            const event = watcher.toEvent(sampleLog(contract, name), 2, where);
+            return lasnaEvent(event, LASNA_EVENT_MESSAGES[contract][name](event.args, event));
+        };
+        const rvm = { source: 'rvm', rvmTxNumber: 11, txHash: ethers.id('c') };
+
+        const liquidation = toNotifier('reactiveEnhanced', 'LiquidationDetected', rvm);
+        expect(liquidation.type === 'reactiveEnhanced.LiquidationDetected' && liquidation.severity === Severity.CRITICAL, `${liquidation.type} ${liquidation.severity}`);
+        expect(liquidation.id === 'lasna:rvm:11:2' && liquidation.url === null, `id ${liquidation.id}, url ${liquidation.url}`);
+        expect(toNotifier('reactiveEnhanced', 'StalePositionDetected', rvm).severity === Severity.WARNING, 'risk event not a warning');
+
+        const bridge = toNotifier('reactiveFunder', 'BridgeTriggered', { source: 'lasna', txHash: ethers.id('d'), blockNumber: 4 });
+        expect(bridge.severity === Severity.INFO && bridge.url?.endsWith(ethers.id('d')), `${bridge.severity} ${bridge.url}`);
+        expect(typeof JSON.parse(JSON.stringify(bridge)).data.amount === 'string', 'amount not serialized');
+    });
+
+    await test('8. Events reach the chats that watch the user and want the category', async () => {
+        const chatStore = new ChatStore(path.join(dir, 'chats.json'), { operatorChatId: 'ops' });
+        chatStore.watch('alice-fan', ALICE);
+        chatStore.watch('quiet', ALICE);
+        chatStore.setCategory('quiet', 'tpsl', false);
+        chatStore.watch('bob-fan', BOB);
+
+        const { watcher } = makeWatcher();
+        const stop = watcher.toEvent(sampleLog('reactiveEnhanced', 'StopLossTriggered'), 0, { source: 'rvm', rvmTxNumber: 1 });
+        const chats = chatStore.chatsForEvent(stop.name, stop.user, stop.category);
+        // The operator chat follows every user
+        expect(chats.sort().join() === 'alice-fan,ops', `sent to ${chats}`);
+
+        const bridge = watcher.toEvent(sampleLog('reactiveFunder', 'BridgeTriggered'), 0, { source: 'rvm', rvmTxNumber: 1 });
+        const infra = chatStore.chatsForEvent(bridge.name, bridge.user, bridge.category);
+        expect(infra.join() === 'ops', `system event sent to ${infra}`);
+    });
+}
+
+async function main() {
+    console.log(chalk.bold.cyan('\n╔════════════════════════════════════════════════════════════════╗'));
+    console.log(chalk.bold.cyan('║                  LASNA EVENT WATCHER TESTS                     ║'));
+    console.log(chalk.bold.cyan('╚════════════════════════════════════════════════════════════════╝\n'));
+
+    await runTests();
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    console.log('');
+    console.log(chalk.bold(`Passed: ${passed}  Failed: ${failed}`));
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+});
@@ -0,0 +1,442 @@
+#!/usr/bin/env node
+
+/**
+ * Notifier Test
+ *
+ * Checks the notification event model, the per-channel formats, routing,
+ * retries and config loading. The Discord, Slack and webhook adapters post
+ * to a local stub HTTP server and the email adapter talks to a local stub
+ * SMTP server, so no network is needed.
+ *
+ * Usage: node test-notifier.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import net from 'net';
+import http from 'http';
+import chalk from 'chalk';
+import {
+    Notifier, createNotifier, createChannel, managerEvent, alertEvent, messageEvent, Severity,
+    htmlToText, htmlToMarkdown, htmlToMrkdwn,
+    DiscordChannel, SlackChannel, WebhookChannel, SmtpChannel, TelegramChannel
+} from './notifier/index.js';
+import { Notifications } from './bot/notifications.js';
+import { AlertEventType, AlertLevel, AlertRule } from './alert-engine.js';
+import logger from './logger.js';
+
+logger.setLevel('CRITICAL');
+
+const ALICE = '0x00000000000000000000000000000000000a11ce';
+const TX = '0x' + 'ab'.repeat(32);
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notifier-'));
+
+// ═══════════════════════════════════════════════════════════════
+//                         STUB SERVERS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * HTTP server that records JSON posts and answers from `statuses` in turn (then 200)
+ */
+async function startHttpStub(statuses = []) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ path: req.url, headers: req.headers, body: JSON.parse(body) });
+            const status = statuses.shift() ?? 200;
+            const headers = status === 429 ? { 'Retry-After': '2' } : {};
+            res.writeHead(status, headers);
+            res.end(status === 200 ? 'ok' : 'nope');
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+    return { url, requests, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+/**
+ * SMTP server that accepts one message per session and records the commands
+ */
+async function startSmtpStub({ rejectRcpt = null } = {}) {
+    const sessions = [];
+    const server = net.createServer(socket => {
+        const session = { commands: [], data: '' };
+        sessions.push(session);
+        let buffer = '';
+        let inData = false;
+        socket.write('220 stub ESMTP\r\n');
+
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                if (inData) {
+                    if (line === '.') {
+                        inData = false;
+                        socket.write('250 queued\r\n');
+                    } else {
+                        session.data += `${line}\r\n`;
+                    }
+                    continue;
+                }
+                session.commands.push(line);
+                const verb = line.split(/[ :]/)[0].toUpperCase();
+                if (verb === 'EHLO') socket.write('250-stub\r\n250-AUTH PLAIN\r\n250 SIZE 1000000\r\n');
+                else if (verb === 'AUTH') socket.write('235 ok\r\n');
+                else if (verb === 'MAIL') socket.write('250 ok\r\n');
+                else if (verb === 'RCPT') socket.write(rejectRcpt ? `${rejectRcpt} no such user\r\n` : '250 ok\r\n');
+                else if (verb === 'DATA') { inData = true; socket.write('354 go ahead\r\n'); }
+                else if (verb === 'QUIT') { socket.write('221 bye\r\n'); socket.end(); }
+                else socket.write('502 unknown\r\n');
+            }
+        });
+        socket.on('error', () => {});
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { port: server.address().port, sessions, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+/**
+ * Decoded text/plain and text/html parts and the subject of a MIME message
+ */
+function parseMail(data) {
+    const subject = data.match(/^Subject: (.*)$/m)[1];
+    const decodedSubject = subject.replace(/=\?UTF-8\?B\?([^?]+)\?=/, (_, b64) => Buffer.from(b64, 'base64').toString('utf8'));
+    const part = type => {
+        const match = data.match(new RegExp(`Content-Type: ${type}; charset=utf-8\\r\\nContent-Transfer-Encoding: base64\\r\\n\\r\\n([A-Za-z0-9+/=\\r\\n]+?)\\r\\n--`));
+        return Buffer.from(match[1].replace(/\r\n/g, ''), 'base64').toString('utf8');
+    };
+    return { subject: decodedSubject, text: part('text/plain'), html: part('text/html') };
+}
+
+function emergencyEvent() {
+    const html = Notifications.emergencyStop(ALICE, 'HF < 1.05 & falling', TX);
+    return managerEvent('EmergencyStop', { user: ALICE, reason: 'HF < 1.05 & falling', amount: 5n }, { transactionHash: TX, index: 3, blockNumber: 100 }, [html]);
+}
+
+function hfAlert(type = AlertEventType.FIRED, chatId = '1') {
+    return alertEvent({
+        type,
+        chatId,
+        user: ALICE,
+        rule: AlertRule.HEALTH_FACTOR,
+        level: AlertLevel.CRITICAL,
+        condition: type === AlertEventType.RESOLVED ? null : { value: 1.05, threshold: 1.3, summary: 'Health factor 1.050 is below 1.3' },
+        since: 1700000000000
+    });
+}
+
+/**
+ * Channel that records events and fails with the given errors first
+ */
+function recordingChannel(name, errors = []) {
+    return {
+        name,
+        type: 'test',
+        events: [],
+        async send(event) {
+            const error = errors.shift();
+            if (error) throw error;
+            this.events.push(event);
+        }
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                            TESTS
+// ═══════════════════════════════════════════════════════════════
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(chalk.green(`✅ ${name}`));
+        passed++;
+    } catch (e) {
+        console.log(chalk.red(`❌ ${name}: ${e.message}`));
+        failed++;
+    }
+}
+
+function expect(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+async function runTests() {
+    await test('1. Converts Telegram HTML to text, Markdown and mrkdwn', async () => {
+        const html = '🚨 <b>Stop</b>\n⚠️ Reason: HF < 1.05 &amp; <i>falling</i> <code>0x12</code>\n🔗 <a href="https://x.io/tx?a=1&amp;b=2">View TX</a>';
+        const text = htmlToText(html);
+        expect(text === '🚨 Stop\n⚠️ Reason: HF < 1.05 & falling 0x12\n🔗 View TX (https://x.io/tx?a=1&b=2)', `text: ${JSON.stringify(text)}`);
+        const md = htmlToMarkdown(html);
+        expect(md.includes('**Stop**') && md.includes('*falling*') && md.includes('`0x12`'), `markdown: ${md}`);
+        expect(md.includes('[View TX](https://x.io/tx?a=1&b=2)'), `markdown link: ${md}`);
+        const slack = htmlToMrkdwn(html);
+        expect(slack.includes('*Stop*') && slack.includes('_falling_'), `mrkdwn: ${slack}`);
+        expect(slack.includes('HF &lt; 1.05 &amp; '), `mrkdwn escaping: ${slack}`);
+        expect(slack.includes('<https://x.io/tx?a=1&amp;b=2|View TX>'), `mrkdwn link: ${slack}`);
+    });
+
+    await test('2. Builds events from manager logs and alerts', async () => {
+        const event = emergencyEvent();
+        expect(event.id === `${TX}:3` && event.type === 'EmergencyStop', `id ${event.id}`);
+        expect(event.severity === Severity.CRITICAL && event.category === 'risk', `${event.severity}/${event.category}`);
+        expect(event.title === 'EMERGENCY STOP', `title ${event.title}`);
+        expect(event.data.amount === '5' && event.data.transactionHash === TX, 'data not JSON-safe');
+        expect(event.url.endsWith(`/tx/${TX}`) && event.user === ALICE, 'url / user');
+
+        const closed = managerEvent('PositionClosed', { user: ALICE, finalCollateral: 1n }, { transactionHash: TX, index: 1 }, ['✅ <b>Position Closed</b>']);
+        expect(closed.severity === Severity.INFO && closed.category === 'loop', `${closed.severity}/${closed.category}`);
+
+        const alert = hfAlert();
+        expect(alert.type === 'alert' && alert.category === 'alert' && alert.severity === Severity.CRITICAL, 'alert fields');
+        expect(alert.id === hfAlert(AlertEventType.FIRED, '2').id, 'alert id depends on the chat');
+        expect(hfAlert(AlertEventType.RESOLVED).severity === Severity.INFO, 'resolved alert severity');
+    });
+
+    await test('3. Discord adapter posts an embed to the webhook', async () => {
+        const stub = await startHttpStub();
+        try {
+            const channel = new DiscordChannel({ url: `${stub.url}/discord` });
+            await channel.send(emergencyEvent());
+            const { body } = stub.requests[0];
+            const [embed] = body.embeds;
+            expect(embed.title === 'EMERGENCY STOP' && embed.color === 0xe74c3c, 'title / colour');
+            expect(embed.description.includes('**Immediate attention required!**'), embed.description);
+            expect(!embed.description.includes('EMERGENCY STOP'), 'title repeated in the body');
+            expect(embed.url.endsWith(TX) && embed.footer.text === 'EmergencyStop · critical', 'url / footer');
+        } finally {
+            await stub.close();
+        }
+    });
+
+    await test('4. Slack adapter posts blocks with mrkdwn', async () => {
+        const stub = await startHttpStub();
+        try {
+            await new SlackChannel({ url: `${stub.url}/slack` }).send(emergencyEvent());
+            const { body } = stub.requests[0];
+            expect(body.text === 'EMERGENCY STOP', 'fallback text');
+            const [header, section, context] = body.blocks;
+            expect(header.type === 'header' && header.text.text === 'EMERGENCY STOP', 'header');
+            expect(section.text.type === 'mrkdwn' && section.text.text.includes('HF &lt; 1.05 &amp; falling'), section.text.text);
+            expect(context.elements[0].text.includes('critical') && context.elements[0].text.includes(`|View transaction>`), 'context');
+        } finally {
+            await stub.close();
+        }
+    });
+
+    await test('5. Webhook adapter posts the event model, or PagerDuty events', async () => {
+        const stub = await startHttpStub();
+        try {
+            await new WebhookChannel({ url: `${stub.url}/hook`, headers: { Authorization: 'Bearer t0k' } }).send(emergencyEvent());
+            const plain = stub.requests[0];
+            expect(plain.headers.authorization === 'Bearer t0k', 'header missing');
+            expect(plain.body.severity === 'critical' && plain.body.type === 'EmergencyStop', 'fields');
+            expect(plain.body.text.includes('HF < 1.05 & falling') && plain.body.data.amount === '5', 'text / data');
+
+            const pager = new WebhookChannel({ url: `${stub.url}/pd`, routingKey: 'rk' });
+            await pager.send(hfAlert());
+            await pager.send(hfAlert(AlertEventType.RESOLVED));
+            const [trigger, resolve] = stub.requests.slice(1).map(r => r.body);
+            expect(trigger.routing_key === 'rk' && trigger.event_action === 'trigger', 'trigger');
+            expect(resolve.event_action === 'resolve' && resolve.dedup_key === trigger.dedup_key, 'resolve does not match the incident');
+            expect(trigger.payload.severity === 'critical' && trigger.payload.summary.includes('Health Factor'), trigger.payload.summary);
+        } finally {
+            await stub.close();
+        }
+    });
+
+    await test('6. Email adapter sends a multipart message over SMTP', async () => {
+        const stub = await startSmtpStub();
+        try {
+            // The stub has no TLS, so credentials need the opt-in
+            const channel = new SmtpChannel({
+                host: '127.0.0.1', port: stub.port, user: 'bot', pass: 's3cret', allowInsecureAuth: true,
+                from: 'bot@example.org', to: 'ops@example.org, risk@example.org'
+            });
+            await channel.send(emergencyEvent());
+
+            const [session] = stub.sessions;
+            const auth = session.commands.find(c => c.startsWith('AUTH PLAIN '));
+            expect(Buffer.from(auth.slice(11), 'base64').toString() === '\0bot\0s3cret', 'AUTH PLAIN credentials');
+            expect(session.commands.includes('MAIL FROM:<bot@example.org>'), 'MAIL FROM');
+            expect(session.commands.filter(c => c.startsWith('RCPT TO:')).length === 2, 'recipients');
+            expect(session.commands.at(-1) === 'QUIT', 'no QUIT');
+
+            const mail = parseMail(session.data);
+            expect(mail.subject === '[CRITICAL] EMERGENCY STOP', `subject ${mail.subject}`);
+            expect(mail.text.includes('HF < 1.05 & falling') && mail.text.includes(`/tx/${TX}`), mail.text);
+            expect(mail.html.includes('<b>Immediate attention required!</b>'), 'html part');
+
+            // 5xx is permanent, 4xx transient
+            const rejecting = await startSmtpStub({ rejectRcpt: 550 });
+            const busy = await startSmtpStub({ rejectRcpt: 451 });
+            try {
+                const options = { host: '127.0.0.1', from: 'bot@example.org', to: 'x@example.org' };
+                const permanent = await new SmtpChannel({ ...options, port: rejecting.port }).send(emergencyEvent()).catch(e => e);
+                expect(permanent instanceof Error && permanent.transient === false && permanent.message.includes('RCPT'), `550: ${permanent?.message}`);
+                const transient = await new SmtpChannel({ ...options, port: busy.port }).send(emergencyEvent()).catch(e => e);
+                expect(transient instanceof Error && transient.transient === true, `451: ${transient?.message}`);
+            } finally {
+                await rejecting.close();
+                await busy.close();
+            }
+        } finally {
+            await stub.close();
+        }
+    });
+
+    await test('7. Email credentials are not sent to a relay without STARTTLS', async () => {
+        const stub = await startSmtpStub();
+        try {
+            const options = { host: '127.0.0.1', port: stub.port, from: 'bot@example.org', to: 'ops@example.org' };
+            const refused = await new SmtpChannel({ ...options, user: 'bot', pass: 's3cret' }).send(emergencyEvent()).catch(e => e);
+            expect(refused instanceof Error && refused.transient === false && refused.message.includes('no STARTTLS'), `send: ${refused?.message ?? 'succeeded'}`);
+            expect(stub.sessions[0].commands.every(c => !c.startsWith('AUTH') && !c.startsWith('MAIL')), `sent ${stub.sessions[0].commands}`);
+
+            // Without credentials there is nothing to leak
+            await new SmtpChannel(options).send(emergencyEvent());
+            expect(stub.sessions[1].data.length > 0, 'unauthenticated send refused');
+        } finally {
+            await stub.close();
+        }
+    });
+
+    await test('8. Routes events by severity, category, type and user', async () => {
+        const pager = recordingChannel('pager');
+        const chat = recordingChannel('chat');
+        const mail = recordingChannel('mail');
+        const notifier = new Notifier({
+            channels: [pager, chat, mail],
+            routes: [
+                { channels: ['pager'], minSeverity: 'critical' },
+                { channels: ['chat'], categories: ['risk', 'alert'] },
+                { channels: ['mail'], events: ['PositionClosed'], users: [ALICE.toUpperCase().replace('0X', '0x')] }
+            ]
+        });
+
+        const closed = managerEvent('PositionClosed', { user: ALICE }, { transactionHash: TX, index: 9 }, ['✅ <b>Position Closed</b>']);
+        expect(notifier.channelsFor(emergencyEvent()).sort().join() === 'chat,pager', `emergency → ${notifier.channelsFor(emergencyEvent())}`);
+        expect(notifier.channelsFor(closed).join() === 'mail', `closed → ${notifier.channelsFor(closed)}`);
+        expect(notifier.channelsFor(hfAlert(AlertEventType.RESOLVED)).join() === 'chat', 'resolved alert');
+        expect(notifier.channelsFor(messageEvent('<b>hi</b>')).length === 0, 'message routed');
+
+        const everywhere = new Notifier({ channels: [recordingChannel('a'), recordingChannel('b')] });
+        expect(everywhere.channelsFor(messageEvent('<b>hi</b>')).join() === 'a,b', 'no routes should mean everything');
+
+        let error = null;
+        try {
+            new Notifier({ channels: [pager], routes: [{ channels: ['nope'] }] });
+        } catch (e) {
+            error = e;
+        }
+        expect(error?.message.includes('nope'), 'unknown channel accepted');
+    });
+
+    await test('9. Retries transient failures, honours Retry-After, skips duplicates', async () => {
+        const transient = Object.assign(new Error('HTTP 502'), { transient: true });
+        const limited = Object.assign(new Error('HTTP 429'), { transient: true, retryAfterMs: 2000 });
+        const permanent = Object.assign(new Error('HTTP 400'), { transient: false });
+        const flaky = recordingChannel('flaky', [transient, limited]);
+        const broken = recordingChannel('broken', [permanent]);
+        const sleeps = [];
+        const notifier = new Notifier({ channels: [flaky, broken], sleep: async ms => { sleeps.push(ms); } });
+
+        const result = await notifier.notify(emergencyEvent());
+        expect(result.sent.join() === 'flaky' && result.failed.join() === 'broken', JSON.stringify(result));
+        expect(sleeps.join() === '1000,2000', `delays ${sleeps}`);
+        const m = notifier.metrics();
+        expect(m.flaky.retries === 2 && m.flaky.sent === 1 && m.broken.failed === 1 && m.broken.retries === 0, JSON.stringify(m));
+
+        const again = await notifier.notify(emergencyEvent());
+        expect(again.duplicate && flaky.events.length === 1, 'duplicate sent');
+
+        // Real HTTP: a 503 then success
+        const stub = await startHttpStub([503]);
+        try {
+            const http = new Notifier({ channels: [new SlackChannel({ url: stub.url })], sleep: async () => {} });
+            const sent = await http.notify(emergencyEvent());
+            expect(sent.sent.join() === 'slack' && stub.requests.length === 2, `${stub.requests.length} requests`);
+        } finally {
+            await stub.close();
+        }
+    });
+
+    await test('10. Loads channels and routes from a YAML file with ${ENV} values', async () => {
+        const file = path.join(dir, 'notifiers.yaml');
+        fs.writeFileSync(file, [
+            'channels:',
+            '  ops-discord: { type: discord, url: "${TEST_DISCORD_URL}" }',
+            '  pager: { type: webhook, routingKey: "${TEST_PD_KEY}" }',
+            'routes:',
+            '  - { channels: [pager], minSeverity: critical }',
+            '  - { channels: [ops-discord], categories: [risk] }'
+        ].join('\n'));
+
+        const env = { TEST_DISCORD_URL: 'https://discord.test/hook', TEST_PD_KEY: 'rk-1' };
+        const notifier = createNotifier({ file, env });
+        const m = notifier.metrics();
+        expect(m['ops-discord'].type === 'discord' && m.pager.type === 'webhook', JSON.stringify(m));
+        expect(notifier.channels.get('ops-discord').url === 'https://discord.test/hook', 'env not interpolated');
+        expect(notifier.channelsFor(hfAlert()).join() === 'pager', 'routes not loaded');
+
+        let error = null;
+        try {
+            createNotifier({ file, env: { TEST_DISCORD_URL: 'x' } });
+        } catch (e) {
+            error = e;
+        }
+        expect(error?.message.includes('TEST_PD_KEY'), `missing variable: ${error?.message}`);
+
+        // No file: one channel per variable, filtered by NOTIFY_MIN_SEVERITY
+        const fromEnv = createNotifier({ file: null, env: { SLACK_WEBHOOK_URL: 'https://slack.test', NOTIFY_MIN_SEVERITY: 'warning' } });
+        expect(fromEnv.size === 1 && fromEnv.channelsFor(emergencyEvent()).join() === 'slack', 'env channel');
+        expect(fromEnv.channelsFor(messageEvent('<b>info</b>')).length === 0, 'min severity ignored');
+        expect(createNotifier({ file: null, env: {} }).size === 0, 'channels without configuration');
+
+        let unknown = null;
+        try {
+            createChannel('x', { type: 'pigeon' });
+        } catch (e) {
+            unknown = e;
+        }
+        expect(unknown?.message.includes('pigeon'), 'unknown type accepted');
+    });
+
+    await test('11. Telegram adapter sends the HTML unchanged', async () => {
+        const sent = [];
+        const api = { sendMessage: async (text, options) => { sent.push({ text, ...options }); return { ok: true }; } };
+        const channel = new TelegramChannel({ chatId: '42', api });
+        const event = emergencyEvent();
+        await channel.send(event);
+        expect(sent[0].text === event.html && sent[0].chatId === '42', 'message');
+
+        const refusing = new TelegramChannel({ chatId: '42', api: { sendMessage: async () => null } });
+        const error = await refusing.send(event).catch(e => e);
+        expect(error instanceof Error && error.transient === false, 'refusal not reported');
+    });
+}
+
+async function main() {
+    console.log(chalk.bold.cyan('\n╔════════════════════════════════════════════════════════════════╗'));
+    console.log(chalk.bold.cyan('║                       NOTIFIER TESTS                           ║'));
+    console.log(chalk.bold.cyan('╚════════════════════════════════════════════════════════════════╝\n'));
+
+    await runTests();
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    console.log('');
+    console.log(chalk.bold(`Passed: ${passed}  Failed: ${failed}`));
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+});
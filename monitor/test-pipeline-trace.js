@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+
+/**
+ * Pipeline Tracer Test
+ *
+ * Drives PipelineTracer over a fake Sepolia chain and RNK client (no network
+ * needed): finding the react() txs an origin tx caused, and matching each
+ * callback to its Sepolia delivery - delivered, reverted, pending, missing,
+ * other chains, and identical callbacks that must not share one delivery.
+ *
+ * Usage: node test-pipeline-trace.js
+ */
+
+import chalk from 'chalk';
+import { ethers } from 'ethers';
+import { PipelineTracer, TraceStatus, DeliveryStatus } from './pipeline-trace.js';
+import { CONTRACTS, NETWORKS } from './config.js';
+import { fakeRnk, fakeChain, loopCallback } from './test-helpers.js';
+import logger from './logger.js';
+
+logger.setLevel('CRITICAL');
+
+const OTHER_USER = '0x00000000000000000000000000000000000a11ce';
+const ORIGIN_TX = '0x' + 'ab'.repeat(32);
+const ORIGIN_BLOCK = 100;
+const T0 = 1700000000;
+const WINDOW = 10;
+
+// ═══════════════════════════════════════════════════════════════
+//                          FAKES
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Sepolia with 12s blocks from ORIGIN_BLOCK, where the origin tx was mined
+ */
+function originChain({ head = ORIGIN_BLOCK + 20 } = {}) {
+    return fakeChain({
+        head,
+        timestamp: number => T0 + (number - ORIGIN_BLOCK) * 12,
+        receipts: [{ hash: ORIGIN_TX, blockNumber: ORIGIN_BLOCK, status: 1, gasUsed: 50000n, logs: [] }]
+    });
+}
+
+function rvmTx(number, { success = true, callbacks = [], refTx = ORIGIN_TX } = {}) {
+    return {
+        number,
+        hash: ethers.toBeHex(number, 32),
+        success,
+        time: T0 + 6,
+        refTx,
+        refChainId: NETWORKS.sepolia.chainId,
+        refEventIndex: 0,
+        logRecord: null,
+        logs: callbacks.map(callback => ({ eventName: 'Callback', callback }))
+    };
+}
+
+function makeTracer(chain, txs) {
+    return new PipelineTracer({ provider: chain, rnkClient: fakeRnk(txs), rvmId: CONTRACTS.rvmId, windowBlocks: WINDOW });
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                            TESTS
+// ═══════════════════════════════════════════════════════════════
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(chalk.green(`✅ ${name}`));
+        passed++;
+    } catch (e) {
+        console.log(chalk.red(`❌ ${name}: ${e.message}`));
+        failed++;
+    }
+}
+
+function expect(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+async function runTests() {
+    await test('1. A delivered callback completes the trace, with hop latencies', async () => {
+        const chain = originChain();
+        const hash = chain.deliver(ORIGIN_BLOCK + 2);
+        const trace = await makeTracer(chain, [rvmTx(1, { callbacks: [loopCallback()] })]).traceOriginTx(ORIGIN_TX);
+
+        expect(trace.status === TraceStatus.COMPLETE && trace.reactions.length === 1, `status ${trace.status}`);
+        const { delivery } = trace.reactions[0].callbacks[0];
+        expect(delivery.status === DeliveryStatus.DELIVERED && delivery.txHash === hash && delivery.blockNumber === ORIGIN_BLOCK + 2, `delivery ${delivery.status}`);
+        expect(trace.reactions[0].rvmTx.latencySec === 6 && delivery.latencySec === 18 && trace.totalLatencySec === 24, 'latencies');
+    });
+
+    await test('2. A reverted delivery is reported with its revert reason', async () => {
+        const chain = originChain();
+        chain.deliver(ORIGIN_BLOCK + 1, { status: 0 });
+        const trace = await makeTracer(chain, [rvmTx(1, { callbacks: [loopCallback()] })]).traceOriginTx(ORIGIN_TX);
+
+        const { delivery } = trace.reactions[0].callbacks[0];
+        expect(trace.status === TraceStatus.REVERTED && delivery.status === DeliveryStatus.REVERTED, `status ${trace.status}`);
+        expect(delivery.reason === 'Position not looping', `reason ${delivery.reason}`);
+    });
+
+    await test('3. An undelivered callback is pending inside the window, missing after it', async () => {
+        const tracer = makeTracer(originChain({ head: ORIGIN_BLOCK + 5 }), []);
+        const pending = await tracer.findDelivery(loopCallback(), { fromBlock: ORIGIN_BLOCK + 1 });
+        expect(pending.status === DeliveryStatus.PENDING && pending.searchedBlocks.join() === '101,105', `inside: ${pending.status} ${pending.searchedBlocks}`);
+
+        const chain = originChain();
+        chain.deliver(ORIGIN_BLOCK + 3, { user: OTHER_USER });   // Someone else's callback
+        const missing = await makeTracer(chain, []).findDelivery(loopCallback(), { fromBlock: ORIGIN_BLOCK + 1 });
+        expect(missing.status === DeliveryStatus.MISSING && missing.searchedBlocks.join() === '101,110', `after: ${missing.status} ${missing.searchedBlocks}`);
+    });
+
+    await test('4. Identical callbacks from one origin tx never share a delivery', async () => {
+        const chain = originChain();
+        const first = chain.deliver(ORIGIN_BLOCK + 2);
+        const txs = [rvmTx(1, { callbacks: [loopCallback()] }), rvmTx(2, { callbacks: [loopCallback()] })];
+
+        const trace = await makeTracer(chain, txs).traceOriginTx(ORIGIN_TX);
+        const [a, b] = trace.reactions.map(r => r.callbacks[0].delivery);
+        expect(a.status === DeliveryStatus.DELIVERED && a.txHash === first, `first ${a.status}`);
+        expect(b.status === DeliveryStatus.MISSING && trace.status === TraceStatus.UNDELIVERED, `second ${b.status}, trace ${trace.status}`);
+
+        const second = chain.deliver(ORIGIN_BLOCK + 4, { name: 'b' });
+        const both = await makeTracer(chain, txs).traceOriginTx(ORIGIN_TX);
+        const hashes = both.reactions.map(r => r.callbacks[0].delivery.txHash);
+        expect(hashes.join() === [first, second].join() && both.status === TraceStatus.COMPLETE, `matched ${hashes}`);
+
+        const excluded = await makeTracer(chain, []).findDelivery(loopCallback(), { fromBlock: ORIGIN_BLOCK + 1, exclude: new Set([first]) });
+        expect(excluded.txHash === second, 'exclude not honoured');
+    });
+
+    await test('5. Callbacks to other chains are not traced; a failed react() fails the trace', async () => {
+        const trace = await makeTracer(originChain(), [
+            rvmTx(1, { callbacks: [loopCallback({ chainId: 1 })] }),
+            rvmTx(2, { success: false })
+        ]).traceOriginTx(ORIGIN_TX);
+        expect(trace.reactions[0].callbacks[0].delivery.status === DeliveryStatus.OTHER_CHAIN, 'other chain searched');
+        expect(trace.status === TraceStatus.RVM_FAILED, `status ${trace.status}`);
+    });
+
+    await test('6. Reactions are found by refTx; RVM tx traces start from their origin', async () => {
+        const chain = originChain();
+        chain.deliver(ORIGIN_BLOCK + 2);
+        const txs = [rvmTx(1, { refTx: ethers.id('other') }), rvmTx(2, { callbacks: [loopCallback()] }), rvmTx(3, { refTx: ethers.id('later') })];
+        const tracer = makeTracer(chain, txs);
+
+        const found = await tracer.findReactions(ORIGIN_TX, T0);
+        expect(found.map(tx => tx.number).join() === '2', `found ${found.map(tx => tx.number)}`);
+
+        const trace = await tracer.traceRvmTx(2);
+        expect(trace.origin.txHash === ORIGIN_TX && trace.status === TraceStatus.COMPLETE, `status ${trace.status}`);
+
+        const empty = await makeTracer(chain, [txs[0]]).traceOriginTx(ORIGIN_TX);
+        expect(empty.status === TraceStatus.NO_REACTION && empty.totalLatencySec === null, `no reaction: ${empty.status}`);
+    });
+}
+
+async function main() {
+    console.log(chalk.bold.cyan('\n╔════════════════════════════════════════════════════════════════╗'));
+    console.log(chalk.bold.cyan('║                    PIPELINE TRACER TESTS                       ║'));
+    console.log(chalk.bold.cyan('╚════════════════════════════════════════════════════════════════╝\n'));
+
+    await runTests();
+
+    console.log('');
+    console.log(chalk.bold(`Passed: ${passed}  Failed: ${failed}`));
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+});
@@ -0,0 +1,361 @@
+#!/usr/bin/env node
+
+/**
+ * Reserve Forecast Test
+ *
+ * Checks the burn rate (deposits left out), the per-callback and per-position
+ * split of RVM react() runs, runway projection and status, and drives
+ * ReserveForecaster over a fake Sepolia chain and RNK client (no network
+ * needed): stored samples, reconstruction from past blocks and its fallback
+ * or retry, reuse of recent RNK reads per window, and that forecasts render
+ * as valid Telegram HTML.
+ *
+ * Usage: node test-reserve-forecast.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import chalk from 'chalk';
+import { ethers } from 'ethers';
+import {
+    RunwayStatus,
+    ReserveForecaster,
+    computeBurnRate,
+    summarizeCallbacks,
+    projectRunway,
+    formatRunway,
+    formatForecastHtml
+} from './reserve-forecast.js';
+import { TxKind } from './rnk-models.js';
+import { htmlProblems, fakeChain, fakeRnk } from './test-helpers.js';
+import logger from './logger.js';
+
+logger.setLevel('CRITICAL');
+
+const PROXY = '0x0000000000000000000000000000000000c0ffee';
+const MANAGER = '0x000000000000000000000000000000000000beef';
+const RVM_ID = '0x0000000000000000000000000000000000000001';
+const ALICE = '0x00000000000000000000000000000000000a11ce';
+const BOB = '0x0000000000000000000000000000000000000b0b';
+const ETH = ethers.parseEther('1');
+const HOUR = 3600;
+const T0 = Date.UTC(2026, 9, 18, 12) / 1000;
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reserve-forecast-'));
+
+const CONFIG = {
+    sampling: true,
+    sampleIntervalMs: 1000,
+    windowHours: 24,
+    warnDays: 3,
+    criticalDays: 1,
+    minSpanSec: HOUR,
+    reconstructPoints: 4,
+    maxSamples: 100,
+    maxRvmTxs: 500,
+    cacheMs: 60000
+};
+
+// ═══════════════════════════════════════════════════════════════
+//                          FAKES
+// ═══════════════════════════════════════════════════════════════
+
+function sample(hours, reserves, rvmDebt = null) {
+    return { time: T0 + hours * HOUR, reserves, rvmDebt, source: 'live' };
+}
+
+/**
+ * Sepolia with 12s blocks ending at head (timestamp T0) and reserves() at past blocks
+ */
+function sepolia({ head = 7200, reserves = ETH, ...options } = {}) {
+    return fakeChain({ head, reserves, timestamp: block => T0 - (head - block) * 12, ...options });
+}
+
+function userTopic(user) {
+    return ethers.zeroPadValue(user, 32);
+}
+
+function reactTx(number, time, { success = true, gasUsed = 100000n, user = null, contract = MANAGER } = {}) {
+    return {
+        number,
+        time,
+        success,
+        gasUsed,
+        kind: TxKind.REACT,
+        logRecord: user ? { contract, topics: [ethers.ZeroHash, userTopic(user), ethers.ZeroHash, ethers.ZeroHash] } : null
+    };
+}
+
+let stores = 0;
+
+function makeForecaster({ chain = sepolia(), rnkClient = null, clock = { now: T0 * 1000 }, stateFile = null, config = {} } = {}) {
+    const forecaster = new ReserveForecaster({
+        provider: chain,
+        rnkClient,
+        rvmId: RVM_ID,
+        callbackProxy: PROXY,
+        manager: MANAGER,
+        config: { ...CONFIG, ...config },
+        stateFile: stateFile ?? path.join(dir, `reserves-${++stores}.json`),
+        now: () => clock.now
+    });
+    return { forecaster, chain, clock };
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                            TESTS
+// ═══════════════════════════════════════════════════════════════
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(chalk.green(`✅ ${name}`));
+        passed++;
+    } catch (e) {
+        console.log(chalk.red(`❌ ${name}: ${e.message}`));
+        failed++;
+    }
+}
+
+function expect(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+async function runTests() {
+    await test('1. Burn is the sum of drops per day, deposits left out', async () => {
+        // 0.1 → 0.09 → 0.2 (deposit) → 0.18 over 12 hours: 0.03 burned
+        const burn = computeBurnRate([
+            sample(12, ETH * 18n / 100n),
+            sample(0, ETH / 10n),
+            sample(4, ETH * 9n / 100n),
+            sample(8, ETH / 5n)
+        ], CONFIG);
+        expect(burn.burned === ETH * 3n / 100n && burn.deposited === ETH * 11n / 100n, `burned ${burn.burned}, deposited ${burn.deposited}`);
+        expect(burn.perDay === ETH * 6n / 100n && burn.spanSec === 12 * HOUR && burn.samples === 4, `per day ${burn.perDay}`);
+
+        expect(computeBurnRate([sample(0, ETH)], CONFIG) === null, 'burn rate from one sample');
+        expect(computeBurnRate([sample(0, ETH), sample(0.5, ETH / 2n)], CONFIG) === null, 'burn rate from less than minSpanSec');
+    });
+
+    await test('2. RVM debt growth only counts between samples that read it', async () => {
+        const burn = computeBurnRate([
+            sample(0, ETH, 0n),
+            sample(6, ETH, ETH / 100n),
+            sample(12, ETH),               // Historical sample - no debt read
+            sample(18, ETH, ETH),
+            sample(24, ETH, 0n)            // Debt paid
+        ], CONFIG);
+        expect(burn.debtPerDay === ETH / 100n && burn.perDay === 0n, `debt per day ${burn.debtPerDay}`);
+    });
+
+    await test('3. Callbacks are react() runs in the span, split by the manager event\'s user', async () => {
+        const txs = [
+            reactTx(1, T0 - 2 * HOUR, { user: ALICE }),                        // Before the span
+            reactTx(2, T0, { user: ALICE, gasUsed: 150000n }),
+            reactTx(3, T0 + HOUR, { user: BOB, gasUsed: 50000n }),
+            reactTx(4, T0 + HOUR, { user: ALICE, gasUsed: 100000n }),
+            reactTx(5, T0 + 2 * HOUR, { success: false, user: BOB, gasUsed: 20000n }),
+            reactTx(6, T0 + 2 * HOUR, { gasUsed: 80000n }),                    // CRON - no user
+            reactTx(7, T0 + 2 * HOUR, { user: BOB, contract: PROXY }),          // Not a manager event
+            { ...reactTx(8, T0 + HOUR), kind: TxKind.DEPLOY }
+        ];
+        const activity = summarizeCallbacks(txs, { since: T0, until: T0 + 3 * HOUR, manager: MANAGER });
+        expect(activity.callbacks === 5 && activity.failed === 1, `${activity.callbacks} callbacks, ${activity.failed} failed`);
+        expect(activity.gasUsed === 500000n && activity.gasPerCallback === 500000n / 6n, `gas ${activity.gasUsed}`);
+        expect(activity.users.length === 2 && activity.users[0].user === ethers.getAddress(ALICE) && activity.users[0].callbacks === 2, `users ${JSON.stringify(activity.users)}`);
+        expect(activity.users[1].user === ethers.getAddress(BOB) && activity.users[1].callbacks === 1, 'failed or foreign runs counted for a position');
+    });
+
+    await test('4. Runway, callbacks left and the per-position split', async () => {
+        const burn = computeBurnRate([sample(0, ETH / 5n), sample(12, ETH / 10n)], CONFIG);       // 0.2 ETH/day
+        const activity = { callbacks: 100, failed: 0, gasUsed: 0n, gasPerCallback: 0n, users: [{ user: ALICE, callbacks: 60 }, { user: BOB, callbacks: 20 }] };
+        const forecast = projectRunway({ reserves: ETH / 10n, burn, activity, now: T0 * 1000 }, CONFIG);
+
+        expect(forecast.runwayDays === 0.5 && forecast.status === RunwayStatus.CRITICAL, `runway ${forecast.runwayDays} ${forecast.status}`);
+        expect(forecast.emptyAt === new Date((T0 + 12 * HOUR) * 1000).toISOString(), `empty at ${forecast.emptyAt}`);
+        expect(forecast.perCallback === ETH / 1000n && forecast.callbacksLeft === 100 && forecast.callbacksPerDay === 200, `per callback ${forecast.perCallback}`);
+        expect(forecast.positions[0].perDay === ETH * 12n / 100n && forecast.positions[1].perDay === ETH * 4n / 100n, 'per-position burn');
+        expect(forecast.perPosition === ETH * 8n / 100n, `per position ${forecast.perPosition}`);
+
+        const status = reserves => projectRunway({ reserves, burn, now: T0 * 1000 }, CONFIG).status;
+        expect(status(ETH / 2n) === RunwayStatus.LOW && status(ETH) === RunwayStatus.HEALTHY && status(0n) === RunwayStatus.EMPTY, 'status thresholds');
+
+        const idle = projectRunway({ reserves: ETH, burn: computeBurnRate([sample(0, ETH), sample(2, ETH)], CONFIG) }, CONFIG);
+        expect(idle.runwayDays === Infinity && idle.status === RunwayStatus.HEALTHY && idle.emptyAt === null, 'no burn is not an infinite-runway healthy forecast');
+        expect(projectRunway({ reserves: ETH, burn: null }, CONFIG).status === RunwayStatus.UNKNOWN, 'no history is not unknown');
+    });
+
+    await test('5. Samples are stored, pruned to the window and shared between forecasters', async () => {
+        const clock = { now: T0 * 1000 };
+        const stateFile = path.join(dir, 'shared.json');
+        const chain = sepolia();
+        const bot = makeForecaster({ chain, clock, stateFile });
+        const cli = makeForecaster({ chain, clock, stateFile });
+
+        await bot.forecaster.sample();
+        clock.now += 2 * HOUR * 1000;
+        chain.reserves = ETH * 9n / 10n;
+        await cli.forecaster.forecast(null, { record: true });
+
+        const samples = bot.forecaster.samples();
+        expect(samples.length === 2 && samples[1].reserves === ETH * 9n / 10n && samples[1].rvmDebt === null, `bot sees ${samples.length} samples`);
+
+        clock.now += 23 * HOUR * 1000;
+        await bot.forecaster.sample();
+        expect(cli.forecaster.samples().length === 2, 'sample outside the window kept');
+    });
+
+    await test('6. Too little history is reconstructed from reserves() at past blocks', async () => {
+        // Reserves fall 0.01 ETH per 300 blocks (1 hour)
+        const chain = sepolia({ reserves: ETH / 2n, reservesAt: block => ETH - ETH / 100n * BigInt(Math.floor(block / 300)) });
+        const { forecaster } = makeForecaster({ chain });
+        const forecast = await forecaster.forecast();
+
+        expect(chain.pastReads === 4, `${chain.pastReads} past reads`);
+        const history = forecaster.samples().filter(s => s.source === 'history');
+        expect(history.length === 4 && history[0].time === T0 - 24 * HOUR, `history ${history.map(s => s.time - T0)}`);
+        expect(forecast.burn && forecast.burn.samples === 5 && forecast.runwayDays > 0, 'no burn rate from history');
+
+        // The reconstructed samples are reused
+        await forecaster.forecast();
+        expect(chain.pastReads === 4, 'history read again');
+    });
+
+    await test('7. Without an archive RPC the forecast is unknown and history isn\'t retried', async () => {
+        const chain = sepolia({ archive: false });
+        const { forecaster } = makeForecaster({ chain });
+        const forecast = await forecaster.forecast();
+        await forecaster.forecast();
+        expect(forecast.status === RunwayStatus.UNKNOWN && forecast.burn === null && forecast.reserves === ETH, `status ${forecast.status}`);
+        expect(chain.pastReads === 1, `${chain.pastReads} past reads`);
+    });
+
+    await test('8. The RVM\'s react() runs are paged back to the start of the burn span', async () => {
+        const txs = [];
+        for (let i = 0; i < 120; i++) txs.push(reactTx(i + 1, T0 - 48 * HOUR + i * HOUR, { user: i % 2 ? ALICE : BOB }));
+        const rnk = fakeRnk(txs);
+        const clock = { now: (T0 + 72 * HOUR) * 1000 };
+        const { forecaster, chain } = makeForecaster({ rnkClient: rnk, clock });
+
+        // 12 hours of samples: 0.12 ETH burned over the 12 react() runs in that span
+        for (let h = 12; h >= 1; h--) {
+            clock.now = (T0 + 72 * HOUR - h * HOUR) * 1000;
+            chain.reserves = ETH / 10n + ETH / 100n * BigInt(h);
+            await forecaster.sample();
+        }
+        clock.now = (T0 + 72 * HOUR) * 1000;
+        chain.reserves = ETH / 10n;
+        const forecast = await forecaster.forecast();
+
+        expect(rnk.pages === 1, `${rnk.pages} pages read`);
+        expect(forecast.activity.callbacks === 12 && forecast.perCallback === ETH / 100n && forecast.callbacksLeft === 10, `per callback ${forecast.perCallback} over ${forecast.activity.callbacks}`);
+        expect(forecast.positions.length === 2 && forecast.runwayDays === 0.416, `runway ${forecast.runwayDays}`);
+    });
+
+    await test('9. Repeated forecasts reuse the RVM tx split and don\'t re-read history within cacheMs', async () => {
+        // 10 blocks of history: reconstruction works but spans too little for a burn rate
+        const chain = sepolia({ head: 10 });
+        const rnk = fakeRnk([reactTx(1, T0 - HOUR), reactTx(2, T0 - 1)]);
+        const { forecaster, clock } = makeForecaster({ chain, rnkClient: rnk });
+
+        const first = await forecaster.forecast();
+        await forecaster.forecast();
+        expect(first.burn === null && chain.pastReads === 1, `${chain.pastReads} past reads`);
+        expect(rnk.pages === 1 && first.activity.callbacks === 2, `${rnk.pages} pages read`);
+
+        clock.now += CONFIG.cacheMs;
+        await forecaster.forecast();
+        expect(chain.pastReads === 2 && rnk.pages === 2, `after cacheMs: ${chain.pastReads} past reads, ${rnk.pages} pages`);
+
+        // A failing RNK is not retried on every call either
+        const down = {
+            pages: 0,
+            async getHeadNumber() {
+                down.pages++;
+                throw new Error('fetch failed');
+            }
+        };
+        const offline = makeForecaster({ rnkClient: down }).forecaster;
+        const forecast = await offline.forecast();
+        await offline.forecast();
+        expect(forecast.activity === null && down.pages === 1, `${down.pages} RNK reads`);
+    });
+
+    await test('10. A failed history read is retried after cacheMs unless the RPC has no such state', async () => {
+        const reservesAt = block => ETH - ETH / 100n * BigInt(Math.floor(block / 300));
+        const timeout = Object.assign(new Error('request timeout'), { code: 'TIMEOUT' });
+        const { forecaster, chain, clock } = makeForecaster({ chain: sepolia({ reserves: ETH / 2n, reservesAt, pastErrors: [timeout] }) });
+
+        const first = await forecaster.forecast();
+        await forecaster.forecast();
+        expect(first.burn === null && !forecaster.historyUnavailable && chain.pastReads === 1, `${chain.pastReads} past reads`);
+
+        clock.now += CONFIG.cacheMs;
+        const retried = await forecaster.forecast();
+        expect(chain.pastReads === 5 && retried.burn !== null, `after cacheMs: ${chain.pastReads} past reads`);
+
+        // ethers puts the node's answer under error.error
+        const pruned = Object.assign(new Error('could not coalesce error'), { code: 'UNKNOWN_ERROR', error: { code: -32000, message: 'header not found' } });
+        const archiveless = makeForecaster({ chain: sepolia({ pastErrors: [pruned] }) });
+        await archiveless.forecaster.forecast();
+        archiveless.clock.now += CONFIG.cacheMs;
+        await archiveless.forecaster.forecast();
+        expect(archiveless.forecaster.historyUnavailable && archiveless.chain.pastReads === 1, `${archiveless.chain.pastReads} past reads`);
+    });
+
+    await test('11. Cached RVM activity is only reused for the same window', async () => {
+        const rnk = fakeRnk([reactTx(1, T0 - 30 * HOUR), reactTx(2, T0 - 2 * HOUR), reactTx(3, T0 - 1)]);
+        const { forecaster, clock } = makeForecaster({ rnkClient: rnk });
+
+        const recent = await forecaster.recentCallbackActivity(T0 - 3 * HOUR, T0);
+        clock.now += 30000;
+        const slid = await forecaster.recentCallbackActivity(T0 - 3 * HOUR + 30, T0 + 30);
+        expect(recent.callbacks === 2 && slid === recent && rnk.pages === 1, `${rnk.pages} pages read`);
+
+        const day = await forecaster.recentCallbackActivity(T0 - 48 * HOUR, T0 + 30);
+        expect(day.callbacks === 3 && rnk.pages === 2, `${day.callbacks} callbacks from ${rnk.pages} pages`);
+    });
+
+    await test('12. Forecasts render as valid HTML; runways read naturally', async () => {
+        const burn = computeBurnRate([sample(0, ETH / 5n, 0n), sample(12, ETH / 10n, ETH / 100n)], CONFIG);
+        const activity = { callbacks: 10, failed: 0, gasUsed: 1000000n, gasPerCallback: 100000n, users: [{ user: ALICE, callbacks: 10 }] };
+        const forecasts = [
+            projectRunway({ reserves: ETH / 10n, burn, activity }, CONFIG),
+            projectRunway({ reserves: ETH, burn, activity: null }, CONFIG),
+            projectRunway({ reserves: ETH, burn: null, activity }, CONFIG),
+            projectRunway({ reserves: 0n, burn: null }, CONFIG)
+        ];
+        for (const forecast of forecasts) {
+            const html = formatForecastHtml(forecast);
+            const problems = htmlProblems(html);
+            expect(problems.length === 0, `${forecast.status}: ${problems.join(', ')}`);
+        }
+        const full = formatForecastHtml(forecasts[0]);
+        expect(full.includes('Per callback') && full.includes('Per position') && full.includes('REACT/day'), 'burn rate lines missing');
+        expect(formatForecastHtml(forecasts[2]).includes('Not enough history'), 'unknown runway not explained');
+
+        expect(formatRunway(8.25) === '8.3 days' && formatRunway(0.5) === '12.0 hours', `${formatRunway(8.25)} / ${formatRunway(0.5)}`);
+        expect(formatRunway(400) === '> 1 year' && formatRunway(Infinity) === 'no burn' && formatRunway(null) === 'unknown', 'edge runways');
+    });
+}
+
+async function main() {
+    console.log(chalk.bold.cyan('\n╔════════════════════════════════════════════════════════════════╗'));
+    console.log(chalk.bold.cyan('║                   RESERVE FORECAST TESTS                       ║'));
+    console.log(chalk.bold.cyan('╚════════════════════════════════════════════════════════════════╝\n'));
+
+    await runTests();
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    console.log('');
+    console.log(chalk.bold(`Passed: ${passed}  Failed: ${failed}`));
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+});
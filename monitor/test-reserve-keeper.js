@@ -0,0 +1,275 @@
+#!/usr/bin/env node
+
+/**
+ * Reserve Keeper Test
+ *
+ * Drives ReserveKeeper over fake Sepolia and Lasna chains and wallets (no
+ * network needed) to check when it tops up and how much, the daily caps,
+ * cooldowns, dry runs, failures, the audit log, and that every action renders
+ * as valid Telegram HTML and a notifier event.
+ *
+ * Usage: node test-reserve-keeper.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import chalk from 'chalk';
+import { ethers } from 'ethers';
+import {
+    KeeperTarget,
+    KeeperAction,
+    ReserveKeeper,
+    readReserves,
+    planTopUps,
+    formatKeeperActionHtml
+} from './reserve-keeper.js';
+import { keeperEvent, Severity } from './notifier/index.js';
+import { getInterface } from './abi-registry.js';
+import { htmlProblems, fakeChain } from './test-helpers.js';
+import logger from './logger.js';
+
+logger.setLevel('CRITICAL');
+
+const PROXY = '0x0000000000000000000000000000000000c0ffee';
+const SYSTEM = '0x0000000000000000000000000000000000fffFfF';
+const FUNDER = '0x00000000000000000000000000000000000f0dd0';
+const RVM_ID = '0x0000000000000000000000000000000000000001';
+const ETH = ethers.parseEther('1');
+const DAY = 24 * 60 * 60 * 1000;
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reserve-keeper-'));
+
+const ifaces = { proxy: getInterface('callbackProxy'), system: getInterface('system'), funder: getInterface('funder') };
+
+const CONFIG = {
+    floor: ETH / 20n,           // 0.05
+    target: ETH / 10n,          // 0.1
+    method: 'proxy',
+    payDebt: true,
+    dailyCap: ETH * 3n / 20n,   // 0.15
+    debtDailyCap: ETH,
+    dryRun: false,
+    pollIntervalMs: 1000,
+    cooldownMs: 60 * 1000,
+    receiptTimeoutMs: 1000
+};
+
+// ═══════════════════════════════════════════════════════════════
+//                           SETUP
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * The contract call a sent transaction made
+ */
+function decodeSent(tx, iface) {
+    const parsed = iface.parseTransaction({ data: tx.data, value: tx.value });
+    return { to: tx.to, name: parsed.name, args: [...parsed.args], value: tx.value };
+}
+
+let stores = 0;
+
+function makeKeeper({ sepolia = fakeChain(), lasna = fakeChain(), config = {}, signers = true, ...options } = {}) {
+    const clock = { now: Date.UTC(2026, 9, 18, 12) };
+    const seen = [];
+    const n = ++stores;
+    const keeper = new ReserveKeeper({
+        provider: sepolia,
+        lasnaProvider: lasna,
+        signer: signers ? sepolia.signer : null,
+        lasnaSigner: signers ? lasna.signer : null,
+        rvmId: RVM_ID,
+        callbackProxy: PROXY,
+        systemContract: SYSTEM,
+        funder: FUNDER,
+        config: { ...CONFIG, ...config },
+        onAction: action => seen.push(action),
+        stateFile: path.join(dir, `keeper-${n}.json`),
+        auditFile: path.join(dir, `audit-${n}.jsonl`),
+        now: () => clock.now,
+        ...options
+    });
+    return { keeper, seen, clock, sepolia, lasna };
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                            TESTS
+// ═══════════════════════════════════════════════════════════════
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(chalk.green(`✅ ${name}`));
+        passed++;
+    } catch (e) {
+        console.log(chalk.red(`❌ ${name}: ${e.message}`));
+        failed++;
+    }
+}
+
+function expect(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+async function runTests() {
+    await test('1. Reserves below the floor are planned back to the target, RVM debt in full', async () => {
+        const plans = planTopUps({ reserves: ETH / 50n, rvmDebt: ETH / 200n }, CONFIG);
+        expect(plans.length === 2, `${plans.length} plans`);
+        expect(plans[0].target === KeeperTarget.RESERVES && plans[0].amount === ETH / 10n - ETH / 50n, `reserves top-up ${plans[0].amount}`);
+        expect(plans[1].network === 'lasna' && plans[1].method === 'system' && plans[1].amount === ETH / 200n, 'debt not planned on Lasna');
+
+        expect(planTopUps({ reserves: ETH / 20n, rvmDebt: 0n }, CONFIG).length === 0, 'topped up reserves at the floor');
+        expect(planTopUps({ reserves: ETH, rvmDebt: 1n }, { ...CONFIG, payDebt: false }).length === 0, 'paid debt with KEEPER_PAY_DEBT=false');
+    });
+
+    await test('2. A missing debt record reads as no debt; an unreachable Lasna is an error', async () => {
+        const sepolia = fakeChain({ reserves: ETH / 4n });
+        const state = await readReserves({ provider: sepolia, lasnaProvider: fakeChain(), rvmId: RVM_ID, callbackProxy: PROXY, systemContract: SYSTEM });
+        expect(state.reserves === ETH / 4n && state.rvmDebt === 0n, `read ${state.reserves} / ${state.rvmDebt}`);
+
+        const lasna = fakeChain();
+        lasna.call = async () => {
+            throw Object.assign(new Error('request timeout'), { code: 'TIMEOUT' });
+        };
+        const { keeper, seen } = makeKeeper({ sepolia: fakeChain({ reserves: 0n }), lasna });
+        const error = await keeper.check().then(() => null, e => e);
+        expect(error?.code === 'TIMEOUT' && seen.length === 0, `check ${error ? error.message : 'succeeded'} with ${seen.length} actions`);
+    });
+
+    await test('3. Low reserves are topped up with depositTo(rvmId), spent and audited', async () => {
+        const { keeper, seen, sepolia } = makeKeeper({ sepolia: fakeChain({ reserves: ETH / 50n }) });
+        const { actions } = await keeper.check();
+
+        expect(actions.length === 1 && actions[0].type === KeeperAction.TOP_UP && actions[0].blockNumber === sepolia.head, `actions ${JSON.stringify(actions.map(a => a.type))}`);
+        const call = decodeSent(sepolia.sent[0], ifaces.proxy);
+        expect(call.to === PROXY && call.name === 'depositTo' && call.args[0].toLowerCase() === RVM_ID, `sent ${call.name} to ${call.to}`);
+        expect(call.value === ETH * 8n / 100n, `sent ${call.value} wei`);
+        expect(keeper.spentToday('sepolia') === ETH * 8n / 100n && seen.length === 1, 'spending not recorded');
+
+        const audit = keeper.audit.tail();
+        expect(audit.length === 1 && audit[0].txHash === ethers.id('tx-1') && audit[0].amount === (ETH * 8n / 100n).toString(), 'audit entry missing');
+
+        const funder = makeKeeper({ sepolia: fakeChain({ reserves: 0n }), config: { method: 'funder' } });
+        await funder.keeper.check();
+        const funded = decodeSent(funder.sepolia.sent[0], ifaces.funder);
+        expect(funded.to === FUNDER && funded.name === 'fund' && funded.value === ETH / 10n, `funder method sent ${funded.name} to ${funded.to}`);
+    });
+
+    await test('4. The daily cap shortens a top-up, then is reported once until the next day', async () => {
+        const { keeper, seen, clock, sepolia } = makeKeeper({ sepolia: fakeChain({ reserves: 0n }) });
+        await keeper.check();                       // 0.1 of 0.15
+        clock.now += CONFIG.cooldownMs;
+        await keeper.check();                       // 0.05 left
+        expect(seen[1].type === KeeperAction.TOP_UP && seen[1].amount === ETH / 20n && seen[1].requested === ETH / 10n, `second top-up ${seen[1].amount}`);
+        expect(seen[1].spentToday === CONFIG.dailyCap, `spent ${seen[1].spentToday}`);
+
+        clock.now += CONFIG.cooldownMs;
+        await keeper.check();
+        clock.now += CONFIG.cooldownMs;
+        await keeper.check();
+        expect(seen.slice(2).map(a => a.type).join() === KeeperAction.CAPPED, `then ${seen.slice(2).map(a => a.type)}`);
+        expect(sepolia.sent.length === 2, `${sepolia.sent.length} transactions sent`);
+
+        clock.now += DAY;
+        await keeper.check();
+        expect(seen.at(-1).type === KeeperAction.TOP_UP && keeper.spentToday('sepolia') === ETH / 10n, 'cap not reset the next day');
+    });
+
+    await test('5. No second top-up of the same kind within the cooldown', async () => {
+        const { keeper, clock, sepolia } = makeKeeper({ sepolia: fakeChain({ reserves: 0n }) });
+        await keeper.check();
+        clock.now += CONFIG.cooldownMs - 1;
+        expect((await keeper.check()).actions.length === 0, 'topped up during the cooldown');
+        clock.now += 1;
+        await keeper.check();
+        expect(sepolia.sent.length === 2, `${sepolia.sent.length} transactions sent`);
+    });
+
+    await test('6. A dry run reports and audits the top-up but sends and spends nothing', async () => {
+        const { keeper, seen, sepolia } = makeKeeper({ sepolia: fakeChain({ reserves: 0n }), dryRun: true });
+        await keeper.check();
+        expect(seen[0]?.type === KeeperAction.DRY_RUN && seen[0].amount === ETH / 10n, `action ${seen[0]?.type}`);
+        expect(sepolia.sent.length === 0 && keeper.spentToday('sepolia') === 0n, 'dry run sent or spent');
+        expect(keeper.audit.tail()[0].type === KeeperAction.DRY_RUN, 'dry run not audited');
+    });
+
+    await test('7. Failures: no wallet, a wallet too poor, a reverted top-up', async () => {
+        const noWallet = makeKeeper({ sepolia: fakeChain({ reserves: 0n }), signers: false });
+        await noWallet.keeper.check();
+        expect(noWallet.seen[0].type === KeeperAction.FAILED && noWallet.seen[0].error.includes('KEEPER_PRIVATE_KEY'), `no wallet: ${noWallet.seen[0].error}`);
+
+        const poor = makeKeeper({ sepolia: fakeChain({ reserves: 0n, balance: ETH / 100n }) });
+        await poor.keeper.check();
+        expect(poor.seen[0].type === KeeperAction.FAILED && poor.sepolia.sent.length === 0, 'sent from a wallet that cannot pay');
+        expect(poor.seen[0].error.includes('0.01 ETH'), `error ${poor.seen[0].error}`);
+        expect((await poor.keeper.check()).actions.length === 0, 'failure reported again within the cooldown');
+
+        const reverted = makeKeeper({ sepolia: fakeChain({ reserves: 0n, status: 0 }) });
+        await reverted.keeper.check();
+        const action = reverted.seen[0];
+        expect(action.type === KeeperAction.FAILED && action.txHash === ethers.id('tx-1'), `reverted: ${action.type} ${action.txHash}`);
+        // The value may be gone even if the receipt says otherwise - it counts
+        expect(reverted.keeper.spentToday('sepolia') === ETH / 10n, 'sent top-up not counted against the cap');
+    });
+
+    await test('8. RVM debt is paid on Lasna against its own cap', async () => {
+        const { keeper, seen, lasna, sepolia } = makeKeeper({ sepolia: fakeChain({ reserves: ETH }), lasna: fakeChain({ debt: ETH / 200n }) });
+        await keeper.check();
+        const call = decodeSent(lasna.sent[0], ifaces.system);
+        expect(call.to === SYSTEM && call.name === 'depositTo' && call.value === ETH / 200n, `sent ${call.name} to ${call.to}`);
+        expect(seen[0].target === KeeperTarget.RVM_DEBT && sepolia.sent.length === 0, 'paid on the wrong chain');
+        expect(keeper.spentToday('lasna') === ETH / 200n && keeper.spentToday('sepolia') === 0n, 'spent on the wrong cap');
+    });
+
+    await test('9. Every action renders as valid HTML and a JSON-safe notifier event', async () => {
+        const { keeper, seen } = makeKeeper({ sepolia: fakeChain({ reserves: 0n }), lasna: fakeChain({ debt: ETH / 200n }) });
+        await keeper.check();
+        const base = { ...seen[0], error: 'execution reverted: <Insufficient> & more' };
+        const actions = [
+            ...seen,
+            { ...base, type: KeeperAction.DRY_RUN, txHash: null, blockNumber: null, error: null },
+            { ...base, type: KeeperAction.CAPPED, amount: 0n, txHash: null, blockNumber: null, error: null },
+            { ...base, type: KeeperAction.FAILED }
+        ];
+        const expected = { topUp: Severity.INFO, dryRun: Severity.INFO, capped: Severity.WARNING, failed: Severity.CRITICAL };
+
+        for (const action of actions) {
+            const html = formatKeeperActionHtml(action);
+            const problems = htmlProblems(html);
+            expect(problems.length === 0, `${action.type} ${action.target}: ${problems.join(', ')}`);
+
+            const event = keeperEvent(action, html);
+            expect(event.severity === expected[action.type] && event.category === 'infra', `${action.type} severity ${event.severity}`);
+            expect(typeof JSON.parse(JSON.stringify(event.data)).amount === 'string', 'amount not JSON-safe');
+        }
+        expect(formatKeeperActionHtml(seen[1]).includes('REACT'), 'debt payment not in REACT');
+
+        let error = null;
+        try {
+            makeKeeper({ config: { method: 'bridge' } });
+        } catch (e) {
+            error = e;
+        }
+        expect(error?.message.includes('KEEPER_METHOD'), 'unknown method accepted');
+    });
+}
+
+async function main() {
+    console.log(chalk.bold.cyan('\n╔════════════════════════════════════════════════════════════════╗'));
+    console.log(chalk.bold.cyan('║                    RESERVE KEEPER TESTS                        ║'));
+    console.log(chalk.bold.cyan('╚════════════════════════════════════════════════════════════════╝\n'));
+
+    await runTests();
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    console.log('');
+    console.log(chalk.bold(`Passed: ${passed}  Failed: ${failed}`));
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+});
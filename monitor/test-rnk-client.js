@@ -0,0 +1,431 @@
+#!/usr/bin/env node
+
+/**
+ * RnkClient Resilience Test
+ *
+ * Runs RnkClient against a local mock JSON-RPC server (no network needed) to
+ * check timeouts, retries, endpoint failover, batching, response decoding,
+ * resuming the transaction watcher from a persisted cursor and how it retries,
+ * then skips, transactions whose handler fails.
+ *
+ * Usage: node test-rnk-client.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import chalk from 'chalk';
+import { ethers } from 'ethers';
+import RnkClient from './rnk-client.js';
+import { TxStatus, TxKind } from './rnk-models.js';
+import { TOPICS } from './config.js';
+import { getInterface } from './abi-registry.js';
+import { TxCursor } from './state-store.js';
+import logger from './logger.js';
+
+logger.setLevel('CRITICAL');
+
+const RVM_ID = '0x3a949910627c3D424d0871EFa2A34214293A5E25';
+
+// Fast settings so failures don't slow the test down
+const FAST = { timeoutMs: 200, maxRetries: 3, backoffMs: 10, maxBackoffMs: 20, unhealthyCooldownMs: 60000 };
+
+// ═══════════════════════════════════════════════════════════════
+//                       MOCK JSON-RPC SERVER
+// ═══════════════════════════════════════════════════════════════
+
+// Per-path behaviour: each request to /<name> shifts the next scripted
+// response off routes[name] (the last one repeats). Requests are recorded.
+let routes = {};
+let requests = [];
+
+// When set, the RVM has this many transactions and rnk_getTransactions
+// serves them according to its from/limit params
+let ledgerHead = null;
+
+const MANAGER = '0x188c7b7dC3EEbCA58371abC8D62cB62bEE201d47';
+const USER = '0xDDe9D31a31d6763612C7f535f51E5dC9f830682e';
+const ORIGIN_TX = '0x' + 'ab'.repeat(32);
+const word = (value) => ethers.zeroPadValue(value, 32);
+
+// react() call for a PositionUpdated log, as the RVM records it
+const REACT_DATA = getInterface('reactive').encodeFunctionData('react', [{
+    chain_id: 11155111,
+    _contract: MANAGER,
+    topic_0: TOPICS.PositionUpdated,
+    topic_1: word(USER),
+    topic_2: 0,
+    topic_3: 0,
+    data: '0x1234',
+    block_number: 7000000,
+    op_code: 2,
+    block_hash: '0x' + 'cd'.repeat(32),
+    tx_hash: ORIGIN_TX,
+    log_index: 5
+}]);
+
+// Callback event requesting executeLoopStep on the manager
+const CALLBACK_LOG = {
+    address: '0xE58eA8c7eC0E47D195f720f34b3187F59eb27894',
+    topics: [TOPICS.Callback, word('0xaa36a7'), word(MANAGER), word('0x0f4240')],
+    data: ethers.AbiCoder.defaultAbiCoder().encode(
+        ['bytes'],
+        [getInterface('manager').encodeFunctionData('executeLoopStep', [ethers.ZeroAddress, USER])]
+    )
+};
+
+const RESULTS = {
+    rnk_getVm: { rvmId: RVM_ID, contracts: 2, lastTxNumber: '0x2a' },
+    rnk_getHeadNumber: '0x2a',
+    rnk_getSubscribers: [{ chainId: 11155111 }, { chainId: 11155111 }],
+    rnk_getTransactions: [{
+        hash: '0x' + '11'.repeat(32), number: '0x2a', status: 1, time: 1700000000,
+        from: RVM_ID, to: RVM_ID, limit: '0x7a120', used: '0x1d4c0', createContract: false,
+        refChainId: 11155111, refTx: ORIGIN_TX, refEventIndex: 5, data: REACT_DATA
+    }],
+    rnk_getTransactionLogs: [CALLBACK_LOG]
+};
+
+function ledgerTx(number) {
+    return {
+        hash: ethers.toBeHex(number, 32), number: ethers.toQuantity(number), status: 1, time: 1700000000 + number,
+        from: RVM_ID, to: RVM_ID, limit: '0x7a120', used: '0x5208', createContract: false, data: '0x'
+    };
+}
+
+function answer(call) {
+    if (ledgerHead !== null && call.method === 'rnk_getHeadNumber') {
+        return { jsonrpc: '2.0', id: call.id, result: ethers.toQuantity(ledgerHead) };
+    }
+    if (ledgerHead !== null && call.method === 'rnk_getTransactions') {
+        const from = Number(call.params[1]);
+        const to = Math.min(ledgerHead, from + Number(call.params[2]) - 1);
+        const txs = [];
+        for (let n = from; n <= to; n++) txs.push(ledgerTx(n));
+        return { jsonrpc: '2.0', id: call.id, result: txs };
+    }
+    if (!(call.method in RESULTS)) {
+        return { jsonrpc: '2.0', id: call.id, error: { code: -32601, message: 'method not found' } };
+    }
+    return { jsonrpc: '2.0', id: call.id, result: RESULTS[call.method] };
+}
+
+const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', async () => {
+        const name = req.url.slice(1);
+        const body = JSON.parse(raw);
+        requests.push({ name, body });
+
+        const script = routes[name] || ['ok'];
+        const step = script.length > 1 ? script.shift() : script[0];
+
+        if (step === 'hang') {
+            await new Promise(r => setTimeout(r, FAST.timeoutMs * 3));
+        }
+        if (step === 503 || step === 429 || step === 400) {
+            res.writeHead(step);
+            return res.end();
+        }
+        if (step === 'rpc-error') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            return res.end(JSON.stringify({ jsonrpc: '2.0', id: body.id, error: { code: -32000, message: 'header not found' } }));
+        }
+        if (step === 'no-batch' && Array.isArray(body)) {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            return res.end(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32600, message: 'batch not supported' } }));
+        }
+
+        const reply = Array.isArray(body) ? body.map(answer) : answer(body);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(reply));
+    });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//                            TESTS
+// ═══════════════════════════════════════════════════════════════
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    routes = {};
+    requests = [];
+    ledgerHead = null;
+    try {
+        await fn();
+        console.log(chalk.green(`✅ ${name}`));
+        passed++;
+    } catch (e) {
+        console.log(chalk.red(`❌ ${name}: ${e.message}`));
+        failed++;
+    }
+}
+
+function expect(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+async function waitFor(condition, timeoutMs = 2000) {
+    const started = Date.now();
+    while (!condition()) {
+        if (Date.now() - started > timeoutMs) throw new Error('timed out waiting');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+async function runTests(base) {
+    const url = (name) => `${base}/${name}`;
+
+    await test('1. Plain call returns the result', async () => {
+        const client = new RnkClient(url('a'), FAST);
+        const head = await client.getHeadNumber(RVM_ID);
+        expect(head === 42, `got ${head}`);
+        expect(requests.length === 1, `expected 1 request, got ${requests.length}`);
+    });
+
+    await test('2. HTTP 503 and 429 are retried', async () => {
+        routes.a = [503, 429, 'ok'];
+        const client = new RnkClient(url('a'), FAST);
+        const head = await client.getHeadNumber(RVM_ID);
+        expect(head === 42, `got ${head}`);
+        expect(requests.length === 3, `expected 3 requests, got ${requests.length}`);
+    });
+
+    await test('3. JSON-RPC server errors are retried', async () => {
+        routes.a = ['rpc-error', 'ok'];
+        const client = new RnkClient(url('a'), FAST);
+        await client.getHeadNumber(RVM_ID);
+        expect(requests.length === 2, `expected 2 requests, got ${requests.length}`);
+    });
+
+    await test('4. Method-not-found is not retried', async () => {
+        const client = new RnkClient(url('a'), FAST);
+        let error;
+        await client.call('rnk_doesNotExist').catch(e => { error = e; });
+        expect(error && error.code === -32601, 'expected -32601 error');
+        expect(requests.length === 1, `expected 1 request, got ${requests.length}`);
+    });
+
+    await test('5. Hung requests time out and are retried', async () => {
+        routes.a = ['hang', 'ok'];
+        const client = new RnkClient(url('a'), FAST);
+        const started = Date.now();
+        const head = await client.getHeadNumber(RVM_ID);
+        expect(head === 42, `got ${head}`);
+        expect(Date.now() - started < FAST.timeoutMs * 3, 'did not time out');
+    });
+
+    await test('6. Gives up after maxRetries', async () => {
+        routes.a = [503];
+        const client = new RnkClient(url('a'), FAST);
+        let error;
+        await client.getHeadNumber(RVM_ID).catch(e => { error = e; });
+        expect(error, 'expected an error');
+        expect(requests.length === FAST.maxRetries + 1, `expected ${FAST.maxRetries + 1} requests, got ${requests.length}`);
+    });
+
+    await test('7. Fails over to the next URL and tracks health', async () => {
+        routes.primary = [503];
+        const client = new RnkClient([url('primary'), url('backup')], FAST);
+
+        await client.getHeadNumber(RVM_ID);
+        expect(requests.map(r => r.name).join() === 'primary,backup', `went to ${requests.map(r => r.name)}`);
+
+        const [primary, backup] = client.getEndpointHealth();
+        expect(!primary.healthy && primary.failures === 1, 'primary should be unhealthy');
+        expect(backup.healthy && backup.latencyMs !== null, 'backup should be healthy');
+
+        // Unhealthy primary is skipped until its cooldown ends
+        requests = [];
+        await client.getHeadNumber(RVM_ID);
+        expect(requests.map(r => r.name).join() === 'backup', `went to ${requests.map(r => r.name)}`);
+    });
+
+    await test('8. Unreachable endpoints are retried, bugs in the request path are not', async () => {
+        const closed = http.createServer();
+        await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+        const deadUrl = `http://127.0.0.1:${closed.address().port}`;
+        await new Promise(resolve => closed.close(resolve));
+
+        const client = new RnkClient([deadUrl, url('a')], FAST);
+        expect(await client.getHeadNumber(RVM_ID) === 42, 'connection refused not failed over');
+
+        const buggy = new RnkClient(url('a'), FAST);
+        let posts = 0;
+        buggy.post = async () => {
+            posts++;
+            return undefined.data;
+        };
+        let error;
+        await buggy.getHeadNumber(RVM_ID).catch(e => { error = e; });
+        expect(error instanceof TypeError && posts === 1, `TypeError retried (${posts} posts)`);
+    });
+
+    await test('9. getActivitySummary uses a single batch request', async () => {
+        const client = new RnkClient(url('a'), FAST);
+        const summary = await client.getActivitySummary(RVM_ID);
+        expect(requests.length === 1 && Array.isArray(requests[0].body), 'expected one batch request');
+        expect(requests[0].body.length === 3, `batch had ${requests[0].body.length} calls`);
+        expect(summary.active && summary.lastTxNumber === 42 && summary.subscriptions === 2, JSON.stringify(summary));
+    });
+
+    await test('10. Batch falls back to single calls when unsupported', async () => {
+        routes.a = ['no-batch'];
+        const client = new RnkClient(url('a'), FAST);
+        const summary = await client.getActivitySummary(RVM_ID);
+        expect(requests.length === 4, `expected 1 batch + 3 calls, got ${requests.length}`);
+        expect(summary.lastTxNumber === 42, JSON.stringify(summary));
+    });
+
+    await test('11. Failed batch entries are reported per call', async () => {
+        const client = new RnkClient(url('a'), FAST);
+        const [ok, bad] = await client.batch([
+            { method: 'rnk_getHeadNumber', params: [RVM_ID] },
+            { method: 'rnk_doesNotExist' }
+        ]);
+        expect(ok.status === 'fulfilled' && ok.value === '0x2a', JSON.stringify(ok));
+        expect(bad.status === 'rejected' && bad.reason.code === -32601, 'expected rejected entry');
+    });
+
+    await test('12. RVM transactions are normalized and react() decoded', async () => {
+        const client = new RnkClient(url('a'), FAST);
+        const tx = await client.getTransaction(RVM_ID, 42);
+        expect(requests[0].body.params[1] === '0x2a', `sent ${requests[0].body.params[1]}`);
+        expect(tx.number === 42 && tx.status === TxStatus.SUCCESS && tx.kind === TxKind.REACT, 'bad tx fields');
+        expect(tx.gasUsed === 120000n && tx.timestamp.getTime() === 1700000000000, 'bad gas/time');
+
+        const record = tx.logRecord;
+        expect(record && record.chainId === 11155111 && record.contract === MANAGER, 'bad LogRecord origin');
+        expect(record.eventName === 'PositionUpdated' && record.txHash === ORIGIN_TX, 'bad LogRecord event');
+        expect(record.topics[1] === word(USER).toLowerCase() && record.logIndex === 5, 'bad LogRecord topics');
+    });
+
+    await test('13. Callback logs are decoded', async () => {
+        const client = new RnkClient(url('a'), FAST);
+        const [log] = await client.getTransactionLogs(RVM_ID, 42);
+        expect(log.eventName === 'Callback' && log.callback, 'not recognized as Callback');
+        expect(log.callback.chainId === 11155111 && log.callback.contract === MANAGER, 'bad destination');
+        expect(log.callback.gasLimit === 1000000n && log.callback.functionName === 'executeLoopStep', 'bad payload');
+    });
+
+    await test('14. Large transaction gaps are paged through completely', async () => {
+        ledgerHead = 120;
+        const client = new RnkClient(url('a'), FAST);
+        const seen = [];
+        for await (const txs of client.iterateTransactions(RVM_ID, 1, 120, 50)) {
+            seen.push(...txs.map(tx => tx.number));
+        }
+        expect(requests.length === 3, `expected 3 pages, got ${requests.length}`);
+        expect(seen.length === 120 && seen[0] === 1 && seen[119] === 120, `saw ${seen.length} txs`);
+    });
+
+    const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rnk-cursor-'));
+    try {
+        await test('15. First watch starts at the head and saves the cursor', async () => {
+            ledgerHead = 30;
+            const client = new RnkClient(url('a'), FAST);
+            const cursor = new TxCursor('test', RVM_ID, stateDir);
+            const seen = [];
+            const stop = await client.watchTransactions(RVM_ID, tx => seen.push(tx.number), 60000, { cursor });
+            stop();
+            expect(seen.length === 0, `replayed ${seen.length} old txs`);
+            expect(new TxCursor('test', RVM_ID, stateDir).get() === 30, 'cursor not saved at head');
+        });
+
+        await test('16. Watch resumes from the saved cursor across restarts', async () => {
+            ledgerHead = 175;
+            const client = new RnkClient(url('a'), FAST);
+            const seen = [];
+            const stop = await client.watchTransactions(RVM_ID, tx => seen.push(tx.number), 60000, {
+                cursor: new TxCursor('test', RVM_ID, stateDir)
+            });
+            stop();
+            expect(seen.length === 145 && seen[0] === 31 && seen[144] === 175, `saw ${seen[0]}..${seen[seen.length - 1]}`);
+            expect(new TxCursor('test', RVM_ID, stateDir).get() === 175, 'cursor not advanced');
+        });
+
+        await test('17. A failing handler leaves the cursor on the last processed tx', async () => {
+            ledgerHead = 190;
+            const client = new RnkClient(url('a'), FAST);
+            const cursor = new TxCursor('test', RVM_ID, stateDir);
+            const stop = await client.watchTransactions(RVM_ID, (tx) => {
+                if (tx.number === 180) throw new Error('handler failed');
+            }, 60000, { cursor });
+            stop();
+            expect(cursor.get() === 179, `cursor at ${cursor.get()}`);
+        });
+
+        await test('18. fromTx backfills regardless of the cursor', async () => {
+            ledgerHead = 12;
+            const client = new RnkClient(url('a'), FAST);
+            const seen = [];
+            const stop = await client.watchTransactions(RVM_ID, tx => seen.push(tx.number), 60000, {
+                cursor: new TxCursor('test', RVM_ID, stateDir),
+                fromTx: 10
+            });
+            stop();
+            expect(seen.join() === '10,11,12', `saw ${seen}`);
+        });
+
+        await test('19. A tx whose handler failed is retried on the next poll', async () => {
+            ledgerHead = 5;
+            const client = new RnkClient(url('a'), FAST);
+            const cursor = new TxCursor('retry', RVM_ID, stateDir);
+            cursor.set(2);
+            const seen = [];
+            const stop = await client.watchTransactions(RVM_ID, (tx) => {
+                seen.push(tx.number);
+                if (tx.number === 4 && seen.filter(n => n === 4).length < 3) throw new Error('RNK down');
+            }, 20, { cursor });
+            await waitFor(() => cursor.get() === 5);
+            stop();
+            expect(seen.join() === '3,4,4,4,5', `handled ${seen}`);
+        });
+
+        await test('20. A tx that keeps failing is skipped after maxHandlerAttempts', async () => {
+            ledgerHead = 5;
+            const client = new RnkClient(url('a'), FAST);
+            const cursor = new TxCursor('skip', RVM_ID, stateDir);
+            cursor.set(2);
+            const seen = [];
+            const stop = await client.watchTransactions(RVM_ID, (tx) => {
+                seen.push(tx.number);
+                if (tx.number === 4) throw new Error('always fails');
+            }, 20, { cursor, maxHandlerAttempts: 3 });
+            await waitFor(() => cursor.get() === 5);
+            stop();
+            expect(seen.join() === '3,4,4,4,5', `handled ${seen}`);
+        });
+    } finally {
+        fs.rmSync(stateDir, { recursive: true, force: true });
+    }
+}
+
+async function main() {
+    console.log(chalk.bold.cyan('\n╔════════════════════════════════════════════════════════════════╗'));
+    console.log(chalk.bold.cyan('║                 RNK CLIENT RESILIENCE TESTS                    ║'));
+    console.log(chalk.bold.cyan('╚════════════════════════════════════════════════════════════════╝\n'));
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    try {
+        await runTests(`http://127.0.0.1:${port}`);
+    } finally {
+        server.close();
+        server.closeAllConnections();
+    }
+
+    console.log('');
+    console.log(chalk.bold(`Passed: ${passed}  Failed: ${failed}`));
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+});
@@ -17,6 +17,7 @@ import chalk from 'chalk';
 import dotenv from 'dotenv';
 import { sendTelegramMessage, Notifications, TELEGRAM_CHAT_ID } from './telegram-bot.js';
 import { NETWORKS, CONTRACTS } from './config.js';
+import { connectManager, connectCallbackProxy } from './abi-registry.js';
 
 dotenv.config();
 
@@ -40,8 +41,6 @@ async function test(name, fn) {
         console.log(chalk.red(`❌ ${name}: ${e.message}`));
         failed++;
     }
-    // Small delay between messages to avoid rate limiting
-    await new Promise(r => setTimeout(r, 300));
 }
 
 async function runComprehensiveTests() {
@@ -262,6 +261,8 @@ async function runComprehensiveTests() {
     await test('20. MEV Protection Triggered', async () => {
         return sendTelegramMessage(Notifications.mevProtectionTriggered(
             '0x3a949910627c3D424d0871EFa2A34214293A5E25',
+            ethers.id('expected-salt'),
+            ethers.id('provided-salt'),
             '0xmev123...'
         ));
     });
@@ -438,8 +439,7 @@ async function runComprehensiveTests() {
             const managerCode = await sepoliaProvider.getCode(CONTRACTS.manager);
             status.manager.deployed = managerCode !== '0x';
             
-            const proxyAbi = ['function reserves(address) view returns (uint256)'];
-            const proxy = new ethers.Contract(CONTRACTS.callbackProxy, proxyAbi, sepoliaProvider);
+            const proxy = connectCallbackProxy(CONTRACTS.callbackProxy, sepoliaProvider);
             const reserves = await proxy.reserves(CONTRACTS.rvmId);
             status.reserves.amount = ethers.formatEther(reserves);
             status.reserves.ok = reserves > 0n;
@@ -529,10 +529,7 @@ async function runComprehensiveTests() {
 
     await test('44. Fetch live position', async () => {
         try {
-            const manager = new ethers.Contract(CONTRACTS.manager, [
-                'function getPosition(address user) view returns (tuple(address collateralAsset, address borrowAsset, uint256 initialCollateral, uint256 targetLeverage, uint256 currentLeverage, uint256 maxIterations, uint256 currentIteration, uint256 minHealthFactor, uint256 slippageTolerance, uint8 state, uint256 lastUpdateBlock, bool useFlashLoan, bool sameAssetLoop))',
-                'function getHealthFactor(address user) view returns (uint256)'
-            ], sepoliaProvider);
+            const manager = connectManager(CONTRACTS.manager, sepoliaProvider);
 
             const userAddr = CONTRACTS.rvmId;
             const pos = await manager.getPosition(userAddr);
@@ -0,0 +1,291 @@
+#!/usr/bin/env node
+
+/**
+ * Telegram Transport Test
+ *
+ * Checks retries (5xx, 429 retry_after, network errors), the per-chat and
+ * global rate limits, and HTML message splitting, using a fake fetch and a
+ * fake clock (no network needed, no real waiting).
+ *
+ * Usage: node test-telegram-transport.js
+ */
+
+import chalk from 'chalk';
+import { TelegramTransport } from './bot/transport.js';
+import { TelegramApi } from './bot/telegram-api.js';
+import { splitHtml } from './bot/format.js';
+import logger from './logger.js';
+
+logger.setLevel('CRITICAL');
+
+// ═══════════════════════════════════════════════════════════════
+//                      FAKE TELEGRAM + CLOCK
+// ═══════════════════════════════════════════════════════════════
+
+const reply = (status, data) => ({ status, json: async () => data });
+const OK = () => reply(200, { ok: true, result: { message_id: 1 } });
+
+/**
+ * Transport whose fetch answers from `script(method, body, attempt)` and
+ * whose clock only moves when clock.run() wakes the earliest sleeper
+ */
+function makeTransport(script = OK, options = {}) {
+    const timers = [];
+    const clock = {
+        now: 0,
+        sleeps: [],
+        // Wait for `promise`, firing timers in order whenever nothing else can run
+        async run(promise) {
+            let done = false;
+            const result = promise.finally(() => { done = true; });
+            result.catch(() => {}); // Rejections reach the caller through the return
+            while (!done) {
+                await new Promise(resolve => setImmediate(resolve));
+                const next = timers.sort((a, b) => a.at - b.at).shift();
+                if (next) {
+                    clock.now = Math.max(clock.now, next.at);
+                    next.resolve();
+                }
+            }
+            return result;
+        }
+    };
+    const calls = [];
+    const transport = new TelegramTransport({
+        token: 'test-token',
+        now: () => clock.now,
+        sleep: (ms) => {
+            clock.sleeps.push(ms);
+            return new Promise(resolve => timers.push({ at: clock.now + ms, resolve }));
+        },
+        fetch: async (url, init) => {
+            const method = url.split('/').pop();
+            const body = JSON.parse(init.body);
+            calls.push({ method, body, at: clock.now });
+            return script(method, body, calls.length);
+        },
+        ...options
+    });
+    return { transport, calls, clock };
+}
+
+/**
+ * Balanced if every closing tag matches the last opened one
+ */
+function balanced(html) {
+    const stack = [];
+    for (const [, closing, name] of html.matchAll(/<(\/?)([\w-]+)[^>]*>/g)) {
+        if (!closing) stack.push(name);
+        else if (stack.pop() !== name) return false;
+    }
+    return stack.length === 0;
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                            TESTS
+// ═══════════════════════════════════════════════════════════════
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(chalk.green(`✅ ${name}`));
+        passed++;
+    } catch (e) {
+        console.log(chalk.red(`❌ ${name}: ${e.message}`));
+        failed++;
+    }
+}
+
+function expect(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+async function runTests() {
+    await test('1. Retries 5xx answers with exponential backoff', async () => {
+        const { transport, calls, clock } = makeTransport((method, body, n) =>
+            n < 3 ? reply(502, { ok: false, description: 'Bad Gateway' }) : OK());
+
+        const answer = await clock.run(transport.request('getMe'));
+        expect(answer.ok, 'no success after retries');
+        expect(calls.length === 3, `${calls.length} attempts`);
+        expect(clock.sleeps.join() === '1000,2000', `backoff ${clock.sleeps}`);
+        const m = transport.metrics();
+        expect(m.retries === 2 && m.sent === 1 && m.failed === 0, JSON.stringify(m));
+    });
+
+    await test('2. Waits out retry_after on 429 before retrying the chat', async () => {
+        const { transport, calls, clock } = makeTransport((method, body, n) =>
+            n === 1 ? reply(429, { ok: false, description: 'Too Many Requests', parameters: { retry_after: 7 } }) : OK());
+
+        const [first, second] = await clock.run(Promise.all([
+            transport.request('sendMessage', { chat_id: 5, text: 'a' }),
+            transport.request('sendMessage', { chat_id: 5, text: 'b' })
+        ]));
+        expect(first.ok && second.ok, 'not delivered');
+        expect(calls.map(c => c.body.text).join() === 'a,a,b', `order ${calls.map(c => c.body.text)}`);
+        expect(calls[1].at === 7000, `retried at ${calls[1].at}`);
+        expect(calls[2].at >= 7000 + 1000, `next message at ${calls[2].at}`);
+        expect(transport.metrics().rateLimited === 1, '429 not counted');
+    });
+
+    await test('3. Returns other 4xx answers without retrying', async () => {
+        const { transport, calls, clock } = makeTransport(() =>
+            reply(400, { ok: false, description: "Bad Request: can't parse entities" }));
+
+        const answer = await transport.request('sendMessage', { chat_id: 5, text: '<b>' });
+        expect(answer.ok === false && calls.length === 1, `${calls.length} attempts`);
+        const m = transport.metrics();
+        expect(m.failed === 1 && m.retries === 0, JSON.stringify(m));
+        expect(m.lastError.includes("can't parse entities"), m.lastError);
+
+        const api = new TelegramApi({ token: 'test-token', transport });
+        const original = console.error;
+        console.error = () => {};
+        try {
+            expect(await clock.run(api.sendMessage('<b>', { chatId: 5 })) === null, 'API did not return null');
+        } finally {
+            console.error = original;
+        }
+    });
+
+    await test('4. Gives up on network errors after maxRetries', async () => {
+        const { transport, calls, clock } = makeTransport(() => { throw new Error('ECONNRESET'); }, { maxRetries: 2 });
+
+        let error = null;
+        try {
+            await clock.run(transport.request('sendMessage', { chat_id: 5, text: 'x' }));
+        } catch (e) {
+            error = e;
+        }
+        expect(error?.message === 'ECONNRESET', 'error not passed on');
+        expect(calls.length === 3, `${calls.length} attempts`);
+        const m = transport.metrics();
+        expect(m.failed === 1 && m.retries === 2 && m.queued === 0, JSON.stringify(m));
+
+        // The queue keeps working after a failure
+        const { transport: t2, calls: c2, clock: clock2 } = makeTransport((method, body, n) => {
+            if (n === 1) throw new Error('ECONNRESET');
+            return OK();
+        }, { maxRetries: 0 });
+        await clock2.run(t2.request('sendMessage', { chat_id: 5, text: 'x' })).catch(() => {});
+        expect((await clock2.run(t2.request('sendMessage', { chat_id: 5, text: 'y' }))).ok, 'queue stuck');
+        expect(c2.length === 2, `${c2.length} calls`);
+    });
+
+    await test('5. Spaces messages per chat, keeps their order, groups slower', async () => {
+        const { transport, calls, clock } = makeTransport();
+
+        await clock.run(Promise.all([
+            transport.request('sendMessage', { chat_id: 1, text: '1a' }),
+            transport.request('sendMessage', { chat_id: 1, text: '1b' }),
+            transport.request('sendMessage', { chat_id: 1, text: '1c' }),
+            transport.request('sendMessage', { chat_id: 2, text: '2a' }),
+            transport.request('sendMessage', { chat_id: -100, text: 'ga' }),
+            transport.request('sendMessage', { chat_id: -100, text: 'gb' })
+        ]));
+
+        const at = Object.fromEntries(calls.map(c => [c.body.text, c.at]));
+        const chat1 = calls.filter(c => c.body.chat_id === 1).map(c => c.body.text);
+        expect(chat1.join() === '1a,1b,1c', `order ${chat1}`);
+        expect(at['1b'] - at['1a'] >= 1000 && at['1c'] - at['1b'] >= 1000, `chat spacing ${at['1a']},${at['1b']},${at['1c']}`);
+        expect(at['2a'] < at['1b'], 'other chats held up');
+        expect(at.gb - at.ga >= 3000, `group spacing ${at.gb - at.ga}`);
+        expect(transport.metrics().maxQueued === 6, `maxQueued ${transport.metrics().maxQueued}`);
+    });
+
+    await test('6. Keeps to the global per-second limit', async () => {
+        const { transport, calls, clock } = makeTransport(OK, { globalPerSecond: 3 });
+
+        await clock.run(Promise.all([1, 2, 3, 4, 5].map(chatId =>
+            transport.request('sendMessage', { chat_id: chatId, text: 'x' }))));
+
+        const times = calls.map(c => c.at).sort((a, b) => a - b);
+        expect(times.slice(0, 3).every(t => t === 0), `first second ${times}`);
+        expect(times[3] >= 1000 && times[4] >= 1000, `overflow ${times}`);
+    });
+
+    await test('7. splitHtml keeps parts under the limit with balanced tags', async () => {
+        const short = '<b>short</b> &amp; sweet';
+        expect(splitHtml(short, 100).length === 1 && splitHtml(short, 100)[0] === short, 'short message changed');
+
+        const rows = Array.from({ length: 120 }, (_, i) =>
+            `<b>Row ${i}</b> <a href="https://example.org/${i}">link &amp; more</a> text`);
+        const html = `<i>${rows.join('\n')}</i>`;
+        const parts = splitHtml(html, 400);
+        expect(parts.length > 1, 'not split');
+        expect(parts.every(p => p.length <= 400), 'part over the limit');
+        expect(parts.every(balanced), 'unbalanced tags');
+        expect(parts.every(p => p.startsWith('<i>')), 'open tag not carried over');
+        expect(parts.every(p => !/&[#\w]*$/.test(p.replace(/<[^>]*>/g, ''))), 'entity cut');
+        const text = parts.map(p => p.replace(/<[^>]*>/g, '')).join('\n');
+        expect(text === html.replace(/<[^>]*>/g, ''), 'text lost at the cuts');
+
+        // A single line longer than the limit is cut at spaces
+        const line = 'word '.repeat(300).trim();
+        const pieces = splitHtml(`<code>${line}</code>`, 200);
+        expect(pieces.every(p => p.length <= 200 && balanced(p)), 'long line parts');
+        expect(pieces.map(p => p.replace(/<[^>]*>/g, '')).join('') === line, 'long line text lost');
+    });
+
+    await test('8. Long messages go out in order, buttons on the last part', async () => {
+        const { transport, calls, clock } = makeTransport(OK, { maxMessageLength: 300 });
+        const api = new TelegramApi({ token: 'test-token', defaultChatId: 9, transport });
+        const buttons = [[{ text: 'OK', callback_data: 'x' }]];
+        const text = Array.from({ length: 40 }, (_, i) => `line ${i} <b>bold</b>`).join('\n');
+
+        await clock.run(Promise.all([
+            api.sendMessage(text, { buttons, reply_to_message_id: 42 }),
+            api.sendMessage('after')
+        ]));
+
+        const texts = calls.map(c => c.body.text);
+        expect(calls.length > 2 && texts.at(-1) === 'after', `order ${texts.length}`);
+        const parts = calls.slice(0, -1);
+        expect(parts.every(c => c.body.text.length <= 300), 'part over the limit');
+        expect(parts.filter(c => c.body.reply_markup).length === 1 && parts.at(-1).body.reply_markup, 'buttons placement');
+        expect(parts[0].body.reply_to_message_id === 42 && !parts[1].body.reply_to_message_id, 'reply placement');
+
+        await clock.run(api.editMessage(1, text));
+        expect(calls.at(-1).body.text.length <= 300, 'edit not truncated');
+        expect(api.metrics().splitMessages === 1, `splitMessages ${api.metrics().splitMessages}`);
+    });
+
+    await test('9. getUpdates is not held behind a chat queue', async () => {
+        let release;
+        const pending = new Promise(resolve => { release = resolve; });
+        const { transport } = makeTransport(async (method) => {
+            if (method === 'sendMessage') await pending;
+            return reply(200, { ok: true, result: [] });
+        });
+        const api = new TelegramApi({ token: 'test-token', transport });
+
+        const send = api.sendMessage('slow', { chatId: 3 });
+        const updates = await api.getUpdates(0, 0);
+        expect(Array.isArray(updates), 'getUpdates blocked');
+        expect(transport.metrics().queued === 1, `queued ${transport.metrics().queued}`);
+
+        release();
+        await send;
+        expect(transport.metrics().queued === 0, 'queue not drained');
+    });
+}
+
+async function main() {
+    console.log(chalk.bold.cyan('\n╔════════════════════════════════════════════════════════════════╗'));
+    console.log(chalk.bold.cyan('║                  TELEGRAM TRANSPORT TESTS                      ║'));
+    console.log(chalk.bold.cyan('╚════════════════════════════════════════════════════════════════╝\n'));
+
+    await runTests();
+
+    console.log('');
+    console.log(chalk.bold(`Passed: ${passed}  Failed: ${failed}`));
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+});
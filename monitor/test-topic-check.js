@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+/**
+ * Topic Check Test
+ *
+ * Runs the offline halves of topic-check.js against temporary copies of
+ * IAutoLooper.sol and temporary Foundry artifacts (no network needed): the
+ * Solidity event parser, a renamed or re-typed event in the interface, and
+ * bundled ABIs that drift from the compiled artifacts.
+ *
+ * Usage: node test-topic-check.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+import chalk from 'chalk';
+import { parseSolidityEvents, checkInterfaceSource, checkArtifacts, INTERFACE_SOURCE } from './topic-check.js';
+import { BUNDLED_ABIS } from './abi-registry.js';
+import { TOPICS } from './config.js';
+import logger from './logger.js';
+
+logger.setLevel('CRITICAL');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'topics-'));
+const SOURCE = fs.readFileSync(INTERFACE_SOURCE, 'utf8');
+const CLOSED = 'event PositionClosed(address indexed user, uint256 finalCollateral);';
+
+let files = 0;
+
+function interfaceCopy(source) {
+    const file = path.join(dir, `IAutoLooper-${++files}.sol`);
+    fs.writeFileSync(file, source);
+    return file;
+}
+
+// A Foundry out/ dir with one artifact per entry, ABIs in the compiled JSON form
+function artifactsDir(artifacts) {
+    const outDir = path.join(dir, `out-${++files}`);
+    for (const [file, abi] of Object.entries(artifacts)) {
+        fs.mkdirSync(path.join(outDir, path.dirname(file)), { recursive: true });
+        const json = JSON.parse(new ethers.Interface(abi).formatJson());
+        fs.writeFileSync(path.join(outDir, file), JSON.stringify({ abi: json }));
+    }
+    return outDir;
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                            TESTS
+// ═══════════════════════════════════════════════════════════════
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(chalk.green(`✅ ${name}`));
+        passed++;
+    } catch (e) {
+        console.log(chalk.red(`❌ ${name}: ${e.message}`));
+        failed++;
+    }
+}
+
+function expect(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+function runTests() {
+    test('1. The parser skips comments and canonicalizes enums, uint and int', () => {
+        const events = parseSolidityEvents(`
+            enum Mode { Off, On }
+            // event Commented(address user);
+            /* event Blocked(
+                uint256 amount); */
+            event Switched(address indexed user, Mode mode, uint amount);
+            event Moved(int delta, bytes32 id);
+        `);
+        expect(events.length === 2, `parsed ${events.map(e => e.name)}`);
+        expect(events[0].signature === 'Switched(address,uint8,uint256)', events[0].signature);
+        expect(events[1].signature === 'Moved(int256,bytes32)', events[1].signature);
+        expect(events[1].topic === ethers.id('Moved(int256,bytes32)'), 'topic is not the signature hash');
+    });
+
+    test('2. TOPICS agree with the real IAutoLooper.sol', () => {
+        expect(SOURCE.includes(CLOSED), 'fixture line not found in IAutoLooper.sol');
+        const declared = parseSolidityEvents(SOURCE);
+        expect(declared.length > 10 && declared.every(e => TOPICS[e.name] === e.topic), 'parsed events differ from TOPICS');
+
+        const { problems, warnings } = checkInterfaceSource();
+        expect(problems.length === 0 && warnings.length === 0, `problems: ${problems}`);
+    });
+
+    test('3. A renamed event in the interface fails the check', () => {
+        const file = interfaceCopy(SOURCE.replace(CLOSED, 'event PositionShut(address indexed user, uint256 finalCollateral);'));
+        const { problems } = checkInterfaceSource(file);
+        expect(problems.length === 1, `problems: ${problems}`);
+        expect(problems[0] === 'IAutoLooper.sol declares PositionShut(address,uint256) but TOPICS has no such event', problems[0]);
+    });
+
+    test('4. A re-typed event in the interface fails the check', () => {
+        const file = interfaceCopy(SOURCE.replace(CLOSED, 'event PositionClosed(address indexed user, uint128 finalCollateral);'));
+        const { problems } = checkInterfaceSource(file);
+        expect(problems.length === 1, `problems: ${problems}`);
+        expect(problems[0].startsWith('PositionClosed: TOPICS signature differs') && problems[0].includes('(PositionClosed(address,uint128))'), problems[0]);
+
+        const missing = checkInterfaceSource(path.join(dir, 'nope.sol'));
+        expect(missing.problems.length === 0 && missing.warnings[0].startsWith('Interface source not found'), 'missing source not a warning');
+    });
+
+    test('5. Artifacts built from the bundled ABIs pass; a drifted artifact fails', () => {
+        const good = checkArtifacts(artifactsDir({
+            'IAutoLooper.sol/IAutoLooper.json': BUNDLED_ABIS.manager,
+            'Funder.sol/Funder.json': BUNDLED_ABIS.funder
+        }));
+        expect(good.problems.length === 0, `problems: ${good.problems}`);
+        expect(good.warnings.some(w => w === 'Artifact not found: AutoLooperReactive.sol/AutoLooperReactive.json'), `warnings: ${good.warnings}`);
+
+        const drifted = BUNDLED_ABIS.manager.map(f => f.startsWith('event PositionClosed(')
+            ? 'event PositionClosed(address indexed user, uint128 finalCollateral)'
+            : f);
+        const { problems } = checkArtifacts(artifactsDir({
+            'IAutoLooper.sol/IAutoLooper.json': [...drifted, 'event Paused(address account)']
+        }));
+        expect(problems.length === 2, `problems: ${problems}`);
+        expect(problems.some(p => p.startsWith('PositionClosed: topic in IAutoLooper.sol/IAutoLooper.json') && p.includes('the bundled ABI has')), `problems: ${problems}`);
+        expect(problems.some(p => p === 'Paused is in IAutoLooper.sol/IAutoLooper.json but not in the bundled ABI'), `problems: ${problems}`);
+    });
+
+    test('6. A missing out/ dir is a warning, not a problem', () => {
+        const { problems, warnings } = checkArtifacts(path.join(dir, 'out-missing'));
+        expect(problems.length === 0 && warnings[0].startsWith('No Foundry artifacts in'), `warnings: ${warnings}`);
+    });
+}
+
+function main() {
+    console.log(chalk.bold.cyan('\n╔════════════════════════════════════════════════════════════════╗'));
+    console.log(chalk.bold.cyan('║                      TOPIC CHECK TESTS                         ║'));
+    console.log(chalk.bold.cyan('╚════════════════════════════════════════════════════════════════╝\n'));
+
+    runTests();
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    console.log('');
+    console.log(chalk.bold(`Passed: ${passed}  Failed: ${failed}`));
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
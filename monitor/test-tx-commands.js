@@ -0,0 +1,258 @@
+#!/usr/bin/env node
+
+/**
+ * Transaction Command Test
+ *
+ * Drives TxCommander over a mock manager (no network, nothing is sent) to
+ * check the allowlist, argument parsing, simulation before sending, the
+ * confirmation step and the /open approval check.
+ *
+ * Usage: node test-tx-commands.js
+ */
+
+import chalk from 'chalk';
+import { ethers } from 'ethers';
+import { TxCommander } from './tx-commands.js';
+import { DEPOSIT_ASSETS } from './config.js';
+
+const MANAGER_ADDRESS = '0x000000000000000000000000000000000000a11c';
+const WALLET = '0x000000000000000000000000000000000000b0b0';
+
+// ═══════════════════════════════════════════════════════════════
+//                        MOCK MANAGER
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Records eth_calls and sends; `reverts` maps a method to its revert reason
+ */
+class MockManager {
+    constructor() {
+        this.calls = [];
+        this.sent = [];
+        this.reverts = {};
+    }
+
+    connect() {
+        return this;
+    }
+
+    getFunction(method) {
+        const fail = () => {
+            if (this.reverts[method]) throw Object.assign(new Error('execution reverted'), { reason: this.reverts[method] });
+        };
+        const send = async (...params) => {
+            fail();
+            this.sent.push({ method, params });
+            return { hash: ethers.id(`${method}-${this.sent.length}`) };
+        };
+        send.staticCall = async (...params) => {
+            this.calls.push({ method, params });
+            fail();
+        };
+        send.estimateGas = async () => 50000n;
+        return send;
+    }
+
+    async getAddress() {
+        return MANAGER_ADDRESS;
+    }
+
+    async loopFee() {
+        return ethers.parseEther('0.001');
+    }
+
+    async flashLoanFee() {
+        return ethers.parseEther('0.002');
+    }
+}
+
+/**
+ * ERC20 with a fixed balance and allowance for the bot wallet
+ */
+class MockToken extends MockManager {
+    constructor(address) {
+        super();
+        this.address = address;
+        this.balance = 0n;
+        this.approved = 0n;
+    }
+
+    async balanceOf() {
+        return this.balance;
+    }
+
+    async allowance() {
+        return this.approved;
+    }
+}
+
+function setup(options = {}) {
+    const manager = new MockManager();
+    const tokens = {};
+    const token = address => (tokens[address] ??= new MockToken(address));
+    let time = 0;
+    const commander = new TxCommander({
+        manager,
+        signer: { getAddress: async () => WALLET },
+        allowedChats: ['100'],
+        ttlMs: 60000,
+        connectToken: token,
+        now: () => time,
+        ...options
+    });
+    return { manager, token, commander, advance: (ms) => { time += ms; } };
+}
+
+const OPEN_PARAMS = {
+    collateral: 'WETH',
+    borrow: 'USDC',
+    amount: '0.01',
+    leverage: 2.5,
+    maxIterations: 10,
+    useFlashLoan: true,
+    mevProtection: false,
+    checkProfitability: false
+};
+
+// ═══════════════════════════════════════════════════════════════
+//                            TESTS
+// ═══════════════════════════════════════════════════════════════
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(chalk.green(`✅ ${name}`));
+        passed++;
+    } catch (e) {
+        console.log(chalk.red(`❌ ${name}: ${e.message}`));
+        failed++;
+    }
+}
+
+function expect(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+async function rejects(promise, pattern) {
+    try {
+        await promise;
+    } catch (e) {
+        expect(pattern.test(e.message), `unexpected error: ${e.message}`);
+        return;
+    }
+    throw new Error(`did not throw ${pattern}`);
+}
+
+async function runTests() {
+    await test('1. Without a signer or outside the allowlist nothing is simulated', async () => {
+        const { manager, commander } = setup({ signer: null });
+        await rejects(commander.prepare(100, 'unwind'), /disabled/);
+
+        const allowed = setup();
+        await rejects(allowed.commander.prepare(200, 'unwind'), /not allowed/);
+        expect(manager.calls.length === 0 && allowed.manager.calls.length === 0, 'simulated anyway');
+    });
+
+    await test('2. prepare() simulates, confirm() re-simulates and sends once', async () => {
+        const { manager, commander } = setup();
+        const prepared = await commander.prepare(100, 'unwind');
+        expect(prepared.gasEstimate === 50000n && manager.sent.length === 0, 'sent before confirmation');
+
+        const { tx } = await commander.confirm(100, prepared.id);
+        expect(tx.hash && manager.sent.map(s => s.method).join() === 'requestUnwind', JSON.stringify(manager.sent));
+        expect(manager.calls.length === 2, `${manager.calls.length} simulations`);
+        await rejects(commander.confirm(100, prepared.id), /already handled/);
+    });
+
+    await test('3. A reverting simulation is reported and not held for confirmation', async () => {
+        const { manager, commander } = setup();
+        manager.reverts.closePosition = 'Position has debt - use unwind';
+        await rejects(commander.prepare(100, 'close'), /Simulation failed: Position has debt/);
+        expect(commander.pending.size === 0, 'failed action kept');
+    });
+
+    await test('4. A position that changed before confirmation is not sent', async () => {
+        const { manager, commander } = setup();
+        const prepared = await commander.prepare(100, 'unwind');
+        manager.reverts.requestUnwind = 'Already unwinding';
+        await rejects(commander.confirm(100, prepared.id), /Already unwinding/);
+        expect(manager.sent.length === 0, 'sent anyway');
+    });
+
+    await test('5. Confirmations expire and only work from the chat that prepared them', async () => {
+        const { commander, advance } = setup({ allowedChats: ['100', '101'] });
+        const fromOther = await commander.prepare(100, 'emergency');
+        await rejects(commander.confirm(101, fromOther.id), /Unknown or already handled/);
+        expect(!commander.cancel(101, fromOther.id) && commander.cancel(100, fromOther.id), 'cancel crossed chats');
+
+        const late = await commander.prepare(100, 'emergency');
+        advance(60001);
+        await rejects(commander.confirm(100, late.id), /expired/);
+    });
+
+    await test('6. /settp prices are parsed to 18 decimals and validated', async () => {
+        const { manager, commander } = setup();
+        const prepared = await commander.prepare(100, 'settp', ['4000', 'off']);
+        expect(prepared.params[0] === ethers.parseEther('4000') && prepared.params[1] === 0n, String(prepared.params));
+        expect(prepared.description === 'Take-profit $4000.0, stop-loss off.', prepared.description);
+        expect(manager.calls[0].method === 'setTakeProfit', manager.calls[0].method);
+
+        await rejects(commander.prepare(100, 'settp', ['2000', '2500']), /above stop-loss/);
+        await rejects(commander.prepare(100, 'settp', ['abc', '1']), /Invalid take-profit/);
+        await rejects(commander.prepare(100, 'settp', ['1000']), /Missing stop-loss/);
+    });
+
+    await test('7. /open approves the collateral first when the allowance is short', async () => {
+        const { manager, token, commander } = setup();
+        const weth = token(DEPOSIT_ASSETS.WETH.address);
+        weth.balance = ethers.parseEther('1');
+
+        const approval = await commander.prepare(100, 'open', [OPEN_PARAMS]);
+        expect(approval.method === 'approve' && approval.followUp, JSON.stringify(approval.method));
+        expect(approval.params[0] === MANAGER_ADDRESS && approval.params[1] === ethers.parseEther('0.01'), String(approval.params));
+
+        await commander.confirm(100, approval.id);
+        expect(weth.sent.length === 1 && manager.sent.length === 0, 'approval sent to the wrong contract');
+        expect(approval.args[0] === OPEN_PARAMS, 'args not kept for the follow-up');
+
+        weth.balance = 0n;
+        await rejects(commander.prepare(100, 'open', [OPEN_PARAMS]), /holds 0\.0 WETH/);
+    });
+
+    await test('8. /open deposits with the fee once approved', async () => {
+        const { manager, token, commander } = setup();
+        const weth = token(DEPOSIT_ASSETS.WETH.address);
+        weth.balance = weth.approved = ethers.parseEther('0.01');
+
+        const deposit = await commander.prepare(100, 'open', [OPEN_PARAMS]);
+        expect(deposit.method === 'deposit' && !deposit.followUp, deposit.method);
+        expect(deposit.value === ethers.parseEther('0.002'), `flash fee ${deposit.value}`);
+
+        await commander.confirm(100, deposit.id);
+        const [sent] = manager.sent;
+        expect(sent.method === 'deposit' && sent.params.at(-1).value === ethers.parseEther('0.002'), 'fee not sent');
+
+        const looped = await commander.prepare(100, 'open', [{ ...OPEN_PARAMS, useFlashLoan: false, mevProtection: true }]);
+        expect(looped.method === 'depositAdvanced' && looped.value === ethers.parseEther('0.001'), looped.method);
+    });
+}
+
+async function main() {
+    console.log(chalk.bold.cyan('\n╔════════════════════════════════════════════════════════════════╗'));
+    console.log(chalk.bold.cyan('║                  TRANSACTION COMMAND TESTS                     ║'));
+    console.log(chalk.bold.cyan('╚════════════════════════════════════════════════════════════════╝\n'));
+
+    await runTests();
+
+    console.log('');
+    console.log(chalk.bold(`Passed: ${passed}  Failed: ${failed}`));
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+});
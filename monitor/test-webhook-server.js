@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+
+/**
+ * Webhook Server Test
+ *
+ * Starts WebhookServer on a local port and posts fake Telegram updates to it
+ * (no Telegram needed) to check secret-token validation, in-order handling,
+ * /healthz and graceful shutdown.
+ *
+ * Usage: node test-webhook-server.js
+ */
+
+import chalk from 'chalk';
+import { WebhookServer, SECRET_HEADER, validateSecretToken } from './webhook-server.js';
+import { resolveBotMode } from './config.js';
+import logger from './logger.js';
+
+logger.setLevel('CRITICAL');
+
+const SECRET = 'test_secret-123';
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/**
+ * Server on a random port whose handler records updates (optionally slowly)
+ */
+async function setup({ delayMs = 0, fail = () => false, ...options } = {}) {
+    const handled = [];
+    const server = new WebhookServer({
+        secretToken: SECRET,
+        onUpdate: async (update) => {
+            await sleep(delayMs);
+            if (fail(update)) throw new Error(`update ${update.update_id} broke`);
+            handled.push(update.update_id);
+        },
+        ...options
+    });
+    const port = await server.listen(0, '127.0.0.1');
+    const base = `http://127.0.0.1:${port}`;
+
+    const post = (body, { secret = SECRET, path = server.path } = {}) => fetch(`${base}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(secret && { [SECRET_HEADER]: secret }) },
+        body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    const update = (id, text = '/status') => post({ update_id: id, message: { chat: { id: 1 }, text } });
+
+    return { server, base, handled, post, update };
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                            TESTS
+// ═══════════════════════════════════════════════════════════════
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(chalk.green(`✅ ${name}`));
+        passed++;
+    } catch (e) {
+        console.log(chalk.red(`❌ ${name}: ${e.message}`));
+        failed++;
+    }
+}
+
+function expect(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+async function runTests() {
+    await test('1. Requests without the right secret token are rejected', async () => {
+        const { server, handled, update, post } = await setup();
+        const missing = await post({ update_id: 1 }, { secret: null });
+        const wrong = await post({ update_id: 2 }, { secret: 'guess' });
+        expect(missing.status === 401 && wrong.status === 401, `${missing.status} ${wrong.status}`);
+
+        expect((await update(3)).status === 200, 'valid update refused');
+        await server.close();
+        expect(handled.join() === '3' && server.stats.rejected === 2, `handled ${handled}, rejected ${server.stats.rejected}`);
+    });
+
+    await test('2. Updates are acknowledged at once and handled in order', async () => {
+        const { server, handled, update } = await setup({ delayMs: 200 });
+        const started = Date.now();
+        for (const id of [10, 11, 12]) {
+            expect((await update(id)).status === 200, `update ${id} refused`);
+        }
+        expect(Date.now() - started < 200, 'acknowledgement waited for the handler');
+        expect(handled.length === 0 && server.stats.pending === 3, `handled too early: ${handled}`);
+
+        await server.close();
+        expect(handled.join() === '10,11,12', `order ${handled}`);
+    });
+
+    await test('3. Repeated update ids are skipped', async () => {
+        const { server, handled, update } = await setup();
+        await update(20);
+        await update(20);
+        await update(19);
+        await update(21);
+        await server.close();
+        expect(handled.join() === '20,21' && server.stats.duplicates === 2, `handled ${handled}`);
+    });
+
+    await test('4. Malformed requests get 400/404/405/413 and are not handled', async () => {
+        const { server, base, handled, post } = await setup({ maxBodyBytes: 256 });
+        expect((await post('{not json')).status === 400, 'bad JSON');
+        expect((await post({ hello: 'world' })).status === 400, 'not an update');
+        expect((await post({ update_id: 1 }, { path: '/other' })).status === 404, 'wrong path');
+        expect((await fetch(`${base}${server.path}`)).status === 405, 'GET on the update path');
+        expect((await post({ update_id: 2, message: { text: 'x'.repeat(1000) } })).status === 413, 'oversized body');
+        await server.close();
+        expect(handled.length === 0, `handled ${handled}`);
+    });
+
+    await test('5. A failing update is counted and does not block the next one', async () => {
+        const { server, handled, update } = await setup({ fail: u => u.update_id === 30 });
+        await update(30);
+        await update(31);
+        await server.close();
+        expect(handled.join() === '31' && server.stats.failed === 1 && server.stats.handled === 1, JSON.stringify(server.stats));
+    });
+
+    await test('6. /healthz reports counters and 503 while shutting down', async () => {
+        const { server, base, update } = await setup({ delayMs: 100 });
+        await update(40);
+        const res = await fetch(`${base}/healthz`);
+        const body = await res.json();
+        expect(res.status === 200 && body.status === 'ok' && body.mode === 'webhook', JSON.stringify(body));
+        expect(body.received === 1 && body.pending === 1 && body.lastUpdateAt, JSON.stringify(body));
+
+        const closing = server.close();
+        const during = server.health();
+        expect(during.status === 'shutting_down', during.status);
+        expect(await closing === true, 'queued update not finished');
+    });
+
+    await test('7. Shutdown gives up on updates still running after the timeout', async () => {
+        const { server, update } = await setup({ delayMs: 500 });
+        await update(50);
+        const started = Date.now();
+        const drained = await server.close(50);
+        expect(drained === false && Date.now() - started < 400, `drained ${drained} after ${Date.now() - started}ms`);
+        await sleep(500);
+    });
+
+    await test('8. Secret token format and the --webhook flag', async () => {
+        for (const bad of [null, '', 'has space', 'x'.repeat(257)]) {
+            let threw = false;
+            try { validateSecretToken(bad); } catch (e) { threw = true; }
+            expect(threw, `accepted ${JSON.stringify(bad)?.slice(0, 20)}`);
+        }
+        validateSecretToken(SECRET);
+
+        expect(resolveBotMode({ argv: [], env: {} }) === 'polling', 'default mode');
+        expect(resolveBotMode({ argv: [], env: { TELEGRAM_MODE: 'Webhook' } }) === 'webhook', 'env mode');
+        expect(resolveBotMode({ argv: ['--polling'], env: { TELEGRAM_MODE: 'webhook' } }) === 'polling', 'flag over env');
+        expect(resolveBotMode({ argv: ['--webhook'], env: {} }) === 'webhook', '--webhook');
+    });
+}
+
+async function main() {
+    console.log(chalk.bold.cyan('\n╔════════════════════════════════════════════════════════════════╗'));
+    console.log(chalk.bold.cyan('║                    WEBHOOK SERVER TESTS                        ║'));
+    console.log(chalk.bold.cyan('╚════════════════════════════════════════════════════════════════╝\n'));
+
+    await runTests();
+
+    console.log('');
+    console.log(chalk.bold(`Passed: ${passed}  Failed: ${failed}`));
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+});
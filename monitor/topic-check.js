@@ -0,0 +1,284 @@
+#!/usr/bin/env node
+
+/**
+ * Event Topic Self-Check for Reactive Auto-Looper Monitor
+ *
+ * TOPICS in config.js are derived from the ABI event fragments. This check
+ * makes sure those fragments still describe the deployed contracts:
+ * - Source:    every event in src/interfaces/IAutoLooper.sol has the same topic in TOPICS
+ * - Artifacts: the bundled ABIs (used when out/ isn't built) match the compiled Foundry
+ *              artifacts (out/ or MONITOR_ARTIFACTS_DIR; skipped if not built). The registry
+ *              loads ABIS from those same artifacts, so they are not what is compared.
+ * - On-chain:  recent manager logs on Sepolia and RSC logs in the RVM only use known topics
+ *
+ * Usage:
+ *   node topic-check.js                  # Run all checks
+ *   node topic-check.js --lookback 5000  # Scan more Sepolia blocks
+ *   node topic-check.js --offline        # Skip the on-chain check
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ethers } from 'ethers';
+import chalk from 'chalk';
+import { NETWORKS, CONTRACTS, TOPICS } from './config.js';
+import logger from './logger.js';
+import RnkClient from './rnk-client.js';
+import { ARTIFACTS_DIR, BUNDLED_ABIS } from './abi-registry.js';
+
+const MONITOR_DIR = path.dirname(fileURLToPath(import.meta.url));
+const REPO_ROOT = path.join(MONITOR_DIR, '..');
+
+export const INTERFACE_SOURCE = path.join(REPO_ROOT, 'src', 'interfaces', 'IAutoLooper.sol');
+
+// Foundry artifacts to compare against, and the bundled ABI each one should agree with
+const ARTIFACT_CHECKS = [
+    { file: 'IAutoLooper.sol/IAutoLooper.json', abi: BUNDLED_ABIS.manager, complete: true },
+    { file: 'AutoLooperManager.sol/AutoLooperManager.json', abi: BUNDLED_ABIS.manager, complete: false },
+    { file: 'AutoLooperReactive.sol/AutoLooperReactive.json', abi: BUNDLED_ABIS.reactive, complete: false },
+    { file: 'AutoLooperReactiveEnhanced.sol/AutoLooperReactiveEnhanced.json', abi: BUNDLED_ABIS.reactiveEnhanced, complete: false },
+    { file: 'ReactiveFunderRC.sol/ReactiveFunderRC.json', abi: BUNDLED_ABIS.reactiveFunder, complete: false },
+    { file: 'Funder.sol/Funder.json', abi: BUNDLED_ABIS.funder, complete: true }
+];
+
+// ═══════════════════════════════════════════════════════════════
+//                      SOLIDITY PARSING
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Map a Solidity parameter type to its ABI type (enums are encoded as uint8)
+ */
+function canonicalType(type, enums) {
+    if (enums.has(type)) return 'uint8';
+    if (type === 'uint') return 'uint256';
+    if (type === 'int') return 'int256';
+    return type;
+}
+
+/**
+ * Extract event declarations from Solidity source as { name, signature, topic }
+ */
+export function parseSolidityEvents(source) {
+    const stripped = source
+        .replace(/\/\*[\s\S]*?\*\//g, '')
+        .replace(/\/\/.*$/gm, '');
+
+    const enums = new Set([...stripped.matchAll(/\benum\s+(\w+)/g)].map(m => m[1]));
+    const events = [];
+
+    for (const match of stripped.matchAll(/\bevent\s+(\w+)\s*\(([^)]*)\)\s*;/g)) {
+        const [, name, params] = match;
+        const types = params
+            .split(',')
+            .map(p => p.trim())
+            .filter(Boolean)
+            .map(p => canonicalType(p.split(/\s+/)[0], enums));
+
+        const signature = `${name}(${types.join(',')})`;
+        events.push({ name, signature, topic: ethers.id(signature) });
+    }
+
+    return events;
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                         CHECKS
+// ═══════════════════════════════════════════════════════════════
+
+function abiEvents(abi) {
+    const events = new Map();
+    new ethers.Interface(abi).forEachEvent(event => events.set(event.name, event.topicHash));
+    return events;
+}
+
+/**
+ * Compare the manager topics in TOPICS against the event list in IAutoLooper.sol
+ */
+export function checkInterfaceSource(sourcePath = INTERFACE_SOURCE, topics = TOPICS) {
+    if (!fs.existsSync(sourcePath)) {
+        return { problems: [], warnings: [`Interface source not found: ${sourcePath}`] };
+    }
+
+    const declared = parseSolidityEvents(fs.readFileSync(sourcePath, 'utf8'));
+    const problems = [];
+
+    for (const event of declared) {
+        if (!topics[event.name]) {
+            problems.push(`IAutoLooper.sol declares ${event.signature} but TOPICS has no such event`);
+        } else if (topics[event.name] !== event.topic) {
+            problems.push(`${event.name}: TOPICS signature differs from IAutoLooper.sol (${event.signature})`);
+        }
+    }
+
+    return { problems, warnings: [] };
+}
+
+/**
+ * Compare the bundled ABIs against compiled Foundry artifacts in ARTIFACTS_DIR (shared with the ABI registry)
+ */
+export function checkArtifacts(outDir = ARTIFACTS_DIR) {
+    const problems = [];
+    const warnings = [];
+
+    if (!fs.existsSync(outDir)) {
+        return { problems, warnings: [`No Foundry artifacts in ${outDir} (run forge build to enable this check)`] };
+    }
+
+    for (const check of ARTIFACT_CHECKS) {
+        const file = path.join(outDir, check.file);
+        if (!fs.existsSync(file)) {
+            warnings.push(`Artifact not found: ${check.file}`);
+            continue;
+        }
+
+        const { abi } = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const built = abiEvents(abi);
+        const known = abiEvents(check.abi);
+
+        for (const [name, topic] of built) {
+            if (known.has(name) && known.get(name) !== topic) {
+                problems.push(`${name}: topic in ${check.file} is ${topic}, the bundled ABI has ${known.get(name)}`);
+            } else if (!known.has(name) && check.complete) {
+                problems.push(`${name} is in ${check.file} but not in the bundled ABI`);
+            }
+        }
+    }
+
+    return { problems, warnings };
+}
+
+/**
+ * Check that recent on-chain logs only carry topics the monitor knows about
+ */
+export async function checkOnChainLogs({ lookback = 1000, provider, rnkClient } = {}) {
+    const problems = [];
+    const warnings = [];
+    const knownTopics = new Set(Object.values(TOPICS).map(t => t.toLowerCase()));
+    const sepolia = provider || new ethers.JsonRpcProvider(NETWORKS.sepolia.rpc);
+    const rnk = rnkClient || new RnkClient();
+
+    // Sepolia: AutoLooperManager logs
+    try {
+        const head = await sepolia.getBlockNumber();
+        const logs = await sepolia.getLogs({
+            address: CONTRACTS.manager,
+            fromBlock: Math.max(0, head - lookback),
+            toBlock: head
+        });
+        const unknown = new Set(logs.map(l => l.topics[0]?.toLowerCase()).filter(t => t && !knownTopics.has(t)));
+        for (const topic of unknown) {
+            problems.push(`Manager emitted unknown topic ${topic} in the last ${lookback} blocks`);
+        }
+        if (logs.length === 0) {
+            warnings.push(`No manager logs in the last ${lookback} blocks - on-chain check inconclusive`);
+        }
+    } catch (e) {
+        warnings.push(`Sepolia log check skipped: ${e.message}`);
+    }
+
+    // Lasna: logs emitted by the reactive contract in recent RVM transactions
+    try {
+        const head = await rnk.getHeadNumber(CONTRACTS.rvmId);
+        const txs = head > 0
+            ? await rnk.getTransactions(CONTRACTS.rvmId, Math.max(1, head - 9), 10)
+            : [];
+
+        for (const tx of txs) {
+            const logs = await rnk.getTransactionLogs(CONTRACTS.rvmId, tx.number);
+            for (const log of logs) {
+                if (log.address?.toLowerCase() !== CONTRACTS.reactiveContract.toLowerCase()) continue;
+                if (log.topic0 && !knownTopics.has(log.topic0)) {
+                    problems.push(`Reactive contract emitted unknown topic ${log.topic0} in RVM tx #${tx.number}`);
+                }
+            }
+        }
+    } catch (e) {
+        warnings.push(`RVM log check skipped: ${e.message}`);
+    }
+
+    return { problems, warnings };
+}
+
+/**
+ * Run every check and collect the results
+ */
+export async function verifyTopics({ offline = false, lookback = 1000, provider, rnkClient } = {}) {
+    const results = [
+        checkInterfaceSource(),
+        checkArtifacts(),
+        offline ? { problems: [], warnings: [] } : await checkOnChainLogs({ lookback, provider, rnkClient })
+    ];
+
+    const problems = results.flatMap(r => r.problems);
+    const warnings = results.flatMap(r => r.warnings);
+
+    return { ok: problems.length === 0, problems, warnings };
+}
+
+/**
+ * Startup guard: log the result and exit if any topic is out of date
+ *
+ * Pass --skip-topic-check on the command line to bypass.
+ */
+export async function assertTopics(options = {}) {
+    if (process.argv.includes('--skip-topic-check')) {
+        logger.warn('Event topic self-check skipped (--skip-topic-check)');
+        return;
+    }
+
+    const { ok, problems, warnings } = await verifyTopics(options);
+
+    for (const warning of warnings) {
+        logger.debug(warning);
+    }
+
+    if (!ok) {
+        logger.critical('Event topic self-check failed - refusing to start', null);
+        for (const problem of problems) {
+            console.log(chalk.red(`    • ${problem}`));
+        }
+        console.log(chalk.gray('    Update the bundled ABIs in abi-registry.js or run forge build (or pass --skip-topic-check to override)'));
+        process.exit(1);
+    }
+
+    logger.success(`Event topics verified (${Object.keys(TOPICS).length} topics)`);
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                            CLI
+// ═══════════════════════════════════════════════════════════════
+
+async function main() {
+    const args = process.argv.slice(2);
+    const lookbackIdx = args.indexOf('--lookback');
+    const lookback = lookbackIdx !== -1 ? parseInt(args[lookbackIdx + 1]) : 1000;
+    const offline = args.includes('--offline');
+
+    console.log('');
+    console.log(chalk.bold.blue('═══════════════════════════════════════════════════════════════'));
+    console.log(chalk.bold.blue('                 EVENT TOPIC SELF-CHECK'));
+    console.log(chalk.bold.blue('═══════════════════════════════════════════════════════════════'));
+    console.log('');
+
+    const { ok, problems, warnings } = await verifyTopics({ offline, lookback });
+
+    for (const warning of warnings) {
+        console.log(chalk.yellow(`  ⚠️  ${warning}`));
+    }
+    for (const problem of problems) {
+        console.log(chalk.red(`  ✗ ${problem}`));
+    }
+
+    console.log('');
+    if (ok) {
+        console.log(chalk.green(`  ✓ All ${Object.keys(TOPICS).length} topics verified`));
+    }
+    console.log('');
+
+    process.exit(ok ? 0 : 1);
+}
+
+if (process.argv[1] && path.basename(process.argv[1]) === 'topic-check.js') {
+    main().catch(console.error);
+}
@@ -0,0 +1,294 @@
+/**
+ * Transaction Commands for the Reactive Auto-Looper Telegram Bot
+ *
+ * Opt-in write actions on AutoLooperManager, sent from a locally configured
+ * bot wallet (BOT_PRIVATE_KEY). The manager acts on msg.sender, so every
+ * action applies to the bot wallet's own position.
+ *
+ * Each action goes through two steps:
+ * 1. prepare() - checks the chat is on the allowlist (BOT_WRITE_CHATS),
+ *    simulates the call with eth_call and estimates gas
+ * 2. confirm() - after the user taps the confirmation button, simulates
+ *    again (the position may have changed) and sends the transaction
+ *
+ * Prepared actions expire after WRITE_COMMANDS.confirmTtlMs and can only be
+ * confirmed from the chat that prepared them.
+ *
+ * Most actions are a single manager call. Actions with a `build()` pick their
+ * call from chain state instead: /open returns an ERC20 approval first when
+ * the manager's allowance is short (`followUp` - prepare the action again
+ * once it is mined), then the payable deposit with the manager's fee.
+ */
+
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import { WRITE_COMMANDS, DEPOSIT_ASSETS } from './config.js';
+import { connectErc20 } from './abi-registry.js';
+import { depositCall, describeDeposit } from './deposit-wizard.js';
+
+/**
+ * Price argument of /settp: a USD price, or 0 / "off" to disable
+ */
+function parsePrice(value, name) {
+    if (value === undefined) throw new Error(`Missing ${name} price`);
+    if (value.toLowerCase() === 'off') return 0n;
+    if (!/^\d+(\.\d+)?$/.test(value)) throw new Error(`Invalid ${name} price: ${value}`);
+    return ethers.parseEther(value);
+}
+
+export const TX_ACTIONS = {
+    unwind: {
+        method: 'requestUnwind',
+        title: 'Unwind Position',
+        emoji: '⏪',
+        parseArgs: () => [],
+        describe: () => 'Start unwinding to 1x. The RVM repays the debt step by step.'
+    },
+    close: {
+        method: 'closePosition',
+        title: 'Close Position',
+        emoji: '✅',
+        parseArgs: () => [],
+        describe: () => 'Withdraw the remaining collateral. The position must already be back at 1x.'
+    },
+    emergency: {
+        method: 'emergencyWithdraw',
+        title: 'Emergency Withdraw',
+        emoji: '🚨',
+        parseArgs: () => [],
+        describe: () => 'Stop all automation and put the position in EMERGENCY state.'
+    },
+    settp: {
+        method: 'setTakeProfit',
+        title: 'Set Take-Profit / Stop-Loss',
+        emoji: '🎯',
+        parseArgs: (args) => {
+            const tp = parsePrice(args[0], 'take-profit');
+            const sl = parsePrice(args[1], 'stop-loss');
+            if (tp > 0n && sl > 0n && tp <= sl) throw new Error('Take-profit must be above stop-loss');
+            return [tp, sl];
+        },
+        describe: ([tp, sl]) => {
+            const price = p => p > 0n ? `$${ethers.formatEther(p)}` : 'off';
+            return `Take-profit ${price(tp)}, stop-loss ${price(sl)}.`;
+        }
+    },
+    open: {
+        title: 'Open Position',
+        emoji: '🆕',
+        /**
+         * args[0] is the wizard's DepositParams
+         */
+        build: async ([params], { manager, wallet, token }) => {
+            const asset = DEPOSIT_ASSETS[params.collateral];
+            const amount = ethers.parseUnits(params.amount, asset.decimals);
+            const erc20 = token(asset.address);
+            const managerAddress = await manager.getAddress();
+
+            const balance = await erc20.balanceOf(wallet);
+            if (balance < amount) {
+                throw new Error(`Bot wallet holds ${ethers.formatUnits(balance, asset.decimals)} ${params.collateral}, the deposit needs ${params.amount}`);
+            }
+
+            const allowance = await erc20.allowance(wallet, managerAddress);
+            if (allowance < amount) {
+                return {
+                    target: asset.address,
+                    method: 'approve',
+                    params: [managerAddress, amount],
+                    description: `Approve ${params.amount} ${params.collateral} for the manager. The deposit is prepared for confirmation once the approval is mined.`,
+                    followUp: true
+                };
+            }
+
+            const flash = params.useFlashLoan && params.collateral !== params.borrow;
+            const value = flash ? await manager.flashLoanFee() : await manager.loopFee();
+            return {
+                ...depositCall(params),
+                value,
+                description: `Deposit ${describeDeposit(params)}. Fee ${ethers.formatEther(value)} ETH.`
+            };
+        }
+    }
+};
+
+/**
+ * Most useful part of an ethers call error: the revert reason if there is one
+ */
+export function revertReason(error) {
+    return error.reason || error.shortMessage || error.message;
+}
+
+/**
+ * @typedef {Object} TxCall
+ * @property {string} [target] - Contract to call, the manager if not set
+ * @property {string} method
+ * @property {Array} params - Contract call arguments
+ * @property {bigint} [value] - ETH sent with the call
+ * @property {string} description
+ * @property {boolean} [followUp] - Prepare the action again once this call is mined
+ */
+
+/**
+ * @typedef {TxCall & Object} PreparedTx
+ * @property {string} id - Confirmation id (used in callback data)
+ * @property {string} chatId - Chat that prepared it
+ * @property {string} action - TX_ACTIONS key
+ * @property {Array} args - Command arguments, to prepare a follow-up
+ * @property {bigint} gasEstimate
+ * @property {number} expiresAt - ms timestamp
+ */
+
+export class TxCommander {
+    /**
+     * @param options.manager - AutoLooperManager contract (any runner - it is connected to the signer)
+     * @param options.signer - Bot wallet, or null to disable write commands
+     * @param options.allowedChats - Chat ids allowed to send transactions
+     * @param options.connectToken - ERC20 contract factory (address, runner)
+     */
+    constructor({
+        manager,
+        signer = null,
+        allowedChats = WRITE_COMMANDS.allowedChats,
+        ttlMs = WRITE_COMMANDS.confirmTtlMs,
+        connectToken = connectErc20,
+        now = Date.now
+    }) {
+        this.signer = signer;
+        this.connectToken = connectToken;
+        this.manager = signer ? manager.connect(signer) : null;
+        this.allowedChats = new Set(allowedChats.map(String));
+        this.ttlMs = ttlMs;
+        this.now = now;
+        this.pending = new Map();
+    }
+
+    get enabled() {
+        return this.signer !== null;
+    }
+
+    isAuthorized(chatId) {
+        return this.allowedChats.has(String(chatId));
+    }
+
+    /**
+     * Throws unless the chat may send transactions
+     */
+    checkAccess(chatId) {
+        if (!this.enabled) throw new Error('Write commands are disabled - set BOT_PRIVATE_KEY to enable them');
+        if (!this.isAuthorized(chatId)) throw new Error(`Chat ${chatId} is not allowed to send transactions (BOT_WRITE_CHATS)`);
+    }
+
+    /**
+     * Validate and simulate an action and hold it until it is confirmed
+     * @returns {Promise<PreparedTx>}
+     */
+    async prepare(chatId, action, args = []) {
+        this.checkAccess(chatId);
+        const spec = TX_ACTIONS[action];
+        if (!spec) throw new Error(`Unknown action: ${action}`);
+
+        const call = await this.build(spec, args);
+        const gasEstimate = await this.simulate(call);
+
+        this.prune();
+        const prepared = {
+            id: crypto.randomBytes(6).toString('hex'),
+            chatId: String(chatId),
+            action,
+            args,
+            ...call,
+            gasEstimate,
+            expiresAt: this.now() + this.ttlMs
+        };
+        this.pending.set(prepared.id, prepared);
+        return prepared;
+    }
+
+    /**
+     * Turn an action and its command arguments into the call to send
+     * @returns {Promise<TxCall>}
+     */
+    async build(spec, args) {
+        if (spec.build) {
+            return spec.build(args, {
+                manager: this.manager,
+                wallet: await this.signer.getAddress(),
+                token: address => this.connectToken(address, this.signer)
+            });
+        }
+        const params = spec.parseArgs(args);
+        return { method: spec.method, params, description: spec.describe(params) };
+    }
+
+    /**
+     * Bound contract function for a call, and its arguments with the ETH value
+     */
+    resolve(call) {
+        const contract = call.target ? this.connectToken(call.target, this.signer) : this.manager;
+        const args = call.value ? [...call.params, { value: call.value }] : call.params;
+        return { fn: contract.getFunction(call.method), args };
+    }
+
+    /**
+     * Run the call with eth_call from the bot wallet and estimate its gas
+     * @returns {Promise<bigint>} Gas estimate
+     */
+    async simulate(call) {
+        const { fn, args } = this.resolve(call);
+        try {
+            await fn.staticCall(...args);
+            return await fn.estimateGas(...args);
+        } catch (error) {
+            throw new Error(`Simulation failed: ${revertReason(error)}`);
+        }
+    }
+
+    /**
+     * Re-simulate and send a prepared action
+     * @returns {Promise<{ prepared: PreparedTx, tx: Object }>} tx is the ethers TransactionResponse
+     */
+    async confirm(chatId, id) {
+        this.checkAccess(chatId);
+        const prepared = this.take(chatId, id);
+
+        await this.simulate(prepared);
+        try {
+            const { fn, args } = this.resolve(prepared);
+            const tx = await fn(...args);
+            return { prepared, tx };
+        } catch (error) {
+            throw new Error(`Sending failed: ${revertReason(error)}`);
+        }
+    }
+
+    /**
+     * @returns {boolean} False if there was nothing to cancel
+     */
+    cancel(chatId, id) {
+        const prepared = this.pending.get(id);
+        if (!prepared || prepared.chatId !== String(chatId)) return false;
+        this.pending.delete(id);
+        return true;
+    }
+
+    /**
+     * Remove a prepared action so it can only be confirmed once
+     */
+    take(chatId, id) {
+        const prepared = this.pending.get(id);
+        if (!prepared || prepared.chatId !== String(chatId)) throw new Error('Unknown or already handled action');
+        this.pending.delete(id);
+        if (this.now() > prepared.expiresAt) throw new Error('Confirmation expired - run the command again');
+        return prepared;
+    }
+
+    prune() {
+        const now = this.now();
+        for (const [id, prepared] of this.pending) {
+            if (now > prepared.expiresAt) this.pending.delete(id);
+        }
+    }
+}
+
+export default TxCommander;
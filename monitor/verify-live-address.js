@@ -9,19 +9,13 @@ import { ethers } from 'ethers';
 import chalk from 'chalk';
 import dotenv from 'dotenv';
 import { NETWORKS, CONTRACTS } from './config.js';
+import { connectManager } from './abi-registry.js';
 
 dotenv.config();
 
 const sepoliaProvider = new ethers.JsonRpcProvider(NETWORKS.sepolia.rpc);
 
-const MANAGER_ABI = [
-    'function getPosition(address user) view returns (tuple(address collateralAsset, address borrowAsset, uint256 initialCollateral, uint256 targetLeverage, uint256 currentLeverage, uint256 maxIterations, uint256 currentIteration, uint256 minHealthFactor, uint256 slippageTolerance, uint8 state, uint256 lastUpdateBlock, bool useFlashLoan, bool sameAssetLoop, uint256 maxGasSpend, uint256 gasSpentSoFar, uint256 twapBlockInterval, bytes32 executionSalt, uint256 takeProfitPrice, uint256 stopLossPrice))',
-    'function getHealthFactor(address user) view returns (uint256)',
-    'function getCurrentLeverage(address user) view returns (uint256)',
-    'function hasPosition(address user) view returns (bool)',
-];
-
-const managerContract = new ethers.Contract(CONTRACTS.manager, MANAGER_ABI, sepoliaProvider);
+const managerContract = connectManager(CONTRACTS.manager, sepoliaProvider);
 
 async function verifyAddress(address) {
     console.log(chalk.bold.cyan('\n╔════════════════════════════════════════════════════════════════╗'));
@@ -183,7 +177,9 @@ function formatHealthFactor(hf) {
 
 // CLI Interface
 const args = process.argv.slice(2);
-const address = args[0] || '0x742d35Cc6634C0532925a3b844Bc9e7595f89999';
+const profileIdx = args.indexOf('--profile');
+const positional = profileIdx === -1 ? args : args.filter((_, i) => i !== profileIdx && i !== profileIdx + 1);
+const address = positional[0] || '0x742d35Cc6634C0532925a3b844Bc9e7595f89999';
 
 console.log(chalk.cyan('🔍 Starting verification...\n'));
 
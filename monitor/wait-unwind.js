@@ -5,8 +5,9 @@
 
 import { ethers } from 'ethers';
 import config from './config.js';
+import { connectManager } from './abi-registry.js';
 
-const { CONTRACTS, NETWORKS, ABIS, POSITION_STATES } = config;
+const { CONTRACTS, NETWORKS, POSITION_STATES } = config;
 
 async function waitForUnwind() {
     // Load private key
@@ -19,11 +20,7 @@ async function waitForUnwind() {
     const provider = new ethers.JsonRpcProvider(NETWORKS.sepolia.rpc);
     const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
     
-    const manager = new ethers.Contract(CONTRACTS.manager, [
-        ...ABIS.manager,
-        'function closePosition()',
-        'function requestUnwind()'
-    ], wallet);
+    const manager = connectManager(CONTRACTS.manager, wallet);
     
     console.log('╔═══════════════════════════════════════════════╗');
     console.log('║      WAITING FOR POSITION UNWIND              ║');
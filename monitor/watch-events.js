@@ -6,23 +6,40 @@
  * Monitors events from:
  * - Sepolia: AutoLooperManager (PositionUpdated, LoopStepExecuted, etc.)
  * - Lasna RVM: react() calls and Callback events
+ * - Callback delivery: each Callback is matched to its Sepolia transaction
+ *   (delivered / reverted with reason / missing, with the likely cause)
  * 
- * Usage: node watch-events.js [--user <address>]
+ * Sepolia events are shown as pending when they arrive and confirmed after
+ * CONFIRMATION_DEPTH blocks; events dropped by a reorg are retracted.
+ * 
+ * The last processed RVM transaction is saved to monitor/.state, so a restart
+ * picks up everything that happened while the watcher was down.
+ *
+ * Usage: node watch-events.js [--user <address>] [--profile <name>] [--skip-topic-check]
+ *        node watch-events.js --from-tx 1200   # Backfill RVM transactions from #1200
  */
 
 import { ethers } from 'ethers';
 import chalk from 'chalk';
 import boxen from 'boxen';
-import { NETWORKS, CONTRACTS, TOPICS, ABIS, POSITION_STATES } from './config.js';
+import { NETWORKS, PROFILE, CONTRACTS, TOPICS, ABIS, POSITION_STATES, CONFIRMATIONS } from './config.js';
 import logger from './logger.js';
 import RnkClient from './rnk-client.js';
+import { TxKind } from './rnk-models.js';
+import { TxCursor } from './state-store.js';
+import { DeliveryTracker } from './delivery-tracker.js';
+import { DeliveryStatus } from './pipeline-trace.js';
+import { ConfirmationTracker } from './confirmations.js';
+import { assertTopics } from './topic-check.js';
 
 // ═══════════════════════════════════════════════════════════════
 //                         CONFIGURATION
 // ═══════════════════════════════════════════════════════════════
 
 const POLL_INTERVAL = 3000; // 3 seconds for RVM polling
+const RVM_PAGE_SIZE = 50;   // Transactions per rnk_getTransactions request
 let userFilter = null;
+let fromTx = null;
 
 // Parse command line args
 const args = process.argv.slice(2);
@@ -32,6 +49,15 @@ if (userIdx !== -1 && args[userIdx + 1]) {
     logger.info(`Filtering events for user: ${userFilter}`);
 }
 
+const fromTxIdx = args.indexOf('--from-tx');
+if (fromTxIdx !== -1) {
+    fromTx = parseInt(args[fromTxIdx + 1]);
+    if (!Number.isInteger(fromTx) || fromTx < 1) {
+        console.error('❌ --from-tx needs a transaction number (1 or higher)');
+        process.exit(1);
+    }
+}
+
 // ═══════════════════════════════════════════════════════════════
 //                         PROVIDERS
 // ═══════════════════════════════════════════════════════════════
@@ -39,13 +65,24 @@ if (userIdx !== -1 && args[userIdx + 1]) {
 const sepoliaProvider = new ethers.JsonRpcProvider(NETWORKS.sepolia.rpc);
 const lasnaProvider = new ethers.JsonRpcProvider(NETWORKS.lasna.rpc);
 const rnkClient = new RnkClient();
+const deliveryTracker = new DeliveryTracker({
+    provider: sepoliaProvider,
+    lasnaProvider,
+    onResult: handleDeliveryResult
+});
+const sepoliaConfirmations = new ConfirmationTracker({
+    provider: sepoliaProvider,
+    onPending: handlePendingLog,
+    onMoved: handleMovedLog,
+    onConfirmed: handleConfirmedLog,
+    onRemoved: handleRemovedLog
+});
 
 // ═══════════════════════════════════════════════════════════════
 //                      EVENT DECODERS
 // ═══════════════════════════════════════════════════════════════
 
 const managerInterface = new ethers.Interface(ABIS.manager);
-const reactiveInterface = new ethers.Interface(ABIS.reactive);
 
 function decodePositionUpdated(log) {
     try {
@@ -66,46 +103,24 @@ function decodePositionUpdated(log) {
     }
 }
 
-function decodeCallback(log) {
-    try {
-        // Callback event: (uint256 indexed chain_id, address indexed _contract, uint64 indexed gas_limit, bytes payload)
-        const chainId = BigInt(log.topics[1]).toString();
-        const contract = '0x' + log.topics[2].slice(-40);
-        const gasLimit = BigInt(log.topics[3]).toString();
-        
-        // Decode payload from data
-        const abiCoder = new ethers.AbiCoder();
-        const [payload] = abiCoder.decode(['bytes'], log.data);
-        
-        // Get function selector
-        const selector = payload.slice(0, 10);
-        
-        return {
-            chainId,
-            contract,
-            gasLimit,
-            selector,
-            payload: payload.slice(0, 74) + '...'
-        };
-    } catch (e) {
-        return null;
-    }
-}
-
 // ═══════════════════════════════════════════════════════════════
 //                    SEPOLIA EVENT HANDLERS
 // ═══════════════════════════════════════════════════════════════
 
-async function handleSepoliaLog(log) {
+/**
+ * Print a manager event
+ * @returns {boolean} False if the event was filtered out
+ */
+function handleSepoliaLog(log) {
     const topic0 = log.topics[0];
     
     // PositionUpdated
     if (topic0 === TOPICS.PositionUpdated) {
         const data = decodePositionUpdated(log);
-        if (!data) return;
+        if (!data) return false;
         
         // Apply user filter
-        if (userFilter && data.user.toLowerCase() !== userFilter) return;
+        if (userFilter && data.user.toLowerCase() !== userFilter) return false;
         
         const stateInfo = POSITION_STATES[data.state] || { name: 'UNKNOWN', emoji: '❓' };
         
@@ -136,58 +151,86 @@ async function handleSepoliaLog(log) {
         logger.success('Loop step completed on Sepolia!', null, 'sepolia');
         console.log('');
     }
+    
+    // UnwindStepExecuted
+    if (topic0 === TOPICS.UnwindStepExecuted) {
+        console.log('');
+        console.log(chalk.bgYellow.black(' ↩️  UNWIND STEP EXECUTED '));
+        logger.success('Unwind step completed on Sepolia!', null, 'sepolia');
+        console.log('');
+    }
+    
+    // PositionClosed
+    if (topic0 === TOPICS.PositionClosed) {
+        console.log('');
+        console.log(chalk.bgBlue.white(' 🏁 POSITION CLOSED '));
+        logger.success('Position closed on Sepolia!', null, 'sepolia');
+        console.log('');
+    }
+
+    return true;
 }
 
-// ═══════════════════════════════════════════════════════════════
-//                    RVM TRANSACTION HANDLER
-// ═══════════════════════════════════════════════════════════════
+function eventName(log) {
+    return managerInterface.parseLog(log)?.name || log.topics[0];
+}
 
-let lastRvmTxNumber = 0;
+// ─────────────────────────────────────────────────────────────
+// Confirmation states (see confirmations.js)
+// ─────────────────────────────────────────────────────────────
 
-async function checkRvmTransactions() {
-    try {
-        const headNumber = await rnkClient.getHeadNumber(CONTRACTS.rvmId);
-        const currentTxNumber = parseInt(headNumber, 16);
-        
-        if (currentTxNumber > lastRvmTxNumber) {
-            // New transactions!
-            const fromHex = '0x' + (lastRvmTxNumber + 1).toString(16);
-            const limitHex = '0x' + Math.min(currentTxNumber - lastRvmTxNumber, 50).toString(16);
-            
-            const txs = await rnkClient.getTransactions(CONTRACTS.rvmId, fromHex, limitHex);
-            
-            for (const tx of txs || []) {
-                await handleRvmTransaction(tx);
-            }
-            
-            lastRvmTxNumber = currentTxNumber;
-        }
-    } catch (error) {
-        // Silently retry on errors
+function handlePendingLog(entry) {
+    if (!CONFIRMATIONS.notifyPending) return;
+    entry.payload = { shown: handleSepoliaLog(entry.log) };
+    if (entry.payload.shown) {
+        logger.info(`⏳ Pending - ${entry.confirmations}/${entry.depth} confirmations`, null, 'sepolia');
     }
 }
 
+function handleMovedLog(entry, previous) {
+    if (!entry.payload?.shown) return;
+    logger.warn(`${eventName(entry.log)} re-mined in block ${entry.log.blockNumber} after a reorg (was ${previous.blockNumber}) - still pending`, null, 'sepolia');
+}
+
+function handleConfirmedLog(entry) {
+    // Shown now if it arrived already final or pending events are not shown
+    if (!entry.payload?.shown && !handleSepoliaLog(entry.log)) return;
+    logger.success(`Confirmed ${eventName(entry.log)} in block ${entry.log.blockNumber} (${entry.depth} confirmations) | TX: ${logger.truncateAddress(entry.log.transactionHash)}`, null, 'sepolia');
+}
+
+function handleRemovedLog(entry) {
+    if (!entry.payload?.shown) return;
+    console.log('');
+    console.log(chalk.bgRed.white(' ↩️  EVENT RETRACTED '));
+    logger.warn(`${eventName(entry.log)} in block ${entry.log.blockNumber} was dropped by a chain reorg - ignore the notice above | TX: ${logger.truncateAddress(entry.log.transactionHash)}`, null, 'sepolia');
+    console.log('');
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                    RVM TRANSACTION HANDLER
+// ═══════════════════════════════════════════════════════════════
+
+const rvmCursor = new TxCursor('watch-events', CONTRACTS.rvmId);
+
 async function handleRvmTransaction(tx) {
-    const txNumber = parseInt(tx.number, 16);
-    const isSuccess = tx.status === 1;
-    const isReact = tx.data?.startsWith('0x0d152c2c'); // react() selector
-    
-    if (tx.createContract) {
-        logger.info(`RVM TX #${txNumber}: Contract deployment`, null, 'rvm');
+    if (tx.kind === TxKind.DEPLOY) {
+        logger.info(`RVM TX #${tx.number}: Contract deployment`, null, 'rvm');
         return;
     }
     
-    if (!isReact) return;
+    if (tx.kind !== TxKind.REACT) return;
     
     // This is a react() call
+    const origin = tx.logRecord;
     console.log('');
     console.log(boxen(
         chalk.bold.magenta('⚡ RVM REACT() CALLED') + '\n\n' +
-        chalk.white(`TX #: ${txNumber}\n`) +
-        chalk.white(`Status: ${isSuccess ? '✅ Success' : '❌ Failed'}\n`) +
-        chalk.white(`Gas Used: ${tx.used}\n`) +
+        chalk.white(`TX #: ${tx.number}\n`) +
+        chalk.white(`Status: ${tx.success ? '✅ Success' : '❌ Failed'}\n`) +
+        chalk.white(`Gas Used: ${tx.gasUsed}\n`) +
         chalk.white(`Ref Chain: ${tx.refChainId}\n`) +
-        chalk.white(`Ref TX: ${logger.truncateAddress(tx.refTx)}`),
+        chalk.white(`Ref TX: ${logger.truncateAddress(tx.refTx)}`) +
+        (origin ? chalk.white(`\nTrigger: ${origin.eventName || logger.truncateAddress(origin.topics[0])} from ${logger.truncateAddress(origin.contract)}`) : ''),
         { padding: 1, borderColor: 'magenta', borderStyle: 'round', title: 'RVM', titleAlignment: 'center' }
     ));
     console.log('');
@@ -196,27 +239,65 @@ async function handleRvmTransaction(tx) {
     try {
         const logs = await rnkClient.getTransactionLogs(CONTRACTS.rvmId, tx.number);
         
-        for (const log of logs || []) {
-            if (log.topics[0] === TOPICS.Callback) {
-                const callbackData = decodeCallback(log);
-                if (callbackData) {
-                    console.log(chalk.yellow(`  📤 CALLBACK EMITTED`));
-                    console.log(chalk.yellow(`     Chain: ${callbackData.chainId}`));
-                    console.log(chalk.yellow(`     Target: ${callbackData.contract}`));
-                    console.log(chalk.yellow(`     Selector: ${callbackData.selector}`));
-                    console.log('');
-                    
-                    // Check if callback was delivered
-                    logger.warn('⏳ Callback emitted, checking delivery to Sepolia...', null, 'rvm');
-                }
+        for (const log of logs) {
+            if (log.callback) {
+                console.log(chalk.yellow(`  📤 CALLBACK EMITTED`));
+                console.log(chalk.yellow(`     Chain: ${log.callback.chainId}`));
+                console.log(chalk.yellow(`     Target: ${log.callback.contract}`));
+                console.log(chalk.yellow(`     Function: ${log.callback.functionName || 'Unknown'} (${log.callback.selector})`));
+                console.log('');
+                
+                // Delivery is reported by handleDeliveryResult once found (or the window passes)
+                await deliveryTracker.track(log.callback, { rvmTxNumber: tx.number, logIndex: log.index, emittedAt: tx.time });
+                logger.info('⏳ Callback emitted, waiting for delivery on Sepolia...', null, 'rvm');
             }
             
-            if (log.topics[0] === TOPICS.LoopCallbackTriggered) {
+            if (log.eventName === 'LoopCallbackTriggered') {
                 logger.success('Loop callback triggered!', null, 'rvm');
             }
         }
     } catch (e) {
-        // Ignore log fetch errors
+        // Rethrown so the watcher keeps its cursor on this tx and retries it - a
+        // callback that is never tracked is never reported missing
+        logger.warn(`Could not check RVM TX #${tx.number} for callbacks: ${e.message}`, null, 'rvm');
+        throw e;
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                    CALLBACK DELIVERY HANDLER
+// ═══════════════════════════════════════════════════════════════
+
+function handleDeliveryResult({ callback, rvmTxNumber, delivery, diagnosis }) {
+    const label = `${callback.functionName || callback.selector} from RVM TX #${rvmTxNumber}`;
+
+    if (delivery.status === DeliveryStatus.DELIVERED) {
+        logger.success(`📥 Callback delivered: ${label}`, {
+            tx: delivery.txHash,
+            block: delivery.blockNumber,
+            latency: delivery.latencySec !== null ? `${delivery.latencySec}s` : 'n/a'
+        }, 'sepolia');
+        return;
+    }
+
+    if (delivery.status === DeliveryStatus.REVERTED) {
+        logger.error(`📥 Callback reverted: ${label}`, {
+            tx: delivery.txHash,
+            block: delivery.blockNumber,
+            reason: delivery.reason
+        }, 'sepolia');
+        return;
+    }
+
+    logger.critical(`Callback never delivered: ${label}`, {
+        searched: `blocks ${delivery.searchedBlocks[0]}-${delivery.searchedBlocks[1]}`
+    }, 'sepolia');
+    if (diagnosis.causes.length > 0) {
+        for (const cause of diagnosis.causes) {
+            console.log(chalk.red(`    • ${cause}`));
+        }
+    } else {
+        console.log(chalk.gray('    No empty reserves or RVM debt found - check gas limit and proxy authorization'));
     }
 }
 
@@ -231,7 +312,8 @@ async function startWatching() {
         chalk.gray('Watching for events on:\n') +
         chalk.cyan('  • Sepolia: Manager events\n') +
         chalk.magenta('  • Lasna RVM: react() calls\n') +
-        chalk.gray(`\nContracts:\n`) +
+        chalk.gray(`\nProfile: ${PROFILE.name}\n`) +
+        chalk.gray(`Contracts:\n`) +
         chalk.white(`  Manager: ${logger.truncateAddress(CONTRACTS.manager)}\n`) +
         chalk.white(`  Reactive: ${logger.truncateAddress(CONTRACTS.reactiveContract)}\n`) +
         chalk.white(`  RVM ID: ${logger.truncateAddress(CONTRACTS.rvmId)}`),
@@ -239,27 +321,43 @@ async function startWatching() {
     ));
     console.log('');
     
-    // Initialize RVM tx counter
-    try {
-        const headNumber = await rnkClient.getHeadNumber(CONTRACTS.rvmId);
-        lastRvmTxNumber = parseInt(headNumber, 16);
-        logger.info(`RVM has ${lastRvmTxNumber} transactions`, null, 'rvm');
-    } catch (e) {
-        logger.warn('Could not get initial RVM state', null, 'rvm');
-    }
+    // Refuse to start if TOPICS no longer match the contracts
+    await assertTopics({ provider: sepoliaProvider, rnkClient });
     
     // Set up Sepolia event listener
     const filter = {
         address: CONTRACTS.manager,
-        topics: [[TOPICS.PositionUpdated, TOPICS.LoopStepExecuted]]
+        topics: [[TOPICS.PositionUpdated, TOPICS.LoopStepExecuted, TOPICS.UnwindStepExecuted, TOPICS.PositionClosed]]
     };
     
-    sepoliaProvider.on(filter, handleSepoliaLog);
-    logger.success('Listening for Sepolia events...', null, 'sepolia');
+    sepoliaProvider.on(filter, (log) => sepoliaConfirmations.add(log));
+    sepoliaConfirmations.start();
+    logger.success(`Listening for Sepolia events (confirmed after ${CONFIRMATIONS.depth} blocks)...`, null, 'sepolia');
     
-    // Start RVM polling
-    setInterval(checkRvmTransactions, POLL_INTERVAL);
+    // Start RVM polling, resuming from the saved cursor (or --from-tx)
+    try {
+        const head = await rnkClient.getHeadNumber(CONTRACTS.rvmId);
+        const saved = rvmCursor.get();
+        logger.info(`RVM has ${head} transactions`, null, 'rvm');
+
+        if (fromTx !== null) {
+            logger.info(`Backfilling RVM transactions from #${fromTx}`, null, 'rvm');
+        } else if (saved !== null) {
+            logger.info(`Resuming after RVM tx #${saved} (${Math.max(0, head - saved)} to catch up)`, null, 'rvm');
+        }
+    } catch (e) {
+        logger.warn('Could not get initial RVM state', null, 'rvm');
+    }
+
+    await rnkClient.watchTransactions(CONTRACTS.rvmId, handleRvmTransaction, POLL_INTERVAL, {
+        cursor: rvmCursor,
+        fromTx,
+        pageSize: RVM_PAGE_SIZE
+    });
     logger.success(`Polling RVM every ${POLL_INTERVAL/1000}s...`, null, 'rvm');
+
+    deliveryTracker.start();
+    logger.success('Tracking callback delivery on Sepolia...', null, 'sepolia');
     
     console.log('');
     logger.separator();
@@ -0,0 +1,213 @@
+/**
+ * Telegram Webhook Server for the Reactive Auto-Looper Bot
+ *
+ * Small HTTP server for webhook mode (the bot's --webhook flag), as an
+ * alternative to the getUpdates long-poll loop:
+ *
+ *   POST <path>    Telegram update. Must carry the secret token registered
+ *                  with setWebhook in X-Telegram-Bot-Api-Secret-Token.
+ *                  Answered with 200 straight away; updates are then handled
+ *                  one at a time, in order, like the polling loop does.
+ *   GET  /healthz  Liveness and update counters as JSON (503 while shutting down)
+ *
+ * close() stops accepting updates and waits for the queued ones to finish.
+ * Nothing here talks to Telegram, so the server can be tested by posting
+ * fake update payloads to it (see test-webhook-server.js).
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { TELEGRAM_WEBHOOK } from './config.js';
+import logger from './logger.js';
+
+export const SECRET_HEADER = 'x-telegram-bot-api-secret-token';
+
+// Telegram's rule for secret_token in setWebhook
+const SECRET_FORMAT = /^[A-Za-z0-9_-]{1,256}$/;
+
+/**
+ * Throws unless the secret can be registered with setWebhook
+ */
+export function validateSecretToken(secret) {
+    if (!secret) throw new Error('Webhook mode needs TELEGRAM_WEBHOOK_SECRET');
+    if (!SECRET_FORMAT.test(secret)) {
+        throw new Error('TELEGRAM_WEBHOOK_SECRET must be 1-256 characters of A-Z, a-z, 0-9, _ and -');
+    }
+}
+
+/**
+ * Constant-time comparison of the request's secret header
+ */
+function secretMatches(given, expected) {
+    if (typeof given !== 'string') return false;
+    const a = crypto.createHash('sha256').update(given).digest();
+    const b = crypto.createHash('sha256').update(expected).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+export class WebhookServer {
+    /**
+     * @param options.secretToken - Secret registered with setWebhook
+     * @param options.onUpdate - async (update) => void, called once per update in order
+     * @param options.path - Path Telegram posts updates to
+     */
+    constructor({
+        secretToken,
+        onUpdate,
+        path = TELEGRAM_WEBHOOK.path,
+        maxBodyBytes = TELEGRAM_WEBHOOK.maxBodyBytes,
+        now = Date.now
+    }) {
+        validateSecretToken(secretToken);
+        this.secretToken = secretToken;
+        this.onUpdate = onUpdate;
+        this.path = path;
+        this.maxBodyBytes = maxBodyBytes;
+        this.now = now;
+
+        this.server = http.createServer((req, res) => this.route(req, res));
+        this.queue = Promise.resolve();
+        this.closing = false;
+        this.startedAt = now();
+        this.stats = { received: 0, handled: 0, failed: 0, rejected: 0, duplicates: 0, pending: 0 };
+        this.lastUpdateId = null;
+        this.lastUpdateAt = null;
+    }
+
+    /**
+     * @returns {Promise<number>} The port listened on (useful with port 0)
+     */
+    listen(port = TELEGRAM_WEBHOOK.port, host = TELEGRAM_WEBHOOK.host) {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.off('error', reject);
+                resolve(this.server.address().port);
+            });
+        });
+    }
+
+    /**
+     * Stop accepting requests and wait (up to timeoutMs) for queued updates
+     * @returns {Promise<boolean>} False if updates were still running at the timeout
+     */
+    async close(timeoutMs = TELEGRAM_WEBHOOK.shutdownTimeoutMs) {
+        this.closing = true;
+        const closed = new Promise(resolve => this.server.close(resolve));
+        this.server.closeIdleConnections();
+
+        let timer;
+        const timeout = new Promise(resolve => { timer = setTimeout(() => resolve(false), timeoutMs); });
+        const drained = await Promise.race([this.queue.then(() => true), timeout]);
+        clearTimeout(timer);
+
+        if (!drained) {
+            logger.warn(`Webhook shut down with ${this.stats.pending} update(s) still running`);
+            this.server.closeAllConnections();
+        }
+        await closed;
+        return drained;
+    }
+
+    health() {
+        return {
+            status: this.closing ? 'shutting_down' : 'ok',
+            mode: 'webhook',
+            uptimeSec: Math.round((this.now() - this.startedAt) / 1000),
+            lastUpdateAt: this.lastUpdateAt ? new Date(this.lastUpdateAt).toISOString() : null,
+            ...this.stats
+        };
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    //                          ROUTING
+    // ═══════════════════════════════════════════════════════════════
+
+    route(req, res) {
+        const { pathname } = new URL(req.url, 'http://localhost');
+
+        if (pathname === '/healthz') {
+            if (req.method !== 'GET' && req.method !== 'HEAD') return this.reply(res, 405, { error: 'Method not allowed' });
+            return this.reply(res, this.closing ? 503 : 200, this.health());
+        }
+        if (pathname !== this.path) return this.reply(res, 404, { error: 'Not found' });
+        if (req.method !== 'POST') return this.reply(res, 405, { error: 'Method not allowed' });
+        if (this.closing) return this.reply(res, 503, { error: 'Shutting down' });
+
+        if (!secretMatches(req.headers[SECRET_HEADER], this.secretToken)) {
+            this.stats.rejected++;
+            logger.warn(`Rejected webhook request from ${req.socket.remoteAddress}: bad secret token`);
+            req.resume();
+            return this.reply(res, 401, { error: 'Unauthorized' });
+        }
+
+        this.readBody(req, res);
+    }
+
+    readBody(req, res) {
+        const chunks = [];
+        let size = 0;
+        let aborted = false;
+
+        req.on('data', (chunk) => {
+            if (aborted) return;
+            size += chunk.length;
+            if (size > this.maxBodyBytes) {
+                aborted = true;
+                this.reply(res, 413, { error: 'Payload too large' });
+                req.resume();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            if (aborted) return;
+            let update;
+            try {
+                update = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+            } catch (e) {
+                return this.reply(res, 400, { error: 'Invalid JSON' });
+            }
+            if (!update || !Number.isInteger(update.update_id)) {
+                return this.reply(res, 400, { error: 'Not a Telegram update' });
+            }
+
+            // Telegram waits for the answer before sending the next update and
+            // retries on errors, so acknowledge first and handle it afterwards
+            this.reply(res, 200, { ok: true });
+            this.enqueue(update);
+        });
+    }
+
+    /**
+     * Handle updates one at a time; repeats of an update already seen are skipped
+     */
+    enqueue(update) {
+        this.stats.received++;
+        if (this.lastUpdateId !== null && update.update_id <= this.lastUpdateId) {
+            this.stats.duplicates++;
+            return;
+        }
+        this.lastUpdateId = update.update_id;
+        this.lastUpdateAt = this.now();
+
+        this.stats.pending++;
+        this.queue = this.queue
+            .then(() => this.onUpdate(update))
+            .then(() => { this.stats.handled++; })
+            .catch((error) => {
+                this.stats.failed++;
+                logger.error(`Webhook update ${update.update_id} failed: ${error.message}`);
+            })
+            .finally(() => { this.stats.pending--; });
+    }
+
+    reply(res, status, body) {
+        if (res.headersSent) return;
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    }
+}
+
+export default WebhookServer;